@@ -10,7 +10,6 @@ import FeaturesPage from "./pages/FeaturesPage.jsx";
 import AlgorithmPage from "./pages/AlgorithmPage.jsx";
 import Login from "./pages/Login.jsx";
 import Register from "./pages/Register.jsx";
-import CategoryManager from "./pages/CategoryManager.jsx";
 import JudgeInterface from "./pages/JudgeInterface.jsx";
 import ResultsPage from "./pages/ResultsPage.jsx";
 import EventList from "./pages/EventList.jsx";
@@ -29,6 +28,10 @@ import AcceptInvitation from "./pages/AcceptInvitation.jsx";
 import SharedEventsPage from "./pages/SharedEventsPage.jsx";
 import LiveLeaderboardPage from "./pages/LiveLeaderboardPage.jsx";
 import ShowcasePage from "./pages/ShowcasePage.jsx";
+import AudienceVotePage from "./pages/AudienceVotePage.jsx";
+import PitchSchedulePage from "./pages/PitchSchedulePage.jsx";
+import StageControllerPage from "./pages/StageControllerPage.jsx";
+import StageDisplayPage from "./pages/StageDisplayPage.jsx";
 import UserProfile from "./pages/UserProfile.jsx";
 
 import SkipLink from "./components/SkipLink.jsx";
@@ -113,6 +116,9 @@ function AppContent() {
           <Route path="/features" element={<FeaturesPage />} />
           <Route path="/algorithm" element={<AlgorithmPage />} />
           <Route path="/showcase" element={<ShowcasePage />} />
+          <Route path="/vote/:eventId" element={<AudienceVotePage />} />
+          <Route path="/schedule/:eventId" element={<PitchSchedulePage />} />
+          <Route path="/stage/:venueId/display" element={<StageDisplayPage />} />
 
           {/* Legal pages */}
           <Route path="/privacy" element={<PrivacyPolicy />} />
@@ -132,6 +138,14 @@ function AppContent() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/stage/:venueId"
+            element={
+              <PrivateRoute>
+                <StageControllerPage />
+              </PrivateRoute>
+            }
+          />
 
           {/* Auth routes */}
           <Route
@@ -184,14 +198,6 @@ function AppContent() {
               </PrivateRoute>
             }
           />
-          <Route
-            path="/categories"
-            element={
-              <PrivateRoute role="admin">
-                <CategoryManager />
-              </PrivateRoute>
-            }
-          />
           <Route
             path="/admin/users"
             element={
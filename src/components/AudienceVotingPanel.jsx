@@ -0,0 +1,274 @@
+import { useState, useEffect } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from "@mui/material";
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { computeAudienceResults } from "../services/computeRoundService";
+import { audienceVoteService, VoteVerificationModes, VoteReviewStatus } from "../services/audienceVoteService";
+import { toLocalInput, fromLocalInput } from "../utils/dateHelpers";
+
+const FLAG_LABELS = {
+  DEVICE_REUSE: 'Same device',
+  IP_CONCENTRATION: 'One network, one team',
+  BURST: 'Rapid votes from one network'
+};
+
+/**
+ * People's-choice vote: settings, the live tally and review of the votes the
+ * fraud heuristics held back
+ */
+function AudienceVotingPanel({ eventId }) {
+  const [settings, setSettings] = useState(null);
+  const [tally, setTally] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadVoting();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [eventId]);
+
+  const loadVoting = async () => {
+    setLoading(true);
+    try {
+      const [settingsData, results] = await Promise.all([
+        audienceVoteService.getVotingSettings(eventId),
+        computeAudienceResults(eventId)
+      ]);
+      if (!results.success) throw new Error(results.error);
+      setSettings(settingsData);
+      setTally(results);
+    } catch (err) {
+      console.error("Error loading audience voting:", err);
+      setError(`Failed to load audience voting: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveSettings = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await audienceVoteService.updateVotingSettings(eventId, {
+        audience_voting_enabled: settings.audience_voting_enabled,
+        audience_vote_verification: settings.audience_vote_verification,
+        audience_vote_opens_at: settings.audience_vote_opens_at,
+        audience_vote_closes_at: settings.audience_vote_closes_at,
+        audience_vote_weight: Math.max(parseFloat(settings.audience_vote_weight) || 0, 0)
+      });
+      setSuccess('Voting settings saved');
+    } catch (err) {
+      console.error("Error saving voting settings:", err);
+      setError(`Failed to save settings: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReview = async (voteIds, reviewStatus) => {
+    try {
+      await audienceVoteService.setVoteReview(voteIds, reviewStatus);
+      await loadVoting();
+    } catch (err) {
+      console.error("Error reviewing votes:", err);
+      setError(`Failed to update votes: ${err.message}`);
+    }
+  };
+
+  const voteUrl = `${window.location.origin}/vote/${eventId}`;
+
+  if (loading && !settings) {
+    return <Box sx={{ p: 4, textAlign: 'center' }}><CircularProgress /></Box>;
+  }
+
+  if (!settings) {
+    return <Alert severity="error">{error || 'Event not found'}</Alert>;
+  }
+
+  const teamNames = Object.fromEntries(tally.results.map(result => [result.team_id, result.team_name]));
+  const flaggedVotes = tally.votes.filter(vote => vote.flags.length > 0 || vote.review_status === VoteReviewStatus.REJECTED);
+  const pendingIds = flaggedVotes.filter(vote => vote.review_status === VoteReviewStatus.AUTO).map(vote => vote.id);
+  const windowOpen = (!settings.audience_vote_opens_at || new Date(settings.audience_vote_opens_at) <= new Date()) &&
+    (!settings.audience_vote_closes_at || new Date(settings.audience_vote_closes_at) > new Date());
+  const isOpen = settings.audience_voting_enabled && settings.status === 'live_judging' && windowOpen;
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>{success}</Alert>}
+
+      <Paper sx={{ p: 3, mb: 3, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+          <Typography variant="h6" sx={{ fontWeight: 600 }}>Audience Vote</Typography>
+          <Chip size="small" label={isOpen ? 'Open' : 'Closed'} color={isOpen ? 'success' : 'default'} />
+        </Box>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          Voting is only open while the event is in live judging, within the window below.
+          Give it a weight to count it in the overall standings, or use it as a people's-choice award.
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={settings.audience_voting_enabled}
+                onChange={(e) => setSettings({ ...settings, audience_voting_enabled: e.target.checked })}
+              />
+            }
+            label="Enabled"
+          />
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel>One Vote Per</InputLabel>
+            <Select
+              value={settings.audience_vote_verification}
+              label="One Vote Per"
+              onChange={(e) => setSettings({ ...settings, audience_vote_verification: e.target.value })}
+              sx={{ bgcolor: 'white' }}
+            >
+              <MenuItem value={VoteVerificationModes.DEVICE}>Device</MenuItem>
+              <MenuItem value={VoteVerificationModes.EMAIL}>Email (code)</MenuItem>
+            </Select>
+          </FormControl>
+          <TextField
+            label="Opens"
+            type="datetime-local"
+            size="small"
+            value={toLocalInput(settings.audience_vote_opens_at)}
+            onChange={(e) => setSettings({ ...settings, audience_vote_opens_at: fromLocalInput(e.target.value) })}
+            InputLabelProps={{ shrink: true }}
+            sx={{ bgcolor: 'white' }}
+          />
+          <TextField
+            label="Closes"
+            type="datetime-local"
+            size="small"
+            value={toLocalInput(settings.audience_vote_closes_at)}
+            onChange={(e) => setSettings({ ...settings, audience_vote_closes_at: fromLocalInput(e.target.value) })}
+            InputLabelProps={{ shrink: true }}
+            sx={{ bgcolor: 'white' }}
+          />
+          <TextField
+            label="Standings Weight"
+            type="number"
+            size="small"
+            value={settings.audience_vote_weight}
+            onChange={(e) => setSettings({ ...settings, audience_vote_weight: e.target.value })}
+            inputProps={{ min: 0, step: 0.1 }}
+            helperText="0 = award only"
+            sx={{ width: 150, bgcolor: 'white' }}
+          />
+          <Button variant="contained" onClick={handleSaveSettings} disabled={saving}>
+            {saving ? <CircularProgress size={20} color="inherit" /> : 'Save'}
+          </Button>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 2 }}>
+          <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>{voteUrl}</Typography>
+          <Button size="small" startIcon={<ContentCopyIcon />} onClick={() => navigator.clipboard.writeText(voteUrl)}>
+            Copy Link
+          </Button>
+        </Box>
+      </Paper>
+
+      <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', alignItems: 'flex-start' }}>
+        <TableContainer component={Paper} sx={{ flex: 1, minWidth: 320, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow sx={{ bgcolor: '#f8fafc' }}>
+                <TableCell sx={{ fontWeight: 600 }}>Rank</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>Team</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>Votes</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>Held</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>Percentile</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {tally.results.map(result => (
+                <TableRow key={result.team_id} hover>
+                  <TableCell sx={{ fontWeight: 600 }}>{result.rank}</TableCell>
+                  <TableCell>{result.team_name || result.team_id.substring(0, 8)}</TableCell>
+                  <TableCell>{result.votes}</TableCell>
+                  <TableCell>{result.held_votes > 0 ? <Chip size="small" color="warning" label={result.held_votes} /> : '—'}</TableCell>
+                  <TableCell>{result.percentile.toFixed(0)}%</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <Paper sx={{ flex: 1, minWidth: 320, p: 2, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+            <Typography variant="subtitle1" sx={{ fontWeight: 600, flex: 1 }}>
+              Flagged Votes ({flaggedVotes.length} of {tally.total_votes})
+            </Typography>
+            {pendingIds.length > 0 && (
+              <Button size="small" color="error" onClick={() => handleReview(pendingIds, VoteReviewStatus.REJECTED)}>
+                Reject All Pending
+              </Button>
+            )}
+          </Box>
+          {flaggedVotes.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">No suspicious votes.</Typography>
+          ) : (
+            <Table size="small">
+              <TableBody>
+                {flaggedVotes.map(vote => (
+                  <TableRow key={vote.id}>
+                    <TableCell>
+                      <Typography variant="body2">{teamNames[vote.team_id] || 'Unknown Team'}</Typography>
+                      <Typography variant="caption" color="textSecondary">
+                        {new Date(vote.created_at).toLocaleTimeString()}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      {vote.flags.map(flag => (
+                        <Chip key={flag} size="small" label={FLAG_LABELS[flag] || flag} sx={{ mr: 0.5 }} />
+                      ))}
+                    </TableCell>
+                    <TableCell align="right">
+                      {vote.review_status === VoteReviewStatus.AUTO ? (
+                        <>
+                          <Button size="small" onClick={() => handleReview([vote.id], VoteReviewStatus.ACCEPTED)}>Accept</Button>
+                          <Button size="small" color="error" onClick={() => handleReview([vote.id], VoteReviewStatus.REJECTED)}>Reject</Button>
+                        </>
+                      ) : (
+                        <Chip
+                          size="small"
+                          label={vote.review_status === VoteReviewStatus.ACCEPTED ? 'Accepted' : 'Rejected'}
+                          color={vote.review_status === VoteReviewStatus.ACCEPTED ? 'success' : 'error'}
+                          onDelete={() => handleReview([vote.id], VoteReviewStatus.AUTO)}
+                        />
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </Paper>
+      </Box>
+    </Box>
+  );
+}
+
+export default AudienceVotingPanel;
@@ -12,7 +12,9 @@ const ACTION_LABELS = {
   'publish': 'Published',
   'login': 'Login',
   'logout': 'Logout',
-  'permission_change': 'Permission Changed'
+  'permission_change': 'Permission Changed',
+  'coi_declare': 'Conflict Declared',
+  'coi_remove': 'Conflict Removed'
 };
 
 const RESOURCE_LABELS = {
@@ -23,7 +25,8 @@ const RESOURCE_LABELS = {
   'raw_evaluations': 'Evaluation',
   'computed_results': 'Results',
   'user_profiles': 'User',
-  'organizations': 'Organization'
+  'organizations': 'Organization',
+  'conflict_declarations': 'Conflict of Interest'
 };
 
 function AuditTrailViewer({ eventId }) {
@@ -116,7 +119,9 @@ function AuditTrailViewer({ eventId }) {
       'lock': '#d97706',
       'publish': '#059669',
       'login': '#6366f1',
-      'logout': '#6b7280'
+      'logout': '#6b7280',
+      'coi_declare': '#f59e0b',
+      'coi_remove': '#dc2626'
     };
     return colors[action] || '#6b7280';
   };
@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Button,
+  TextField,
+  Chip,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import CheckCircle from '@mui/icons-material/CheckCircle';
+import TuneIcon from '@mui/icons-material/Tune';
+import { calibrationService, computeCalibrationOffsets } from '../services/calibrationService';
+import { getScoringLevels, getScoreInputStep } from '../services/roundService';
+import {
+  computeRawTotal,
+  isGateCriterion,
+  validateCriterionScore
+} from '../services/normalizationService';
+import RubricLevelPicker from './RubricLevelPicker';
+
+const formatOffset = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+
+/**
+ * Judge view of a round's calibration: the judge scores the shared sample
+ * projects, then sees their marks next to the panel median. Reports whether
+ * every sample has been scored through onComplete.
+ */
+function CalibrationPanel({ round, judge, criteria, editable, onComplete }) {
+  const [samples, setSamples] = useState([]);
+  const [calibrations, setCalibrations] = useState([]);
+  const [scores, setScores] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadCalibration();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [round.id, judge.id]);
+
+  const loadCalibration = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [sampleTeams, roundCalibrations] = await Promise.all([
+        calibrationService.getSampleTeams(round.calibration_team_ids),
+        calibrationService.getRoundCalibrations(round.id)
+      ]);
+      setSamples(sampleTeams);
+      setCalibrations(roundCalibrations);
+
+      const scored = new Set(roundCalibrations.filter(c => c.judge_id === judge.id).map(c => c.team_id));
+      if (onComplete) onComplete(sampleTeams.every(team => scored.has(team.id)));
+    } catch (err) {
+      console.error('Error loading calibration:', err);
+      setError(`Failed to load calibration: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleScoreChange = (teamId, criterionId, value) => {
+    const numValue = parseFloat(value);
+    setScores(prev => ({
+      ...prev,
+      [teamId]: {
+        ...prev[teamId],
+        [criterionId]: value === '' || isNaN(numValue) ? '' : numValue
+      }
+    }));
+  };
+
+  const handleSubmit = async (teamId) => {
+    const teamScores = scores[teamId] || {};
+    const scaleErrors = criteria
+      .map(c => validateCriterionScore(c, teamScores[c.id] === '' ? undefined : teamScores[c.id]))
+      .filter(Boolean);
+    if (scaleErrors.length > 0) {
+      alert(scaleErrors.join('\n'));
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await calibrationService.submitCalibration(
+        round.id,
+        judge.id,
+        teamId,
+        teamScores,
+        computeRawTotal({ scores: teamScores }, criteria)
+      );
+      await loadCalibration();
+    } catch (err) {
+      console.error('Error submitting calibration:', err);
+      alert('Failed to submit calibration scores. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const scoredCriteria = criteria.filter(c => !isGateCriterion(c));
+  const { panelMedians, judges } = computeCalibrationOffsets(calibrations, criteria);
+  const myCalibrations = calibrations.filter(c => c.judge_id === judge.id);
+  const myOffset = judges[judge.id];
+  const isComplete = samples.length > 0 && samples.every(team => myCalibrations.some(c => c.team_id === team.id));
+
+  return (
+    <Box sx={{ mb: 4 }}>
+      <Card sx={{ p: 3, mb: 3, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+          <TuneIcon sx={{ color: '#7c3aed' }} />
+          <Typography variant="h6" sx={{ fontWeight: 700, color: '#1e293b' }}>
+            Calibration
+          </Typography>
+          <Chip
+            size="small"
+            label={`${myCalibrations.length}/${samples.length} samples`}
+            color={isComplete ? 'success' : 'warning'}
+            sx={{ fontWeight: 600 }}
+          />
+        </Box>
+        <Typography variant="body2" color="textSecondary">
+          Every judge on the panel scores the same sample projects before judging starts, so you can
+          see how your marks compare with everyone else's. Calibration scores can't be changed once submitted.
+        </Typography>
+        {isComplete && myOffset && (
+          <Alert severity={Math.abs(myOffset.total_offset) >= 1 ? 'info' : 'success'} sx={{ mt: 2 }}>
+            {Math.abs(myOffset.total_offset) < 0.05
+              ? 'Your marks match the panel median.'
+              : `On average you gave ${formatOffset(myOffset.total_offset)} marks per project compared with the panel median.`}
+            {' '}The panel median updates as more judges finish calibrating.
+          </Alert>
+        )}
+      </Card>
+
+      {error && <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>{error}</Alert>}
+
+      {samples.map(team => {
+        const submitted = myCalibrations.find(c => c.team_id === team.id);
+        const teamScores = scores[team.id] || {};
+        const panelCount = calibrations.filter(c => c.team_id === team.id).length;
+
+        return (
+          <Card key={team.id} sx={{ mb: 3, borderRadius: '16px', overflow: 'hidden', boxShadow: '0 2px 12px rgba(0,0,0,0.08)' }}>
+            <Box sx={{ p: 3, background: submitted ? '#f5f3ff' : '#f8fafc', borderBottom: '1px solid #e2e8f0', display: 'flex', alignItems: 'center' }}>
+              <Box sx={{ flex: 1 }}>
+                <Typography variant="overline" sx={{ color: '#7c3aed', fontWeight: 700 }}>Sample Project</Typography>
+                <Typography variant="h6" sx={{ fontWeight: 700, color: '#1e293b' }}>{team.name}</Typography>
+                <Typography variant="body2" sx={{ color: '#64748b' }}>{team.project_title || 'No project title'}</Typography>
+              </Box>
+              {submitted && <Chip icon={<CheckCircle />} label="Submitted" color="success" sx={{ fontWeight: 600 }} />}
+            </Box>
+
+            {submitted ? (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 700 }}>Criterion</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Your Score</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Panel Median ({panelCount} judges)</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>Difference</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {scoredCriteria.map(criterion => {
+                    const mine = submitted.scores?.[criterion.id];
+                    const panel = panelMedians[team.id]?.[criterion.id];
+                    const diff = typeof mine === 'number' && typeof panel === 'number' ? mine - panel : null;
+
+                    return (
+                      <TableRow key={criterion.id}>
+                        <TableCell sx={{ fontWeight: 600, color: '#334155' }}>{criterion.name}</TableCell>
+                        <TableCell>{mine ?? '—'}</TableCell>
+                        <TableCell>{panel ?? '—'}</TableCell>
+                        <TableCell>
+                          {diff === null ? '—' : (
+                            <Chip
+                              size="small"
+                              label={formatOffset(diff)}
+                              color={Math.abs(diff) < 0.05 ? 'default' : diff > 0 ? 'info' : 'warning'}
+                            />
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            ) : (
+              <>
+                <Table size="small">
+                  <TableBody>
+                    {criteria.map(criterion => (
+                      <TableRow key={criterion.id}>
+                        <TableCell>
+                          <Typography sx={{ fontWeight: 600, color: '#334155' }}>{criterion.name}</Typography>
+                          {criterion.description && (
+                            <Typography variant="caption" color="textSecondary">{criterion.description}</Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          {getScoringLevels(criterion).length > 0 ? (
+                            <RubricLevelPicker
+                              levels={getScoringLevels(criterion)}
+                              value={teamScores[criterion.id]}
+                              onSelect={(score) => handleScoreChange(team.id, criterion.id, score)}
+                              disabled={!editable}
+                            />
+                          ) : (
+                            <TextField
+                              type="number"
+                              size="small"
+                              value={teamScores[criterion.id] ?? ''}
+                              onChange={(e) => handleScoreChange(team.id, criterion.id, e.target.value)}
+                              disabled={!editable}
+                              inputProps={{
+                                min: criterion.min_marks || 0,
+                                max: criterion.max_marks,
+                                step: getScoreInputStep(criterion)
+                              }}
+                              sx={{ width: '140px' }}
+                              placeholder={`0-${criterion.max_marks}`}
+                            />
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+                {editable && (
+                  <Box sx={{ p: 3, display: 'flex', justifyContent: 'flex-end', background: '#fafafa' }}>
+                    <Button
+                      variant="contained"
+                      onClick={() => handleSubmit(team.id)}
+                      disabled={submitting}
+                      sx={{ textTransform: 'none', fontWeight: 700, borderRadius: '8px', bgcolor: '#7c3aed', '&:hover': { bgcolor: '#6d28d9' } }}
+                    >
+                      {submitting ? <CircularProgress size={20} color="inherit" /> : 'Submit Calibration Scores'}
+                    </Button>
+                  </Box>
+                )}
+              </>
+            )}
+          </Card>
+        );
+      })}
+    </Box>
+  );
+}
+
+export default CalibrationPanel;
@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  Button,
+  TextField,
+  Chip,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Collapse,
+} from '@mui/material';
+import BlockIcon from '@mui/icons-material/Block';
+import { eventService } from '../services/eventService';
+import { conflictService, ConflictSources } from '../services/conflictService';
+
+/**
+ * Judge view of their conflict-of-interest declarations. Declaring a team
+ * removes it from the judge's assignments; only an admin can withdraw one.
+ * Reports new declarations through onDeclared so assignments can be reloaded
+ */
+function ConflictDeclarationPanel({ judge, onDeclared }) {
+  const [teams, setTeams] = useState([]);
+  const [declarations, setDeclarations] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+  const [teamId, setTeamId] = useState('');
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadDeclarations();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [judge.id]);
+
+  const loadDeclarations = async () => {
+    try {
+      const [eventTeams, judgeConflicts] = await Promise.all([
+        eventService.getTeamsByEvent(judge.event_id),
+        conflictService.getJudgeConflicts(judge.id)
+      ]);
+      setTeams(eventTeams);
+      setDeclarations(judgeConflicts);
+    } catch (err) {
+      console.error('Error loading conflicts of interest:', err);
+      setError(`Failed to load conflicts of interest: ${err.message}`);
+    }
+  };
+
+  const handleDeclare = async () => {
+    if (!teamId) return;
+    const team = teams.find(t => t.id === teamId);
+    if (!window.confirm(`Declare a conflict of interest with ${team?.name}? You will no longer judge this team, and only an organizer can undo it.`)) {
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await conflictService.declareConflict(judge.event_id, judge.id, teamId, reason.trim(), ConflictSources.JUDGE);
+      setTeamId('');
+      setReason('');
+      await loadDeclarations();
+      if (onDeclared) onDeclared();
+    } catch (err) {
+      console.error('Error declaring conflict of interest:', err);
+      setError(`Failed to declare the conflict: ${err.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const availableTeams = teams.filter(team => !declarations.some(d => d.team_id === team.id));
+
+  return (
+    <Card sx={{ p: 3, mb: 4, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <BlockIcon sx={{ color: '#f59e0b' }} />
+        <Typography variant="h6" sx={{ fontWeight: 700, color: '#1e293b', flex: 1 }}>
+          Conflicts of Interest
+        </Typography>
+        {declarations.length > 0 && (
+          <Chip size="small" label={`${declarations.length} declared`} color="warning" sx={{ fontWeight: 600 }} />
+        )}
+        <Button size="small" onClick={() => setExpanded(!expanded)} sx={{ textTransform: 'none', fontWeight: 600 }}>
+          {expanded ? 'Hide' : 'Declare a Conflict'}
+        </Button>
+      </Box>
+      <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+        If you mentor, advise, work with or are related to anyone on a team, declare it here and you
+        won't be asked to judge that team.
+      </Typography>
+
+      {declarations.length > 0 && (
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 2 }}>
+          {declarations.map(declaration => (
+            <Chip
+              key={declaration.id}
+              label={declaration.reason ? `${declaration.team?.name} - ${declaration.reason}` : declaration.team?.name}
+              variant="outlined"
+            />
+          ))}
+        </Box>
+      )}
+
+      <Collapse in={expanded}>
+        {error && <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap', mt: 2 }}>
+          <FormControl size="small" sx={{ minWidth: 220 }}>
+            <InputLabel>Team</InputLabel>
+            <Select value={teamId} label="Team" onChange={(e) => setTeamId(e.target.value)}>
+              {availableTeams.map(team => (
+                <MenuItem key={team.id} value={team.id}>{team.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            size="small"
+            label="Reason"
+            placeholder="e.g. I mentored this team"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            sx={{ flex: 1, minWidth: 220 }}
+          />
+          <Button
+            variant="contained"
+            onClick={handleDeclare}
+            disabled={!teamId || submitting}
+            sx={{ textTransform: 'none', fontWeight: 700, borderRadius: '8px', bgcolor: '#f59e0b', '&:hover': { bgcolor: '#d97706' } }}
+          >
+            Declare
+          </Button>
+        </Box>
+      </Collapse>
+    </Card>
+  );
+}
+
+export default ConflictDeclarationPanel;
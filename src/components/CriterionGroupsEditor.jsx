@@ -0,0 +1,80 @@
+import {
+  Box,
+  Button,
+  IconButton,
+  TextField,
+  Typography,
+} from "@mui/material";
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+/**
+ * Edits criterion groups (name, weight). A group's weight is shared among
+ * the criteria assigned to it.
+ */
+function CriterionGroupsEditor({ groups, onChange, onSave, saving, dirty, disabled }) {
+  const rows = groups || [];
+
+  const updateGroup = (index, field, value) => {
+    onChange(rows.map((group, i) => (i === index ? { ...group, [field]: value } : group)));
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+        Criterion Groups
+      </Typography>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        Group related criteria, e.g. "Technical". The group's weight is split among its criteria by their own weights.
+      </Typography>
+
+      {rows.map((group, index) => (
+        <Box key={group.id || index} sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 1 }}>
+          <TextField
+            label="Group"
+            size="small"
+            value={group.name}
+            onChange={(e) => updateGroup(index, 'name', e.target.value)}
+            placeholder="e.g., Technical"
+            sx={{ flex: 1, bgcolor: 'white' }}
+            disabled={disabled}
+          />
+          <TextField
+            label="Weight"
+            type="number"
+            size="small"
+            value={group.weight}
+            onChange={(e) => updateGroup(index, 'weight', e.target.value === '' ? '' : parseFloat(e.target.value))}
+            inputProps={{ min: 0.1, step: 0.1 }}
+            sx={{ width: 100, bgcolor: 'white' }}
+            disabled={disabled}
+          />
+          <IconButton
+            size="small"
+            onClick={() => onChange(rows.filter((_, i) => i !== index))}
+            disabled={disabled}
+            sx={{ color: "#ef4444" }}
+          >
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Box>
+      ))}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+        <Button
+          size="small"
+          startIcon={<AddIcon />}
+          onClick={() => onChange([...rows, { name: '', weight: 1 }])}
+          disabled={disabled}
+        >
+          Add Group
+        </Button>
+        <Button size="small" variant="contained" onClick={onSave} disabled={disabled || saving || !dirty}>
+          Save Groups
+        </Button>
+      </Box>
+    </Box>
+  );
+}
+
+export default CriterionGroupsEditor;
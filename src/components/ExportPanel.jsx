@@ -1,5 +1,10 @@
 import React, { useState } from 'react';
 import { supabase } from '../supabaseClient';
+import { computeInterRaterReliability } from '../services/normalizationService';
+import { ConflictSources } from '../services/conflictService';
+import { escapeHtml } from '../utils/htmlHelpers';
+
+const formatStat = (value) => (value !== null && value !== undefined ? value.toFixed(3) : '');
 
 function ExportPanel({ eventId, eventName, roundId }) {
   const [exporting, setExporting] = useState(null);
@@ -37,14 +42,14 @@ function ExportPanel({ eventId, eventName, roundId }) {
     {
       id: 'judge_metrics_csv',
       title: 'Judge Analytics (CSV)',
-      description: 'Judge contribution metrics, consistency scores, and bias indicators',
+      description: 'Judge contribution metrics, bias indicators, and inter-rater reliability',
       format: 'CSV',
       icon: 'analytics'
     },
     {
       id: 'full_report_pdf',
       title: 'Full Transparency Report (PDF)',
-      description: 'Complete report with scores, methodology, judge metrics, and audit trail',
+      description: 'Complete report with scores, methodology, conflicts of interest, judge metrics, and audit trail',
       format: 'PDF',
       icon: 'report'
     }
@@ -195,6 +200,22 @@ function ExportPanel({ eventId, eventName, roundId }) {
       .eq('round_id', roundId)
       .eq('is_draft', false);
 
+    const { data: criteria } = await supabase
+      .from('round_criteria')
+      .select('id, name, weight, scale_type')
+      .eq('round_id', roundId)
+      .order('display_order');
+
+    const reliability = computeInterRaterReliability(
+      (evaluations || []).map(e => ({
+        ...e,
+        scores: Object.fromEntries(
+          Object.entries(e.scores || {}).map(([cId, s]) => [cId, parseFloat(s)]).filter(([, s]) => !isNaN(s))
+        )
+      })),
+      criteria || []
+    );
+
     const judgeMap = {};
     evaluations?.forEach(e => {
       if (!e.user_profiles) return;
@@ -213,9 +234,10 @@ function ExportPanel({ eventId, eventName, roundId }) {
       });
     });
 
-    const headers = ['Judge Name', 'Email', 'Evaluations', 'Mean Score', 'Std Dev', 'Min Score', 'Max Score'];
+    const headers = ['Judge Name', 'Email', 'Evaluations', 'Mean Score', 'Std Dev', 'Min Score', 'Max Score',
+      'Panel Agreement (Spearman)', 'Panel Agreement (Kendall)'];
 
-    const rows = Object.values(judgeMap).map(j => {
+    const rows = Object.entries(judgeMap).map(([judgeId, j]) => {
       const mean = j.scores.length > 0 
         ? j.scores.reduce((a, b) => a + b, 0) / j.scores.length 
         : 0;
@@ -233,11 +255,47 @@ function ExportPanel({ eventId, eventName, roundId }) {
         mean.toFixed(2),
         stdDev.toFixed(2),
         min.toFixed(2),
-        max.toFixed(2)
+        max.toFixed(2),
+        formatStat(reliability.overall.judge_agreement[judgeId]?.spearman),
+        formatStat(reliability.overall.judge_agreement[judgeId]?.kendall)
       ];
     });
 
-    return [headers, ...rows];
+    const judgeName = (judgeId) => judgeMap[judgeId]?.name || judgeId;
+    const scopes = [
+      { name: 'Raw total', stats: reliability.overall },
+      ...(criteria || [])
+        .filter(c => reliability.criteria[c.id])
+        .map(c => ({ name: c.name, stats: reliability.criteria[c.id] }))
+    ];
+
+    const reliabilityRows = [
+      [],
+      ['Inter-rater Reliability', "Kendall's W", 'Teams (W)', 'ICC(1)', "Krippendorff's Alpha", 'Evaluations'],
+      ...scopes.map(scope => [
+        scope.name,
+        formatStat(scope.stats.kendalls_w?.value),
+        scope.stats.kendalls_w?.teams || 0,
+        formatStat(scope.stats.icc),
+        formatStat(scope.stats.krippendorff_alpha),
+        scope.stats.evaluations
+      ])
+    ];
+
+    // Raw-total correlation matrices; blank cells share too few teams
+    const matrixRows = ['spearman', 'kendall'].flatMap(method => {
+      const judgeIds = Object.keys(reliability.overall[method]);
+      return [
+        [],
+        [`${method === 'spearman' ? 'Spearman' : 'Kendall'} (raw total)`, ...judgeIds.map(judgeName)],
+        ...judgeIds.map(rowId => [
+          judgeName(rowId),
+          ...judgeIds.map(colId => (rowId === colId ? '1.000' : formatStat(reliability.overall[method][rowId][colId].value)))
+        ])
+      ];
+    });
+
+    return [headers, ...rows, ...reliabilityRows, ...matrixRows];
   };
 
   const downloadCSV = (data, filename) => {
@@ -259,14 +317,25 @@ function ExportPanel({ eventId, eventName, roundId }) {
     URL.revokeObjectURL(link.href);
   };
 
+  const fetchConflictDeclarations = async () => {
+    const { data: declarations } = await supabase
+      .from('conflict_declarations')
+      .select('*, judge:judges(name), team:teams(name)')
+      .eq('event_id', eventId)
+      .order('created_at');
+
+    return declarations || [];
+  };
+
   const generatePDFReport = async (reportType) => {
     const results = await fetchScoreResults();
+    const conflicts = reportType === 'full_report_pdf' ? await fetchConflictDeclarations() : [];
     
     const htmlContent = `
       <!DOCTYPE html>
       <html>
       <head>
-        <title>${eventName} - Score Report</title>
+        <title>${escapeHtml(eventName)} - Score Report</title>
         <style>
           body { font-family: Arial, sans-serif; margin: 40px; }
           h1 { color: #1e3a5f; }
@@ -277,17 +346,29 @@ function ExportPanel({ eventId, eventName, roundId }) {
         </style>
       </head>
       <body>
-        <h1>${eventName}</h1>
+        <h1>${escapeHtml(eventName)}</h1>
         <h2>Final Score Results</h2>
         <p>Generated: ${new Date().toLocaleString()}</p>
         <table>
           <thead>
-            <tr>${results[0].map(h => `<th>${h}</th>`).join('')}</tr>
+            <tr>${results[0].map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>
           </thead>
           <tbody>
-            ${results.slice(1).map(row => `<tr>${row.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}
+            ${results.slice(1).map(row => `<tr>${row.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('')}
           </tbody>
         </table>
+        ${reportType === 'full_report_pdf' ? `
+        <h2>Conflicts of Interest</h2>
+        ${conflicts.length === 0 ? '<p>No conflicts of interest were declared.</p>' : `
+        <p>Judges were not assigned to these teams. Scores submitted before a declaration are flagged in the results.</p>
+        <table>
+          <thead>
+            <tr><th>Judge</th><th>Team</th><th>Reason</th><th>Declared By</th><th>Declared At</th></tr>
+          </thead>
+          <tbody>
+            ${conflicts.map(c => `<tr><td>${escapeHtml(c.judge?.name)}</td><td>${escapeHtml(c.team?.name)}</td><td>${escapeHtml(c.reason)}</td><td>${c.source === ConflictSources.ADMIN ? 'Organizer' : 'Judge'}</td><td>${new Date(c.created_at).toLocaleString()}</td></tr>`).join('')}
+          </tbody>
+        </table>`}` : ''}
         <div class="footer">
           <p>This report was generated by FairScore using Z-score normalization.</p>
           <p>Scoring methodology: Each judge's scores are normalized to account for individual scoring patterns,
@@ -1,11 +1,41 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../supabaseClient';
+import {
+  fitJudgeEffects,
+  computeInterRaterReliability,
+  detectRaterBiases,
+  RaterBiasTypes,
+  BiasSeverity,
+  RELIABILITY_MIN_OVERLAP
+} from '../services/normalizationService';
+
+const BIAS_LABELS = {
+  [RaterBiasTypes.LENIENCY]: 'Leniency',
+  [RaterBiasTypes.SEVERITY]: 'Severity',
+  [RaterBiasTypes.HALO]: 'Halo Effect',
+  [RaterBiasTypes.CENTRAL_TENDENCY]: 'Central Tendency',
+  [RaterBiasTypes.STRAIGHT_LINING]: 'Straight-lining'
+};
+
+const SEVERITY_COLORS = {
+  [BiasSeverity.HIGH]: '#dc2626',
+  [BiasSeverity.MEDIUM]: '#f59e0b',
+  [BiasSeverity.LOW]: '#6b7280'
+};
+
+const RELIABILITY_METHODS = {
+  spearman: 'Spearman ρ',
+  kendall: 'Kendall τ-b'
+};
 
 function JudgeAnalytics({ eventId, roundId }) {
   const [judges, setJudges] = useState([]);
   const [evaluations, setEvaluations] = useState([]);
+  const [criteria, setCriteria] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedJudge, setSelectedJudge] = useState(null);
+  const [reliabilityScope, setReliabilityScope] = useState('overall');
+  const [reliabilityMethod, setReliabilityMethod] = useState('spearman');
 
   useEffect(() => {
     if (roundId) {
@@ -37,6 +67,16 @@ function JudgeAnalytics({ eventId, roundId }) {
       if (evalsData) {
         setEvaluations(evalsData);
       }
+
+      const { data: criteriaData } = await supabase
+        .from('round_criteria')
+        .select('id, name, weight, scale_type, min_marks, max_marks')
+        .eq('round_id', roundId)
+        .order('display_order');
+
+      if (criteriaData) {
+        setCriteria(criteriaData);
+      }
     } catch (err) {
       console.error('Failed to fetch judge data:', err);
     } finally {
@@ -90,6 +130,56 @@ function JudgeAnalytics({ eventId, roundId }) {
     };
   };
 
+  const numericEvaluations = evaluations.map(e => ({
+    ...e,
+    scores: Object.fromEntries(
+      Object.entries(e.scores || {}).map(([cId, s]) => [cId, parseFloat(s)]).filter(([, s]) => !isNaN(s))
+    )
+  }));
+
+  // Least-squares judge effects: fitted over the whole round, so a judge who drew
+  // a strong batch of teams is not mistaken for a lenient one
+  const judgeEffects = criteria.length > 0 && evaluations.length > 0
+    ? fitJudgeEffects(numericEvaluations, criteria)
+    : null;
+
+  const reliability = criteria.length > 0 && evaluations.length > 0
+    ? computeInterRaterReliability(numericEvaluations, criteria)
+    : null;
+  const scopeReliability = reliabilityScope === 'overall'
+    ? reliability?.overall
+    : reliability?.criteria[reliabilityScope];
+  const heatmapJudges = scopeReliability
+    ? judges.filter(judge => scopeReliability[reliabilityMethod][judge.id])
+    : [];
+
+  const biasFindings = criteria.length > 0 && evaluations.length > 0
+    ? detectRaterBiases(numericEvaluations, criteria)
+    : [];
+  const visibleFindings = selectedJudge
+    ? biasFindings.filter(finding => finding.judge_id === selectedJudge)
+    : biasFindings;
+  const judgeName = (judgeId) => {
+    const judge = judges.find(j => j.id === judgeId);
+    return judge?.full_name || judge?.email || 'Unnamed Judge';
+  };
+
+  // Krippendorff's guideline: 0.8 reliable, 0.667 the lowest acceptable
+  const getReliabilityLabel = (value) => {
+    if (value === null || value === undefined) return { label: 'Not enough overlap', color: '#9ca3af' };
+    if (value >= 0.8) return { label: 'Strong', color: '#10b981' };
+    if (value >= 0.667) return { label: 'Acceptable', color: '#84cc16' };
+    if (value >= 0.4) return { label: 'Weak', color: '#f59e0b' };
+    return { label: 'Poor', color: '#dc2626' };
+  };
+
+  const getCorrelationColor = (value) => {
+    if (value === null || value === undefined) return '#f3f4f6';
+    return value >= 0
+      ? `rgba(16, 185, 129, ${Math.min(value, 1).toFixed(2)})`
+      : `rgba(220, 38, 38, ${Math.min(-value, 1).toFixed(2)})`;
+  };
+
   const getBiasLabel = (biasFactor) => {
     if (Math.abs(biasFactor) < 5) return { label: 'Neutral', color: '#10b981' };
     if (biasFactor > 15) return { label: 'Lenient', color: '#f59e0b' };
@@ -147,6 +237,7 @@ function JudgeAnalytics({ eventId, roundId }) {
                 <th style={{ padding: '12px', textAlign: 'center', fontWeight: '600' }}>Std Dev</th>
                 <th style={{ padding: '12px', textAlign: 'center', fontWeight: '600' }}>Consistency</th>
                 <th style={{ padding: '12px', textAlign: 'center', fontWeight: '600' }}>Bias Indicator</th>
+                <th style={{ padding: '12px', textAlign: 'center', fontWeight: '600' }}>Fitted Bias</th>
                 <th style={{ padding: '12px', textAlign: 'center', fontWeight: '600' }}>Coverage</th>
               </tr>
             </thead>
@@ -207,6 +298,14 @@ function JudgeAnalytics({ eventId, roundId }) {
                         {biasInfo.label}
                       </span>
                     </td>
+                    <td style={{ padding: '12px', textAlign: 'center', fontWeight: '600' }}>
+                      {judgeEffects?.judgeTotalBias[judge.id] !== undefined ? (
+                        <span style={{ color: judgeEffects.judgeTotalBias[judge.id] >= 0 ? '#f59e0b' : '#dc2626' }}>
+                          {judgeEffects.judgeTotalBias[judge.id] >= 0 ? '+' : ''}
+                          {judgeEffects.judgeTotalBias[judge.id].toFixed(2)} pts
+                        </span>
+                      ) : '-'}
+                    </td>
                     <td style={{ padding: '12px', textAlign: 'center' }}>
                       <div style={{
                         width: '100%',
@@ -232,8 +331,205 @@ function JudgeAnalytics({ eventId, roundId }) {
             </tbody>
           </table>
         </div>
+        {judgeEffects && !judgeEffects.isConnected && (
+          <div style={{
+            marginTop: '12px',
+            padding: '12px 16px',
+            background: '#fef3c7',
+            borderRadius: '8px',
+            color: '#92400e',
+            fontSize: '13px'
+          }}>
+            {judgeEffects.warnings.join(' ')}
+          </div>
+        )}
       </div>
 
+      <div style={{ marginBottom: '24px' }}>
+        <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#374151' }}>
+          Rater Bias Findings
+          {selectedJudge && (
+            <span style={{ marginLeft: '8px', fontSize: '13px', fontWeight: 'normal', color: '#6b7280' }}>
+              for {judgeName(selectedJudge)}
+            </span>
+          )}
+        </h3>
+        {visibleFindings.length === 0 ? (
+          <div style={{
+            padding: '12px 16px',
+            background: '#f0fdf4',
+            borderRadius: '8px',
+            color: '#166534',
+            fontSize: '13px'
+          }}>
+            No rater errors detected in the submitted evaluations.
+          </div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            {visibleFindings.map(finding => (
+              <div
+                key={`${finding.judge_id}-${finding.type}`}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '12px',
+                  padding: '12px 16px',
+                  background: '#f8fafc',
+                  borderRadius: '8px',
+                  borderLeft: `4px solid ${SEVERITY_COLORS[finding.severity]}`,
+                  fontSize: '14px'
+                }}
+              >
+                <span style={{
+                  display: 'inline-block',
+                  padding: '4px 8px',
+                  borderRadius: '4px',
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  background: `${SEVERITY_COLORS[finding.severity]}20`,
+                  color: SEVERITY_COLORS[finding.severity]
+                }}>
+                  {finding.severity}
+                </span>
+                <span style={{ fontWeight: '600', minWidth: '140px' }}>{BIAS_LABELS[finding.type]}</span>
+                <span style={{ fontWeight: '500', minWidth: '160px' }}>{judgeName(finding.judge_id)}</span>
+                <span style={{ color: '#6b7280', flex: 1 }}>{finding.evidence}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {scopeReliability && (
+        <div style={{ marginBottom: '24px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '16px', flexWrap: 'wrap' }}>
+            <h3 style={{ margin: 0, fontSize: '16px', color: '#374151', flex: 1 }}>
+              Panel Reliability
+            </h3>
+            <select
+              value={reliabilityScope}
+              onChange={(e) => setReliabilityScope(e.target.value)}
+              style={{ padding: '6px 10px', borderRadius: '6px', border: '1px solid #d1d5db', fontSize: '14px' }}
+            >
+              <option value="overall">Raw total</option>
+              {criteria.filter(c => reliability.criteria[c.id]).map(c => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+            <select
+              value={reliabilityMethod}
+              onChange={(e) => setReliabilityMethod(e.target.value)}
+              style={{ padding: '6px 10px', borderRadius: '6px', border: '1px solid #d1d5db', fontSize: '14px' }}
+            >
+              {Object.entries(RELIABILITY_METHODS).map(([method, label]) => (
+                <option key={method} value={method}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+            gap: '12px',
+            marginBottom: '16px'
+          }}>
+            {[
+              {
+                title: "Kendall's W",
+                value: scopeReliability.kendalls_w?.value,
+                note: scopeReliability.kendalls_w
+                  ? `${scopeReliability.kendalls_w.teams} teams scored by all ${scopeReliability.kendalls_w.judges} judges`
+                  : 'No teams scored by every judge'
+              },
+              { title: 'ICC(1)', value: scopeReliability.icc, note: 'Single-judge reliability' },
+              {
+                title: "Krippendorff's α",
+                value: scopeReliability.krippendorff_alpha,
+                note: `${scopeReliability.evaluations} evaluations, missing ones skipped`
+              }
+            ].map(stat => {
+              const info = getReliabilityLabel(stat.value);
+              return (
+                <div key={stat.title} style={{ background: '#f8fafc', borderRadius: '8px', padding: '16px' }}>
+                  <div style={{ fontSize: '13px', color: '#6b7280' }}>{stat.title}</div>
+                  <div style={{ fontSize: '24px', fontWeight: '700', color: '#1e3a5f' }}>
+                    {stat.value !== null && stat.value !== undefined ? stat.value.toFixed(3) : '-'}
+                  </div>
+                  <span style={{
+                    display: 'inline-block',
+                    padding: '2px 8px',
+                    borderRadius: '4px',
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    background: `${info.color}20`,
+                    color: info.color
+                  }}>
+                    {info.label}
+                  </span>
+                  <div style={{ fontSize: '11px', color: '#9ca3af', marginTop: '6px' }}>{stat.note}</div>
+                </div>
+              );
+            })}
+          </div>
+
+          {heatmapJudges.length > 1 && (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ borderCollapse: 'collapse', fontSize: '13px' }}>
+                <thead>
+                  <tr>
+                    <th style={{ padding: '8px' }} />
+                    {heatmapJudges.map(judge => (
+                      <th key={judge.id} style={{ padding: '8px', fontWeight: '600', color: '#374151', whiteSpace: 'nowrap' }}>
+                        {judge.full_name || judge.email}
+                      </th>
+                    ))}
+                    <th style={{ padding: '8px', fontWeight: '600', color: '#374151' }}>Mean</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {heatmapJudges.map(rowJudge => {
+                    const mean = scopeReliability.judge_agreement[rowJudge.id]?.[reliabilityMethod];
+                    return (
+                      <tr key={rowJudge.id}>
+                        <td style={{ padding: '8px', fontWeight: '600', color: '#374151', whiteSpace: 'nowrap' }}>
+                          {rowJudge.full_name || rowJudge.email}
+                        </td>
+                        {heatmapJudges.map(colJudge => {
+                          if (colJudge.id === rowJudge.id) {
+                            return <td key={colJudge.id} style={{ padding: '8px', textAlign: 'center', color: '#9ca3af' }}>—</td>;
+                          }
+                          const pair = scopeReliability[reliabilityMethod][rowJudge.id][colJudge.id];
+                          return (
+                            <td
+                              key={colJudge.id}
+                              title={`${pair.teams} teams in common`}
+                              style={{
+                                padding: '8px',
+                                minWidth: '56px',
+                                textAlign: 'center',
+                                border: '1px solid #fff',
+                                background: getCorrelationColor(pair.value),
+                                color: pair.value !== null && Math.abs(pair.value) > 0.6 ? '#fff' : '#374151',
+                                fontWeight: '600'
+                              }}
+                            >
+                              {pair.value !== null ? pair.value.toFixed(2) : '-'}
+                            </td>
+                          );
+                        })}
+                        <td style={{ padding: '8px', textAlign: 'center', fontWeight: '600' }}>
+                          {mean !== null && mean !== undefined ? mean.toFixed(2) : '-'}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       <div style={{
         display: 'grid',
         gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
@@ -250,11 +546,26 @@ function JudgeAnalytics({ eventId, roundId }) {
           description="Compares a judge's average score to the overall average. Shows if a judge tends to score higher (lenient) or lower (strict) than others."
           interpretation="Neutral: Within 5% of average. Lenient/Strict: Significantly above/below average. This is compensated by Z-score normalization."
         />
+        <MetricExplanation
+          title="Fitted Bias"
+          description="Judge bias estimated by a least-squares team + judge model over the whole round, in raw points per evaluation. Accounts for which teams each judge actually saw."
+          interpretation="Positive: scores above what the teams merit. Negative: scores below. Used directly by the Judge-effect normalization method."
+        />
         <MetricExplanation
           title="Coverage"
           description="Percentage of total teams this judge has evaluated. Higher coverage means more comprehensive judging from this person."
           interpretation="High coverage judges provide scores for more teams, giving more data points for accurate rankings."
         />
+        <MetricExplanation
+          title="Panel Reliability"
+          description="How far the judges agree on the order of the teams. The heatmap correlates each pair of judges on the teams both scored; Kendall's W, ICC(1) and Krippendorff's alpha summarize the whole panel."
+          interpretation={`0.8+ strong, 0.667+ acceptable. Pairs sharing fewer than ${RELIABILITY_MIN_OVERLAP} teams are left blank. Low agreement on one criterion often means its description is unclear.`}
+        />
+        <MetricExplanation
+          title="Rater Bias Findings"
+          description="Checks each judge's submitted sheets for the classic rater errors: leniency or severity against the other judges on the same teams, halo (every criterion moving together), central tendency (scores bunched mid-scale) and straight-lining (one mark on every criterion)."
+          interpretation="Normalization already offsets leniency and severity, but halo, central tendency and straight-lining lose information it cannot recover. Talk to the judge while the round is still live."
+        />
       </div>
 
       <div style={{
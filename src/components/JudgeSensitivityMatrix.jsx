@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { computeLeaveOneJudgeOut, getRoundResults } from '../services/computeRoundService';
+
+function JudgeSensitivityMatrix({ roundId }) {
+  const [analysis, setAnalysis] = useState(null);
+  const [teamNames, setTeamNames] = useState({});
+  const [judgeNames, setJudgeNames] = useState({});
+  const [topK, setTopK] = useState(10);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const [analysisResult, results] = await Promise.all([
+          computeLeaveOneJudgeOut(roundId, { topK }),
+          getRoundResults(roundId)
+        ]);
+
+        if (!analysisResult.success) {
+          setError(analysisResult.error);
+          setAnalysis(null);
+          return;
+        }
+
+        const teams = {};
+        const judges = {};
+        results.forEach(team => {
+          teams[team.team_id] = team.team_name;
+          team.judge_evaluations.forEach(je => {
+            if (je.judge_name) judges[je.judge_id] = je.judge_name;
+          });
+        });
+
+        setTeamNames(teams);
+        setJudgeNames(judges);
+        setAnalysis(analysisResult);
+      } catch (err) {
+        console.error('Failed to compute sensitivity analysis:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (roundId) {
+      fetchData();
+    }
+  }, [roundId, topK]);
+
+  const getShiftStyle = (shift) => {
+    if (shift === null) return { background: '#f3f4f6', color: '#6b7280' };
+    if (shift === 0) return { background: 'transparent', color: '#9ca3af' };
+    const intensity = Math.min(Math.abs(shift) * 0.15, 0.6);
+    return shift > 0
+      ? { background: `rgba(16, 185, 129, ${intensity})`, color: '#065f46' }
+      : { background: `rgba(220, 38, 38, ${intensity})`, color: '#7f1d1d' };
+  };
+
+  const formatShift = (shift) => {
+    if (shift === null) return 'out';
+    if (shift === 0) return '–';
+    return shift > 0 ? `▲${shift}` : `▼${-shift}`;
+  };
+
+  if (loading) {
+    return (
+      <div style={{ padding: '40px', textAlign: 'center', color: '#6b7280' }}>
+        Recomputing the round without each judge...
+      </div>
+    );
+  }
+
+  if (error || !analysis) {
+    return (
+      <div style={{ padding: '40px', textAlign: 'center', color: '#6b7280' }}>
+        <h3 style={{ margin: '0 0 12px', color: '#374151' }}>Sensitivity Analysis Unavailable</h3>
+        <p>{error || 'No results to analyze yet.'}</p>
+      </div>
+    );
+  }
+
+  const teamIds = Object.keys(analysis.baseline)
+    .sort((a, b) => analysis.baseline[a] - analysis.baseline[b]);
+
+  return (
+    <div style={{ padding: '24px' }}>
+      <div style={{ marginBottom: '24px', display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '16px' }}>
+        <div>
+          <h2 style={{ margin: 0, fontSize: '20px', color: '#1e3a5f' }}>
+            Judge Sensitivity
+          </h2>
+          <p style={{ margin: '8px 0 0', color: '#6b7280', fontSize: '14px' }}>
+            Each column recomputes the round with one judge removed. Cells show how far each team moves.
+          </p>
+        </div>
+        <label style={{ fontSize: '14px', color: '#374151', display: 'flex', alignItems: 'center', gap: '8px' }}>
+          Top K:
+          <input
+            type="number"
+            min={1}
+            value={topK}
+            onChange={(e) => setTopK(parseInt(e.target.value) || 10)}
+            style={{ width: '64px', padding: '6px 8px', border: '1px solid #e5e7eb', borderRadius: '6px' }}
+          />
+        </label>
+      </div>
+
+      {analysis.pivotal_judges.length > 0 ? (
+        <div style={{
+          marginBottom: '20px',
+          padding: '12px 16px',
+          background: '#fef3c7',
+          border: '1px solid #fcd34d',
+          borderRadius: '8px',
+          color: '#92400e',
+          fontSize: '14px'
+        }}>
+          Removing {analysis.pivotal_judges.map(id => judgeNames[id] || id.substring(0, 8)).join(', ')} changes
+          which teams make the top {analysis.top_k}.
+        </div>
+      ) : (
+        <div style={{
+          marginBottom: '20px',
+          padding: '12px 16px',
+          background: '#ecfdf5',
+          border: '1px solid #6ee7b7',
+          borderRadius: '8px',
+          color: '#065f46',
+          fontSize: '14px'
+        }}>
+          No single judge changes which teams make the top {analysis.top_k}.
+        </div>
+      )}
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+          <thead>
+            <tr style={{ background: '#f8fafc' }}>
+              <th style={{ padding: '12px', textAlign: 'left', fontWeight: '600' }}>Rank</th>
+              <th style={{ padding: '12px', textAlign: 'left', fontWeight: '600' }}>Team</th>
+              {analysis.judges.map(judge => (
+                <th key={judge.judge_id} style={{ padding: '12px', textAlign: 'center', fontWeight: '600' }}>
+                  <div>Without</div>
+                  <div style={{ fontWeight: '500', color: '#6b7280', fontSize: '12px' }}>
+                    {judgeNames[judge.judge_id] || judge.judge_id.substring(0, 8)}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {teamIds.map(teamId => (
+              <tr
+                key={teamId}
+                style={{
+                  borderBottom: analysis.baseline[teamId] === analysis.top_k
+                    ? '2px dashed #2563eb'
+                    : '1px solid #f3f4f6'
+                }}
+              >
+                <td style={{ padding: '10px 12px', fontWeight: '600' }}>{analysis.baseline[teamId]}</td>
+                <td style={{ padding: '10px 12px' }}>{teamNames[teamId] || teamId.substring(0, 8)}</td>
+                {analysis.judges.map(judge => {
+                  const shift = judge.shifts[teamId];
+                  const crossesCutoff = judge.entered_top_k.includes(teamId) || judge.left_top_k.includes(teamId);
+                  return (
+                    <td
+                      key={judge.judge_id}
+                      title={shift === null
+                        ? 'Only this judge evaluated the team'
+                        : `Rank ${analysis.baseline[teamId]} → ${judge.ranks[teamId]}`}
+                      style={{
+                        padding: '10px 12px',
+                        textAlign: 'center',
+                        fontWeight: crossesCutoff ? '700' : '500',
+                        outline: crossesCutoff ? '2px solid #d97706' : 'none',
+                        outlineOffset: '-2px',
+                        ...getShiftStyle(shift)
+                      }}
+                    >
+                      {formatShift(shift)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr style={{ background: '#f8fafc' }}>
+              <td colSpan={2} style={{ padding: '10px 12px', fontWeight: '600' }}>Teams moved / max shift</td>
+              {analysis.judges.map(judge => (
+                <td key={judge.judge_id} style={{ padding: '10px 12px', textAlign: 'center', color: '#374151' }}>
+                  {judge.moved_teams} / {judge.max_shift}
+                </td>
+              ))}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      <p style={{ margin: '16px 0 0', color: '#6b7280', fontSize: '12px' }}>
+        ▲ moves up, ▼ moves down, "out" means only that judge evaluated the team.
+        Outlined cells cross the top {analysis.top_k} cutoff; the dashed line marks the cutoff.
+      </p>
+    </div>
+  );
+}
+
+export default JudgeSensitivityMatrix;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { supabase } from '../supabaseClient';
+import { assignRanks } from '../services/normalizationService';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Box,
@@ -37,7 +38,7 @@ const getRankStyle = (rank) => {
 };
 
 // Calculate live scores from evaluations
-const calculateLiveScores = (evaluations, teams, criteria) => {
+const calculateLiveScores = (evaluations, teams, criteria, rankingStyle) => {
   const teamScores = {};
 
   // Initialize all teams
@@ -45,7 +46,7 @@ const calculateLiveScores = (evaluations, teams, criteria) => {
     teamScores[team.id] = {
       team_id: team.id,
       team_name: team.name,
-      category: team.category_id,
+      track_id: team.track_id,
       total_raw: 0,
       evaluation_count: 0,
       avg_score: 0,
@@ -98,8 +99,12 @@ const calculateLiveScores = (evaluations, teams, criteria) => {
     .filter(t => t.evaluation_count > 0)
     .sort((a, b) => b.avg_score - a.avg_score);
 
+  const ranks = assignRanks(
+    sorted.map((team, index) => index > 0 && Math.abs(team.avg_score - sorted[index - 1].avg_score) < 0.0001),
+    rankingStyle
+  );
   sorted.forEach((team, index) => {
-    team.rank = index + 1;
+    team.rank = ranks[index];
   });
 
   // Add unranked teams at the end
@@ -169,11 +174,11 @@ function LiveLeaderboard({ roundId, eventId }) {
       setPreviousRanks(prevRanks);
 
       // Calculate new leaderboard
-      const newLeaderboard = calculateLiveScores(evaluations, teams, criteria);
+      const newLeaderboard = calculateLiveScores(evaluations, teams, criteria, round?.ranking_style);
       setLeaderboard(newLeaderboard);
       setLastUpdate(new Date());
     }
-  }, [evaluations, teams, criteria]);
+  }, [evaluations, teams, criteria, round]);
 
   async function loadInitialData() {
     setLoading(true);
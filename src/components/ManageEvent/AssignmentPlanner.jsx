@@ -0,0 +1,251 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  Alert,
+  Typography,
+  Chip,
+  Checkbox,
+  TextField,
+  Tooltip,
+} from "@mui/material";
+import AutoIcon from '@mui/icons-material/AutoAwesome';
+import { roundService } from "../../services/roundService";
+import { conflictService, buildConflictSet } from "../../services/conflictService";
+import {
+  generateBalancedAssignments,
+  summarizeAssignments,
+  isJudgeEligibleForTeam,
+  DEFAULT_JUDGES_PER_TEAM
+} from "../../services/trackService";
+
+/**
+ * Preview and adjust a round's judge–team assignments before saving them.
+ * Starts from the round's current assignments; "Generate" replaces the plan
+ * with a balanced one, and single cells can then be toggled by hand.
+ * Reports the saved assignments through onSaved
+ */
+function AssignmentPlanner({ round, judges, teams, onClose, onSaved }) {
+  const [plan, setPlan] = useState([]);
+  const [conflicts, setConflicts] = useState(new Set());
+  const [judgesPerTeam, setJudgesPerTeam] = useState(DEFAULT_JUDGES_PER_TEAM);
+  const [maxTeamsPerJudge, setMaxTeamsPerJudge] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadPlan();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [round.id]);
+
+  const loadPlan = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [current, declarations] = await Promise.all([
+        roundService.getJudgeTeamAssignmentsForRound(round.id),
+        conflictService.getJudgeConflicts(judges.map(j => j.id))
+      ]);
+      setPlan(current.map(({ judge_id, team_id }) => ({ judge_id, team_id })));
+      setConflicts(buildConflictSet(declarations));
+    } catch (err) {
+      console.error("Error loading assignments:", err);
+      setError(`Failed to load assignments: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleGenerate = () => {
+    const { assignments } = generateBalancedAssignments(judges, teams, {
+      judgesPerTeam,
+      maxTeamsPerJudge: parseInt(maxTeamsPerJudge, 10) || null,
+      conflicts
+    });
+    setPlan(assignments);
+  };
+
+  const isAssigned = (judgeId, teamId) => plan.some(a => a.judge_id === judgeId && a.team_id === teamId);
+
+  const handleToggle = (judgeId, teamId) => {
+    setPlan(prev => isAssigned(judgeId, teamId)
+      ? prev.filter(a => !(a.judge_id === judgeId && a.team_id === teamId))
+      : [...prev, { judge_id: judgeId, team_id: teamId }]);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await roundService.saveRoundAssignments(round.id, plan);
+      const saved = await roundService.getJudgeTeamAssignmentsForRound(round.id);
+      if (onSaved) onSaved(saved);
+      onClose();
+    } catch (err) {
+      console.error("Error saving assignments:", err);
+      setError(`Failed to save assignments: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const { coverage, loads, understaffedTeams, components, isConnected, warnings } =
+    summarizeAssignments(plan, judges, teams, judgesPerTeam);
+  const cap = parseInt(maxTeamsPerJudge, 10) || null;
+
+  return (
+    <Dialog open={true} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>
+        <Typography variant="h6">
+          Team Assignments - {round.name}
+        </Typography>
+        <Typography variant="body2" color="textSecondary">
+          Every team should be scored by several judges, and judges need to share teams so their
+          marks can be normalized against each other
+        </Typography>
+      </DialogTitle>
+
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap', mb: 2, mt: 1 }}>
+              <TextField
+                size="small"
+                type="number"
+                label="Judges per team"
+                value={judgesPerTeam}
+                onChange={(e) => setJudgesPerTeam(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                inputProps={{ min: 1, max: judges.length }}
+                sx={{ width: 160 }}
+              />
+              <TextField
+                size="small"
+                type="number"
+                label="Max teams per judge"
+                value={maxTeamsPerJudge}
+                onChange={(e) => setMaxTeamsPerJudge(e.target.value)}
+                inputProps={{ min: 1 }}
+                helperText="Leave empty for no cap"
+                sx={{ width: 180 }}
+              />
+              <Button
+                variant="contained"
+                startIcon={<AutoIcon />}
+                onClick={handleGenerate}
+                disabled={judges.length === 0 || teams.length === 0}
+              >
+                Generate
+              </Button>
+              <Box sx={{ flex: 1 }} />
+              <Chip
+                label={`${teams.length - understaffedTeams.length}/${teams.length} teams covered`}
+                color={understaffedTeams.length === 0 ? 'success' : 'warning'}
+              />
+              <Chip
+                label={isConnected ? 'Judges connected' : `${components.length} judge groups`}
+                color={isConnected ? 'success' : 'warning'}
+              />
+            </Box>
+
+            {warnings.map(warning => (
+              <Alert key={warning} severity="warning" sx={{ mb: 1 }}>{warning}</Alert>
+            ))}
+
+            <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 480 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 600 }}>Team</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }} align="center">Judges</TableCell>
+                    {judges.map(judge => (
+                      <TableCell key={judge.id} align="center" sx={{ fontWeight: 600, whiteSpace: 'nowrap' }}>
+                        {judge.name}
+                        <Typography
+                          variant="caption"
+                          display="block"
+                          color={cap && loads[judge.id] > cap ? 'error' : 'textSecondary'}
+                        >
+                          {loads[judge.id]}{cap ? `/${cap}` : ''} teams
+                        </Typography>
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {teams.map(team => (
+                    <TableRow key={team.id}>
+                      <TableCell>{team.name}</TableCell>
+                      <TableCell align="center">
+                        <Chip
+                          size="small"
+                          label={coverage[team.id]}
+                          color={coverage[team.id] >= judgesPerTeam ? 'success' : 'warning'}
+                          variant="outlined"
+                        />
+                      </TableCell>
+                      {judges.map(judge => {
+                        const eligible = isJudgeEligibleForTeam(judge, team, conflicts);
+                        const assigned = isAssigned(judge.id, team.id);
+                        return (
+                          <TableCell key={judge.id} align="center" padding="checkbox">
+                            <Tooltip title={eligible ? '' : 'Not eligible: track, venue or conflict of interest'}>
+                              <span>
+                                <Checkbox
+                                  size="small"
+                                  checked={assigned}
+                                  disabled={!eligible && !assigned}
+                                  onChange={() => handleToggle(judge.id, team.id)}
+                                />
+                              </span>
+                            </Tooltip>
+                          </TableCell>
+                        );
+                      })}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+
+      <DialogActions sx={{ p: 3, pt: 2 }}>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          color="success"
+          onClick={handleSave}
+          disabled={loading || saving}
+        >
+          {saving ? <CircularProgress size={20} color="inherit" /> : `Save ${plan.length} Assignments`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default AssignmentPlanner;
@@ -0,0 +1,395 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Typography,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+} from "@mui/material";
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { criteriaLibraryService } from "../../services/criteriaLibraryService";
+import { normalizeRubricLevels, validateRubricLevels } from "../../services/roundService";
+import { CriterionScaleTypes } from "../../services/normalizationService";
+import RubricLevelsEditor from "../RubricLevelsEditor";
+import { SCALE_TYPE_LABELS, FIXED_MAX_MARKS } from "./RoundCriteriaManager";
+
+const EMPTY_ENTRY = {
+  name: "",
+  description: "",
+  max_marks: 10,
+  weight: 1,
+  scale_type: CriterionScaleTypes.CONTINUOUS,
+  step_size: null,
+  rubric_levels: [],
+};
+
+/**
+ * The organization's reusable criteria and saved round templates.
+ * Edits to an entry reach every round criterion kept in sync with it,
+ * as long as that round is still a draft.
+ */
+function CriteriaLibraryDialog({ organizationId, onClose }) {
+  const [library, setLibrary] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [openEntryDialog, setOpenEntryDialog] = useState(false);
+  const [currentEntry, setCurrentEntry] = useState(EMPTY_ENTRY);
+
+  useEffect(() => {
+    loadLibrary();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [organizationId]);
+
+  const loadLibrary = async () => {
+    setLoading(true);
+    try {
+      const [entries, savedTemplates] = await Promise.all([
+        criteriaLibraryService.getLibrary(organizationId),
+        criteriaLibraryService.getTemplates(organizationId)
+      ]);
+      setLibrary(entries);
+      setTemplates(savedTemplates);
+    } catch (err) {
+      console.error("Error loading criteria library:", err);
+      setError("Failed to load the criteria library");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEditEntry = (entry) => {
+    setCurrentEntry(entry ? { ...entry, rubric_levels: entry.rubric_levels || [] } : EMPTY_ENTRY);
+    setError(null);
+    setOpenEntryDialog(true);
+  };
+
+  const handleSaveEntry = async () => {
+    if (!currentEntry.name) {
+      setError("Criterion name is required");
+      return;
+    }
+
+    const rubricError = validateRubricLevels(currentEntry.rubric_levels, currentEntry.max_marks);
+    if (rubricError) {
+      setError(rubricError);
+      return;
+    }
+
+    const isStepScale = currentEntry.scale_type === CriterionScaleTypes.DECIMAL;
+    if (isStepScale && !(currentEntry.step_size > 0)) {
+      setError("Step size must be greater than 0");
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const entryData = {
+        name: currentEntry.name,
+        description: currentEntry.description,
+        max_marks: currentEntry.max_marks,
+        weight: currentEntry.weight,
+        scale_type: currentEntry.scale_type,
+        step_size: isStepScale ? currentEntry.step_size : null,
+        rubric_levels: normalizeRubricLevels(currentEntry.rubric_levels),
+      };
+
+      if (currentEntry.id) {
+        await criteriaLibraryService.updateLibraryCriterion(currentEntry.id, entryData);
+      } else {
+        await criteriaLibraryService.createLibraryCriterion(organizationId, entryData);
+      }
+      await loadLibrary();
+      setOpenEntryDialog(false);
+    } catch (err) {
+      console.error("Error saving library criterion:", err);
+      setError(err.message || "Failed to save library criterion");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteEntry = async (entryId) => {
+    if (!window.confirm("Delete this library criterion? Rounds that use it keep their copy.")) {
+      return;
+    }
+
+    try {
+      await criteriaLibraryService.deleteLibraryCriterion(entryId);
+      await loadLibrary();
+    } catch (err) {
+      console.error("Error deleting library criterion:", err);
+      setError(err.message || "Failed to delete library criterion");
+    }
+  };
+
+  const handleDeleteTemplate = async (templateId) => {
+    if (!window.confirm("Delete this round template?")) {
+      return;
+    }
+
+    try {
+      await criteriaLibraryService.deleteTemplate(templateId);
+      await loadLibrary();
+    } catch (err) {
+      console.error("Error deleting round template:", err);
+      setError(err.message || "Failed to delete round template");
+    }
+  };
+
+  return (
+    <Dialog open={true} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Typography variant="h6">Criteria Library</Typography>
+        <Typography variant="body2" color="textSecondary">
+          Reusable criteria and round templates for every event in your organization
+        </Typography>
+      </DialogTitle>
+
+      <DialogContent>
+        {error && !openEntryDialog && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <Box sx={{ mb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>Criteria</Typography>
+              <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleEditEntry(null)}>
+                Add to Library
+              </Button>
+            </Box>
+
+            {library.length === 0 ? (
+              <Paper sx={{ p: 4, textAlign: 'center', bgcolor: '#f8fafc' }}>
+                <Typography color="textSecondary">
+                  No library criteria yet. Add the criteria you use in most events, e.g. Innovation or Impact.
+                </Typography>
+              </Paper>
+            ) : (
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                  <TableHead>
+                    <TableRow sx={{ bgcolor: '#f8fafc' }}>
+                      <TableCell sx={{ fontWeight: 600 }}>Criterion</TableCell>
+                      <TableCell sx={{ fontWeight: 600 }}>Scale</TableCell>
+                      <TableCell sx={{ fontWeight: 600, width: 100 }}>Max Marks</TableCell>
+                      <TableCell sx={{ fontWeight: 600, width: 80 }}>Weight</TableCell>
+                      <TableCell sx={{ fontWeight: 600, width: 100 }}>Actions</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {library.map(entry => (
+                      <TableRow key={entry.id}>
+                        <TableCell sx={{ fontWeight: 500 }}>
+                          {entry.name}
+                          {entry.rubric_levels?.length > 0 && (
+                            <Chip label={`${entry.rubric_levels.length} levels`} size="small" sx={{ ml: 1 }} />
+                          )}
+                        </TableCell>
+                        <TableCell sx={{ color: '#6b7280', fontSize: '0.875rem' }}>
+                          {SCALE_TYPE_LABELS[entry.scale_type] || entry.scale_type}
+                        </TableCell>
+                        <TableCell>{entry.max_marks}</TableCell>
+                        <TableCell>×{entry.weight}</TableCell>
+                        <TableCell>
+                          <IconButton size="small" onClick={() => handleEditEntry(entry)} sx={{ color: "#3b82f6" }}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton size="small" onClick={() => handleDeleteEntry(entry.id)} sx={{ color: "#ef4444" }}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+
+            <Typography variant="subtitle1" sx={{ fontWeight: 600, mt: 3, mb: 1 }}>Round Templates</Typography>
+            {templates.length === 0 ? (
+              <Typography variant="body2" color="textSecondary">
+                No templates yet. Use "Save as Template" in a round's criteria to save its setup.
+              </Typography>
+            ) : (
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                  <TableHead>
+                    <TableRow sx={{ bgcolor: '#f8fafc' }}>
+                      <TableCell sx={{ fontWeight: 600 }}>Template</TableCell>
+                      <TableCell sx={{ fontWeight: 600 }}>Criteria</TableCell>
+                      <TableCell sx={{ fontWeight: 600 }}>Normalization</TableCell>
+                      <TableCell sx={{ fontWeight: 600 }}>Selection</TableCell>
+                      <TableCell sx={{ fontWeight: 600, width: 60 }}></TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {templates.map(template => (
+                      <TableRow key={template.id}>
+                        <TableCell sx={{ fontWeight: 500 }}>{template.name}</TableCell>
+                        <TableCell sx={{ color: '#6b7280', fontSize: '0.875rem' }}>
+                          {(template.criteria || []).map(c => `${c.name} ×${c.weight}`).join(', ') || '-'}
+                        </TableCell>
+                        <TableCell>{template.normalization_method || '-'}</TableCell>
+                        <TableCell>{template.selection_mode || '-'}</TableCell>
+                        <TableCell>
+                          <IconButton size="small" onClick={() => handleDeleteTemplate(template.id)} sx={{ color: "#ef4444" }}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </>
+        )}
+      </DialogContent>
+
+      <DialogActions sx={{ p: 3, pt: 2 }}>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+
+      {/* Add/Edit Library Criterion Dialog */}
+      <Dialog open={openEntryDialog} onClose={() => setOpenEntryDialog(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {currentEntry.id ? "Edit Library Criterion" : "Add Library Criterion"}
+        </DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {currentEntry.id && (
+            <Alert severity="info" sx={{ mb: 1 }}>
+              Changes also update criteria kept in sync with this entry in draft rounds.
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            label="Criterion Name"
+            value={currentEntry.name}
+            onChange={(e) => setCurrentEntry({ ...currentEntry, name: e.target.value })}
+            margin="normal"
+            required
+            placeholder="e.g., Innovation"
+          />
+          <TextField
+            fullWidth
+            label="Description"
+            value={currentEntry.description || ""}
+            onChange={(e) => setCurrentEntry({ ...currentEntry, description: e.target.value })}
+            margin="normal"
+            multiline
+            rows={2}
+          />
+          <Box sx={{ display: 'flex', gap: 2, mt: 1 }}>
+            <FormControl margin="normal" sx={{ flex: 2 }}>
+              <InputLabel>Scale</InputLabel>
+              <Select
+                label="Scale"
+                value={currentEntry.scale_type}
+                onChange={(e) => {
+                  const scaleType = e.target.value;
+                  setCurrentEntry({
+                    ...currentEntry,
+                    scale_type: scaleType,
+                    max_marks: FIXED_MAX_MARKS[scaleType] || currentEntry.max_marks,
+                    step_size: scaleType === CriterionScaleTypes.DECIMAL ? currentEntry.step_size || 0.5 : null,
+                    rubric_levels: scaleType === CriterionScaleTypes.GATE ? [] : currentEntry.rubric_levels,
+                  });
+                }}
+              >
+                {Object.entries(SCALE_TYPE_LABELS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {currentEntry.scale_type === CriterionScaleTypes.DECIMAL && (
+              <TextField
+                label="Step Size"
+                type="number"
+                value={currentEntry.step_size ?? ""}
+                onChange={(e) => setCurrentEntry({ ...currentEntry, step_size: parseFloat(e.target.value) || null })}
+                margin="normal"
+                inputProps={{ min: 0.01, step: 0.01 }}
+                sx={{ flex: 1 }}
+              />
+            )}
+          </Box>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              label="Max Marks"
+              type="number"
+              value={currentEntry.max_marks}
+              onChange={(e) => setCurrentEntry({ ...currentEntry, max_marks: parseInt(e.target.value) || 0 })}
+              margin="normal"
+              inputProps={{ min: 1 }}
+              disabled={Boolean(FIXED_MAX_MARKS[currentEntry.scale_type])}
+              sx={{ flex: 1 }}
+            />
+            <TextField
+              label="Default Weight"
+              type="number"
+              value={currentEntry.weight}
+              onChange={(e) => setCurrentEntry({ ...currentEntry, weight: parseFloat(e.target.value) || 1 })}
+              margin="normal"
+              inputProps={{ min: 0.1, max: 10, step: 0.1 }}
+              helperText="Rounds can change it"
+              sx={{ flex: 1 }}
+            />
+          </Box>
+          {currentEntry.scale_type !== CriterionScaleTypes.GATE && (
+            <RubricLevelsEditor
+              levels={currentEntry.rubric_levels}
+              maxMarks={currentEntry.max_marks}
+              onChange={(levels) => setCurrentEntry({ ...currentEntry, rubric_levels: levels })}
+              disabled={saving}
+            />
+          )}
+        </DialogContent>
+        <DialogActions sx={{ p: 3, pt: 2, gap: 1 }}>
+          <Button onClick={() => setOpenEntryDialog(false)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSaveEntry} variant="contained" disabled={saving}>
+            {saving ? <CircularProgress size={20} color="inherit" /> : "Save"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Dialog>
+  );
+}
+
+export default CriteriaLibraryDialog;
@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { Fragment, useState } from "react";
 import {
   Box,
   Button,
@@ -16,24 +16,64 @@ import {
   TextField,
   IconButton,
   Typography,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
 } from "@mui/material";
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import { eventService } from "../../services/eventService";
+import { normalizeRubricLevels, validateRubricLevels, normalizeCriterionGroups, groupCriteria } from "../../services/roundService";
+import RubricLevelsEditor from "../RubricLevelsEditor";
+import CriterionGroupsEditor from "../CriterionGroupsEditor";
 
-function CriteriaTab({ categories, onCategoriesChange, eventId }) {
+const mapCriterion = (c) => ({
+  id: c.id,
+  name: c.name,
+  maxMarks: c.max_score,
+  weight: c.weight ?? 1,
+  groupId: c.group_id || "",
+  rubricLevels: c.rubric_levels || [],
+  createdAt: c.created_at
+});
+
+function CriteriaTab({ categories, onCategoriesChange, eventId, criterionGroups, onCriterionGroupsChange }) {
   const [openDialog, setOpenDialog] = useState(false);
   const [currentCriterion, setCurrentCriterion] = useState({
     name: "",
     maxMarks: 100,
+    weight: 1,
+    groupId: "",
+    rubricLevels: [],
   });
+  const [groups, setGroups] = useState(criterionGroups || []);
+  const [groupsDirty, setGroupsDirty] = useState(false);
+  const [savingGroups, setSavingGroups] = useState(false);
 
   const handleAddCriterion = () => {
-    setCurrentCriterion({ name: "", maxMarks: 100 });
+    setCurrentCriterion({ name: "", maxMarks: 100, weight: 1, groupId: "", rubricLevels: [] });
     setOpenDialog(true);
   };
 
+  const handleSaveGroups = async () => {
+    setSavingGroups(true);
+    try {
+      const cleaned = normalizeCriterionGroups(groups);
+      await eventService.updateEvent(eventId, { criterion_groups: cleaned });
+      setGroups(cleaned);
+      setGroupsDirty(false);
+      if (onCriterionGroupsChange) onCriterionGroupsChange(cleaned);
+    } catch (error) {
+      console.error('Error saving criterion groups:', error);
+      alert('Failed to save criterion groups. Please try again.');
+    } finally {
+      setSavingGroups(false);
+    }
+  };
+
   const handleSaveCriterion = async () => {
     if (!currentCriterion.name) {
       alert("Criterion name is required");
@@ -45,11 +85,20 @@ function CriteriaTab({ categories, onCategoriesChange, eventId }) {
       return;
     }
 
+    const rubricError = validateRubricLevels(currentCriterion.rubricLevels, currentCriterion.maxMarks);
+    if (rubricError) {
+      alert(rubricError);
+      return;
+    }
+
     try {
       const criterionData = {
         event_id: eventId,
         name: currentCriterion.name,
         max_score: currentCriterion.maxMarks || 100,
+        weight: Number(currentCriterion.weight) > 0 ? Number(currentCriterion.weight) : 1,
+        group_id: currentCriterion.groupId || null,
+        rubric_levels: normalizeRubricLevels(currentCriterion.rubricLevels),
       };
 
       if (currentCriterion.id) {
@@ -62,12 +111,7 @@ function CriteriaTab({ categories, onCategoriesChange, eventId }) {
 
       // Reload criteria from database
       const updatedCriteria = await eventService.getCriteriaByEvent(eventId);
-      const mappedCriteria = updatedCriteria.map(c => ({
-        id: c.id,
-        name: c.name,
-        maxMarks: c.max_score,
-        createdAt: c.created_at
-      }));
+      const mappedCriteria = updatedCriteria.map(mapCriterion);
       onCategoriesChange(mappedCriteria);
       setOpenDialog(false);
     } catch (error) {
@@ -83,12 +127,7 @@ function CriteriaTab({ categories, onCategoriesChange, eventId }) {
 
         // Reload criteria from database
         const updatedCriteria = await eventService.getCriteriaByEvent(eventId);
-        const mappedCriteria = updatedCriteria.map(c => ({
-          id: c.id,
-          name: c.name,
-          maxMarks: c.max_score,
-          createdAt: c.created_at
-        }));
+        const mappedCriteria = updatedCriteria.map(mapCriterion);
         onCategoriesChange(mappedCriteria);
       } catch (error) {
         console.error('Error deleting criterion:', error);
@@ -97,6 +136,61 @@ function CriteriaTab({ categories, onCategoriesChange, eventId }) {
     }
   };
 
+  // The first load hands over rows straight from the database
+  const rows = categories.map(c => ('max_score' in c ? mapCriterion(c) : c));
+  const sections = groupCriteria(rows.map(c => ({ ...c, group_id: c.groupId })), groups);
+
+  const renderCriterionRow = (criterion) => (
+    <TableRow
+      key={criterion.id}
+      sx={{
+        "&:hover": {
+          backgroundColor: "#f8fafc"
+        }
+      }}
+    >
+      <TableCell sx={{ color: "#334155", fontWeight: 500, pl: criterion.groupId ? 4 : 2 }}>
+        {criterion.name}
+        {criterion.rubricLevels?.length > 0 && (
+          <Typography component="span" variant="caption" sx={{ color: "#7c3aed", ml: 1 }}>
+            {criterion.rubricLevels.length}-level rubric
+          </Typography>
+        )}
+      </TableCell>
+      <TableCell sx={{ color: "#334155", fontWeight: 600 }}>{criterion.maxMarks}</TableCell>
+      <TableCell sx={{ color: "#334155" }}>×{criterion.weight ?? 1}</TableCell>
+      <TableCell align="right">
+        <IconButton
+          size="small"
+          onClick={() => {
+            setCurrentCriterion({ ...criterion, groupId: criterion.groupId || "", rubricLevels: criterion.rubricLevels || [] });
+            setOpenDialog(true);
+          }}
+          sx={{
+            color: "#3b82f6",
+            "&:hover": {
+              backgroundColor: "#eff6ff"
+            }
+          }}
+        >
+          <EditIcon fontSize="small" />
+        </IconButton>
+        <IconButton
+          size="small"
+          onClick={() => handleDeleteCriterion(criterion.id)}
+          sx={{
+            color: "#ef4444",
+            "&:hover": {
+              backgroundColor: "#fef2f2"
+            }
+          }}
+        >
+          <DeleteIcon fontSize="small" />
+        </IconButton>
+      </TableCell>
+    </TableRow>
+  );
+
   return (
     <Box>
       <Box sx={{ mb: 3, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
@@ -130,13 +224,14 @@ function CriteriaTab({ categories, onCategoriesChange, eventId }) {
             >
               <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Criterion Name</TableCell>
               <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Max Marks</TableCell>
+              <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Weight</TableCell>
               <TableCell align="right" sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Actions</TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
-            {categories.length === 0 ? (
+            {rows.length === 0 ? (
               <TableRow>
-                <TableCell colSpan={3} align="center" sx={{ py: 4 }}>
+                <TableCell colSpan={4} align="center" sx={{ py: 4 }}>
                   <Typography variant="body2" sx={{ color: "#64748b", mb: 1 }}>
                     No scoring criteria added yet.
                   </Typography>
@@ -146,53 +241,36 @@ function CriteriaTab({ categories, onCategoriesChange, eventId }) {
                 </TableCell>
               </TableRow>
             ) : (
-              categories.map((criterion) => (
-                <TableRow
-                  key={criterion.id}
-                  sx={{
-                    "&:hover": {
-                      backgroundColor: "#f8fafc"
-                    }
-                  }}
-                >
-                  <TableCell sx={{ color: "#334155", fontWeight: 500 }}>{criterion.name}</TableCell>
-                  <TableCell sx={{ color: "#334155", fontWeight: 600 }}>{criterion.maxMarks}</TableCell>
-                  <TableCell align="right">
-                    <IconButton
-                      size="small"
-                      onClick={() => {
-                        setCurrentCriterion(criterion);
-                        setOpenDialog(true);
-                      }}
-                      sx={{
-                        color: "#3b82f6",
-                        "&:hover": {
-                          backgroundColor: "#eff6ff"
-                        }
-                      }}
-                    >
-                      <EditIcon fontSize="small" />
-                    </IconButton>
-                    <IconButton
-                      size="small"
-                      onClick={() => handleDeleteCriterion(criterion.id)}
-                      sx={{
-                        color: "#ef4444",
-                        "&:hover": {
-                          backgroundColor: "#fef2f2"
-                        }
-                      }}
-                    >
-                      <DeleteIcon fontSize="small" />
-                    </IconButton>
-                  </TableCell>
-                </TableRow>
+              sections.map(section => (
+                section.group ? (
+                  <Fragment key={section.group.id}>
+                    <TableRow sx={{ bgcolor: "#f5f3ff" }}>
+                      <TableCell colSpan={4} sx={{ fontWeight: 700, color: "#5b21b6" }}>
+                        {section.group.name}
+                        <Chip label={`×${section.group.weight}`} size="small" sx={{ ml: 1 }} />
+                      </TableCell>
+                    </TableRow>
+                    {section.criteria.map(renderCriterionRow)}
+                  </Fragment>
+                ) : (
+                  section.criteria.map(renderCriterionRow)
+                )
               ))
             )}
           </TableBody>
         </Table>
       </TableContainer>
 
+      <Paper sx={{ mt: 3, p: 3, borderRadius: "12px", boxShadow: "0 2px 12px rgba(0,0,0,0.08)" }}>
+        <CriterionGroupsEditor
+          groups={groups}
+          onChange={(updated) => { setGroups(updated); setGroupsDirty(true); }}
+          onSave={handleSaveGroups}
+          saving={savingGroups}
+          dirty={groupsDirty}
+        />
+      </Paper>
+
       <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="sm" fullWidth>
         <DialogTitle>{currentCriterion.id ? "Edit Criterion" : "Add New Criterion"}</DialogTitle>
         <DialogContent>
@@ -221,6 +299,38 @@ function CriteriaTab({ categories, onCategoriesChange, eventId }) {
             inputProps={{ min: 1 }}
             helperText="Enter the maximum marks for this criterion"
           />
+          <TextField
+            fullWidth
+            label="Weight"
+            type="number"
+            value={currentCriterion.weight ?? 1}
+            onChange={(e) =>
+              setCurrentCriterion({ ...currentCriterion, weight: e.target.value === '' ? '' : parseFloat(e.target.value) })
+            }
+            margin="normal"
+            inputProps={{ min: 0.1, step: 0.1 }}
+            helperText={currentCriterion.groupId ? "Share of the group's weight" : "Relative importance of this criterion"}
+          />
+          {groups.some(g => g.id) && (
+            <FormControl fullWidth margin="normal">
+              <InputLabel>Group</InputLabel>
+              <Select
+                label="Group"
+                value={currentCriterion.groupId || ""}
+                onChange={(e) => setCurrentCriterion({ ...currentCriterion, groupId: e.target.value })}
+              >
+                <MenuItem value="">No group</MenuItem>
+                {groups.filter(g => g.id).map(g => (
+                  <MenuItem key={g.id} value={g.id}>{g.name} (×{g.weight})</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          <RubricLevelsEditor
+            levels={currentCriterion.rubricLevels}
+            maxMarks={currentCriterion.maxMarks}
+            onChange={(levels) => setCurrentCriterion({ ...currentCriterion, rubricLevels: levels })}
+          />
         </DialogContent>
         <DialogActions sx={{ p: 3, pt: 2, gap: 1 }}>
           <Button
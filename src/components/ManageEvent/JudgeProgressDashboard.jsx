@@ -27,11 +27,34 @@ import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import WarningIcon from '@mui/icons-material/Warning';
 import PersonIcon from '@mui/icons-material/Person';
 import ScheduleIcon from '@mui/icons-material/Schedule';
-import { roundService } from "../../services/roundService";
+import TuneIcon from '@mui/icons-material/Tune';
+import FlagIcon from '@mui/icons-material/Flag';
+import { roundService, RoundTypes } from "../../services/roundService";
+import { hasCalibration } from "../../services/calibrationService";
+import { computeCalibration } from "../../services/computeRoundService";
+import { detectRaterBiases, RaterBiasTypes, BiasSeverity } from "../../services/normalizationService";
 import { supabase } from "../../supabaseClient";
 
+const formatOffset = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+
+const BIAS_LABELS = {
+  [RaterBiasTypes.LENIENCY]: 'Lenient',
+  [RaterBiasTypes.SEVERITY]: 'Severe',
+  [RaterBiasTypes.HALO]: 'Halo',
+  [RaterBiasTypes.CENTRAL_TENDENCY]: 'Central tendency',
+  [RaterBiasTypes.STRAIGHT_LINING]: 'Straight-lining'
+};
+
+const SEVERITY_CHIP_COLORS = {
+  [BiasSeverity.HIGH]: 'error',
+  [BiasSeverity.MEDIUM]: 'warning',
+  [BiasSeverity.LOW]: 'default'
+};
+
 function JudgeProgressDashboard({ round, onClose }) {
   const [judgeProgress, setJudgeProgress] = useState([]);
+  const [calibration, setCalibration] = useState(null);
+  const [biasFindings, setBiasFindings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [sending, setSending] = useState(false);
   const [error, setError] = useState(null);
@@ -60,6 +83,22 @@ function JudgeProgressDashboard({ round, onClose }) {
       );
 
       setJudgeProgress(progressData);
+
+      // Recomputing also stores the offsets on the judges' assignments
+      if (hasCalibration(round)) {
+        const result = await computeCalibration(round.id);
+        if (!result.success) throw new Error(result.error);
+        setCalibration(result);
+      }
+
+      // Checked on submitted sheets so far, while there is still time to talk to the judge
+      if (round.round_type !== RoundTypes.PAIRWISE) {
+        const [evaluations, criteria] = await Promise.all([
+          roundService.getRoundEvaluations(round.id),
+          roundService.getRoundCriteria(round.id)
+        ]);
+        setBiasFindings(detectRaterBiases(evaluations.filter(e => !e.is_draft), criteria));
+      }
     } catch (err) {
       console.error("Error loading judge progress:", err);
       setError("Failed to load judge progress");
@@ -320,6 +359,117 @@ function JudgeProgressDashboard({ round, onClose }) {
           </TableContainer>
         )}
 
+        {/* Calibration */}
+        {calibration && judgeProgress.length > 0 && (
+          <Paper variant="outlined" sx={{ mt: 3, p: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <TuneIcon sx={{ color: '#7c3aed' }} />
+              <Typography variant="subtitle1" sx={{ fontWeight: 600, flex: 1 }}>
+                Calibration
+              </Typography>
+              <Chip
+                size="small"
+                label={round.calibration_apply_offsets ? 'Offsets applied when computing' : 'Offsets not applied'}
+                color={round.calibration_apply_offsets ? 'secondary' : 'default'}
+              />
+              {round.calibration_exclude_evaluations && (
+                <Chip size="small" label="Calibration scores excluded" />
+              )}
+            </Box>
+            <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+              Samples: {calibration.samples.map(team => team.name).join(', ')}.
+              Offsets are each judge's mean difference from the panel median; positive means more lenient.
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow sx={{ bgcolor: '#f8fafc' }}>
+                  <TableCell sx={{ fontWeight: 600 }}>Judge</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Samples</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Per Project</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>By Criterion</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {judgeProgress.map((jp) => {
+                  const judgeCalibration = calibration.judges[jp.judge_id];
+                  const samplesDone = judgeCalibration?.samples || 0;
+
+                  return (
+                    <TableRow key={jp.judge_id}>
+                      <TableCell sx={{ fontWeight: 500 }}>{jp.judge?.name || 'Unknown'}</TableCell>
+                      <TableCell>
+                        <Chip
+                          size="small"
+                          label={`${samplesDone}/${calibration.samples.length}`}
+                          color={samplesDone >= calibration.samples.length ? 'success' : 'warning'}
+                        />
+                      </TableCell>
+                      <TableCell sx={{ fontWeight: 600 }}>
+                        {judgeCalibration ? formatOffset(judgeCalibration.total_offset) : '—'}
+                      </TableCell>
+                      <TableCell>
+                        {judgeCalibration && calibration.criteria
+                          .filter(criterion => criterion.id in judgeCalibration.offsets)
+                          .map(criterion => (
+                            <Chip
+                              key={criterion.id}
+                              size="small"
+                              variant="outlined"
+                              label={`${criterion.name} ${formatOffset(judgeCalibration.offsets[criterion.id])}`}
+                              sx={{ mr: 0.5, mb: 0.5 }}
+                            />
+                          ))}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </Paper>
+        )}
+
+        {/* Rater Bias Checks */}
+        {!loading && round.round_type !== RoundTypes.PAIRWISE && judgeProgress.length > 0 && (
+          <Paper variant="outlined" sx={{ mt: 3, p: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <FlagIcon sx={{ color: biasFindings.length > 0 ? '#f59e0b' : '#22c55e' }} />
+              <Typography variant="subtitle1" sx={{ fontWeight: 600, flex: 1 }}>
+                Rater Bias Checks
+              </Typography>
+              <Chip
+                size="small"
+                label={biasFindings.length > 0 ? `${biasFindings.length} findings` : 'Nothing flagged'}
+                color={biasFindings.some(f => f.severity === BiasSeverity.HIGH) ? 'error' : 'default'}
+              />
+            </Box>
+            <Typography variant="body2" color="textSecondary" sx={{ mb: biasFindings.length > 0 ? 2 : 0 }}>
+              Leniency, halo, central tendency and straight-lining, checked on the evaluations submitted so far.
+              Worth a word with the judge before the round closes.
+            </Typography>
+            {biasFindings.length > 0 && (
+              <Table size="small">
+                <TableBody>
+                  {biasFindings.map((finding) => (
+                    <TableRow key={`${finding.judge_id}-${finding.type}`}>
+                      <TableCell sx={{ fontWeight: 500 }}>
+                        {judgeProgress.find(jp => jp.judge_id === finding.judge_id)?.judge?.name || 'Unknown'}
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          size="small"
+                          label={`${BIAS_LABELS[finding.type]} · ${finding.severity}`}
+                          color={SEVERITY_CHIP_COLORS[finding.severity]}
+                        />
+                      </TableCell>
+                      <TableCell sx={{ color: '#6b7280' }}>{finding.evidence}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </Paper>
+        )}
+
         {/* Summary Stats */}
         {judgeProgress.length > 0 && (
           <Box sx={{ mt: 3, display: 'flex', gap: 2, flexWrap: 'wrap' }}>
@@ -1,5 +1,7 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { eventService } from "../../services/eventService";
+import { assignTeamsByTrack, isJudgeEligibleForTeam } from "../../services/trackService";
+import { conflictService, buildConflictSet, ConflictSources } from "../../services/conflictService";
 import {
   Box,
   Button,
@@ -30,8 +32,9 @@ import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import SendIcon from '@mui/icons-material/Send';
+import BlockIcon from '@mui/icons-material/Block';
 
-function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange, eventId, eventName }) {
+function JudgesTab({ judges, venues = [], categories = [], teams = [], tracks = [], onJudgesChange, eventId, eventName }) {
   const [openDialog, setOpenDialog] = useState(false);
   const [openAssignDialog, setOpenAssignDialog] = useState(false);
   const [openLinkDialog, setOpenLinkDialog] = useState(false);
@@ -40,13 +43,26 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
     email: "",
     assignedCategories: [],
     assignedTeams: [],
-    category: "",
+    track_ids: [],
+    venue_id: "",
   });
   const [selectedJudge, setSelectedJudge] = useState(null);
   const [linkJudge, setLinkJudge] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+  const [conflictJudge, setConflictJudge] = useState(null);
+  const [newConflict, setNewConflict] = useState({ team_id: "", reason: "" });
+
+  useEffect(() => {
+    if (!eventId) return;
+    conflictService.getEventConflicts(eventId)
+      .then(setConflicts)
+      .catch(error => console.error('Error loading conflicts of interest:', error));
+  }, [eventId]);
+
+  const conflictSet = buildConflictSet(conflicts);
 
   const handleAddJudge = () => {
-    setCurrentJudge({ name: "", email: "", assignedCategories: [], assignedTeams: [], category: "" });
+    setCurrentJudge({ name: "", email: "", assignedCategories: [], assignedTeams: [], track_ids: [], venue_id: "" });
     setOpenDialog(true);
   };
 
@@ -111,8 +127,8 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
   };
 
   const handleSaveJudge = async () => {
-    if (!currentJudge.name || !currentJudge.email || !currentJudge.category) {
-      alert("Judge name, email, and category are required");
+    if (!currentJudge.name || !currentJudge.email) {
+      alert("Judge name and email are required");
       return;
     }
 
@@ -122,7 +138,8 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
         event_id: eventId,
         name: currentJudge.name,
         email: currentJudge.email,
-        category: currentJudge.category,
+        track_ids: currentJudge.track_ids || [],
+        venue_id: currentJudge.venue_id || null,
         token: currentJudge.token || token,
         invitation_sent: currentJudge.invitation_sent || false,
       };
@@ -171,60 +188,54 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
     }
   };
 
-  const handleAutoAssignTeams = async () => {
-    const softwareTeams = teams.filter(t => (t.category_id || t.categoryId) && (t.category_id || t.categoryId).toLowerCase() === 'software');
-    const hardwareTeams = teams.filter(t => (t.category_id || t.categoryId) && (t.category_id || t.categoryId).toLowerCase() === 'hardware');
+  const handleDeclareConflict = async () => {
+    if (!conflictJudge || !newConflict.team_id) return;
 
-    const softwareJudges = judges.filter(j => j.category && j.category.toLowerCase() === 'software');
-    const hardwareJudges = judges.filter(j => j.category && j.category.toLowerCase() === 'hardware');
+    try {
+      const declaration = await conflictService.declareConflict(
+        eventId,
+        conflictJudge.id,
+        newConflict.team_id,
+        newConflict.reason,
+        ConflictSources.ADMIN
+      );
+      setConflicts([...conflicts, declaration]);
+      setNewConflict({ team_id: "", reason: "" });
 
-    if (softwareJudges.length === 0 && hardwareJudges.length === 0) {
-      alert('Please add judges with categories (Software/Hardware) first.');
-      return;
+      // The database drops the pair's assignment; keep the list in step
+      onJudgesChange(judges.map((j) =>
+        j.id === conflictJudge.id
+          ? { ...j, assignedTeams: (j.assignedTeams || []).filter(id => id !== newConflict.team_id) }
+          : j
+      ));
+    } catch (error) {
+      console.error('Error declaring conflict of interest:', error);
+      alert('Failed to add the conflict of interest. Please try again.');
     }
+  };
 
-    const updatedJudges = judges.map(judge => {
-      const clearedJudge = { ...judge, assignedTeams: [], assignedCategories: [] };
-      return clearedJudge;
-    });
+  const handleRemoveConflict = async (declarationId) => {
+    if (!window.confirm("Remove this conflict of interest? The judge could then be assigned to the team again.")) return;
 
-    if (softwareJudges.length > 0) {
-      const teamsPerJudge = Math.floor(softwareTeams.length / softwareJudges.length);
-      const extraTeams = softwareTeams.length % softwareJudges.length;
-
-      let teamIndex = 0;
-      softwareJudges.forEach((judge, judgeIndex) => {
-        const judgeInArray = updatedJudges.find(j => j.id === judge.id);
-        if (judgeInArray) {
-          const numTeams = teamsPerJudge + (judgeIndex < extraTeams ? 1 : 0);
-          const assignedTeamIds = softwareTeams.slice(teamIndex, teamIndex + numTeams).map(t => t.id);
-          const softwareCategoryIds = [...new Set(softwareTeams.map(t => t.category_id || t.categoryId))].filter(Boolean);
-
-          judgeInArray.assignedTeams = assignedTeamIds;
-          judgeInArray.assignedCategories = softwareCategoryIds;
-          teamIndex += numTeams;
-        }
-      });
+    try {
+      await conflictService.removeConflict(declarationId);
+      setConflicts(conflicts.filter(c => c.id !== declarationId));
+    } catch (error) {
+      console.error('Error removing conflict of interest:', error);
+      alert('Failed to remove the conflict of interest. Please try again.');
     }
+  };
 
-    if (hardwareJudges.length > 0) {
-      const teamsPerJudge = Math.floor(hardwareTeams.length / hardwareJudges.length);
-      const extraTeams = hardwareTeams.length % hardwareJudges.length;
-
-      let teamIndex = 0;
-      hardwareJudges.forEach((judge, judgeIndex) => {
-        const judgeInArray = updatedJudges.find(j => j.id === judge.id);
-        if (judgeInArray) {
-          const numTeams = teamsPerJudge + (judgeIndex < extraTeams ? 1 : 0);
-          const assignedTeamIds = hardwareTeams.slice(teamIndex, teamIndex + numTeams).map(t => t.id);
-          const hardwareCategoryIds = [...new Set(hardwareTeams.map(t => t.category_id || t.categoryId))].filter(Boolean);
-
-          judgeInArray.assignedTeams = assignedTeamIds;
-          judgeInArray.assignedCategories = hardwareCategoryIds;
-          teamIndex += numTeams;
-        }
-      });
-    }
+  const handleAutoAssignTeams = async () => {
+    const { assignments, unassignedTeams } = assignTeamsByTrack(judges, teams, conflictSet);
+
+    const updatedJudges = judges.map(judge => {
+      const assignedTeams = assignments.filter(a => a.judge_id === judge.id).map(a => a.team_id);
+      const assignedCategories = [...new Set(
+        teams.filter(t => assignedTeams.includes(t.id)).map(t => t.track_id)
+      )].filter(Boolean);
+      return { ...judge, assignedTeams, assignedCategories };
+    });
 
     try {
       for (const judge of updatedJudges) {
@@ -234,7 +245,9 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
       }
 
       onJudgesChange(updatedJudges);
-      alert('Teams have been automatically assigned to judges based on their categories!');
+      alert(unassignedTeams.length > 0
+        ? `Teams assigned. ${unassignedTeams.length} team(s) have no judge eligible for their track: ${unassignedTeams.map(t => t.name).join(', ')}`
+        : 'Teams have been automatically assigned to judges based on their tracks!');
     } catch (error) {
       console.error('Error auto-assigning teams:', error);
       alert('Failed to auto-assign teams. Please try again.');
@@ -242,10 +255,31 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
   };
 
 
-  const softwareTeamsCount = teams.filter(t => (t.category_id || t.categoryId) && (t.category_id || t.categoryId).toLowerCase() === 'software').length;
-  const hardwareTeamsCount = teams.filter(t => (t.category_id || t.categoryId) && (t.category_id || t.categoryId).toLowerCase() === 'hardware').length;
-  const softwareJudgesCount = judges.filter(j => j.category && j.category.toLowerCase() === 'software').length;
-  const hardwareJudgesCount = judges.filter(j => j.category && j.category.toLowerCase() === 'hardware').length;
+  const trackCounts = tracks.map(track => ({
+    track,
+    teams: teams.filter(t => t.track_id === track.id).length,
+    judges: judges.filter(j => !(j.track_ids || []).length || j.track_ids.includes(track.id)).length
+  }));
+
+  const judgeTracks = (judge) => tracks.filter(t => (judge?.track_ids || []).includes(t.id));
+
+  const renderTrackChips = (judge) => {
+    const judgeTrackList = judgeTracks(judge);
+    if (judgeTrackList.length === 0) {
+      return <Chip label="All tracks" size="small" variant="outlined" />;
+    }
+    return judgeTrackList.map(track => (
+      <Chip
+        key={track.id}
+        label={track.name}
+        size="small"
+        sx={{ mr: 0.5, mb: 0.5, backgroundColor: track.color, color: 'white' }}
+      />
+    ));
+  };
+
+  const eligibleTeams = selectedJudge ? teams.filter(team => isJudgeEligibleForTeam(selectedJudge, team, conflictSet)) : [];
+  const judgeConflicts = conflictJudge ? conflicts.filter(c => c.judge_id === conflictJudge.id) : [];
 
   return (
     <Box>
@@ -280,19 +314,21 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
           borderRadius: '10px',
           border: '1px solid #e2e8f0'
         }}>
-          <Box sx={{ textAlign: 'center' }}>
-            <Box sx={{ fontSize: '0.75rem', color: '#64748b', fontWeight: 600, mb: 0.5 }}>SOFTWARE</Box>
-            <Box sx={{ fontSize: '1.25rem', fontWeight: 700, color: '#3b82f6' }}>
-              {softwareTeamsCount} teams / {softwareJudgesCount} judges
+          {trackCounts.length === 0 ? (
+            <Box sx={{ fontSize: '0.85rem', color: '#64748b' }}>
+              No tracks yet. Add tracks in the Tracks tab to match judges to teams.
             </Box>
-          </Box>
-          <Box sx={{ width: '1px', height: '40px', backgroundColor: '#cbd5e1' }} />
-          <Box sx={{ textAlign: 'center' }}>
-            <Box sx={{ fontSize: '0.75rem', color: '#64748b', fontWeight: 600, mb: 0.5 }}>HARDWARE</Box>
-            <Box sx={{ fontSize: '1.25rem', fontWeight: 700, color: '#f59e0b' }}>
-              {hardwareTeamsCount} teams / {hardwareJudgesCount} judges
+          ) : trackCounts.map(({ track, teams: teamCount, judges: judgeCount }, index) => (
+            <Box key={track.id} sx={{ display: 'flex', alignItems: 'center', gap: 3 }}>
+              {index > 0 && <Box sx={{ width: '1px', height: '40px', backgroundColor: '#cbd5e1' }} />}
+              <Box sx={{ textAlign: 'center' }}>
+                <Box sx={{ fontSize: '0.75rem', color: '#64748b', fontWeight: 600, mb: 0.5, textTransform: 'uppercase' }}>{track.name}</Box>
+                <Box sx={{ fontSize: '1.25rem', fontWeight: 700, color: track.color }}>
+                  {teamCount} teams / {judgeCount} judges
+                </Box>
+              </Box>
             </Box>
-          </Box>
+          ))}
         </Box>
       </Box>
 
@@ -313,7 +349,7 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
             >
               <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Judge Name</TableCell>
               <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Email</TableCell>
-              <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Category</TableCell>
+              <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Tracks</TableCell>
               <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Teams Assigned</TableCell>
               <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Status</TableCell>
               <TableCell align="right" sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Actions</TableCell>
@@ -329,6 +365,7 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
             ) : (
               judges.map((judge) => {
                 const assignedTeamCount = (judge.assignedTeams || []).length;
+                const conflictCount = conflicts.filter(c => c.judge_id === judge.id).length;
 
                 return (
                   <TableRow
@@ -342,11 +379,7 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
                     <TableCell sx={{ color: "#334155", fontWeight: 500 }}>{judge.name}</TableCell>
                     <TableCell sx={{ color: "#334155" }}>{judge.email}</TableCell>
                     <TableCell>
-                      <Chip
-                        label={judge.category || "Not assigned"}
-                        size="small"
-                        color={judge.category ? "primary" : "default"}
-                      />
+                      {renderTrackChips(judge)}
                     </TableCell>
                     <TableCell>
                       <Chip
@@ -354,6 +387,15 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
                         size="small"
                         color={assignedTeamCount > 0 ? "primary" : "default"}
                       />
+                      {conflictCount > 0 && (
+                        <Chip
+                          label={`${conflictCount} COI`}
+                          size="small"
+                          color="warning"
+                          variant="outlined"
+                          sx={{ ml: 0.5 }}
+                        />
+                      )}
                     </TableCell>
                     <TableCell>
                       {judge.invitationSent ? (
@@ -376,6 +418,19 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
                       >
                         <AddIcon fontSize="small" />
                       </IconButton>
+                      <IconButton
+                        size="small"
+                        onClick={() => setConflictJudge(judge)}
+                        sx={{
+                          color: "#f59e0b",
+                          "&:hover": {
+                            backgroundColor: "#fffbeb"
+                          }
+                        }}
+                        title="Conflicts of Interest"
+                      >
+                        <BlockIcon fontSize="small" />
+                      </IconButton>
                       <IconButton
                         size="small"
                         onClick={() => {
@@ -448,17 +503,41 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
             margin="normal"
             required
           />
-          <FormControl fullWidth margin="normal" required>
-            <InputLabel>Category</InputLabel>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Tracks</InputLabel>
             <Select
-              value={currentJudge.category || ''}
-              onChange={(e) => setCurrentJudge({ ...currentJudge, category: e.target.value })}
-              label="Category"
+              multiple
+              value={currentJudge.track_ids || []}
+              onChange={(e) => setCurrentJudge({ ...currentJudge, track_ids: e.target.value })}
+              input={<OutlinedInput label="Tracks" />}
+              renderValue={(selected) => tracks.filter(t => selected.includes(t.id)).map(t => t.name).join(', ')}
             >
-              <MenuItem value="Software">Software</MenuItem>
-              <MenuItem value="Hardware">Hardware</MenuItem>
+              {tracks.map((track) => (
+                <MenuItem key={track.id} value={track.id}>
+                  <Checkbox checked={(currentJudge.track_ids || []).includes(track.id)} />
+                  <ListItemText primary={track.name} />
+                </MenuItem>
+              ))}
             </Select>
           </FormControl>
+          <Typography variant="caption" sx={{ color: '#64748b' }}>
+            Leave empty to let this judge score teams in every track.
+          </Typography>
+          {venues.length > 0 && (
+            <FormControl fullWidth margin="normal">
+              <InputLabel>Venue</InputLabel>
+              <Select
+                value={currentJudge.venue_id || ''}
+                label="Venue"
+                onChange={(e) => setCurrentJudge({ ...currentJudge, venue_id: e.target.value })}
+              >
+                <MenuItem value="">Any venue</MenuItem>
+                {venues.map((venue) => (
+                  <MenuItem key={venue.id} value={venue.id}>{venue.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
         </DialogContent>
         <DialogActions sx={{ p: 3, pt: 2, gap: 1 }}>
           <Button
@@ -507,10 +586,11 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
         <DialogContent>
           <Box sx={{ mb: 2, mt: 2, p: 2, backgroundColor: '#f8fafc', borderRadius: '8px' }}>
             <Typography variant="body2" sx={{ color: '#64748b', fontWeight: 600 }}>
-              Judge Category: <Chip label={selectedJudge?.category || 'Not set'} size="small" color="primary" sx={{ ml: 1 }} />
+              Judge Tracks: <Box component="span" sx={{ ml: 1 }}>{renderTrackChips(selectedJudge)}</Box>
             </Typography>
             <Typography variant="body2" sx={{ color: '#64748b', mt: 1 }}>
-              Only teams in the same category will be available for assignment.
+              Only teams in the judge's tracks (and teams without a track) are available for assignment.
+              Teams the judge has a conflict of interest with are left out.
             </Typography>
           </Box>
 
@@ -525,32 +605,22 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
                 selected.map(id => teams.find(t => t.id === id)?.name).filter(Boolean).join(', ') || 'No teams selected'
               }
             >
-              {teams
-                .filter(team => {
-                  const teamCategory = team.category_id || team.categoryId;
-                  if (!selectedJudge?.category || !teamCategory) return false;
-                  return teamCategory.toLowerCase() === selectedJudge.category.toLowerCase();
-                })
-                .map((team) => (
-                  <MenuItem key={team.id} value={team.id}>
-                    <Checkbox checked={(selectedJudge?.assignedTeams || []).includes(team.id)} />
-                    <ListItemText
-                      primary={team.name}
-                      secondary={`Project: ${team.project_title || team.projectTitle || 'N/A'}`}
-                    />
-                  </MenuItem>
-                ))}
+              {eligibleTeams.map((team) => (
+                <MenuItem key={team.id} value={team.id}>
+                  <Checkbox checked={(selectedJudge?.assignedTeams || []).includes(team.id)} />
+                  <ListItemText
+                    primary={team.name}
+                    secondary={`Project: ${team.project_title || team.projectTitle || 'N/A'}`}
+                  />
+                </MenuItem>
+              ))}
             </Select>
           </FormControl>
 
-          {teams.filter(team => {
-            const teamCategory = team.category_id || team.categoryId;
-            if (!selectedJudge?.category || !teamCategory) return false;
-            return teamCategory.toLowerCase() === selectedJudge.category.toLowerCase();
-          }).length === 0 && (
+          {eligibleTeams.length === 0 && (
             <Box sx={{ mt: 2, p: 2, backgroundColor: '#fef2f2', borderRadius: '8px', border: '1px solid #fecaca' }}>
               <Typography variant="body2" sx={{ color: '#dc2626' }}>
-                No teams available in the {selectedJudge?.category} category. Please add teams in the Teams tab first.
+                No teams available in this judge's tracks. Please add teams in the Teams tab first.
               </Typography>
             </Box>
           )}
@@ -561,6 +631,76 @@ function JudgesTab({ judges, venues, categories = [], teams = [], onJudgesChange
         </DialogActions>
       </Dialog>
 
+      <Dialog open={Boolean(conflictJudge)} onClose={() => setConflictJudge(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Conflicts of Interest - {conflictJudge?.name}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ color: '#64748b', mt: 1, mb: 2 }}>
+            The judge is never assigned to these teams, in any round. Scores they already
+            submitted for a team are kept but flagged in the results.
+          </Typography>
+
+          {judgeConflicts.length === 0 ? (
+            <Typography variant="body2" sx={{ color: '#94a3b8', mb: 2 }}>
+              No conflicts declared.
+            </Typography>
+          ) : (
+            <Table size="small" sx={{ mb: 2 }}>
+              <TableBody>
+                {judgeConflicts.map((conflict) => (
+                  <TableRow key={conflict.id}>
+                    <TableCell sx={{ fontWeight: 500 }}>{conflict.team?.name || 'Unknown Team'}</TableCell>
+                    <TableCell sx={{ color: '#64748b' }}>{conflict.reason || '—'}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={conflict.source === ConflictSources.ADMIN ? 'Added by admin' : 'Self-declared'}
+                        size="small"
+                        variant="outlined"
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <IconButton size="small" onClick={() => handleRemoveConflict(conflict.id)} sx={{ color: "#ef4444" }}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Team</InputLabel>
+              <Select
+                value={newConflict.team_id}
+                label="Team"
+                onChange={(e) => setNewConflict({ ...newConflict, team_id: e.target.value })}
+              >
+                {teams
+                  .filter(team => !judgeConflicts.some(c => c.team_id === team.id))
+                  .map((team) => (
+                    <MenuItem key={team.id} value={team.id}>{team.name}</MenuItem>
+                  ))}
+              </Select>
+            </FormControl>
+            <TextField
+              size="small"
+              label="Reason"
+              placeholder="e.g. Mentored the team"
+              value={newConflict.reason}
+              onChange={(e) => setNewConflict({ ...newConflict, reason: e.target.value })}
+              sx={{ flex: 1, minWidth: 200 }}
+            />
+            <Button variant="contained" onClick={handleDeclareConflict} disabled={!newConflict.team_id}>
+              Add
+            </Button>
+          </Box>
+        </DialogContent>
+        <DialogActions sx={{ p: 3, pt: 2 }}>
+          <Button onClick={() => setConflictJudge(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
       <Dialog open={openLinkDialog} onClose={() => setOpenLinkDialog(false)} maxWidth="md" fullWidth>
         <DialogTitle>Judge Dashboard Link</DialogTitle>
         <DialogContent>
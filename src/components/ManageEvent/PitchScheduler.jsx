@@ -0,0 +1,336 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  Alert,
+  Typography,
+  Chip,
+  TextField,
+} from "@mui/material";
+import AutoIcon from '@mui/icons-material/AutoAwesome';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { roundService } from "../../services/roundService";
+import {
+  scheduleService,
+  generatePitchSchedule,
+  findScheduleConflicts,
+  slotTimes,
+  isBreakBefore,
+  DEFAULT_SCHEDULE_SETTINGS
+} from "../../services/scheduleService";
+import { toLocalInput, fromLocalInput, formatTime } from "../../utils/dateHelpers";
+
+const nextFullHour = () => {
+  const date = new Date();
+  date.setHours(date.getHours() + 1, 0, 0, 0);
+  return date.toISOString();
+};
+
+/**
+ * Pitch agenda of a round: generate it from the venues and the round's team
+ * assignments, then drag teams between venues and time slots. Conflicts
+ * (double-booked judges or rooms, wrong venue, over capacity) are listed
+ * and highlighted as the agenda changes. Reports the saved settings through
+ * onSaved
+ */
+function PitchScheduler({ round, judges, teams, venues, onClose, onSaved }) {
+  const [settings, setSettings] = useState({
+    ...DEFAULT_SCHEDULE_SETTINGS,
+    start_at: nextFullHour(),
+    ...(round.schedule_settings || {})
+  });
+  const [assignments, setAssignments] = useState([]);
+  const [slots, setSlots] = useState([]);
+  const [dragTeamId, setDragTeamId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [warnings, setWarnings] = useState([]);
+
+  useEffect(() => {
+    loadSchedule();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [round.id]);
+
+  const loadSchedule = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [roundAssignments, saved] = await Promise.all([
+        roundService.getJudgeTeamAssignmentsForRound(round.id),
+        scheduleService.getRoundSchedule(round.id)
+      ]);
+      setAssignments(roundAssignments);
+      setSlots(saved.map(({ team_id, venue_id, slot_index }) => ({ team_id, venue_id, slot_index })));
+    } catch (err) {
+      console.error("Error loading schedule:", err);
+      setError(`Failed to load the schedule: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const scheduledTeams = teams.filter(team => assignments.some(a => a.team_id === team.id));
+
+  const handleGenerate = () => {
+    const plan = generatePitchSchedule(scheduledTeams, judges, venues, assignments, settings);
+    setSlots(plan.slots.map(({ team_id, venue_id, slot_index }) => ({ team_id, venue_id, slot_index })));
+    setWarnings(plan.warnings);
+  };
+
+  // Dropping onto an occupied cell swaps the two pitches
+  const handleDrop = (venueId, slotIndex) => {
+    if (!dragTeamId) return;
+    setSlots(prev => {
+      const source = prev.find(slot => slot.team_id === dragTeamId);
+      const target = prev.find(slot => slot.venue_id === venueId && slot.slot_index === slotIndex && slot.team_id !== dragTeamId);
+      const others = prev.filter(slot => slot.team_id !== dragTeamId && slot !== target);
+      const moved = { team_id: dragTeamId, venue_id: venueId, slot_index: slotIndex };
+      if (!target) return [...others, moved];
+      return source
+        ? [...others, moved, { ...target, venue_id: source.venue_id, slot_index: source.slot_index }]
+        : [...others, moved, target];
+    });
+    setDragTeamId(null);
+  };
+
+  const handleUnschedule = () => {
+    if (!dragTeamId) return;
+    setSlots(prev => prev.filter(slot => slot.team_id !== dragTeamId));
+    setDragTeamId(null);
+  };
+
+  const handleSave = async () => {
+    if (!settings.start_at) {
+      setError("Set a start time first");
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      await scheduleService.saveRoundSchedule(round, slots, settings);
+      if (onSaved) onSaved(settings);
+      onClose();
+    } catch (err) {
+      console.error("Error saving schedule:", err);
+      setError(`Failed to save the schedule: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const conflicts = findScheduleConflicts(slots, teams, judges, venues, assignments);
+  const conflictedTeams = new Set(conflicts.flatMap(conflict => conflict.team_ids));
+  const unscheduled = scheduledTeams.filter(team => !slots.some(slot => slot.team_id === team.id));
+  // One empty row past the last pitch to drag teams into
+  const rowCount = slots.reduce((max, slot) => Math.max(max, slot.slot_index + 1), 0) + 1;
+  const teamName = (teamId) => teams.find(team => team.id === teamId)?.name || 'Unknown';
+  const scheduleUrl = `${window.location.origin}/schedule/${round.event_id}`;
+
+  const teamChip = (teamId) => (
+    <Chip
+      key={teamId}
+      label={teamName(teamId)}
+      size="small"
+      draggable
+      onDragStart={() => setDragTeamId(teamId)}
+      onDragEnd={() => setDragTeamId(null)}
+      color={conflictedTeams.has(teamId) ? 'error' : 'primary'}
+      variant={conflictedTeams.has(teamId) ? 'filled' : 'outlined'}
+      sx={{ cursor: 'grab', m: 0.25 }}
+    />
+  );
+
+  const dropTarget = (onDrop) => ({
+    onDragOver: (e) => e.preventDefault(),
+    onDrop: (e) => {
+      e.preventDefault();
+      onDrop();
+    }
+  });
+
+  return (
+    <Dialog open={true} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>
+        <Typography variant="h6">
+          Pitch Schedule - {round.name}
+        </Typography>
+        <Typography variant="body2" color="textSecondary">
+          Each team pitches once, in front of the judges assigned to it. Drag teams to move them;
+          dropping onto another team swaps the two.
+        </Typography>
+      </DialogTitle>
+
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : venues.length === 0 ? (
+          <Alert severity="info">Add venues in the Venues tab before scheduling pitches.</Alert>
+        ) : assignments.length === 0 ? (
+          <Alert severity="info">Assign teams to this round's judges before scheduling pitches.</Alert>
+        ) : (
+          <>
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2, mt: 1 }}>
+              <TextField
+                size="small"
+                type="datetime-local"
+                label="Start"
+                value={toLocalInput(settings.start_at)}
+                onChange={(e) => setSettings({ ...settings, start_at: fromLocalInput(e.target.value) })}
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                size="small"
+                type="number"
+                label="Slot (min)"
+                value={settings.slot_minutes}
+                onChange={(e) => setSettings({ ...settings, slot_minutes: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                inputProps={{ min: 1 }}
+                sx={{ width: 110 }}
+              />
+              <TextField
+                size="small"
+                type="number"
+                label="Break (min)"
+                value={settings.break_minutes}
+                onChange={(e) => setSettings({ ...settings, break_minutes: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                inputProps={{ min: 0 }}
+                sx={{ width: 110 }}
+              />
+              <TextField
+                size="small"
+                type="number"
+                label="Break every (slots)"
+                value={settings.slots_between_breaks}
+                onChange={(e) => setSettings({ ...settings, slots_between_breaks: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                inputProps={{ min: 0 }}
+                sx={{ width: 150 }}
+              />
+              <Button
+                variant="contained"
+                startIcon={<AutoIcon />}
+                onClick={handleGenerate}
+                disabled={!settings.start_at}
+              >
+                Generate
+              </Button>
+              <Box sx={{ flex: 1 }} />
+              <Chip
+                label={conflicts.length === 0 ? 'No conflicts' : `${conflicts.length} conflicts`}
+                color={conflicts.length === 0 ? 'success' : 'error'}
+              />
+            </Box>
+
+            {warnings.map(warning => (
+              <Alert key={warning} severity="warning" sx={{ mb: 1 }}>{warning}</Alert>
+            ))}
+            {conflicts.map((conflict, index) => (
+              <Alert key={`${conflict.type}-${index}`} severity="error" sx={{ mb: 1 }}>
+                {settings.start_at && `${formatTime(slotTimes(settings, conflict.slot_index).starts_at)}: `}
+                {conflict.message}
+              </Alert>
+            ))}
+
+            <Paper
+              variant="outlined"
+              {...dropTarget(handleUnschedule)}
+              sx={{ p: 1.5, mb: 2, minHeight: 48, background: '#f8fafc' }}
+            >
+              <Typography variant="caption" color="textSecondary" sx={{ display: 'block', mb: 0.5 }}>
+                Not scheduled ({unscheduled.length}) - drop a team here to take it off the agenda
+              </Typography>
+              {unscheduled.map(team => teamChip(team.id))}
+            </Paper>
+
+            <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 480 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 600, width: 100 }}>Time</TableCell>
+                    {venues.map(venue => (
+                      <TableCell key={venue.id} sx={{ fontWeight: 600 }}>
+                        {venue.name}
+                        {venue.capacity > 0 && (
+                          <Typography variant="caption" display="block" color="textSecondary">
+                            Seats {venue.capacity}
+                          </Typography>
+                        )}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {Array.from({ length: rowCount }, (_, slotIndex) => [
+                    isBreakBefore(settings, slotIndex) && settings.break_minutes > 0 && (
+                      <TableRow key={`break-${slotIndex}`}>
+                        <TableCell colSpan={venues.length + 1} align="center" sx={{ background: '#f1f5f9', color: '#64748b', py: 0.5 }}>
+                          Break - {settings.break_minutes} min
+                        </TableCell>
+                      </TableRow>
+                    ),
+                    <TableRow key={slotIndex}>
+                      <TableCell sx={{ color: '#475569', whiteSpace: 'nowrap' }}>
+                        {settings.start_at ? formatTime(slotTimes(settings, slotIndex).starts_at) : `#${slotIndex + 1}`}
+                      </TableCell>
+                      {venues.map(venue => (
+                        <TableCell
+                          key={venue.id}
+                          {...dropTarget(() => handleDrop(venue.id, slotIndex))}
+                          sx={{ minWidth: 140, height: 44, borderLeft: '1px solid #e2e8f0' }}
+                        >
+                          {slots
+                            .filter(slot => slot.venue_id === venue.id && slot.slot_index === slotIndex)
+                            .map(slot => teamChip(slot.team_id))}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ])}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+
+      <DialogActions sx={{ p: 3, pt: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flex: 1 }}>
+          <Typography variant="body2" color="textSecondary">Teams find their slot at</Typography>
+          <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>{scheduleUrl}</Typography>
+          <Button size="small" startIcon={<ContentCopyIcon />} onClick={() => navigator.clipboard.writeText(scheduleUrl)}>
+            Copy Link
+          </Button>
+        </Box>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={loading || saving || venues.length === 0}
+        >
+          {saving ? <CircularProgress size={20} color="inherit" /> : 'Save Schedule'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default PitchScheduler;
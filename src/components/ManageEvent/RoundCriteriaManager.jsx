@@ -20,16 +20,62 @@ import {
   Typography,
   Chip,
   Tooltip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  Checkbox,
+  FormControlLabel,
 } from "@mui/material";
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import DragIcon from '@mui/icons-material/DragIndicator';
 import SyncIcon from '@mui/icons-material/Sync';
-import { roundService } from "../../services/roundService";
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import LibraryIcon from '@mui/icons-material/LibraryBooks';
+import {
+  roundService,
+  normalizeRubricLevels,
+  validateRubricLevels,
+  normalizeCriterionGroups,
+  DEFAULT_MAX_CRITERIA_PER_ROUND
+} from "../../services/roundService";
 import { eventService } from "../../services/eventService";
+import { criteriaLibraryService } from "../../services/criteriaLibraryService";
+import { TieBreakRules, DEFAULT_TIE_BREAK_POLICY, CriterionScaleTypes } from "../../services/normalizationService";
+import RubricLevelsEditor from "../RubricLevelsEditor";
+import CriterionGroupsEditor from "../CriterionGroupsEditor";
+import RoundTemplatePicker from "./RoundTemplatePicker";
+
+const TIE_BREAK_RULE_LABELS = {
+  [TieBreakRules.CRITERION]: 'Specific criterion',
+  [TieBreakRules.CRITERIA_BY_WEIGHT]: 'All criteria, heaviest group first',
+  [TieBreakRules.MEAN_RAW_TOTAL]: 'Mean raw total',
+  [TieBreakRules.MEDIAN_RAW_TOTAL]: 'Median raw total',
+  [TieBreakRules.JUDGE_COUNT]: 'More judges',
+  [TieBreakRules.EARLIEST_SUBMISSION]: 'Earlier submission',
+};
+
+export const SCALE_TYPE_LABELS = {
+  [CriterionScaleTypes.CONTINUOUS]: 'Continuous (0 to max marks)',
+  [CriterionScaleTypes.LIKERT]: 'Likert (whole numbers)',
+  [CriterionScaleTypes.DECIMAL]: 'Step increments (e.g. 0.5)',
+  [CriterionScaleTypes.PERCENTAGE]: 'Percentage (0-100)',
+  [CriterionScaleTypes.GATE]: 'Pass / Fail gate',
+};
 
-function RoundCriteriaManager({ round, onClose }) {
+// Scales with a fixed range ignore the max marks field
+export const FIXED_MAX_MARKS = {
+  [CriterionScaleTypes.PERCENTAGE]: 100,
+  [CriterionScaleTypes.GATE]: 1,
+};
+
+function RoundCriteriaManager({ round, organizationId, onClose }) {
   const [criteria, setCriteria] = useState([]);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -41,17 +87,60 @@ function RoundCriteriaManager({ round, onClose }) {
     max_marks: 10,
     weight: 1,
     display_order: 1,
+    scale_type: CriterionScaleTypes.CONTINUOUS,
+    step_size: null,
+    group_id: "",
+    rubric_levels: [],
   });
+  const [criteriaLimit, setCriteriaLimit] = useState(DEFAULT_MAX_CRITERIA_PER_ROUND);
+  const [groups, setGroups] = useState(round.criterion_groups || []);
+  const [groupsDirty, setGroupsDirty] = useState(false);
+  const [savingGroups, setSavingGroups] = useState(false);
+  const [tieBreakPolicy, setTieBreakPolicy] = useState(round.tie_break_policy || DEFAULT_TIE_BREAK_POLICY);
+  const [newRule, setNewRule] = useState({ rule: TieBreakRules.CRITERION, criterion_id: "" });
+  const [policyDirty, setPolicyDirty] = useState(false);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  const [library, setLibrary] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [libraryAction, setLibraryAction] = useState(null); // 'add' | 'apply' | 'save'
+  const [selectedLibraryIds, setSelectedLibraryIds] = useState([]);
+  const [templateId, setTemplateId] = useState("");
+  const [templateName, setTemplateName] = useState("");
+  const [syncWithLibrary, setSyncWithLibrary] = useState(true);
 
   useEffect(() => {
     loadCriteria();
   }, [round.id]);
 
+  useEffect(() => {
+    if (organizationId) {
+      loadLibrary();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [organizationId]);
+
+  const loadLibrary = async () => {
+    try {
+      const [entries, savedTemplates] = await Promise.all([
+        criteriaLibraryService.getLibrary(organizationId),
+        criteriaLibraryService.getTemplates(organizationId)
+      ]);
+      setLibrary(entries);
+      setTemplates(savedTemplates);
+    } catch (err) {
+      console.error("Error loading criteria library:", err);
+    }
+  };
+
   const loadCriteria = async () => {
     setLoading(true);
     try {
-      const data = await roundService.getRoundCriteria(round.id);
+      const [data, limit] = await Promise.all([
+        roundService.getRoundCriteria(round.id),
+        roundService.getCriteriaLimit(round.id)
+      ]);
       setCriteria(data);
+      setCriteriaLimit(limit);
     } catch (err) {
       console.error("Error loading criteria:", err);
       setError("Failed to load criteria");
@@ -67,13 +156,22 @@ function RoundCriteriaManager({ round, onClose }) {
       max_marks: 10,
       weight: 1,
       display_order: criteria.length + 1,
+      scale_type: CriterionScaleTypes.CONTINUOUS,
+      step_size: null,
+      group_id: "",
+      rubric_levels: [],
     });
     setError(null);
     setOpenDialog(true);
   };
 
   const handleEditCriterion = (criterion) => {
-    setCurrentCriterion({ ...criterion });
+    setCurrentCriterion({
+      ...criterion,
+      scale_type: criterion.scale_type || CriterionScaleTypes.CONTINUOUS,
+      group_id: criterion.group_id || "",
+      rubric_levels: criterion.rubric_levels || []
+    });
     setError(null);
     setOpenDialog(true);
   };
@@ -84,6 +182,18 @@ function RoundCriteriaManager({ round, onClose }) {
       return;
     }
 
+    const rubricError = validateRubricLevels(currentCriterion.rubric_levels, currentCriterion.max_marks);
+    if (rubricError) {
+      setError(rubricError);
+      return;
+    }
+
+    const isStepScale = currentCriterion.scale_type === CriterionScaleTypes.DECIMAL;
+    if (isStepScale && !(currentCriterion.step_size > 0)) {
+      setError("Step size must be greater than 0");
+      return;
+    }
+
     setSaving(true);
     setError(null);
 
@@ -95,6 +205,11 @@ function RoundCriteriaManager({ round, onClose }) {
           max_marks: currentCriterion.max_marks,
           weight: currentCriterion.weight,
           display_order: currentCriterion.display_order,
+          scale_type: currentCriterion.scale_type,
+          step_size: isStepScale ? currentCriterion.step_size : null,
+          group_id: currentCriterion.group_id || null,
+          rubric_levels: normalizeRubricLevels(currentCriterion.rubric_levels),
+          sync_with_library: Boolean(currentCriterion.library_criterion_id && currentCriterion.sync_with_library),
         });
       } else {
         await roundService.createRoundCriterion(round.id, {
@@ -103,6 +218,10 @@ function RoundCriteriaManager({ round, onClose }) {
           max_marks: currentCriterion.max_marks,
           weight: currentCriterion.weight,
           display_order: currentCriterion.display_order,
+          scale_type: currentCriterion.scale_type,
+          step_size: isStepScale ? currentCriterion.step_size : null,
+          group_id: currentCriterion.group_id || null,
+          rubric_levels: normalizeRubricLevels(currentCriterion.rubric_levels),
         });
       }
       await loadCriteria();
@@ -132,6 +251,150 @@ function RoundCriteriaManager({ round, onClose }) {
     }
   };
 
+  const updatePolicy = (policy) => {
+    setTieBreakPolicy(policy);
+    setPolicyDirty(true);
+  };
+
+  const handleMoveRule = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= tieBreakPolicy.length) return;
+    const policy = [...tieBreakPolicy];
+    [policy[index], policy[target]] = [policy[target], policy[index]];
+    updatePolicy(policy);
+  };
+
+  const handleAddRule = () => {
+    if (newRule.rule === TieBreakRules.CRITERION && !newRule.criterion_id) {
+      setError("Choose the criterion that should break ties");
+      return;
+    }
+    const entry = newRule.rule === TieBreakRules.CRITERION
+      ? { rule: newRule.rule, criterion_id: newRule.criterion_id }
+      : { rule: newRule.rule };
+    updatePolicy([...tieBreakPolicy, entry]);
+  };
+
+  const handleSaveGroups = async () => {
+    setSavingGroups(true);
+    setError(null);
+    try {
+      const cleaned = normalizeCriterionGroups(groups);
+      await eventService.updateRound(round.id, { criterion_groups: cleaned });
+      setGroups(cleaned);
+      setGroupsDirty(false);
+    } catch (err) {
+      console.error("Error saving criterion groups:", err);
+      setError(err.message || "Failed to save criterion groups");
+    } finally {
+      setSavingGroups(false);
+    }
+  };
+
+  const handleSavePolicy = async () => {
+    setSavingPolicy(true);
+    setError(null);
+    try {
+      await eventService.updateRound(round.id, { tie_break_policy: tieBreakPolicy });
+      setPolicyDirty(false);
+    } catch (err) {
+      console.error("Error saving tie-break policy:", err);
+      setError(err.message || "Failed to save tie-break order");
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const describeRule = (entry) => {
+    if (entry.rule === TieBreakRules.CRITERION) {
+      const criterion = criteria.find(c => c.id === entry.criterion_id);
+      return `${criterion ? criterion.name : 'Deleted criterion'} score`;
+    }
+    return TIE_BREAK_RULE_LABELS[entry.rule] || entry.rule;
+  };
+
+  const openLibraryAction = (action) => {
+    setSelectedLibraryIds([]);
+    setTemplateId("");
+    setTemplateName(round.name);
+    setSyncWithLibrary(true);
+    setError(null);
+    setLibraryAction(action);
+  };
+
+  const handleAddFromLibrary = async () => {
+    if (criteria.length + selectedLibraryIds.length > criteriaLimit) {
+      setError(`This round allows at most ${criteriaLimit} criteria`);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const entries = library.filter(entry => selectedLibraryIds.includes(entry.id));
+      for (const [index, entry] of entries.entries()) {
+        await criteriaLibraryService.addLibraryCriterionToRound(round.id, entry, {
+          displayOrder: criteria.length + index + 1,
+          syncWithLibrary
+        });
+      }
+      await loadCriteria();
+      setLibraryAction(null);
+    } catch (err) {
+      console.error("Error adding library criteria:", err);
+      setError(err.message || "Failed to add library criteria");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleApplyTemplate = async () => {
+    if (criteria.length > 0 && !window.confirm("Applying a template replaces this round's criteria, groups, selection mode and normalization method. Continue?")) {
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await criteriaLibraryService.applyTemplate(round.id, templateId, syncWithLibrary);
+      const template = templates.find(t => t.id === templateId);
+      setGroups(template?.criterion_groups || []);
+      setGroupsDirty(false);
+      await loadCriteria();
+      setLibraryAction(null);
+    } catch (err) {
+      console.error("Error applying round template:", err);
+      setError(err.message || "Failed to apply round template");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveAsTemplate = async () => {
+    if (!templateName.trim()) {
+      setError("Template name is required");
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await criteriaLibraryService.saveRoundAsTemplate(
+        organizationId,
+        { ...round, criterion_groups: normalizeCriterionGroups(groups) },
+        criteria,
+        templateName.trim()
+      );
+      await loadLibrary();
+      setLibraryAction(null);
+    } catch (err) {
+      console.error("Error saving round template:", err);
+      setError(err.message || "Failed to save round template");
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const totalMaxMarks = criteria.reduce((sum, c) => sum + (c.max_marks || 0), 0);
   const totalWeight = criteria.reduce((sum, c) => sum + (c.weight || 0), 0);
 
@@ -161,13 +424,24 @@ function RoundCriteriaManager({ round, onClose }) {
         await roundService.createRoundCriterion(round.id, {
           name: ec.name,
           description: ec.description,
-          max_marks: ec.max_marks || 10,
+          max_marks: ec.max_marks || ec.max_score || 10,
           weight: ec.weight || 1.0,
-          display_order: criteria.length + addedCount + 1
+          display_order: criteria.length + addedCount + 1,
+          group_id: ec.group_id || null,
+          rubric_levels: ec.rubric_levels || []
         });
         addedCount++;
       }
 
+      // Bring along the event's groups that the round doesn't have yet
+      const event = await eventService.getEvent(round.event_id);
+      const missingGroups = (event.criterion_groups || []).filter(g => !groups.some(existing => existing.id === g.id));
+      if (missingGroups.length > 0) {
+        const mergedGroups = [...groups, ...missingGroups];
+        await eventService.updateRound(round.id, { criterion_groups: mergedGroups });
+        setGroups(mergedGroups);
+      }
+
       await loadCriteria();
       setError(null);
     } catch (err) {
@@ -190,7 +464,7 @@ function RoundCriteriaManager({ round, onClose }) {
           </Typography>
         </Box>
         <Box sx={{ display: 'flex', gap: 1 }}>
-          <Chip label={`${criteria.length} criteria`} size="small" />
+          <Chip label={`${criteria.length} / ${criteriaLimit} criteria`} size="small" />
           <Chip label={`${totalMaxMarks} total marks`} size="small" color="primary" />
         </Box>
       </DialogTitle>
@@ -207,7 +481,7 @@ function RoundCriteriaManager({ round, onClose }) {
             variant="contained"
             startIcon={<AddIcon />}
             onClick={handleAddCriterion}
-            disabled={loading || round.status === 'completed'}
+            disabled={loading || round.status === 'completed' || criteria.length >= criteriaLimit}
           >
             Add Criterion
           </Button>
@@ -221,6 +495,35 @@ function RoundCriteriaManager({ round, onClose }) {
               Sync from Event Defaults
             </Button>
           </Tooltip>
+          {organizationId && (
+            <>
+              <Button
+                variant="outlined"
+                startIcon={<LibraryIcon />}
+                onClick={() => openLibraryAction('add')}
+                disabled={loading || round.status === 'completed' || library.length === 0 || criteria.length >= criteriaLimit}
+              >
+                Add from Library
+              </Button>
+              <Tooltip title={round.status === 'draft' ? "" : "Templates can only be applied to draft rounds"}>
+                <span>
+                  <Button
+                    variant="outlined"
+                    onClick={() => openLibraryAction('apply')}
+                    disabled={loading || round.status !== 'draft' || templates.length === 0}
+                  >
+                    Apply Template
+                  </Button>
+                </span>
+              </Tooltip>
+              <Button
+                onClick={() => openLibraryAction('save')}
+                disabled={loading || criteria.length === 0}
+              >
+                Save as Template
+              </Button>
+            </>
+          )}
         </Box>
 
         {loading ? (
@@ -257,6 +560,33 @@ function RoundCriteriaManager({ round, onClose }) {
                     </TableCell>
                     <TableCell sx={{ fontWeight: 500 }}>
                       {criterion.name}
+                      {criterion.rubric_levels?.length > 0 && (
+                        <Chip label={`${criterion.rubric_levels.length} levels`} size="small" sx={{ ml: 1 }} />
+                      )}
+                      {groups.find(g => g.id === criterion.group_id) && (
+                        <Chip
+                          label={groups.find(g => g.id === criterion.group_id).name}
+                          size="small"
+                          color="secondary"
+                          variant="outlined"
+                          sx={{ ml: 1 }}
+                        />
+                      )}
+                      {criterion.scale_type === CriterionScaleTypes.GATE && (
+                        <Chip label="Pass / Fail" size="small" color="warning" sx={{ ml: 1 }} />
+                      )}
+                      {criterion.scale_type === CriterionScaleTypes.DECIMAL && (
+                        <Chip label={`step ${criterion.step_size}`} size="small" sx={{ ml: 1 }} />
+                      )}
+                      {criterion.library_criterion_id && (
+                        <Chip
+                          icon={criterion.sync_with_library ? <SyncIcon /> : undefined}
+                          label={criterion.sync_with_library ? "Library (synced)" : "Library"}
+                          size="small"
+                          variant="outlined"
+                          sx={{ ml: 1 }}
+                        />
+                      )}
                     </TableCell>
                     <TableCell sx={{ color: '#6b7280', fontSize: '0.875rem' }}>
                       {criterion.description || '-'}
@@ -302,6 +632,108 @@ function RoundCriteriaManager({ round, onClose }) {
             </Typography>
           </Box>
         )}
+
+        <Paper variant="outlined" sx={{ mt: 3, p: 2 }}>
+          <CriterionGroupsEditor
+            groups={groups}
+            onChange={(updated) => { setGroups(updated); setGroupsDirty(true); }}
+            onSave={handleSaveGroups}
+            saving={savingGroups}
+            dirty={groupsDirty}
+            disabled={round.status === 'completed'}
+          />
+        </Paper>
+
+        <Paper variant="outlined" sx={{ mt: 3, p: 2 }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+            Tie-Break Order
+          </Typography>
+          <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+            Teams with equal final scores are separated by these rules, top to bottom.
+            Teams level on every rule share a rank.
+          </Typography>
+
+          {tieBreakPolicy.length === 0 ? (
+            <Typography variant="body2" color="textSecondary" sx={{ py: 1 }}>
+              No rules: teams with equal final scores share a rank.
+            </Typography>
+          ) : (
+            <List dense>
+              {tieBreakPolicy.map((entry, index) => (
+                <ListItem
+                  key={`${entry.rule}-${entry.criterion_id || index}`}
+                  secondaryAction={
+                    <Box>
+                      <IconButton size="small" onClick={() => handleMoveRule(index, -1)} disabled={index === 0}>
+                        <ArrowUpwardIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        onClick={() => handleMoveRule(index, 1)}
+                        disabled={index === tieBreakPolicy.length - 1}
+                      >
+                        <ArrowDownwardIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        onClick={() => updatePolicy(tieBreakPolicy.filter((_, i) => i !== index))}
+                        sx={{ color: "#ef4444" }}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Box>
+                  }
+                >
+                  <ListItemText primary={`${index + 1}. ${describeRule(entry)}`} />
+                </ListItem>
+              ))}
+            </List>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mt: 1 }}>
+            <FormControl size="small" sx={{ minWidth: 220 }}>
+              <InputLabel>Rule</InputLabel>
+              <Select
+                value={newRule.rule}
+                label="Rule"
+                onChange={(e) => setNewRule({ ...newRule, rule: e.target.value })}
+              >
+                {Object.values(TieBreakRules).map(rule => (
+                  <MenuItem key={rule} value={rule}>{TIE_BREAK_RULE_LABELS[rule]}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {newRule.rule === TieBreakRules.CRITERION && (
+              <FormControl size="small" sx={{ minWidth: 180 }}>
+                <InputLabel>Criterion</InputLabel>
+                <Select
+                  value={newRule.criterion_id}
+                  label="Criterion"
+                  onChange={(e) => setNewRule({ ...newRule, criterion_id: e.target.value })}
+                >
+                  {criteria.map(c => (
+                    <MenuItem key={c.id} value={c.id}>{c.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            <Button size="small" startIcon={<AddIcon />} onClick={handleAddRule}>
+              Add Rule
+            </Button>
+            <Box sx={{ flex: 1 }} />
+            <Button size="small" onClick={() => updatePolicy(DEFAULT_TIE_BREAK_POLICY)}>
+              Reset to Default
+            </Button>
+            <Button
+              size="small"
+              variant="contained"
+              onClick={handleSavePolicy}
+              disabled={!policyDirty || savingPolicy || round.status === 'completed'}
+            >
+              {savingPolicy ? <CircularProgress size={18} color="inherit" /> : "Save Order"}
+            </Button>
+          </Box>
+        </Paper>
       </DialogContent>
 
       <DialogActions sx={{ p: 3, pt: 2 }}>
@@ -338,6 +770,60 @@ function RoundCriteriaManager({ round, onClose }) {
             rows={2}
             placeholder="Brief description of what judges should evaluate"
           />
+          <Box sx={{ display: 'flex', gap: 2, mt: 1 }}>
+            <FormControl margin="normal" sx={{ flex: 2 }}>
+              <InputLabel>Scale</InputLabel>
+              <Select
+                label="Scale"
+                value={currentCriterion.scale_type}
+                onChange={(e) => {
+                  const scaleType = e.target.value;
+                  setCurrentCriterion({
+                    ...currentCriterion,
+                    scale_type: scaleType,
+                    max_marks: FIXED_MAX_MARKS[scaleType] || currentCriterion.max_marks,
+                    step_size: scaleType === CriterionScaleTypes.DECIMAL ? currentCriterion.step_size || 0.5 : null,
+                    rubric_levels: scaleType === CriterionScaleTypes.GATE ? [] : currentCriterion.rubric_levels,
+                  });
+                }}
+              >
+                {Object.entries(SCALE_TYPE_LABELS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {currentCriterion.scale_type === CriterionScaleTypes.DECIMAL && (
+              <TextField
+                label="Step Size"
+                type="number"
+                value={currentCriterion.step_size ?? ""}
+                onChange={(e) => setCurrentCriterion({ ...currentCriterion, step_size: parseFloat(e.target.value) || null })}
+                margin="normal"
+                inputProps={{ min: 0.01, step: 0.01 }}
+                sx={{ flex: 1 }}
+              />
+            )}
+          </Box>
+          {groups.some(g => g.id) && currentCriterion.scale_type !== CriterionScaleTypes.GATE && (
+            <FormControl fullWidth margin="normal">
+              <InputLabel>Group</InputLabel>
+              <Select
+                label="Group"
+                value={currentCriterion.group_id || ""}
+                onChange={(e) => setCurrentCriterion({ ...currentCriterion, group_id: e.target.value })}
+              >
+                <MenuItem value="">No group</MenuItem>
+                {groups.filter(g => g.id).map(g => (
+                  <MenuItem key={g.id} value={g.id}>{g.name} (×{g.weight})</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          {currentCriterion.scale_type === CriterionScaleTypes.GATE && (
+            <Alert severity="info" sx={{ mt: 1 }}>
+              Gates are not scored. A team that fails a gate with the majority of its judges is ineligible and left unranked.
+            </Alert>
+          )}
           <Box sx={{ display: 'flex', gap: 2, mt: 1 }}>
             <TextField
               label="Max Marks"
@@ -346,6 +832,7 @@ function RoundCriteriaManager({ round, onClose }) {
               onChange={(e) => setCurrentCriterion({ ...currentCriterion, max_marks: parseInt(e.target.value) || 0 })}
               margin="normal"
               inputProps={{ min: 1, max: 100 }}
+              disabled={Boolean(FIXED_MAX_MARKS[currentCriterion.scale_type])}
               sx={{ flex: 1 }}
             />
             <TextField
@@ -367,6 +854,26 @@ function RoundCriteriaManager({ round, onClose }) {
               sx={{ flex: 1 }}
             />
           </Box>
+          {currentCriterion.scale_type !== CriterionScaleTypes.GATE && (
+            <RubricLevelsEditor
+              levels={currentCriterion.rubric_levels}
+              maxMarks={currentCriterion.max_marks}
+              onChange={(levels) => setCurrentCriterion({ ...currentCriterion, rubric_levels: levels })}
+              disabled={saving}
+            />
+          )}
+          {currentCriterion.library_criterion_id && (
+            <FormControlLabel
+              sx={{ mt: 1 }}
+              control={
+                <Checkbox
+                  checked={Boolean(currentCriterion.sync_with_library)}
+                  onChange={(e) => setCurrentCriterion({ ...currentCriterion, sync_with_library: e.target.checked })}
+                />
+              }
+              label="Keep in sync with the library (library edits overwrite changes made here)"
+            />
+          )}
         </DialogContent>
         <DialogActions sx={{ p: 3, pt: 2, gap: 1 }}>
           <Button onClick={() => setOpenDialog(false)} disabled={saving}>
@@ -377,6 +884,79 @@ function RoundCriteriaManager({ round, onClose }) {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Criteria Library Dialog */}
+      <Dialog open={Boolean(libraryAction)} onClose={() => setLibraryAction(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {libraryAction === 'add' ? "Add from Library" : libraryAction === 'apply' ? "Apply Round Template" : "Save as Template"}
+        </DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {libraryAction === 'add' && (
+            <>
+              <List dense>
+                {library.map(entry => (
+                  <ListItem key={entry.id} disablePadding>
+                    <FormControlLabel
+                      control={
+                        <Checkbox
+                          checked={selectedLibraryIds.includes(entry.id)}
+                          onChange={(e) => setSelectedLibraryIds(e.target.checked
+                            ? [...selectedLibraryIds, entry.id]
+                            : selectedLibraryIds.filter(id => id !== entry.id))}
+                        />
+                      }
+                      label={`${entry.name} (${entry.max_marks} marks, ×${entry.weight})`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+              <FormControlLabel
+                control={<Checkbox checked={syncWithLibrary} onChange={(e) => setSyncWithLibrary(e.target.checked)} />}
+                label="Keep in sync with the library"
+              />
+            </>
+          )}
+          {libraryAction === 'apply' && (
+            <RoundTemplatePicker
+              templates={templates}
+              templateId={templateId}
+              onTemplateChange={setTemplateId}
+              syncWithLibrary={syncWithLibrary}
+              onSyncChange={setSyncWithLibrary}
+              disabled={saving}
+            />
+          )}
+          {libraryAction === 'save' && (
+            <TextField
+              fullWidth
+              label="Template Name"
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              margin="normal"
+              helperText="Saves this round's criteria, weights, groups, selection mode and normalization method"
+            />
+          )}
+        </DialogContent>
+        <DialogActions sx={{ p: 3, pt: 2, gap: 1 }}>
+          <Button onClick={() => setLibraryAction(null)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={libraryAction === 'add' ? handleAddFromLibrary : libraryAction === 'apply' ? handleApplyTemplate : handleSaveAsTemplate}
+            disabled={saving
+              || (libraryAction === 'add' && selectedLibraryIds.length === 0)
+              || (libraryAction === 'apply' && !templateId)}
+          >
+            {saving ? <CircularProgress size={20} color="inherit" /> : libraryAction === 'save' ? "Save" : libraryAction === 'apply' ? "Apply" : "Add"}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Dialog>
   );
 }
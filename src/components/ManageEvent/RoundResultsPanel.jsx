@@ -19,6 +19,8 @@ import {
   Chip,
   LinearProgress,
   Tooltip,
+  FormControlLabel,
+  Switch,
 } from "@mui/material";
 import CalculateIcon from '@mui/icons-material/Calculate';
 import TrophyIcon from '@mui/icons-material/EmojiEvents';
@@ -26,10 +28,13 @@ import TrendingIcon from '@mui/icons-material/TrendingUp';
 import RefreshIcon from '@mui/icons-material/Refresh';
 import ExportIcon from '@mui/icons-material/FileDownload';
 import ImportIcon from '@mui/icons-material/FileUpload';
+import WarningIcon from '@mui/icons-material/Warning';
 import { computeRound, getRoundResults, checkRoundReadiness } from "../../services/computeRoundService";
+import { AggregationModes, BOOTSTRAP_ITERATIONS } from "../../services/normalizationService";
 import { exportRoundCSV, exportRoundPDF, downloadFile, downloadPDF } from '../../services/exportService';
 import { importService } from '../../services/importService';
 import { supabase } from '../../supabaseClient'; // Needed for manual import logic
+import TrackLeaderboards from './TrackLeaderboards';
 
 function RoundResultsPanel({ round, onClose }) {
   const [results, setResults] = useState([]);
@@ -38,6 +43,8 @@ function RoundResultsPanel({ round, onClose }) {
   const [computing, setComputing] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [computeWarnings, setComputeWarnings] = useState([]);
+  const [withRankStability, setWithRankStability] = useState(false);
 
   // Import State
   const [showImport, setShowImport] = useState(false);
@@ -65,8 +72,7 @@ function RoundResultsPanel({ round, onClose }) {
       const judgeList = assignments?.map(a => ({
         id: a.judge_id,
         name: a.judges?.name,
-        email: a.judges?.email,
-        type: a.judge_type
+        email: a.judges?.email
       })) || [];
       setJudges(judgeList);
     } catch (e) {
@@ -176,12 +182,18 @@ function RoundResultsPanel({ round, onClose }) {
     setComputing(true);
     setError(null);
     setSuccess(null);
+    setComputeWarnings([]);
 
     try {
-      const result = await computeRound(round.id, { method: 'Z_SCORE' });
+      const result = await computeRound(round.id, {
+        method: round.normalization_method,
+        aggregationMode: round.aggregation_mode,
+        bootstrapIterations: withRankStability ? BOOTSTRAP_ITERATIONS : 0
+      });
 
       if (result.success) {
         setSuccess(`Results computed successfully! ${result.stats.teams_evaluated} teams evaluated by ${result.stats.judges_count} judges.`);
+        setComputeWarnings(result.warnings || []);
         await loadData();
       } else {
         setError(result.error || "Failed to compute results");
@@ -201,6 +213,18 @@ function RoundResultsPanel({ round, onClose }) {
     return { icon: rank, color: "#6b7280" };
   };
 
+  const getJudgeCountSpread = () => {
+    const counts = results
+      .map(r => r.judge_evaluations?.length || 0)
+      .filter(c => c > 0);
+    if (counts.length === 0) return null;
+    const min = Math.min(...counts);
+    const max = Math.max(...counts);
+    return min === max ? null : { min, max };
+  };
+
+  const judgeCountSpread = getJudgeCountSpread();
+
   const getPercentileColor = (percentile) => {
     if (percentile >= 90) return "#22c55e";
     if (percentile >= 75) return "#3b82f6";
@@ -264,6 +288,12 @@ function RoundResultsPanel({ round, onClose }) {
           </Alert>
         )}
 
+        {computeWarnings.map((warning, idx) => (
+          <Alert key={idx} severity="warning" sx={{ mb: 2 }}>
+            {warning}
+          </Alert>
+        ))}
+
         {loading ? (
           <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
             <CircularProgress />
@@ -335,9 +365,31 @@ function RoundResultsPanel({ round, onClose }) {
                 >
                   {computing ? "Computing..." : round.is_computed ? "Recompute Results" : "Compute Results"}
                 </Button>
+                <Tooltip title={`Recompute on ${BOOTSTRAP_ITERATIONS} resamples of the judges for rank intervals and fragile cutoff flags. Slow on large rounds.`}>
+                  <FormControlLabel
+                    sx={{ ml: 2 }}
+                    control={
+                      <Switch
+                        checked={withRankStability}
+                        onChange={(e) => setWithRankStability(e.target.checked)}
+                        disabled={computing}
+                      />
+                    }
+                    label="Rank stability"
+                  />
+                </Tooltip>
               </Paper>
             )}
 
+            {judgeCountSpread && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Teams were evaluated by between {judgeCountSpread.min} and {judgeCountSpread.max} judges.
+                {(round.aggregation_mode || AggregationModes.SUM) === AggregationModes.SUM
+                  ? ' This round sums scores across judges, so teams with more judges have a wider score range. Consider mean or judge-count-corrected aggregation.'
+                  : ' Scores are averaged across judges, but teams with fewer judges have less reliable results.'}
+              </Alert>
+            )}
+
             {/* Results Table */}
             {results.length > 0 ? (
               <TableContainer component={Paper} variant="outlined">
@@ -346,7 +398,7 @@ function RoundResultsPanel({ round, onClose }) {
                     <TableRow sx={{ bgcolor: '#f8fafc' }}>
                       <TableCell sx={{ fontWeight: 600, width: 80 }}>Rank</TableCell>
                       <TableCell sx={{ fontWeight: 600 }}>Team</TableCell>
-                      <TableCell sx={{ fontWeight: 600 }}>Category</TableCell>
+                      <TableCell sx={{ fontWeight: 600 }}>Track</TableCell>
                       <TableCell sx={{ fontWeight: 600, width: 120 }}>Aggregated Z</TableCell>
                       <TableCell sx={{ fontWeight: 600, width: 120 }}>Percentile</TableCell>
                       <TableCell sx={{ fontWeight: 600 }}>Judge Scores</TableCell>
@@ -365,7 +417,11 @@ function RoundResultsPanel({ round, onClose }) {
                               fontWeight: result.rank <= 3 ? 700 : 400,
                               fontSize: result.rank <= 3 ? '1.2rem' : '1rem'
                             }}>
-                              {typeof badge.icon === 'string' && badge.icon.length === 2 ? (
+                              {!result.is_eligible ? (
+                                <Tooltip title="Failed a pass/fail gate with most of its judges">
+                                  <Chip label="Ineligible" size="small" color="warning" />
+                                </Tooltip>
+                              ) : typeof badge.icon === 'string' && badge.icon.length === 2 ? (
                                 <span>{badge.icon}</span>
                               ) : (
                                 <Chip label={badge.icon} size="small" />
@@ -377,9 +433,10 @@ function RoundResultsPanel({ round, onClose }) {
                           </TableCell>
                           <TableCell>
                             <Chip
-                              label={result.team_category || 'N/A'}
+                              label={result.team_category || 'No track'}
                               size="small"
                               variant="outlined"
+                              sx={result.team_track ? { borderColor: result.team_track.color, color: result.team_track.color } : undefined}
                             />
                           </TableCell>
                           <TableCell>
@@ -415,12 +472,14 @@ function RoundResultsPanel({ round, onClose }) {
                               {result.judge_evaluations?.map((evalItem, i) => (
                                 <Tooltip
                                   key={i}
-                                  title={`${evalItem.judge_name}: Raw ${evalItem.raw_total?.toFixed(1)}, Z-Score ${evalItem.z_score?.toFixed(3)}`}
+                                  title={`${evalItem.judge_name}: Raw ${evalItem.raw_total?.toFixed(1)}, Z-Score ${evalItem.z_score?.toFixed(3)}${evalItem.has_conflict ? ' (declared conflict of interest)' : ''}`}
                                 >
                                   <Chip
                                     label={evalItem.raw_total?.toFixed(0)}
                                     size="small"
                                     variant="outlined"
+                                    color={evalItem.has_conflict ? 'warning' : 'default'}
+                                    icon={evalItem.has_conflict ? <WarningIcon /> : undefined}
                                     sx={{ fontSize: '0.7rem' }}
                                   />
                                 </Tooltip>
@@ -441,6 +500,8 @@ function RoundResultsPanel({ round, onClose }) {
                 </Typography>
               </Paper>
             )}
+
+            <TrackLeaderboards roundId={round.id} />
           </>
         )}
       </DialogContent>
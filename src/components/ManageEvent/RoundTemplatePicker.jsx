@@ -0,0 +1,49 @@
+import {
+  Box,
+  Checkbox,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Select,
+} from "@mui/material";
+
+/**
+ * Template select plus the "keep in sync with library" switch, shared by the
+ * create-round dialog and the round criteria manager
+ */
+function RoundTemplatePicker({ templates, templateId, onTemplateChange, syncWithLibrary, onSyncChange, disabled, allowNone }) {
+  return (
+    <Box>
+      <FormControl fullWidth margin="normal" disabled={disabled}>
+        <InputLabel>Round Template</InputLabel>
+        <Select
+          label="Round Template"
+          value={templateId || ""}
+          onChange={(e) => onTemplateChange(e.target.value)}
+        >
+          {allowNone && <MenuItem value="">No template</MenuItem>}
+          {templates.map(template => (
+            <MenuItem key={template.id} value={template.id}>
+              {template.name} ({(template.criteria || []).length} criteria)
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      {templateId && (
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={syncWithLibrary}
+              onChange={(e) => onSyncChange(e.target.checked)}
+              disabled={disabled}
+            />
+          }
+          label="Keep library criteria in sync with the library"
+        />
+      )}
+    </Box>
+  );
+}
+
+export default RoundTemplatePicker;
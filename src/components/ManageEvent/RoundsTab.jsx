@@ -23,6 +23,7 @@ import {
   Select,
   MenuItem,
   Checkbox,
+  FormControlLabel,
   ListItemText,
   Typography,
   Accordion,
@@ -43,12 +44,21 @@ import SettingsIcon from '@mui/icons-material/Settings';
 import TrophyIcon from '@mui/icons-material/EmojiEvents';
 import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
 import VisibilityIcon from '@mui/icons-material/Visibility';
+import LibraryIcon from '@mui/icons-material/LibraryBooks';
+import ScheduleIcon from '@mui/icons-material/Schedule';
 import { eventService } from "../../services/eventService";
-import { roundService } from "../../services/roundService";
+import { roundService, RoundTypes, DEFAULT_COMPARISONS_PER_JUDGE } from "../../services/roundService";
+import { RankingStyles } from "../../services/normalizationService";
+import { criteriaLibraryService } from "../../services/criteriaLibraryService";
+import { MAX_CALIBRATION_SAMPLES } from "../../services/calibrationService";
 import RoundCriteriaManager from "./RoundCriteriaManager";
 import RoundResultsPanel from "./RoundResultsPanel";
 import TeamSelectionPanel from "./TeamSelectionPanel";
 import JudgeProgressDashboard from "./JudgeProgressDashboard";
+import CriteriaLibraryDialog from "./CriteriaLibraryDialog";
+import RoundTemplatePicker from "./RoundTemplatePicker";
+import AssignmentPlanner from "./AssignmentPlanner";
+import PitchScheduler from "./PitchScheduler";
 
 const ROUND_STATUS_COLORS = {
   draft: "default",
@@ -64,12 +74,14 @@ const ROUND_STATUS_LABELS = {
   completed: "Completed",
 };
 
-function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] }) {
+function RoundsTab({ rounds, onRoundsChange, eventId, organizationId, judges = [], teams = [], tracks = [], venues = [] }) {
   const [openDialog, setOpenDialog] = useState(false);
   const [openAssignDialog, setOpenAssignDialog] = useState(false);
   const [currentRound, setCurrentRound] = useState({
     name: "",
     round_number: 1,
+    round_type: RoundTypes.SCORED,
+    comparisons_per_judge: DEFAULT_COMPARISONS_PER_JUDGE,
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -82,7 +94,13 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
   const [resultsRound, setResultsRound] = useState(null);
   const [selectionRound, setSelectionRound] = useState(null);
   const [progressRound, setProgressRound] = useState(null);
+  const [planningRound, setPlanningRound] = useState(null);
+  const [scheduleRound, setScheduleRound] = useState(null);
   const [roundCriteriaCounts, setRoundCriteriaCounts] = useState({});
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState("");
+  const [syncWithLibrary, setSyncWithLibrary] = useState(true);
 
   // Load judge assignments and criteria counts for all rounds
   useEffect(() => {
@@ -116,8 +134,26 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
     }
   }, [rounds]);
 
-  const handleAddRound = () => {
-    setCurrentRound({ name: "", round_number: rounds.length + 1 });
+  const handleAddRound = async () => {
+    setTemplateId("");
+    setSyncWithLibrary(true);
+    if (organizationId) {
+      try {
+        setTemplates(await criteriaLibraryService.getTemplates(organizationId));
+      } catch (err) {
+        console.error("Error loading round templates:", err);
+      }
+    }
+    setCurrentRound({
+      name: "",
+      round_number: rounds.length + 1,
+      round_type: RoundTypes.SCORED,
+      comparisons_per_judge: DEFAULT_COMPARISONS_PER_JUDGE,
+      ranking_style: RankingStyles.STANDARD,
+      calibration_team_ids: [],
+      calibration_apply_offsets: false,
+      calibration_exclude_evaluations: false,
+    });
     setError(null);
     setOpenDialog(true);
   };
@@ -136,6 +172,12 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
         const updated = await eventService.updateRound(currentRound.id, {
           name: currentRound.name,
           round_number: currentRound.round_number || 1,
+          round_type: currentRound.round_type,
+          comparisons_per_judge: currentRound.comparisons_per_judge || DEFAULT_COMPARISONS_PER_JUDGE,
+          ranking_style: currentRound.ranking_style || RankingStyles.STANDARD,
+          calibration_team_ids: currentRound.round_type === RoundTypes.PAIRWISE ? [] : currentRound.calibration_team_ids || [],
+          calibration_apply_offsets: Boolean(currentRound.calibration_apply_offsets),
+          calibration_exclude_evaluations: Boolean(currentRound.calibration_exclude_evaluations),
         });
         const updatedRounds = rounds.map((r) =>
           r.id === currentRound.id ? updated : r
@@ -147,9 +189,27 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
           event_id: eventId,
           name: currentRound.name,
           round_number: currentRound.round_number || rounds.length + 1,
+          round_type: currentRound.round_type,
+          comparisons_per_judge: currentRound.comparisons_per_judge || DEFAULT_COMPARISONS_PER_JUDGE,
+          ranking_style: currentRound.ranking_style || RankingStyles.STANDARD,
+          calibration_team_ids: currentRound.round_type === RoundTypes.PAIRWISE ? [] : currentRound.calibration_team_ids || [],
+          calibration_apply_offsets: Boolean(currentRound.calibration_apply_offsets),
+          calibration_exclude_evaluations: Boolean(currentRound.calibration_exclude_evaluations),
           status: 'draft',
         });
-        const updatedRounds = [...rounds, newRound];
+        let createdRound = newRound;
+        if (templateId && currentRound.round_type !== RoundTypes.PAIRWISE) {
+          await criteriaLibraryService.applyTemplate(newRound.id, templateId, syncWithLibrary);
+          const template = templates.find(t => t.id === templateId);
+          createdRound = {
+            ...newRound,
+            criterion_groups: template.criterion_groups,
+            selection_mode: template.selection_mode || newRound.selection_mode,
+            selection_params: template.selection_params || newRound.selection_params,
+            normalization_method: template.normalization_method || newRound.normalization_method,
+          };
+        }
+        const updatedRounds = [...rounds, createdRound];
         updatedRounds.sort((a, b) => a.round_number - b.round_number);
         onRoundsChange(updatedRounds);
       }
@@ -224,10 +284,8 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
     }
   };
 
-  const handleAutoAssignTeams = async (roundId) => {
-    const roundJudgeList = (roundJudges[roundId] || []).map(a => a.judge);
-
-    if (roundJudgeList.length === 0) {
+  const handleOpenPlanner = (round) => {
+    if ((roundJudges[round.id] || []).length === 0) {
       alert("Please assign judges to this round first.");
       return;
     }
@@ -237,24 +295,7 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
       return;
     }
 
-    setLoading(true);
-    try {
-      await roundService.autoAssignJudgesToRound(roundId, roundJudgeList, teams);
-
-      // Reload team assignments
-      const teamData = await roundService.getJudgeTeamAssignmentsForRound(roundId);
-      setRoundTeamAssignments(prev => ({
-        ...prev,
-        [roundId]: teamData
-      }));
-
-      alert("Teams have been auto-assigned to judges for this round!");
-    } catch (err) {
-      console.error("Error auto-assigning teams:", err);
-      setError(err.message || "Failed to auto-assign teams");
-    } finally {
-      setLoading(false);
-    }
+    setPlanningRound(round);
   };
 
   const getStatusActions = (round) => {
@@ -322,6 +363,17 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
         >
           Create Round
         </Button>
+        {organizationId && (
+          <Button
+            variant="outlined"
+            startIcon={<LibraryIcon />}
+            onClick={() => setShowLibrary(true)}
+            sx={{ ml: 1 }}
+          >
+            Criteria Library
+          </Button>
+        )}
+        <Box sx={{ flex: 1 }} />
 
         <Box sx={{ display: 'flex', gap: 2 }}>
           <Chip label={`${rounds.length} Rounds`} color="primary" />
@@ -367,6 +419,9 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
                       color={ROUND_STATUS_COLORS[round.status] || 'default'}
                       size="small"
                     />
+                    {round.round_type === RoundTypes.PAIRWISE && (
+                      <Chip label="Pairwise" size="small" color="secondary" variant="outlined" />
+                    )}
                     <Chip
                       icon={<PeopleIcon />}
                       label={`${assignedJudges.length} judges`}
@@ -393,7 +448,7 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
                       variant="outlined"
                       startIcon={<SettingsIcon />}
                       onClick={() => setCriteriaRound(round)}
-                      disabled={loading}
+                      disabled={loading || round.round_type === RoundTypes.PAIRWISE}
                     >
                       Criteria ({roundCriteriaCounts[round.id] || 0})
                     </Button>
@@ -413,10 +468,20 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
                       variant="outlined"
                       color="success"
                       startIcon={<AssignmentIcon />}
-                      onClick={() => handleAutoAssignTeams(round.id)}
+                      onClick={() => handleOpenPlanner(round)}
                       disabled={loading || assignedJudges.length === 0 || round.status === 'completed'}
                     >
-                      Auto-Assign Teams
+                      Assign Teams
+                    </Button>
+
+                    <Button
+                      size="small"
+                      variant="outlined"
+                      startIcon={<ScheduleIcon />}
+                      onClick={() => setScheduleRound(round)}
+                      disabled={loading || teamAssignments.length === 0 || round.status === 'completed'}
+                    >
+                      Pitch Schedule
                     </Button>
 
                     <Button
@@ -463,6 +528,13 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
                           id: round.id,
                           name: round.name,
                           round_number: round.round_number,
+                          status: round.status,
+                          round_type: round.round_type || RoundTypes.SCORED,
+                          comparisons_per_judge: round.comparisons_per_judge || DEFAULT_COMPARISONS_PER_JUDGE,
+                          ranking_style: round.ranking_style || RankingStyles.STANDARD,
+                          calibration_team_ids: round.calibration_team_ids || [],
+                          calibration_apply_offsets: round.calibration_apply_offsets || false,
+                          calibration_exclude_evaluations: round.calibration_exclude_evaluations || false,
                         });
                         setError(null);
                         setOpenDialog(true);
@@ -521,7 +593,7 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
                             <TableRow>
                               <TableCell sx={{ fontWeight: 600 }}>Judge</TableCell>
                               <TableCell sx={{ fontWeight: 600 }}>Team</TableCell>
-                              <TableCell sx={{ fontWeight: 600 }}>Category</TableCell>
+                              <TableCell sx={{ fontWeight: 600 }}>Track</TableCell>
                             </TableRow>
                           </TableHead>
                           <TableBody>
@@ -531,9 +603,10 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
                                 <TableCell>{assignment.team?.name || 'Unknown'}</TableCell>
                                 <TableCell>
                                   <Chip
-                                    label={assignment.team?.category_id || 'N/A'}
+                                    label={assignment.team?.track?.name || 'No track'}
                                     size="small"
                                     variant="outlined"
+                                    sx={assignment.team?.track ? { borderColor: assignment.team.track.color, color: assignment.team.track.color } : undefined}
                                   />
                                 </TableCell>
                               </TableRow>
@@ -579,6 +652,109 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
             required
             disabled={loading}
           />
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Round Type</InputLabel>
+            <Select
+              label="Round Type"
+              value={currentRound.round_type || RoundTypes.SCORED}
+              onChange={(e) => setCurrentRound({ ...currentRound, round_type: e.target.value })}
+              disabled={loading || (currentRound.id && currentRound.status !== 'draft')}
+            >
+              <MenuItem value={RoundTypes.SCORED}>Scored (criteria)</MenuItem>
+              <MenuItem value={RoundTypes.PAIRWISE}>Pairwise comparison</MenuItem>
+            </Select>
+          </FormControl>
+          {currentRound.round_type === RoundTypes.PAIRWISE && (
+            <TextField
+              fullWidth
+              label="Comparisons per Judge"
+              type="number"
+              value={currentRound.comparisons_per_judge}
+              onChange={(e) => setCurrentRound({ ...currentRound, comparisons_per_judge: parseInt(e.target.value) })}
+              margin="normal"
+              helperText="Judges are shown pairs of teams and pick the better one. Ranks come from a Bradley–Terry fit."
+              disabled={loading}
+            />
+          )}
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Tied Ranks</InputLabel>
+            <Select
+              label="Tied Ranks"
+              value={currentRound.ranking_style || RankingStyles.STANDARD}
+              onChange={(e) => setCurrentRound({ ...currentRound, ranking_style: e.target.value })}
+              disabled={loading}
+            >
+              <MenuItem value={RankingStyles.STANDARD}>Standard (1, 2, 2, 4)</MenuItem>
+              <MenuItem value={RankingStyles.DENSE}>Dense (1, 2, 2, 3)</MenuItem>
+              <MenuItem value={RankingStyles.MODIFIED}>Modified (1, 3, 3, 4)</MenuItem>
+              <MenuItem value={RankingStyles.FRACTIONAL}>Fractional (1, 2.5, 2.5, 4)</MenuItem>
+            </Select>
+          </FormControl>
+          {currentRound.round_type !== RoundTypes.PAIRWISE && (
+            <>
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Calibration Samples</InputLabel>
+                <Select
+                  multiple
+                  label="Calibration Samples"
+                  value={currentRound.calibration_team_ids || []}
+                  onChange={(e) => setCurrentRound({
+                    ...currentRound,
+                    calibration_team_ids: e.target.value.slice(0, MAX_CALIBRATION_SAMPLES)
+                  })}
+                  renderValue={(selected) => selected
+                    .map(teamId => teams.find(t => t.id === teamId)?.name || teamId)
+                    .join(', ')}
+                  disabled={loading || (currentRound.id && currentRound.status !== 'draft')}
+                >
+                  {teams.map((team) => (
+                    <MenuItem key={team.id} value={team.id}>
+                      <Checkbox checked={(currentRound.calibration_team_ids || []).includes(team.id)} />
+                      <ListItemText primary={team.name} secondary={team.project_title} />
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Typography variant="caption" color="textSecondary" sx={{ display: 'block', mb: 1 }}>
+                Pick 2–{MAX_CALIBRATION_SAMPLES} projects every judge scores before judging starts. Leave empty to skip calibration.
+              </Typography>
+              {(currentRound.calibration_team_ids || []).length > 0 && (
+                <Box sx={{ display: 'flex', flexDirection: 'column' }}>
+                  <FormControlLabel
+                    control={
+                      <Checkbox
+                        checked={Boolean(currentRound.calibration_apply_offsets)}
+                        onChange={(e) => setCurrentRound({ ...currentRound, calibration_apply_offsets: e.target.checked })}
+                        disabled={loading}
+                      />
+                    }
+                    label="Subtract each judge's calibration offset when computing"
+                  />
+                  <FormControlLabel
+                    control={
+                      <Checkbox
+                        checked={Boolean(currentRound.calibration_exclude_evaluations)}
+                        onChange={(e) => setCurrentRound({ ...currentRound, calibration_exclude_evaluations: e.target.checked })}
+                        disabled={loading}
+                      />
+                    }
+                    label="Leave calibration scores out of the round's results"
+                  />
+                </Box>
+              )}
+            </>
+          )}
+          {!currentRound.id && currentRound.round_type !== RoundTypes.PAIRWISE && templates.length > 0 && (
+            <RoundTemplatePicker
+              templates={templates}
+              templateId={templateId}
+              onTemplateChange={setTemplateId}
+              syncWithLibrary={syncWithLibrary}
+              onSyncChange={setSyncWithLibrary}
+              disabled={loading}
+              allowNone
+            />
+          )}
         </DialogContent>
         <DialogActions sx={{ p: 3, pt: 2, gap: 1 }}>
           <Button onClick={() => setOpenDialog(false)} disabled={loading}>
@@ -645,7 +821,7 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
                   <Checkbox checked={selectedJudges.indexOf(judge.id) > -1} />
                   <ListItemText
                     primary={judge.name}
-                    secondary={`${judge.email} • ${judge.category || 'No category'}`}
+                    secondary={`${judge.email} • ${tracks.filter(t => (judge.track_ids || []).includes(t.id)).map(t => t.name).join(', ') || 'All tracks'}`}
                   />
                 </MenuItem>
               ))}
@@ -687,10 +863,19 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
       {criteriaRound && (
         <RoundCriteriaManager
           round={criteriaRound}
+          organizationId={organizationId}
           onClose={() => setCriteriaRound(null)}
         />
       )}
 
+      {/* Criteria Library Dialog */}
+      {showLibrary && (
+        <CriteriaLibraryDialog
+          organizationId={organizationId}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
       {/* Results Panel Dialog */}
       {resultsRound && (
         <RoundResultsPanel
@@ -709,6 +894,34 @@ function RoundsTab({ rounds, onRoundsChange, eventId, judges = [], teams = [] })
         />
       )}
 
+      {/* Team Assignment Planner Dialog */}
+      {planningRound && (
+        <AssignmentPlanner
+          round={planningRound}
+          judges={(roundJudges[planningRound.id] || []).map(a => a.judge).filter(Boolean)}
+          teams={teams}
+          onClose={() => setPlanningRound(null)}
+          onSaved={(teamData) => setRoundTeamAssignments(prev => ({
+            ...prev,
+            [planningRound.id]: teamData
+          }))}
+        />
+      )}
+
+      {/* Pitch Schedule Dialog */}
+      {scheduleRound && (
+        <PitchScheduler
+          round={scheduleRound}
+          judges={(roundJudges[scheduleRound.id] || []).map(a => a.judge).filter(Boolean)}
+          teams={teams}
+          venues={venues}
+          onClose={() => setScheduleRound(null)}
+          onSaved={(settings) => onRoundsChange(rounds.map(r => (
+            r.id === scheduleRound.id ? { ...r, schedule_settings: settings } : r
+          )))}
+        />
+      )}
+
       {/* Judge Progress Dashboard Dialog */}
       {progressRound && (
         <JudgeProgressDashboard
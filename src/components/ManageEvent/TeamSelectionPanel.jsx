@@ -25,12 +25,15 @@ import {
   TextField,
   Tabs,
   Tab,
+  Tooltip,
 } from "@mui/material";
 import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import CancelIcon from '@mui/icons-material/Cancel';
 import AutoIcon from '@mui/icons-material/AutoAwesome';
+import WarningIcon from '@mui/icons-material/Warning';
 import { getRoundResults } from "../../services/computeRoundService";
+import { topKProbability, isCutoffFragile } from "../../services/normalizationService";
 import { 
   selectPerJudgeTopN, 
   selectGlobalTopK, 
@@ -56,6 +59,14 @@ function TeamSelectionPanel({ round, rounds, onClose, onRefresh }) {
 
   const nextRounds = rounds.filter(r => r.round_number > round.round_number);
 
+  // Cutoff used for the fragility check: the current selection size, or the
+  // configured top K before anything is selected
+  const cutoff = selectedTeams.length || autoConfig.topK;
+  const hasRankIntervals = results.some(r => r.rank_interval);
+  const fragileCount = results.filter(
+    r => isCutoffFragile(r.rank_interval?.rank_distribution, cutoff)
+  ).length;
+
   useEffect(() => {
     loadResults();
   }, [round.id]);
@@ -65,7 +76,8 @@ function TeamSelectionPanel({ round, rounds, onClose, onRefresh }) {
     setError(null);
     try {
       const data = await getRoundResults(round.id);
-      setResults(data);
+      // Teams that failed a pass/fail gate cannot advance
+      setResults(data.filter(r => r.is_eligible));
     } catch (err) {
       console.error("Error loading results:", err);
       setError("Failed to load results. Please compute results first.");
@@ -292,6 +304,14 @@ function TeamSelectionPanel({ round, rounds, onClose, onRefresh }) {
               </Box>
             </Box>
 
+            {fragileCount > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {fragileCount} team{fragileCount === 1 ? '' : 's'} land on the other side of the
+                top {cutoff} cutoff in a meaningful share of bootstrap resamples. Their selection
+                is statistically fragile; consider a closer review before promoting.
+              </Alert>
+            )}
+
             <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 400 }}>
               <Table size="small" stickyHeader>
                 <TableHead>
@@ -304,15 +324,24 @@ function TeamSelectionPanel({ round, rounds, onClose, onRefresh }) {
                       />
                     </TableCell>
                     <TableCell sx={{ fontWeight: 600, bgcolor: '#f8fafc' }}>Rank</TableCell>
+                    {hasRankIntervals && (
+                      <TableCell sx={{ fontWeight: 600, bgcolor: '#f8fafc' }}>Rank (95% CI)</TableCell>
+                    )}
                     <TableCell sx={{ fontWeight: 600, bgcolor: '#f8fafc' }}>Team</TableCell>
                     <TableCell sx={{ fontWeight: 600, bgcolor: '#f8fafc' }}>Category</TableCell>
                     <TableCell sx={{ fontWeight: 600, bgcolor: '#f8fafc' }}>Percentile</TableCell>
+                    {hasRankIntervals && (
+                      <TableCell sx={{ fontWeight: 600, bgcolor: '#f8fafc' }}>P(Top {cutoff})</TableCell>
+                    )}
                     <TableCell sx={{ fontWeight: 600, bgcolor: '#f8fafc' }}>Status</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
                   {results.map((result) => {
                     const isSelected = selectedTeams.includes(result.team_id);
+                    const interval = result.rank_interval;
+                    const topProbability = topKProbability(interval?.rank_distribution, cutoff);
+                    const isFragile = isCutoffFragile(interval?.rank_distribution, cutoff);
                     return (
                       <TableRow 
                         key={result.team_id}
@@ -333,6 +362,15 @@ function TeamSelectionPanel({ round, rounds, onClose, onRefresh }) {
                             color={result.rank <= 3 ? 'primary' : 'default'}
                           />
                         </TableCell>
+                        {hasRankIntervals && (
+                          <TableCell sx={{ color: '#64748b' }}>
+                            {interval ? (
+                              interval.rank_lower === interval.rank_upper
+                                ? interval.rank_lower
+                                : `${interval.rank_lower}–${interval.rank_upper}`
+                            ) : '-'}
+                          </TableCell>
+                        )}
                         <TableCell sx={{ fontWeight: 500 }}>
                           {result.team_name}
                         </TableCell>
@@ -342,6 +380,24 @@ function TeamSelectionPanel({ round, rounds, onClose, onRefresh }) {
                         <TableCell>
                           {result.percentile?.toFixed(0)}%
                         </TableCell>
+                        {hasRankIntervals && (
+                          <TableCell>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                              {topProbability !== null ? `${(topProbability * 100).toFixed(0)}%` : '-'}
+                              {isFragile && (
+                                <Tooltip title={`Lands inside the top ${cutoff} in only ${(topProbability * 100).toFixed(0)}% of resamples`}>
+                                  <Chip
+                                    icon={<WarningIcon />}
+                                    label="Fragile"
+                                    size="small"
+                                    color="warning"
+                                    variant="outlined"
+                                  />
+                                </Tooltip>
+                              )}
+                            </Box>
+                          </TableCell>
+                        )}
                         <TableCell>
                           {isSelected ? (
                             <Chip 
@@ -1,5 +1,6 @@
 import React, { useState, useRef } from "react";
 import { eventService } from "../../services/eventService";
+import { trackService, findTrackByName, TRACK_COLORS } from "../../services/trackService";
 import * as XLSX from "xlsx";
 import {
   Box,
@@ -19,6 +20,10 @@ import {
   IconButton,
   Chip,
   Typography,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
 } from "@mui/material";
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
@@ -26,14 +31,15 @@ import DeleteIcon from '@mui/icons-material/Delete';
 import DownloadIcon from '@mui/icons-material/Download';
 import UploadIcon from '@mui/icons-material/Upload';
 
-function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId }) {
+function TeamsTab({ teams = [], venues = [], tracks = [], onTeamsChange = () => { }, onTracksChange = () => { }, eventId }) {
   const [openDialog, setOpenDialog] = useState(false);
   const [currentTeam, setCurrentTeam] = useState({
     name: "",
     projectTitle: "",
     leaderName: "",
     leaderEmail: "",
-    categoryId: "",
+    trackId: "",
+    venueId: "",
   });
 
   const fileInputRef = useRef(null);
@@ -47,7 +53,8 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
       projectTitle: "",
       leaderName: "",
       leaderEmail: "",
-      categoryId: "",
+      trackId: "",
+      venueId: "",
     });
     setOpenDialog(true);
   };
@@ -62,7 +69,8 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
       const teamData = {
         event_id: eventId,
         name: currentTeam.name,
-        category_id: currentTeam.categoryId || '',
+        track_id: currentTeam.trackId || null,
+        venue_id: currentTeam.venueId || null,
         project_title: currentTeam.projectTitle || '',
         project_description: currentTeam.projectDescription || '',
         members: [{
@@ -87,6 +95,8 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
     }
   };
 
+  const trackName = (team) => tracks.find(t => t.id === team.track_id)?.name;
+
   const handleDeleteTeam = async (teamId) => {
     if (window.confirm("Are you sure you want to delete this team?")) {
       try {
@@ -141,7 +151,7 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
       yPosition += 6;
       doc.text(`Leader: ${team.leaderName} (${team.leaderEmail})`, 20, yPosition);
       yPosition += 6;
-      doc.text(`Category: ${team.categoryId || "N/A"}`, 20, yPosition);
+      doc.text(`Track: ${trackName(team) || "N/A"}`, 20, yPosition);
       doc.setFontSize(12);
     });
     doc.save("teams.pdf");
@@ -156,7 +166,7 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
       }
       return strCell;
     };
-    const headers = ["Team Name", "Project Title", "Leader Name", "Leader Email", "Category"];
+    const headers = ["Team Name", "Project Title", "Leader Name", "Leader Email", "Track"];
     const csvRows = [
       headers.join(','),
       ...teams.map(team => [
@@ -164,7 +174,7 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
         escapeCsvCell(team.projectTitle),
         escapeCsvCell(team.leaderName),
         escapeCsvCell(team.leaderEmail),
-        escapeCsvCell(team.categoryId || 'N/A'),
+        escapeCsvCell(trackName(team) || 'N/A'),
       ].join(','))
     ];
     const csvContent = '\uFEFF' + csvRows.join('\n');
@@ -238,12 +248,12 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
           contactemail: 'leaderEmail',
           emailaddress: 'leaderEmail',
 
-          // Category variations
-          category: 'categoryId',
-          cat: 'categoryId',
-          track: 'categoryId',
-          stream: 'categoryId',
-          domain: 'categoryId'
+          // Track variations
+          category: 'trackName',
+          cat: 'trackName',
+          track: 'trackName',
+          stream: 'trackName',
+          domain: 'trackName'
         };
 
         const extractRowData = (row) => {
@@ -252,7 +262,7 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
             projectTitle: '',
             leaderName: '',
             leaderEmail: '',
-            categoryId: '',
+            trackName: '',
           };
 
           for (const [key, value] of Object.entries(row)) {
@@ -281,31 +291,25 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
         if (validTeams.length > 0) {
           const importTeams = async () => {
             // Show loading state could be added here
+            const eventTracks = [...tracks];
             try {
               const createdTeams = [];
               for (const teamData of validTeams) {
-                // Validate category against DB constraint
-                const allowedCategories = ['software', 'hardware', 'Software', 'Hardware'];
-                let cleanCategory = teamData.categoryId ? teamData.categoryId.trim() : null;
-
-                // If category provided but not allowed, default to null (or we could try to map case-insensitively)
-                if (cleanCategory && !allowedCategories.includes(cleanCategory)) {
-                  // Try title case map
-                  const lower = cleanCategory.toLowerCase();
-                  if (lower === 'software') cleanCategory = 'Software';
-                  else if (lower === 'hardware') cleanCategory = 'Hardware';
-                  else {
-                    console.warn(`Category '${cleanCategory}' is not allowed. Supported: Software, Hardware. Setting to null.`);
-                    cleanCategory = null;
-                  }
-                } else if (cleanCategory === '') {
-                  cleanCategory = null;
+                // Unknown track names become new tracks
+                let track = findTrackByName(eventTracks, teamData.trackName);
+                if (!track && teamData.trackName && teamData.trackName.trim()) {
+                  track = await trackService.createTrack(eventId, {
+                    name: teamData.trackName.trim(),
+                    color: TRACK_COLORS[eventTracks.length % TRACK_COLORS.length],
+                    display_order: eventTracks.length
+                  });
+                  eventTracks.push(track);
                 }
 
                 const newTeam = await eventService.createTeam({
                   event_id: eventId,
                   name: teamData.name,
-                  category_id: cleanCategory,
+                  track_id: track?.id || null,
                   project_title: teamData.projectTitle || '',
                   project_description: '',
                   members: [{
@@ -319,6 +323,7 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
 
               const updatedTeams = await eventService.getTeamsByEvent(eventId);
               onTeamsChange(updatedTeams);
+              if (eventTracks.length > tracks.length) onTracksChange(eventTracks);
               alert(`Successfully imported ${createdTeams.length} team(s)`);
             } catch (error) {
               console.error('Error importing teams:', error);
@@ -327,10 +332,8 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
               let errorMessage = 'Failed to import some teams.';
               if (error.message) {
                 errorMessage += `\n\nServer Error: ${error.message}`;
-                if (error.message.includes('violates check constraint')) {
-                  errorMessage += `\n\nHint: Check if your 'Category' column contains values other than 'Software' or 'Hardware'.`;
-                }
               }
+              if (eventTracks.length > tracks.length) onTracksChange(eventTracks);
               alert(errorMessage);
             }
           };
@@ -472,7 +475,7 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
               <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Project Title</TableCell>
               <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Leader Name</TableCell>
               <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Leader Email</TableCell>
-              <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Category</TableCell>
+              <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Track</TableCell>
               <TableCell align="right" sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Actions</TableCell>
             </TableRow>
           </TableHead>
@@ -486,13 +489,16 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
             ) : (
               teams.map((team) => {
                 const leader = team.members && team.members.length > 0 ? team.members[0] : {};
+                const track = tracks.find(t => t.id === team.track_id);
                 return (
                   <TableRow key={team.id} sx={{ "&:hover": { backgroundColor: "#f8fafc" } }}>
                     <TableCell sx={{ color: "#334155", fontWeight: 500 }}>{team.name}</TableCell>
                     <TableCell sx={{ color: "#334155" }}>{team.project_title || "-"}</TableCell>
                     <TableCell sx={{ color: "#334155" }}>{leader.name || team.leaderName || "-"}</TableCell>
                     <TableCell sx={{ color: "#334155" }}>{leader.email || team.leaderEmail || "-"}</TableCell>
-                    <TableCell sx={{ color: "#334155" }}>{team.category_id || team.categoryId || "Not assigned"}</TableCell>
+                    <TableCell sx={{ color: "#334155" }}>
+                      {track ? <Chip label={track.name} size="small" sx={{ backgroundColor: track.color, color: "white" }} /> : "Not assigned"}
+                    </TableCell>
                     <TableCell align="right">
                       <IconButton
                         size="small"
@@ -504,7 +510,8 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
                             projectDescription: team.project_description || team.projectDescription || '',
                             leaderName: leader.name || team.leaderName || '',
                             leaderEmail: leader.email || team.leaderEmail || '',
-                            categoryId: team.category_id || team.categoryId || ''
+                            trackId: team.track_id || '',
+                            venueId: team.venue_id || ''
                           };
                           setCurrentTeam(editTeam);
                           setOpenDialog(true);
@@ -536,7 +543,26 @@ function TeamsTab({ teams = [], venues = [], onTeamsChange = () => { }, eventId
           <TextField fullWidth label="Project Title" value={currentTeam.projectTitle || ''} onChange={(e) => setCurrentTeam({ ...currentTeam, projectTitle: e.target.value })} margin="normal" />
           <TextField fullWidth label="Team Leader Name" value={currentTeam.leaderName} onChange={(e) => setCurrentTeam({ ...currentTeam, leaderName: e.target.value })} margin="normal" required />
           <TextField fullWidth label="Team Leader Email" type="email" value={currentTeam.leaderEmail} onChange={(e) => setCurrentTeam({ ...currentTeam, leaderEmail: e.target.value })} margin="normal" required />
-          <TextField fullWidth label="Category" value={currentTeam.categoryId || ''} onChange={(e) => setCurrentTeam({ ...currentTeam, categoryId: e.target.value })} margin="normal" placeholder="e.g. Software, Hardware, FinTech" />
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Track</InputLabel>
+            <Select label="Track" value={currentTeam.trackId || ''} onChange={(e) => setCurrentTeam({ ...currentTeam, trackId: e.target.value })}>
+              <MenuItem value="">No track</MenuItem>
+              {tracks.map(track => (
+                <MenuItem key={track.id} value={track.id}>{track.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {venues.length > 0 && (
+            <FormControl fullWidth margin="normal">
+              <InputLabel>Venue</InputLabel>
+              <Select label="Venue" value={currentTeam.venueId || ''} onChange={(e) => setCurrentTeam({ ...currentTeam, venueId: e.target.value })}>
+                <MenuItem value="">No venue</MenuItem>
+                {venues.map(venue => (
+                  <MenuItem key={venue.id} value={venue.id}>{venue.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
         </DialogContent>
         <DialogActions sx={{ p: 3, pt: 2, gap: 1 }}>
           <Button onClick={() => setOpenDialog(false)} sx={{ textTransform: "none", color: "#7c3aed", fontWeight: 600, px: 3, py: 1.2, borderRadius: "10px", background: "rgba(124, 58, 237, 0.08)", "&:hover": { background: "rgba(124, 58, 237, 0.15)" } }}>
@@ -0,0 +1,111 @@
+import { useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import CategoryIcon from '@mui/icons-material/CategoryOutlined';
+import { computeTrackLeaderboards } from "../../services/computeRoundService";
+
+/**
+ * A round's teams ranked within each track, computed on demand with the
+ * tracks' criteria weight overrides
+ */
+function TrackLeaderboards({ roundId }) {
+  const [boards, setBoards] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadBoards = async () => {
+    setLoading(true);
+    setError(null);
+    const result = await computeTrackLeaderboards(roundId);
+    if (result.success) {
+      setBoards(result.tracks);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mt: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: boards ? 2 : 0 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 600, display: 'flex', alignItems: 'center', gap: 1 }}>
+          <CategoryIcon sx={{ color: '#7c3aed' }} />
+          Track Leaderboards
+        </Typography>
+        <Button
+          size="small"
+          variant="outlined"
+          onClick={loadBoards}
+          disabled={loading}
+          startIcon={loading ? <CircularProgress size={16} /> : null}
+        >
+          {boards ? "Refresh" : "Compute Track Leaderboards"}
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+
+      {boards && boards.map(board => (
+        <Box key={board.track_id} sx={{ mb: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            <Box sx={{ width: 12, height: 12, borderRadius: '50%', bgcolor: board.color }} />
+            <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>{board.track_name}</Typography>
+            <Typography variant="caption" color="textSecondary">
+              {board.results.length} ranked
+            </Typography>
+            {board.ineligible_teams.length > 0 && (
+              <Tooltip title={board.ineligible_teams.map(t => t.team_name).join(', ')}>
+                <Chip label={`${board.ineligible_teams.length} ineligible`} size="small" color="warning" />
+              </Tooltip>
+            )}
+          </Box>
+
+          {board.results.length === 0 ? (
+            <Typography variant="body2" color="textSecondary" sx={{ pl: 2.5 }}>
+              No submitted evaluations for this track's teams yet.
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow sx={{ bgcolor: '#f8fafc' }}>
+                    <TableCell sx={{ fontWeight: 600, width: 80 }}>Rank</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Team</TableCell>
+                    <TableCell sx={{ fontWeight: 600, width: 120 }}>Score</TableCell>
+                    <TableCell sx={{ fontWeight: 600, width: 120 }}>Percentile</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {board.results.map(result => (
+                    <TableRow key={result.team_id}>
+                      <TableCell sx={{ fontWeight: result.rank <= 3 ? 700 : 400 }}>{result.rank}</TableCell>
+                      <TableCell>{result.team_name || 'Unknown Team'}</TableCell>
+                      <TableCell>{result.aggregated_z?.toFixed(3)}</TableCell>
+                      <TableCell>{result.percentile?.toFixed(0)}%</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Box>
+      ))}
+    </Paper>
+  );
+}
+
+export default TrackLeaderboards;
@@ -15,12 +15,15 @@ import {
   DialogActions,
   TextField,
   IconButton,
+  Tooltip,
   CircularProgress,
   Alert,
 } from "@mui/material";
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
+import CampaignIcon from '@mui/icons-material/Campaign';
+import TvIcon from '@mui/icons-material/Tv';
 import { eventService } from "../../services/eventService";
 
 function VenuesTab({ venues, onVenuesChange, eventId }) {
@@ -155,6 +158,28 @@ function VenuesTab({ venues, onVenuesChange, eventId }) {
                   <TableCell sx={{ color: "#334155" }}>{venue.capacity}</TableCell>
                   <TableCell sx={{ color: "#334155" }}>{venue.notes}</TableCell>
                   <TableCell align="right">
+                    <Tooltip title="Stage controller">
+                      <IconButton
+                        size="small"
+                        href={`/stage/${venue.id}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        sx={{ color: "#10b981", "&:hover": { backgroundColor: "#ecfdf5" } }}
+                      >
+                        <CampaignIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Venue display">
+                      <IconButton
+                        size="small"
+                        href={`/stage/${venue.id}/display`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        sx={{ color: "#64748b", "&:hover": { backgroundColor: "#f1f5f9" } }}
+                      >
+                        <TvIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
                     <IconButton
                       size="small"
                       onClick={() => {
@@ -0,0 +1,112 @@
+/**
+ * Organization Criteria Limit
+ * Default number of criteria a round may have, for every round of the
+ * organization that does not set its own limit
+ */
+
+import React, { useState, useEffect } from 'react';
+import { roundService, DEFAULT_MAX_CRITERIA_PER_ROUND } from '../services/roundService';
+
+function OrganizationCriteriaLimit({ organizationId }) {
+  const [limit, setLimit] = useState(DEFAULT_MAX_CRITERIA_PER_ROUND);
+  const [saved, setSaved] = useState(DEFAULT_MAX_CRITERIA_PER_ROUND);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!organizationId) return;
+    roundService.getOrganizationCriteriaLimit(organizationId)
+      .then(value => {
+        setLimit(value);
+        setSaved(value);
+      })
+      .catch(err => console.error('Error loading criteria limit:', err));
+  }, [organizationId]);
+
+  const handleSave = async () => {
+    const value = parseInt(limit, 10);
+    if (!(value > 0)) {
+      setMessage({ error: true, text: 'The limit must be at least 1' });
+      return;
+    }
+
+    setSaving(true);
+    setMessage(null);
+    try {
+      const updated = await roundService.updateOrganizationCriteriaLimit(organizationId, value);
+      setLimit(updated);
+      setSaved(updated);
+      setMessage({ error: false, text: 'Saved' });
+    } catch (err) {
+      console.error('Error saving criteria limit:', err);
+      setMessage({ error: true, text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={cardStyle}>
+      <div>
+        <div style={{ fontWeight: '600', color: '#1e3a5f' }}>Criteria per round</div>
+        <div style={{ color: '#6b7280', fontSize: '13px', marginTop: '4px' }}>
+          Default limit for this organization's rounds. A round can still set its own limit.
+        </div>
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+        <input
+          type="number"
+          min="1"
+          value={limit}
+          onChange={(e) => setLimit(e.target.value)}
+          style={inputStyle}
+        />
+        <button
+          onClick={handleSave}
+          disabled={saving || String(limit) === String(saved)}
+          style={saveBtnStyle}
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        {message && (
+          <span style={{ fontSize: '13px', color: message.error ? '#dc2626' : '#10b981' }}>
+            {message.text}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const cardStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'space-between',
+  flexWrap: 'wrap',
+  gap: '16px',
+  background: '#fff',
+  padding: '20px',
+  borderRadius: '12px',
+  boxShadow: '0 1px 3px rgba(0,0,0,0.1)'
+};
+
+const inputStyle = {
+  width: '80px',
+  padding: '10px 12px',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  fontSize: '14px'
+};
+
+const saveBtnStyle = {
+  padding: '10px 20px',
+  background: '#2563eb',
+  color: '#fff',
+  border: 'none',
+  borderRadius: '8px',
+  fontSize: '14px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+export default OrganizationCriteriaLimit;
@@ -0,0 +1,228 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Typography,
+  Alert,
+  Chip,
+  CircularProgress,
+  Tooltip,
+} from "@mui/material";
+import ExportIcon from '@mui/icons-material/FileDownload';
+import { computeEventStandings } from "../services/computeRoundService";
+import { eventService } from "../services/eventService";
+import { audienceVoteService } from "../services/audienceVoteService";
+import { exportEventStandingsCSV, exportEventStandingsPDF, downloadFile, downloadPDF } from "../services/exportService";
+
+/**
+ * Overall event standings: every computed round's percentiles combined with
+ * the rounds' carry-over weights, plus the audience vote when it has a
+ * weight. Weights can be previewed before saving.
+ */
+function OverallStandingsPanel({ eventId }) {
+  const [standings, setStandings] = useState(null);
+  const [weights, setWeights] = useState({});
+  const [audienceWeight, setAudienceWeight] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadStandings();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [eventId]);
+
+  const loadStandings = async (previewWeights, previewAudienceWeight) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await computeEventStandings(eventId, {
+        weights: previewWeights,
+        audienceWeight: previewAudienceWeight
+      });
+      if (!result.success) {
+        setError(result.error);
+        setStandings(null);
+        return;
+      }
+      setStandings(result);
+      if (!previewWeights) {
+        setWeights(Object.fromEntries(result.rounds.map(round => [round.round_id, round.weight])));
+        setAudienceWeight(result.audience?.weight ?? 0);
+      }
+    } catch (err) {
+      console.error("Error loading overall standings:", err);
+      setError("Failed to load overall standings");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const parsedWeights = () => Object.fromEntries(
+    Object.entries(weights).map(([roundId, weight]) => [roundId, Math.max(parseFloat(weight) || 0, 0)])
+  );
+  const parsedAudienceWeight = () => Math.max(parseFloat(audienceWeight) || 0, 0);
+
+  const handleSaveWeights = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const newWeights = parsedWeights();
+      await Promise.all([
+        ...Object.entries(newWeights).map(([roundId, weight]) =>
+          eventService.updateRound(roundId, { final_weight: weight })
+        ),
+        audienceVoteService.updateVotingSettings(eventId, { audience_vote_weight: parsedAudienceWeight() })
+      ]);
+      setSuccess('Round weights saved');
+      await loadStandings();
+    } catch (err) {
+      console.error("Error saving round weights:", err);
+      setError(`Failed to save weights: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExportCSV = async () => {
+    const result = await exportEventStandingsCSV(eventId);
+    if (result.success) {
+      downloadFile(result.csv, result.filename, 'text/csv');
+    } else {
+      setError(`Export failed: ${result.error}`);
+    }
+  };
+
+  const handleExportPDF = async () => {
+    const result = await exportEventStandingsPDF(eventId);
+    if (result.success) {
+      downloadPDF(result.pdf, result.filename);
+    } else {
+      setError(`Export failed: ${result.error}`);
+    }
+  };
+
+  const weightTotal = Object.values(parsedWeights()).reduce((sum, w) => sum + w, 0) + parsedAudienceWeight();
+
+  if (loading && !standings) {
+    return <Box sx={{ p: 4, textAlign: 'center' }}><CircularProgress /></Box>;
+  }
+
+  if (!standings) {
+    return <Alert severity="info">{error || 'No computed rounds yet.'}</Alert>;
+  }
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>{success}</Alert>}
+
+      <Paper sx={{ p: 3, mb: 3, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+        <Typography variant="h6" sx={{ fontWeight: 600, mb: 1 }}>Round Weights</Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          Each team's final score is the weighted mean of its round percentiles
+          (and its audience vote percentile, if weighted).
+          Teams that reached a later round always place above teams eliminated earlier.
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+          {standings.rounds.map(round => (
+            <TextField
+              key={round.round_id}
+              label={round.round_name}
+              type="number"
+              size="small"
+              value={weights[round.round_id] ?? ''}
+              onChange={(e) => setWeights({ ...weights, [round.round_id]: e.target.value })}
+              inputProps={{ min: 0, step: 0.1 }}
+              helperText={weightTotal > 0
+                ? `${((parsedWeights()[round.round_id] / weightTotal) * 100).toFixed(0)}%`
+                : '—'}
+              sx={{ width: 140, bgcolor: 'white' }}
+            />
+          ))}
+          <TextField
+            label="Audience Vote"
+            type="number"
+            size="small"
+            value={audienceWeight}
+            onChange={(e) => setAudienceWeight(e.target.value)}
+            inputProps={{ min: 0, step: 0.1 }}
+            helperText={weightTotal > 0
+              ? `${((parsedAudienceWeight() / weightTotal) * 100).toFixed(0)}%`
+              : '—'}
+            sx={{ width: 140, bgcolor: 'white' }}
+          />
+          <Button variant="outlined" onClick={() => loadStandings(parsedWeights(), parsedAudienceWeight())} disabled={loading || saving}>
+            Preview
+          </Button>
+          <Button variant="contained" onClick={handleSaveWeights} disabled={loading || saving}>
+            {saving ? <CircularProgress size={20} color="inherit" /> : 'Save Weights'}
+          </Button>
+          <Box sx={{ flex: 1 }} />
+          <Button startIcon={<ExportIcon />} onClick={handleExportCSV}>CSV</Button>
+          <Button startIcon={<ExportIcon />} onClick={handleExportPDF}>PDF</Button>
+        </Box>
+      </Paper>
+
+      <TableContainer component={Paper} sx={{ borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+        <Table>
+          <TableHead>
+            <TableRow sx={{ bgcolor: '#f8fafc' }}>
+              <TableCell sx={{ fontWeight: 600 }}>Rank</TableCell>
+              <TableCell sx={{ fontWeight: 600 }}>Team</TableCell>
+              <TableCell sx={{ fontWeight: 600 }}>Reached</TableCell>
+              {standings.rounds.map(round => (
+                <TableCell key={round.round_id} sx={{ fontWeight: 600 }}>
+                  {round.round_name} (%ile / rank)
+                </TableCell>
+              ))}
+              {standings.audience && <TableCell sx={{ fontWeight: 600 }}>Audience (%ile)</TableCell>}
+              <TableCell sx={{ fontWeight: 600 }}>Final Score</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {standings.standings.map(team => (
+              <TableRow key={team.team_id} hover>
+                <TableCell sx={{ fontWeight: 600 }}>
+                  {team.is_eligible ? team.rank : (
+                    <Tooltip title="Failed a pass/fail gate with most of its judges">
+                      <Chip label="Ineligible" size="small" color="warning" />
+                    </Tooltip>
+                  )}
+                </TableCell>
+                <TableCell sx={{ fontWeight: 500 }}>{team.team_name || team.team_id.substring(0, 8)}</TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={standings.rounds[team.rounds_reached - 1]?.round_name || `Round ${team.rounds_reached}`}
+                    color={team.rounds_reached === standings.rounds.length ? 'primary' : 'default'}
+                  />
+                </TableCell>
+                {standings.rounds.map(round => (
+                  <TableCell key={round.round_id}>
+                    {team.round_scores[round.round_id] !== undefined
+                      ? `${team.round_scores[round.round_id].toFixed(1)} / #${team.round_ranks[round.round_id]}`
+                      : '—'}
+                  </TableCell>
+                ))}
+                {standings.audience && <TableCell>{team.audience_score.toFixed(1)}</TableCell>}
+                <TableCell sx={{ fontWeight: 600 }}>{team.is_eligible ? team.final_score.toFixed(2) : '—'}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default OverallStandingsPanel;
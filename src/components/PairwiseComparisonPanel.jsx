@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  Button,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+} from '@mui/material';
+import CheckCircle from '@mui/icons-material/CheckCircle';
+import CompareArrowsIcon from '@mui/icons-material/CompareArrows';
+import { pairwiseService } from '../services/pairwiseService';
+import { roundService, DEFAULT_COMPARISONS_PER_JUDGE } from '../services/roundService';
+
+/**
+ * Judge view for pairwise rounds: shows one pair of teams at a time and
+ * records which one is better. Pairs are picked adaptively from all
+ * comparisons made in the round so far.
+ */
+function PairwiseComparisonPanel({ round, judge, teams, editable, onProgressChange }) {
+  const [pair, setPair] = useState(null);
+  const [comparisonCount, setComparisonCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const teamIds = teams.map(t => t.id);
+  const possiblePairs = (teamIds.length * (teamIds.length - 1)) / 2;
+  const target = Math.min(round.comparisons_per_judge || DEFAULT_COMPARISONS_PER_JUDGE, possiblePairs);
+  const isComplete = target > 0 && comparisonCount >= target;
+
+  useEffect(() => {
+    loadNextPair();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [round.id, judge.id, teamIds.join(',')]);
+
+  const loadNextPair = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const judgeComparisons = await pairwiseService.getJudgeComparisons(round.id, judge.id);
+      setComparisonCount(judgeComparisons.length);
+
+      const nextPair = await pairwiseService.getNextPair(round.id, judge.id, teamIds);
+      setPair(nextPair);
+    } catch (err) {
+      console.error('Error loading next pair:', err);
+      setError(`Failed to load the next pair: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChoice = async (winnerTeamId) => {
+    if (!pair) return;
+
+    setSubmitting(true);
+    try {
+      await pairwiseService.submitComparison(round.id, judge.id, pair[0], pair[1], winnerTeamId);
+
+      const progress = await roundService.getJudgeRoundProgress(round.id, judge.id);
+      if (onProgressChange) onProgressChange(progress);
+
+      await loadNextPair();
+    } catch (err) {
+      console.error('Error submitting comparison:', err);
+      alert('Failed to submit comparison. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getTeam = (teamId) => teams.find(t => t.id === teamId);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (teamIds.length < 2) {
+    return <Alert severity="info">At least two teams must be assigned to you to compare them.</Alert>;
+  }
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>}
+
+      <Card sx={{ p: 3, mb: 3, borderRadius: '16px', boxShadow: '0 2px 12px rgba(0,0,0,0.08)' }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+          <Typography variant="body2" color="textSecondary">
+            Comparisons made
+          </Typography>
+          <Typography variant="body2" fontWeight={600}>
+            {comparisonCount}/{target}
+          </Typography>
+        </Box>
+        <LinearProgress
+          variant="determinate"
+          value={target > 0 ? Math.min((comparisonCount / target) * 100, 100) : 0}
+          sx={{ height: 8, borderRadius: 4, backgroundColor: '#e2e8f0' }}
+        />
+      </Card>
+
+      {isComplete || !pair ? (
+        <Card sx={{
+          p: 4,
+          textAlign: 'center',
+          background: 'linear-gradient(135deg, #ecfdf5 0%, #d1fae5 100%)',
+          borderRadius: '16px'
+        }}>
+          <CheckCircle sx={{ fontSize: 48, color: '#10b981', mb: 2 }} />
+          <Typography variant="h5" sx={{ fontWeight: 700, color: '#065f46', mb: 1 }}>
+            Comparisons Complete!
+          </Typography>
+          <Typography color="textSecondary">
+            Thank you. Your comparisons will be combined with the other judges' to rank the teams.
+          </Typography>
+        </Card>
+      ) : (
+        <Card sx={{ p: 4, borderRadius: '16px', boxShadow: '0 2px 12px rgba(0,0,0,0.08)' }}>
+          <Typography variant="h6" sx={{ fontWeight: 700, color: '#1e293b', mb: 3, textAlign: 'center' }}>
+            Which team is better?
+          </Typography>
+
+          <Box sx={{ display: 'flex', alignItems: 'stretch', gap: 2, flexWrap: { xs: 'wrap', md: 'nowrap' } }}>
+            {pair.map((teamId, idx) => {
+              const team = getTeam(teamId);
+              return (
+                <Box key={teamId} sx={{ display: 'contents' }}>
+                  {idx === 1 && (
+                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', px: 1 }}>
+                      <CompareArrowsIcon sx={{ fontSize: 36, color: '#94a3b8' }} />
+                    </Box>
+                  )}
+                  <Card variant="outlined" sx={{ flex: 1, p: 3, borderRadius: '12px', display: 'flex', flexDirection: 'column' }}>
+                    <Typography variant="h6" sx={{ fontWeight: 700, color: '#1e293b' }}>
+                      {team?.name || 'Unknown team'}
+                    </Typography>
+                    <Typography variant="body2" sx={{ color: '#64748b', mb: 3, flex: 1 }}>
+                      {team?.project_title || 'No project title'}
+                    </Typography>
+                    <Button
+                      variant="contained"
+                      onClick={() => handleChoice(teamId)}
+                      disabled={!editable || submitting}
+                      sx={{ textTransform: 'none', fontWeight: 700, borderRadius: '8px' }}
+                    >
+                      {team?.name || 'This team'} is better
+                    </Button>
+                  </Card>
+                </Box>
+              );
+            })}
+          </Box>
+
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+            <Button
+              variant="outlined"
+              onClick={() => handleChoice(null)}
+              disabled={!editable || submitting}
+              sx={{ textTransform: 'none', fontWeight: 600, borderRadius: '8px' }}
+            >
+              Too close to call
+            </Button>
+          </Box>
+        </Card>
+      )}
+    </Box>
+  );
+}
+
+export default PairwiseComparisonPanel;
@@ -0,0 +1,80 @@
+import {
+  Box,
+  Typography,
+  Card,
+  Chip,
+} from '@mui/material';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import PlaceOutlinedIcon from '@mui/icons-material/PlaceOutlined';
+import { formatTime } from '../utils/dateHelpers';
+
+const formatDay = (iso) => new Date(iso).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+
+/**
+ * A list of pitch slots in time order: when, where and which team. Slots
+ * that are running now are highlighted
+ * @param {Array} slots - pitch_slots rows with team and venue (and optionally round)
+ */
+function PitchScheduleList({ slots, title = 'Pitch Schedule', emptyText = 'No pitches scheduled yet.' }) {
+  const now = Date.now();
+
+  return (
+    <Card sx={{ p: 3, mb: 4, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <ScheduleIcon sx={{ color: '#3b82f6' }} />
+        <Typography variant="h6" sx={{ fontWeight: 700, color: '#1e293b', flex: 1 }}>
+          {title}
+        </Typography>
+        {slots.length > 0 && (
+          <Chip size="small" label={`${slots.length} pitches`} sx={{ fontWeight: 600 }} />
+        )}
+      </Box>
+
+      {slots.length === 0 ? (
+        <Typography variant="body2" color="textSecondary">{emptyText}</Typography>
+      ) : (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+          {slots.map(slot => {
+            const isNow = new Date(slot.starts_at).getTime() <= now && now < new Date(slot.ends_at).getTime();
+            return (
+              <Box
+                key={slot.id || `${slot.round_id}-${slot.team_id}`}
+                sx={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 2,
+                  p: 1.5,
+                  borderRadius: '10px',
+                  background: isNow ? '#eff6ff' : '#f8fafc',
+                  border: isNow ? '1px solid #3b82f6' : '1px solid #e2e8f0'
+                }}
+              >
+                <Box sx={{ minWidth: 110 }}>
+                  <Typography sx={{ fontWeight: 700, color: '#1e293b' }}>
+                    {formatTime(slot.starts_at)} - {formatTime(slot.ends_at)}
+                  </Typography>
+                  <Typography variant="caption" color="textSecondary">{formatDay(slot.starts_at)}</Typography>
+                </Box>
+                <Box sx={{ flex: 1 }}>
+                  <Typography sx={{ fontWeight: 600, color: '#334155' }}>{slot.team?.name || 'Unknown team'}</Typography>
+                  {slot.round && (
+                    <Typography variant="caption" color="textSecondary">{slot.round.name}</Typography>
+                  )}
+                </Box>
+                <Chip
+                  size="small"
+                  icon={<PlaceOutlinedIcon />}
+                  label={slot.venue?.name || 'Venue to be announced'}
+                  variant="outlined"
+                />
+                {isNow && <Chip size="small" label="Now" color="primary" sx={{ fontWeight: 600 }} />}
+              </Box>
+            );
+          })}
+        </Box>
+      )}
+    </Card>
+  );
+}
+
+export default PitchScheduleList;
@@ -0,0 +1,42 @@
+import { Box, Card, CardActionArea, Typography } from "@mui/material";
+
+/**
+ * Judge-facing rubric: one card per level, the chosen level is highlighted.
+ */
+function RubricLevelPicker({ levels, value, onSelect, disabled }) {
+  return (
+    <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(150px, 1fr))', gap: 1 }}>
+      {levels.map(level => {
+        const selected = value !== '' && value !== undefined && value !== null && Number(value) === Number(level.score);
+        return (
+          <Card
+            key={level.score}
+            variant="outlined"
+            sx={{
+              borderRadius: '10px',
+              borderWidth: selected ? 2 : 1,
+              borderColor: selected ? '#7c3aed' : 'divider',
+              background: selected ? 'rgba(124, 58, 237, 0.06)' : '#fff',
+              opacity: disabled && !selected ? 0.6 : 1
+            }}
+          >
+            <CardActionArea
+              onClick={() => onSelect(level.score)}
+              disabled={disabled}
+              sx={{ p: 1.5, height: '100%', display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}
+            >
+              <Typography sx={{ fontWeight: 700, color: selected ? '#7c3aed' : '#1e293b' }}>
+                {level.score}{level.label ? ` · ${level.label}` : ''}
+              </Typography>
+              <Typography variant="caption" sx={{ color: '#64748b' }}>
+                {level.descriptor}
+              </Typography>
+            </CardActionArea>
+          </Card>
+        );
+      })}
+    </Box>
+  );
+}
+
+export default RubricLevelPicker;
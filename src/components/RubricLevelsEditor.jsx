@@ -0,0 +1,103 @@
+import {
+  Box,
+  Button,
+  IconButton,
+  TextField,
+  Typography,
+} from "@mui/material";
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+const DEFAULT_RUBRIC_LABELS = ['Poor', 'Fair', 'Good', 'Strong', 'Excellent'];
+
+/**
+ * Edits a criterion's rubric levels (score, short label, descriptor).
+ * With no levels the criterion keeps a plain number field for judges.
+ */
+function RubricLevelsEditor({ levels, maxMarks, onChange, disabled }) {
+  const rows = levels || [];
+
+  const updateLevel = (index, field, value) => {
+    onChange(rows.map((level, i) => (i === index ? { ...level, [field]: value } : level)));
+  };
+
+  const handleAddLevel = () => {
+    const highest = rows.reduce((max, level) => Math.max(max, Number(level.score) || 0), 0);
+    onChange([...rows, { score: Math.min(highest + 1, maxMarks), label: '', descriptor: '' }]);
+  };
+
+  // Spread five levels evenly up to max marks
+  const handleStartScale = () => {
+    onChange(DEFAULT_RUBRIC_LABELS.map((label, i) => ({
+      score: Math.round(((i + 1) / DEFAULT_RUBRIC_LABELS.length) * maxMarks * 10) / 10,
+      label,
+      descriptor: ''
+    })));
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+        Rubric Levels
+      </Typography>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+        Judges pick one level instead of typing a number. Leave empty for a free score.
+      </Typography>
+
+      {rows.map((level, index) => (
+        <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mb: 1 }}>
+          <TextField
+            label="Score"
+            type="number"
+            size="small"
+            value={level.score}
+            onChange={(e) => updateLevel(index, 'score', e.target.value === '' ? '' : parseFloat(e.target.value))}
+            inputProps={{ min: 0, max: maxMarks, step: 0.5 }}
+            sx={{ width: 90 }}
+            disabled={disabled}
+          />
+          <TextField
+            label="Label"
+            size="small"
+            value={level.label}
+            onChange={(e) => updateLevel(index, 'label', e.target.value)}
+            placeholder="e.g., Strong"
+            sx={{ width: 130 }}
+            disabled={disabled}
+          />
+          <TextField
+            label="Descriptor"
+            size="small"
+            value={level.descriptor}
+            onChange={(e) => updateLevel(index, 'descriptor', e.target.value)}
+            placeholder="e.g., Prototype works end to end"
+            multiline
+            sx={{ flex: 1 }}
+            disabled={disabled}
+          />
+          <IconButton
+            size="small"
+            onClick={() => onChange(rows.filter((_, i) => i !== index))}
+            disabled={disabled}
+            sx={{ color: "#ef4444", mt: 0.5 }}
+          >
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Box>
+      ))}
+
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <Button size="small" startIcon={<AddIcon />} onClick={handleAddLevel} disabled={disabled}>
+          Add Level
+        </Button>
+        {rows.length === 0 && (
+          <Button size="small" onClick={handleStartScale} disabled={disabled || !maxMarks}>
+            Start from a 5-level scale
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+}
+
+export default RubricLevelsEditor;
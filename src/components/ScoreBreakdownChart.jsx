@@ -32,6 +32,43 @@ ChartJS.register(
   Legend
 );
 
+/**
+ * Draws vertical error bars over bar datasets that carry an `errorBars`
+ * array of {lower, upper} values (null entries are skipped)
+ */
+const errorBarPlugin = {
+  id: 'errorBars',
+  afterDatasetsDraw(chart) {
+    const { ctx, scales } = chart;
+    chart.data.datasets.forEach((dataset, datasetIndex) => {
+      if (!dataset.errorBars) return;
+      const meta = chart.getDatasetMeta(datasetIndex);
+      if (meta.hidden) return;
+
+      ctx.save();
+      ctx.strokeStyle = '#1e293b';
+      ctx.lineWidth = 1.5;
+      meta.data.forEach((bar, index) => {
+        const bounds = dataset.errorBars[index];
+        if (!bounds) return;
+        const top = scales.y.getPixelForValue(bounds.upper);
+        const bottom = scales.y.getPixelForValue(bounds.lower);
+        const capWidth = Math.min(bar.width / 4, 8);
+
+        ctx.beginPath();
+        ctx.moveTo(bar.x, top);
+        ctx.lineTo(bar.x, bottom);
+        ctx.moveTo(bar.x - capWidth, top);
+        ctx.lineTo(bar.x + capWidth, top);
+        ctx.moveTo(bar.x - capWidth, bottom);
+        ctx.lineTo(bar.x + capWidth, bottom);
+        ctx.stroke();
+      });
+      ctx.restore();
+    });
+  }
+};
+
 function ScoreBreakdownChart({ 
   teamResults, 
   criteria, 
@@ -117,11 +154,18 @@ function ScoreBreakdownChart({
   }
 
   const datasets = [];
+  const topTeams = teamResults.slice(0, 10);
+  const hasIntervals = topTeams.some(t => t.rank_interval);
   
   if (showNormalized) {
     datasets.push({
-      label: 'Aggregated Z-Score',
-      data: teamResults.slice(0, 10).map(t => t.aggregated_z || 0),
+      label: hasIntervals ? 'Aggregated Z-Score (95% CI)' : 'Aggregated Z-Score',
+      data: topTeams.map(t => t.aggregated_z || 0),
+      errorBars: hasIntervals
+        ? topTeams.map(t => t.rank_interval
+          ? { lower: t.rank_interval.score_lower, upper: t.rank_interval.score_upper }
+          : null)
+        : null,
       backgroundColor: 'rgba(59, 130, 246, 0.7)',
       borderColor: 'rgba(59, 130, 246, 1)',
       borderWidth: 1
@@ -153,6 +197,16 @@ function ScoreBreakdownChart({
       title: {
         display: true,
         text: 'Team Scores Comparison'
+      },
+      tooltip: {
+        callbacks: {
+          afterLabel: (context) => {
+            const interval = topTeams[context.dataIndex]?.rank_interval;
+            if (!interval || !context.dataset.errorBars) return '';
+            return `95% CI: ${Number(interval.score_lower).toFixed(2)} to ${Number(interval.score_upper).toFixed(2)}\n` +
+              `Rank range: ${interval.rank_lower}–${interval.rank_upper}`;
+          }
+        }
       }
     },
     scales: {
@@ -164,7 +218,7 @@ function ScoreBreakdownChart({
 
   return (
     <div style={{ height: '400px' }}>
-      <Bar data={data} options={options} />
+      <Bar data={data} options={options} plugins={[errorBarPlugin]} />
     </div>
   );
 }
@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../supabaseClient';
+import { resolveCriterionWeights } from '../services/normalizationService';
+import { groupCriteria } from '../services/roundService';
 
 function ScoreBreakdownPanel({ eventId, roundId }) {
   const [teams, setTeams] = useState([]);
   const [criteria, setCriteria] = useState([]);
+  const [criterionGroups, setCriterionGroups] = useState([]);
   const [results, setResults] = useState([]);
+  const [judgeAssignments, setJudgeAssignments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedTeam, setSelectedTeam] = useState(null);
   const [viewMode, setViewMode] = useState('comparison');
@@ -18,14 +22,19 @@ function ScoreBreakdownPanel({ eventId, roundId }) {
   const fetchData = async () => {
     setLoading(true);
     try {
-      const [teamsRes, criteriaRes, resultsRes] = await Promise.all([
+      const [teamsRes, criteriaRes, resultsRes, assignmentsRes, roundRes] = await Promise.all([
         supabase.from('teams').select('*').eq('event_id', eventId).order('name'),
         supabase.from('round_criteria').select('*').eq('round_id', roundId).order('weight', { ascending: false }),
-        supabase.from('computed_results').select('*').eq('round_id', roundId).order('rank')
+        supabase.from('computed_results').select('*').eq('round_id', roundId).order('rank'),
+        supabase.from('round_judge_assignments').select('judge_id, judge_weight, judges(id, name)').eq('round_id', roundId),
+        supabase.from('rounds').select('criterion_groups').eq('id', roundId).maybeSingle()
       ]);
 
+      const groups = roundRes.data?.criterion_groups || [];
+      setCriterionGroups(groups);
       if (teamsRes.data) setTeams(teamsRes.data);
-      if (criteriaRes.data) setCriteria(criteriaRes.data);
+      if (criteriaRes.data) setCriteria(resolveCriterionWeights(criteriaRes.data, groups));
+      if (assignmentsRes.data) setJudgeAssignments(assignmentsRes.data);
       if (resultsRes.data) {
         setResults(resultsRes.data);
         if (resultsRes.data.length > 0) {
@@ -44,6 +53,17 @@ function ScoreBreakdownPanel({ eventId, roundId }) {
     return team?.name || 'Unknown Team';
   };
 
+  const getJudgeName = (judgeId) => {
+    const assignment = judgeAssignments.find(a => String(a.judge_id) === String(judgeId));
+    return assignment?.judges?.name || `Judge ${String(judgeId).substring(0, 8)}`;
+  };
+
+  const getJudgeWeight = (judgeId, storedWeight) => {
+    if (storedWeight !== null && storedWeight !== undefined) return parseFloat(storedWeight);
+    const assignment = judgeAssignments.find(a => String(a.judge_id) === String(judgeId));
+    return parseFloat(assignment?.judge_weight) || 1.0;
+  };
+
   const formatScore = (score) => {
     if (score === null || score === undefined) return '-';
     return typeof score === 'number' ? score.toFixed(2) : parseFloat(score).toFixed(2);
@@ -67,6 +87,7 @@ function ScoreBreakdownPanel({ eventId, roundId }) {
   }
 
   const selectedResult = results.find(r => String(r.team_id) === String(selectedTeam));
+  const selectedJudgeRows = results.filter(r => String(r.team_id) === String(selectedTeam) && r.judge_id);
 
   return (
     <div style={{ padding: '24px' }}>
@@ -200,25 +221,42 @@ function ScoreBreakdownPanel({ eventId, roundId }) {
                       </tr>
                     </thead>
                     <tbody>
-                      {criteria.map(crit => {
+                      {groupCriteria(criteria, criterionGroups).map(section => {
                         const rawScores = selectedResult.raw_scores || {};
                         const zScores = selectedResult.z_scores || {};
                         const weightedZScores = selectedResult.weighted_z_scores || {};
-                        
+                        const groupSubtotal = section.criteria.reduce(
+                          (sum, crit) => sum + (parseFloat(weightedZScores[crit.id]) || 0), 0
+                        );
+
                         return (
-                          <tr key={crit.id} style={{ borderBottom: '1px solid #f3f4f6' }}>
-                            <td style={{ padding: '10px 8px', fontWeight: '500' }}>{crit.name}</td>
-                            <td style={{ padding: '10px 8px', textAlign: 'right' }}>{crit.weight}%</td>
-                            <td style={{ padding: '10px 8px', textAlign: 'right', color: '#dc2626' }}>
-                              {formatScore(rawScores[crit.id])}
-                            </td>
-                            <td style={{ padding: '10px 8px', textAlign: 'right', color: '#2563eb' }}>
-                              {formatScore(zScores[crit.id])}
-                            </td>
-                            <td style={{ padding: '10px 8px', textAlign: 'right', color: '#059669', fontWeight: '600' }}>
-                              {formatScore(weightedZScores[crit.id])}
-                            </td>
-                          </tr>
+                          <React.Fragment key={section.group?.id || 'ungrouped'}>
+                            {section.group && (
+                              <tr style={{ background: '#f5f3ff', borderBottom: '1px solid #e5e7eb' }}>
+                                <td style={{ padding: '10px 8px', fontWeight: '700', color: '#5b21b6' }}>{section.group.name}</td>
+                                <td style={{ padding: '10px 8px', textAlign: 'right', fontWeight: '600' }}>×{section.group.weight}</td>
+                                <td colSpan={2}></td>
+                                <td style={{ padding: '10px 8px', textAlign: 'right', color: '#059669', fontWeight: '700' }}>
+                                  {formatScore(groupSubtotal)}
+                                </td>
+                              </tr>
+                            )}
+                            {section.criteria.map(crit => (
+                              <tr key={crit.id} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                                <td style={{ padding: '10px 8px', fontWeight: '500', paddingLeft: section.group ? '24px' : '8px' }}>{crit.name}</td>
+                                <td style={{ padding: '10px 8px', textAlign: 'right' }}>×{Number(crit.weight.toFixed(2))}</td>
+                                <td style={{ padding: '10px 8px', textAlign: 'right', color: '#dc2626' }}>
+                                  {formatScore(rawScores[crit.id])}
+                                </td>
+                                <td style={{ padding: '10px 8px', textAlign: 'right', color: '#2563eb' }}>
+                                  {formatScore(zScores[crit.id])}
+                                </td>
+                                <td style={{ padding: '10px 8px', textAlign: 'right', color: '#059669', fontWeight: '600' }}>
+                                  {formatScore(weightedZScores[crit.id])}
+                                </td>
+                              </tr>
+                            ))}
+                          </React.Fragment>
                         );
                       })}
                     </tbody>
@@ -226,6 +264,53 @@ function ScoreBreakdownPanel({ eventId, roundId }) {
                 </div>
               </div>
 
+              {selectedJudgeRows.length > 0 && (
+                <div style={{
+                  background: '#f8fafc',
+                  borderRadius: '8px',
+                  padding: '20px',
+                  gridColumn: '1 / -1'
+                }}>
+                  <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#374151' }}>
+                    Judge Weights
+                  </h3>
+                  <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                      <thead>
+                        <tr style={{ borderBottom: '2px solid #e5e7eb' }}>
+                          <th style={{ padding: '10px 8px', textAlign: 'left', color: '#6b7280' }}>Judge</th>
+                          <th style={{ padding: '10px 8px', textAlign: 'right', color: '#6b7280' }}>Judge Weight</th>
+                          <th style={{ padding: '10px 8px', textAlign: 'right', color: '#2563eb' }}>Judge Z</th>
+                          <th style={{ padding: '10px 8px', textAlign: 'right', color: '#059669' }}>Weighted Contribution</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {selectedJudgeRows.map(row => {
+                          const weight = getJudgeWeight(row.judge_id, row.judge_weight);
+                          const judgeZ = parseFloat(row.normalized_z);
+
+                          return (
+                            <tr key={row.id} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                              <td style={{ padding: '10px 8px', fontWeight: '500' }}>{getJudgeName(row.judge_id)}</td>
+                              <td style={{ padding: '10px 8px', textAlign: 'right' }}>×{weight.toFixed(2)}</td>
+                              <td style={{ padding: '10px 8px', textAlign: 'right', color: '#2563eb' }}>
+                                {formatScore(row.normalized_z)}
+                              </td>
+                              <td style={{ padding: '10px 8px', textAlign: 'right', color: '#059669', fontWeight: '600' }}>
+                                {isNaN(judgeZ) ? '-' : formatScore(judgeZ * weight)}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p style={{ margin: '12px 0 0', fontSize: '13px', color: '#6b7280' }}>
+                    Judges with a higher weight count more towards the team's aggregated score.
+                  </p>
+                </div>
+              )}
+
               <div style={{
                 background: '#fff7ed',
                 borderRadius: '8px',
@@ -254,7 +339,7 @@ function ScoreBreakdownPanel({ eventId, roundId }) {
                     <h4 style={{ margin: '0 0 8px', fontSize: '14px', color: '#059669' }}>Weighted Z-Scores</h4>
                     <p style={{ margin: 0, fontSize: '13px', color: '#6b7280' }}>
                       Z-scores multiplied by the criterion weight. Higher weight criteria have more impact 
-                      on the final ranking.
+                      on the final ranking. A group's weight is shared among the criteria in it.
                     </p>
                   </div>
                 </div>
@@ -0,0 +1,386 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from "@mui/material";
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ExportIcon from '@mui/icons-material/FileDownload';
+import SlideshowIcon from '@mui/icons-material/Slideshow';
+import { computeEventAwards } from "../services/computeRoundService";
+import { awardService, AwardTypes } from "../services/awardService";
+import { roundService } from "../services/roundService";
+import { trackService } from "../services/trackService";
+import { exportEventAwardsCSV, exportEventAwardsPDF, downloadFile, downloadPDF } from "../services/exportService";
+
+const EMPTY_AWARD = {
+  award_type: AwardTypes.CRITERION,
+  name: '',
+  sponsor: '',
+  description: '',
+  round_id: '',
+  criterion_id: '',
+  track_id: '',
+  exclude_top_n: 3,
+  winners_count: 1
+};
+
+/**
+ * Special awards: one criterion of a computed round (or the audience vote),
+ * optionally within one track and leaving out the round's overall top N.
+ * Winners are recomputed from the stored round results each time the panel
+ * loads.
+ */
+function SpecialAwardsPanel({ eventId }) {
+  const navigate = useNavigate();
+  const [awards, setAwards] = useState([]);
+  const [rounds, setRounds] = useState([]);
+  const [tracks, setTracks] = useState([]);
+  const [criteria, setCriteria] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_AWARD);
+
+  useEffect(() => {
+    loadAwards();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [eventId]);
+
+  useEffect(() => {
+    if (!form.round_id) {
+      setCriteria([]);
+      return;
+    }
+    roundService.getRoundCriteria(form.round_id)
+      .then(setCriteria)
+      .catch(err => setError(`Failed to load criteria: ${err.message}`));
+  }, [form.round_id]);
+
+  const loadAwards = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [result, roundsData, tracksData] = await Promise.all([
+        computeEventAwards(eventId),
+        roundService.getRoundsByEvent(eventId),
+        trackService.getTracksByEvent(eventId)
+      ]);
+      if (!result.success) throw new Error(result.error);
+      setAwards(result.awards);
+      setRounds(roundsData);
+      setTracks(tracksData);
+    } catch (err) {
+      console.error("Error loading special awards:", err);
+      setError(`Failed to load special awards: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openDialog = (award) => {
+    setEditingId(award?.id || null);
+    setForm(award ? {
+      award_type: award.award_type,
+      name: award.name,
+      sponsor: award.sponsor || '',
+      description: award.description || '',
+      round_id: award.round_id || '',
+      criterion_id: award.criterion_id || '',
+      track_id: award.track_id || '',
+      exclude_top_n: award.exclude_top_n,
+      winners_count: award.winners_count
+    } : { ...EMPTY_AWARD, round_id: rounds[rounds.length - 1]?.id || '' });
+    setDialogOpen(true);
+  };
+
+  const isAudience = form.award_type === AwardTypes.AUDIENCE;
+
+  const handleSave = async () => {
+    if (!form.name.trim() || (!isAudience && (!form.round_id || !form.criterion_id))) {
+      setError('Name, round and criterion are required');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const awardData = {
+        ...form,
+        name: form.name.trim(),
+        round_id: form.round_id || null,
+        criterion_id: isAudience ? null : form.criterion_id || null,
+        track_id: form.track_id || null,
+        exclude_top_n: Math.max(parseInt(form.exclude_top_n) || 0, 0),
+        winners_count: Math.max(parseInt(form.winners_count) || 1, 1)
+      };
+      if (editingId) {
+        await awardService.updateAward(editingId, awardData);
+      } else {
+        await awardService.createAward(eventId, { ...awardData, display_order: awards.length });
+      }
+      setDialogOpen(false);
+      await loadAwards();
+    } catch (err) {
+      console.error("Error saving award:", err);
+      setError(`Failed to save award: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (award) => {
+    if (!window.confirm(`Delete the "${award.name}" award?`)) return;
+    try {
+      await awardService.deleteAward(award.id);
+      await loadAwards();
+    } catch (err) {
+      console.error("Error deleting award:", err);
+      setError(`Failed to delete award: ${err.message}`);
+    }
+  };
+
+  const handleExportCSV = async () => {
+    const result = await exportEventAwardsCSV(eventId);
+    if (result.success) {
+      downloadFile(result.csv, result.filename, 'text/csv');
+    } else {
+      setError(`Export failed: ${result.error}`);
+    }
+  };
+
+  const handleExportPDF = async () => {
+    const result = await exportEventAwardsPDF(eventId);
+    if (result.success) {
+      downloadPDF(result.pdf, result.filename);
+    } else {
+      setError(`Export failed: ${result.error}`);
+    }
+  };
+
+  if (loading && awards.length === 0) {
+    return <Box sx={{ p: 4, textAlign: 'center' }}><CircularProgress /></Box>;
+  }
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+      <Paper sx={{ p: 3, mb: 3, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+          <Box>
+            <Typography variant="h6" sx={{ fontWeight: 600 }}>Special Awards</Typography>
+            <Typography variant="body2" color="textSecondary">
+              Ranked on one criterion's normalized score or on audience votes, optionally within a track and leaving out the overall top teams.
+            </Typography>
+          </Box>
+          <Box sx={{ flex: 1 }} />
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog(null)}>
+            Add Award
+          </Button>
+          <Button
+            startIcon={<SlideshowIcon />}
+            onClick={() => navigate(`/showcase?event=${eventId}&mode=awards`)}
+            disabled={awards.length === 0}
+          >
+            Present
+          </Button>
+          <Button startIcon={<ExportIcon />} onClick={handleExportCSV} disabled={awards.length === 0}>CSV</Button>
+          <Button startIcon={<ExportIcon />} onClick={handleExportPDF} disabled={awards.length === 0}>PDF</Button>
+        </Box>
+      </Paper>
+
+      {awards.length === 0 ? (
+        <Alert severity="info">No special awards defined for this event yet.</Alert>
+      ) : (
+        <TableContainer component={Paper} sx={{ borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+          <Table>
+            <TableHead>
+              <TableRow sx={{ bgcolor: '#f8fafc' }}>
+                <TableCell sx={{ fontWeight: 600 }}>Award</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>Criterion</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>Track</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>Winner(s)</TableCell>
+                <TableCell sx={{ fontWeight: 600 }} align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {awards.map(award => (
+                <TableRow key={award.id} hover>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontWeight: 600 }}>{award.name}</Typography>
+                    {award.sponsor && (
+                      <Typography variant="caption" color="textSecondary">Sponsored by {award.sponsor}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{award.criterion_name || '—'}</Typography>
+                    <Typography variant="caption" color="textSecondary">
+                      {award.round_name}{award.round_name && award.exclude_top_n > 0 ? `, excl. top ${award.exclude_top_n}` : ''}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    {award.track ? (
+                      <Chip size="small" label={award.track.name} sx={{ bgcolor: award.track.color, color: 'white' }} />
+                    ) : 'All tracks'}
+                  </TableCell>
+                  <TableCell>
+                    {award.is_pending ? (
+                      <Chip size="small" label={award.award_type === AwardTypes.AUDIENCE ? 'No votes yet' : 'Round not computed'} />
+                    ) : award.winners.length === 0 ? (
+                      <Typography variant="body2" color="textSecondary">No eligible team</Typography>
+                    ) : award.winners.map(winner => (
+                      <Typography key={winner.team_id} variant="body2">
+                        #{winner.award_rank} {winner.team_name || winner.team_id.substring(0, 8)}
+                        <Typography component="span" variant="caption" color="textSecondary">
+                          {' '}({award.award_type === AwardTypes.AUDIENCE
+                            ? `${winner.score} votes`
+                            : `z ${winner.score.toFixed(2)}`}{winner.overall_rank !== null ? `, overall #${winner.overall_rank}` : ''})
+                        </Typography>
+                      </Typography>
+                    ))}
+                  </TableCell>
+                  <TableCell align="right">
+                    <IconButton size="small" onClick={() => openDialog(award)}><EditIcon fontSize="small" /></IconButton>
+                    <IconButton size="small" onClick={() => handleDelete(award)}><DeleteIcon fontSize="small" /></IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingId ? 'Edit Award' : 'Add Award'}</DialogTitle>
+        <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '16px !important' }}>
+          <FormControl>
+            <InputLabel>Ranked On</InputLabel>
+            <Select
+              value={form.award_type}
+              label="Ranked On"
+              onChange={(e) => setForm({ ...form, award_type: e.target.value })}
+            >
+              <MenuItem value={AwardTypes.CRITERION}>A judging criterion</MenuItem>
+              <MenuItem value={AwardTypes.AUDIENCE}>Audience votes (people's choice)</MenuItem>
+            </Select>
+          </FormControl>
+          <TextField
+            label="Award Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g. Best Design"
+            required
+          />
+          <TextField
+            label="Sponsor"
+            value={form.sponsor}
+            onChange={(e) => setForm({ ...form, sponsor: e.target.value })}
+          />
+          <TextField
+            label="Description"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            multiline
+            rows={2}
+          />
+          <FormControl required={!isAudience}>
+            <InputLabel>Round</InputLabel>
+            <Select
+              value={form.round_id}
+              label="Round"
+              onChange={(e) => setForm({ ...form, round_id: e.target.value, criterion_id: '' })}
+            >
+              {isAudience && <MenuItem value="">None (no exclusions)</MenuItem>}
+              {rounds.map(round => (
+                <MenuItem key={round.id} value={round.id}>{round.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {!isAudience && (
+            <FormControl required disabled={criteria.length === 0}>
+              <InputLabel>Criterion</InputLabel>
+              <Select
+                value={criteria.some(c => c.id === form.criterion_id) ? form.criterion_id : ''}
+                label="Criterion"
+                onChange={(e) => setForm({ ...form, criterion_id: e.target.value })}
+              >
+                {criteria.map(criterion => (
+                  <MenuItem key={criterion.id} value={criterion.id}>{criterion.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          <FormControl>
+            <InputLabel>Track</InputLabel>
+            <Select
+              value={form.track_id}
+              label="Track"
+              onChange={(e) => setForm({ ...form, track_id: e.target.value })}
+            >
+              <MenuItem value="">All tracks</MenuItem>
+              {tracks.map(track => (
+                <MenuItem key={track.id} value={track.id}>{track.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              label="Exclude Overall Top"
+              type="number"
+              value={form.exclude_top_n}
+              onChange={(e) => setForm({ ...form, exclude_top_n: e.target.value })}
+              inputProps={{ min: 0 }}
+              helperText={isAudience && !form.round_id
+                ? 'Needs a round to rank against'
+                : '0 lets overall winners take the award'}
+              disabled={isAudience && !form.round_id}
+              fullWidth
+            />
+            <TextField
+              label="Winners"
+              type="number"
+              value={form.winners_count}
+              onChange={(e) => setForm({ ...form, winners_count: e.target.value })}
+              inputProps={{ min: 1 }}
+              fullWidth
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? <CircularProgress size={20} color="inherit" /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default SpecialAwardsPanel;
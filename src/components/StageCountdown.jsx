@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react';
+import { Box, Chip, Typography } from '@mui/material';
+import { StagePhases, remainingSeconds, formatCountdown, serverNow } from '../services/stageService';
+
+// Last seconds of a phase are shown in amber
+const WARNING_SECONDS = 30;
+
+const PHASE_LABELS = {
+  [StagePhases.IDLE]: 'Not started',
+  [StagePhases.PITCH]: 'Pitch',
+  [StagePhases.QA]: 'Q&A',
+  [StagePhases.DONE]: 'Finished'
+};
+
+/**
+ * Countdown of a venue's current phase: amber near the end, red in overtime
+ * @param {Object} state - stage_states row
+ * @param {number} now - serverNow() ticked by the parent; ticks itself when omitted
+ * @param {number} fontSize - of the digits, in rem
+ * @param {boolean} compact - render as a chip, e.g. on a scoring card
+ */
+function StageCountdown({ state, now, fontSize = 5, compact = false }) {
+  const [tick, setTick] = useState(serverNow());
+
+  useEffect(() => {
+    if (now !== undefined) return undefined;
+    const timer = setInterval(() => setTick(serverNow()), 1000);
+    return () => clearInterval(timer);
+  }, [now]);
+
+  const seconds = remainingSeconds(state, now ?? tick);
+  const color = seconds === null ? '#94a3b8'
+    : seconds < 0 ? '#ef4444'
+      : seconds <= WARNING_SECONDS ? '#f59e0b'
+        : '#10b981';
+
+  if (compact) {
+    return (
+      <Chip
+        label={`${PHASE_LABELS[state?.phase || StagePhases.IDLE]} · ${formatCountdown(seconds)}${state?.paused_at ? ' (paused)' : ''}`}
+        sx={{ fontWeight: 700, color: '#fff', background: color, fontVariantNumeric: 'tabular-nums' }}
+      />
+    );
+  }
+
+  return (
+    <Box sx={{ textAlign: 'center' }}>
+      <Typography
+        variant="overline"
+        sx={{ fontWeight: 700, letterSpacing: 2, color: '#64748b', fontSize: `${Math.max(0.75, fontSize / 6)}rem` }}
+      >
+        {PHASE_LABELS[state?.phase || StagePhases.IDLE]}
+        {state?.paused_at && ' · Paused'}
+        {seconds !== null && seconds < 0 && ' · Over time'}
+      </Typography>
+      <Typography sx={{ fontWeight: 800, fontSize: `${fontSize}rem`, lineHeight: 1.1, color, fontVariantNumeric: 'tabular-nums' }}>
+        {formatCountdown(seconds)}
+      </Typography>
+    </Box>
+  );
+}
+
+export default StageCountdown;
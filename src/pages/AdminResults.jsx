@@ -24,6 +24,9 @@ import {
 } from "@mui/material";
 import Navigation from '../components/Navigation';
 import AnalyticsPanel from "../components/AnalyticsPanel";
+import OverallStandingsPanel from "../components/OverallStandingsPanel";
+import SpecialAwardsPanel from "../components/SpecialAwardsPanel";
+import AudienceVotingPanel from "../components/AudienceVotingPanel";
 
 function AdminResults() {
   const { eventId } = useParams();
@@ -36,7 +39,7 @@ function AdminResults() {
   const [searchTerm, setSearchTerm] = useState("");
   const [sortBy, setSortBy] = useState("total");
   const [sortOrder, setSortOrder] = useState("desc");
-  const [viewMode, setViewMode] = useState("raw"); // 'raw' | 'normalized'
+  const [viewMode, setViewMode] = useState("raw"); // 'raw' | 'normalized' | 'overall' | 'awards' | 'audience'
 
   useEffect(() => {
     const fetchData = async () => {
@@ -192,76 +195,89 @@ function AdminResults() {
           >
             <ToggleButton value="raw">Raw Marks</ToggleButton>
             <ToggleButton value="normalized">Normalized (Z-Score)</ToggleButton>
+            <ToggleButton value="overall">Overall</ToggleButton>
+            <ToggleButton value="awards">Awards</ToggleButton>
+            <ToggleButton value="audience">Audience</ToggleButton>
           </ToggleButtonGroup>
         </Box>
 
-        <Box sx={{ display: "flex", gap: 2, mb: 2 }}>
-          <TextField
-            label="Search Team"
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            sx={{ bgcolor: 'white' }}
-          />
-          <FormControl sx={{ minWidth: 120 }}>
-            <InputLabel>Sort By</InputLabel>
-            <Select value={sortBy} onChange={(e) => setSortBy(e.target.value)} label="Sort By" sx={{ bgcolor: 'white' }}>
-              <MenuItem value="total">Total Score</MenuItem>
-              {categories.map((cat) => (
-                <MenuItem key={cat.id} value={cat.name}>
-                  {cat.name}
-                </MenuItem>
-              ))}
-            </Select>
-          </FormControl>
-          <Button
-            variant="outlined"
-            onClick={() => setSortOrder(sortOrder === "asc" ? "desc" : "asc")}
-            sx={{ bgcolor: 'white' }}
-          >
-            {sortOrder === "asc" ? "Asc" : "Desc"}
-          </Button>
-        </Box>
+        {viewMode === 'overall' ? (
+          <OverallStandingsPanel eventId={eventId} />
+        ) : viewMode === 'awards' ? (
+          <SpecialAwardsPanel eventId={eventId} />
+        ) : viewMode === 'audience' ? (
+          <AudienceVotingPanel eventId={eventId} />
+        ) : (
+          <>
+            <Box sx={{ display: "flex", gap: 2, mb: 2 }}>
+              <TextField
+                label="Search Team"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                sx={{ bgcolor: 'white' }}
+              />
+              <FormControl sx={{ minWidth: 120 }}>
+                <InputLabel>Sort By</InputLabel>
+                <Select value={sortBy} onChange={(e) => setSortBy(e.target.value)} label="Sort By" sx={{ bgcolor: 'white' }}>
+                  <MenuItem value="total">Total Score</MenuItem>
+                  {categories.map((cat) => (
+                    <MenuItem key={cat.id} value={cat.name}>
+                      {cat.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Button
+                variant="outlined"
+                onClick={() => setSortOrder(sortOrder === "asc" ? "desc" : "asc")}
+                sx={{ bgcolor: 'white' }}
+              >
+                {sortOrder === "asc" ? "Asc" : "Desc"}
+              </Button>
+            </Box>
 
-        <TableContainer component={Paper} sx={{ borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
-          <Table>
-            <TableHead>
-              <TableRow sx={{ bgcolor: '#f8fafc' }}>
-                <TableCell sx={{ fontWeight: 600 }}>Rank</TableCell>
-                <TableCell sx={{ fontWeight: 600 }}>Team</TableCell>
-                <TableCell sx={{ fontWeight: 600 }}>Status</TableCell>
-                {viewMode === 'raw' && categories.map((cat) => (
-                  <TableCell key={cat.id} sx={{ fontWeight: 600 }}>{cat.name}</TableCell>
-                ))}
-                <TableCell sx={{ fontWeight: 600 }}>{viewMode === 'raw' ? 'Total Avg' : 'Aggregated Z-Score'}</TableCell>
-              </TableRow>
-            </TableHead>
-            <TableBody>
-              {filteredScores.map((score, index) => (
-                <TableRow key={index} hover>
-                  <TableCell>{index + 1}</TableCell>
-                  <TableCell sx={{ fontWeight: 500 }}>{score.team}</TableCell>
-                  <TableCell>
-                    <span style={{
-                      color: score.total > 0 ? 'green' : 'red',
-                      fontWeight: 'bold',
-                      fontSize: '0.8rem'
-                    }}>
-                      {score.total > 0 ? "Present" : "Absent"}
-                    </span>
-                  </TableCell>
-                  {viewMode === 'raw' && categories.map((cat) => (
-                    <TableCell key={cat.id}>{score.scores[cat.name]?.toFixed(2)}</TableCell>
+            <TableContainer component={Paper} sx={{ borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+              <Table>
+                <TableHead>
+                  <TableRow sx={{ bgcolor: '#f8fafc' }}>
+                    <TableCell sx={{ fontWeight: 600 }}>Rank</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Team</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Status</TableCell>
+                    {viewMode === 'raw' && categories.map((cat) => (
+                      <TableCell key={cat.id} sx={{ fontWeight: 600 }}>{cat.name}</TableCell>
+                    ))}
+                    <TableCell sx={{ fontWeight: 600 }}>{viewMode === 'raw' ? 'Total Avg' : 'Aggregated Z-Score'}</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {filteredScores.map((score, index) => (
+                    <TableRow key={index} hover>
+                      <TableCell>{index + 1}</TableCell>
+                      <TableCell sx={{ fontWeight: 500 }}>{score.team}</TableCell>
+                      <TableCell>
+                        <span style={{
+                          color: score.total > 0 ? 'green' : 'red',
+                          fontWeight: 'bold',
+                          fontSize: '0.8rem'
+                        }}>
+                          {score.total > 0 ? "Present" : "Absent"}
+                        </span>
+                      </TableCell>
+                      {viewMode === 'raw' && categories.map((cat) => (
+                        <TableCell key={cat.id}>{score.scores[cat.name]?.toFixed(2)}</TableCell>
+                      ))}
+                      <TableCell sx={{ fontWeight: 600 }}>{score.total.toFixed(4)}</TableCell>
+                    </TableRow>
                   ))}
-                  <TableCell sx={{ fontWeight: 600 }}>{score.total.toFixed(4)}</TableCell>
-                </TableRow>
-              ))}
-            </TableBody>
-          </Table>
-        </TableContainer>
+                </TableBody>
+              </Table>
+            </TableContainer>
 
-        <Box sx={{ mt: 4 }}>
-          <AnalyticsPanel scores={filteredScores} />
-        </Box>
+            <Box sx={{ mt: 4 }}>
+              <AnalyticsPanel scores={filteredScores} />
+            </Box>
+          </>
+        )}
       </Box>
     </Box>
   );
@@ -0,0 +1,211 @@
+import { useState, useEffect } from "react";
+import { useParams } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardActionArea,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Container,
+  Paper,
+  TextField,
+  Typography,
+} from "@mui/material";
+import HowToVoteIcon from '@mui/icons-material/HowToVote';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import { audienceVoteService, VoteVerificationModes } from "../services/audienceVoteService";
+
+const votedKey = (eventId) => `fairscore_audience_voted_${eventId}`;
+
+/**
+ * Public people's-choice ballot: one vote per device, or per email address
+ * verified with a one-time code
+ */
+function AudienceVotePage() {
+  const { eventId } = useParams();
+  const [ballot, setBallot] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [selectedTeamId, setSelectedTeamId] = useState(null);
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [voted, setVoted] = useState(() => localStorage.getItem(votedKey(eventId)) === 'true');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadBallot();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [eventId]);
+
+  const loadBallot = async () => {
+    setLoading(true);
+    try {
+      setBallot(await audienceVoteService.getVotingState(eventId));
+    } catch (err) {
+      console.error("Error loading ballot:", err);
+      setError("Failed to load the ballot");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isEmailVote = ballot?.verification === VoteVerificationModes.EMAIL;
+
+  const handleSendCode = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await audienceVoteService.requestEmailCode(eventId, email);
+      setCodeSent(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleVote = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await audienceVoteService.castVote(eventId, selectedTeamId, isEmailVote ? { email, code } : {});
+      localStorage.setItem(votedKey(eventId), 'true');
+      setVoted(true);
+    } catch (err) {
+      if (err.message === 'You have already voted') {
+        localStorage.setItem(votedKey(eventId), 'true');
+      }
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatTime = (value) => new Date(value).toLocaleString();
+
+  const renderBody = () => {
+    if (loading) {
+      return <Box sx={{ p: 6, textAlign: 'center' }}><CircularProgress /></Box>;
+    }
+    if (!ballot?.enabled) {
+      return <Alert severity="info">There is no audience vote for this event.</Alert>;
+    }
+    if (voted) {
+      return (
+        <Paper sx={{ p: 4, textAlign: 'center', borderRadius: '16px' }}>
+          <CheckCircleIcon sx={{ fontSize: 56, color: '#10b981', mb: 1 }} />
+          <Typography variant="h6" sx={{ fontWeight: 700 }}>Thanks for voting!</Typography>
+          <Typography variant="body2" color="textSecondary">Results are announced at the closing ceremony.</Typography>
+        </Paper>
+      );
+    }
+    if (!ballot.is_open) {
+      const notYetOpen = ballot.opens_at && new Date(ballot.opens_at) > new Date();
+      return (
+        <Alert severity="info">
+          {notYetOpen ? `Voting opens ${formatTime(ballot.opens_at)}.` : 'Voting is closed.'}
+        </Alert>
+      );
+    }
+
+    return (
+      <>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5, mb: 3 }}>
+          {ballot.teams.map(team => (
+            <Card
+              key={team.id}
+              variant="outlined"
+              sx={{
+                borderRadius: '12px',
+                borderColor: selectedTeamId === team.id ? '#ec4899' : undefined,
+                borderWidth: selectedTeamId === team.id ? 2 : 1
+              }}
+            >
+              <CardActionArea onClick={() => setSelectedTeamId(team.id)}>
+                <CardContent sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                  <Box sx={{ flex: 1 }}>
+                    <Typography sx={{ fontWeight: 600 }}>{team.name}</Typography>
+                    {team.project_title && (
+                      <Typography variant="body2" color="textSecondary">{team.project_title}</Typography>
+                    )}
+                  </Box>
+                  {team.track_name && (
+                    <Chip size="small" label={team.track_name} sx={{ bgcolor: team.track_color, color: 'white' }} />
+                  )}
+                  {selectedTeamId === team.id && <CheckCircleIcon sx={{ color: '#ec4899' }} />}
+                </CardContent>
+              </CardActionArea>
+            </Card>
+          ))}
+        </Box>
+
+        {isEmailVote && (
+          <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+            <TextField
+              label="Email"
+              type="email"
+              size="small"
+              value={email}
+              onChange={(e) => { setEmail(e.target.value); setCodeSent(false); }}
+              sx={{ flex: 1, minWidth: 200, bgcolor: 'white' }}
+            />
+            <Button variant="outlined" onClick={handleSendCode} disabled={!email || submitting}>
+              {codeSent ? 'Resend Code' : 'Send Code'}
+            </Button>
+            {codeSent && (
+              <TextField
+                label="6-digit code"
+                size="small"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+                helperText={`Sent to ${email}`}
+                sx={{ width: '100%', bgcolor: 'white' }}
+              />
+            )}
+          </Box>
+        )}
+
+        <Button
+          fullWidth
+          size="large"
+          variant="contained"
+          startIcon={submitting ? <CircularProgress size={20} color="inherit" /> : <HowToVoteIcon />}
+          onClick={handleVote}
+          disabled={!selectedTeamId || submitting || (isEmailVote && code.trim().length !== 6)}
+          sx={{ bgcolor: '#ec4899', '&:hover': { bgcolor: '#db2777' }, borderRadius: '12px', py: 1.5 }}
+        >
+          Cast My Vote
+        </Button>
+        {ballot.closes_at && (
+          <Typography variant="caption" color="textSecondary" sx={{ display: 'block', textAlign: 'center', mt: 1 }}>
+            Voting closes {formatTime(ballot.closes_at)}
+          </Typography>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Box sx={{ minHeight: '100vh', background: '#f5f7fa' }}>
+      <Container maxWidth="sm" sx={{ py: 4 }}>
+        <Typography variant="overline" sx={{ color: '#ec4899', fontWeight: 700 }}>People's Choice</Typography>
+        <Typography variant="h4" sx={{ fontWeight: 800, color: '#1e293b', mb: 1 }}>
+          {ballot?.event_name || 'Audience Vote'}
+        </Typography>
+        <Typography variant="body1" sx={{ color: '#64748b', mb: 3 }}>
+          Pick the project you liked best. You can vote once.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+        {renderBody()}
+      </Container>
+    </Box>
+  );
+}
+
+export default AudienceVotePage;
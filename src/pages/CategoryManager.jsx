@@ -1,78 +1,383 @@
 import { useState } from "react";
-import { useApp } from "../context/AppContext";
 import {
   Box,
-  Typography,
   Button,
-  List,
-  ListItem,
-  ListItemText,
-  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
   Dialog,
   DialogTitle,
   DialogContent,
   DialogActions,
+  TextField,
   IconButton,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  ListItemText,
+  OutlinedInput,
+  Typography,
+  Alert,
+  CircularProgress,
 } from "@mui/material";
-import DeleteIcon from "@mui/icons-material/Delete";
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import TuneIcon from '@mui/icons-material/Tune';
+import { trackService, DEFAULT_TRACK_COLOR, TRACK_COLORS } from "../services/trackService";
+import { roundService } from "../services/roundService";
+
+const emptyTrack = { name: "", color: DEFAULT_TRACK_COLOR, description: "", judgeIds: [] };
 
-function CategoryManager() {
-  const { categories, setCategories } = useApp();
-  const [open, setOpen] = useState(false);
-  const [newCategory, setNewCategory] = useState({ name: "", weight: 1 });
+/**
+ * Event tracks (categories): color, eligible judges and per-track criteria
+ * weight overrides. Judges with no tracks may judge every track.
+ */
+function CategoryManager({ eventId, tracks = [], onTracksChange, teams = [], judges = [], onJudgesChange, rounds = [] }) {
+  const [openDialog, setOpenDialog] = useState(false);
+  const [currentTrack, setCurrentTrack] = useState(emptyTrack);
+  const [weightsTrack, setWeightsTrack] = useState(null);
+  const [weightsRoundId, setWeightsRoundId] = useState("");
+  const [roundCriteria, setRoundCriteria] = useState([]);
+  const [weights, setWeights] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
 
-  const handleAddCategory = () => {
-    setCategories([...categories, { id: Date.now(), ...newCategory }]);
-    setOpen(false);
-    setNewCategory({ name: "", weight: 1 });
+  const trackJudgeIds = (trackId) => judges.filter(j => (j.track_ids || []).includes(trackId)).map(j => j.id);
+
+  const handleAddTrack = () => {
+    setCurrentTrack({ ...emptyTrack, color: TRACK_COLORS[tracks.length % TRACK_COLORS.length] });
+    setError(null);
+    setOpenDialog(true);
   };
 
-  const handleDeleteCategory = (id) => {
-    setCategories(categories.filter((cat) => cat.id !== id));
+  const handleEditTrack = (track) => {
+    setCurrentTrack({ ...track, judgeIds: trackJudgeIds(track.id) });
+    setError(null);
+    setOpenDialog(true);
+  };
+
+  const handleSaveTrack = async () => {
+    if (!currentTrack.name.trim()) {
+      setError("Track name is required");
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const trackData = {
+        name: currentTrack.name.trim(),
+        color: currentTrack.color || DEFAULT_TRACK_COLOR,
+        description: currentTrack.description || "",
+      };
+
+      let saved;
+      if (currentTrack.id) {
+        saved = await trackService.updateTrack(currentTrack.id, trackData);
+        onTracksChange(tracks.map(t => (t.id === saved.id ? saved : t)));
+      } else {
+        saved = await trackService.createTrack(eventId, { ...trackData, display_order: tracks.length });
+        onTracksChange([...tracks, saved]);
+      }
+
+      const changed = await trackService.setTrackJudges(saved.id, judges, currentTrack.judgeIds);
+      if (changed.length > 0) {
+        onJudgesChange(judges.map(j => {
+          const update = changed.find(c => c.id === j.id);
+          return update ? { ...j, track_ids: update.track_ids } : j;
+        }));
+      }
+
+      setOpenDialog(false);
+    } catch (err) {
+      console.error("Error saving track:", err);
+      setError(err.code === '23505' ? "A track with this name already exists" : err.message || "Failed to save track");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteTrack = async (track) => {
+    if (!window.confirm(`Delete the "${track.name}" track? Its teams will have no track.`)) return;
+
+    setLoading(true);
+    try {
+      await trackService.deleteTrack(track.id);
+      onTracksChange(tracks.filter(t => t.id !== track.id));
+      onJudgesChange(judges.map(j => ({ ...j, track_ids: (j.track_ids || []).filter(id => id !== track.id) })));
+    } catch (err) {
+      console.error("Error deleting track:", err);
+      setError(err.message || "Failed to delete track");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenWeights = (track) => {
+    setWeightsTrack(track);
+    setWeights({ ...(track.criteria_weights || {}) });
+    setWeightsRoundId("");
+    setRoundCriteria([]);
+  };
+
+  const handleWeightsRoundChange = async (roundId) => {
+    setWeightsRoundId(roundId);
+    try {
+      setRoundCriteria(await roundService.getRoundCriteria(roundId));
+    } catch (err) {
+      console.error("Error loading round criteria:", err);
+      setError(err.message || "Failed to load round criteria");
+    }
+  };
+
+  const handleSaveWeights = async () => {
+    setLoading(true);
+    try {
+      // Blank entries fall back to the round's own weight
+      const cleaned = Object.fromEntries(
+        Object.entries(weights).filter(([, weight]) => weight !== '' && weight !== null && weight !== undefined)
+      );
+      const saved = await trackService.setCriteriaWeights(weightsTrack.id, cleaned);
+      onTracksChange(tracks.map(t => (t.id === saved.id ? saved : t)));
+      setWeightsTrack(null);
+    } catch (err) {
+      console.error("Error saving track criteria weights:", err);
+      setError(err.message || "Failed to save criteria weights");
+    } finally {
+      setLoading(false);
+    }
   };
 
   return (
-    <Box sx={{ p: 3 }}>
-      <Typography variant="h4" gutterBottom>
-        Category Manager
-      </Typography>
-      <List>
-        {categories.map((category) => (
-          <ListItem key={category.id} secondaryAction={
-            <IconButton edge="end" onClick={() => handleDeleteCategory(category.id)}>
-              <DeleteIcon />
-            </IconButton>
-          }>
-            <ListItemText primary={category.name} secondary={`Weight: ${category.weight}`} />
-          </ListItem>
-        ))}
-      </List>
-      <Button variant="contained" onClick={() => setOpen(true)}>
-        Add Category
-      </Button>
-
-      <Dialog open={open} onClose={() => setOpen(false)}>
-        <DialogTitle>Add Category</DialogTitle>
+    <Box>
+      {error && !openDialog && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={handleAddTrack} disabled={loading}>
+          Add Track
+        </Button>
+        <Typography variant="body2" sx={{ color: '#64748b' }}>
+          Teams are judged within their track and ranked on a separate leaderboard per track.
+        </Typography>
+      </Box>
+
+      <TableContainer
+        component={Paper}
+        sx={{
+          borderRadius: "12px",
+          boxShadow: "0 2px 12px rgba(0,0,0,0.08)",
+          overflow: "hidden"
+        }}
+      >
+        <Table>
+          <TableHead>
+            <TableRow sx={{ background: "linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%)" }}>
+              <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Track</TableCell>
+              <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Description</TableCell>
+              <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Teams</TableCell>
+              <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Eligible Judges</TableCell>
+              <TableCell sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Criteria</TableCell>
+              <TableCell align="right" sx={{ fontWeight: 700, color: "#1e293b", fontSize: "0.95rem" }}>Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {tracks.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center" sx={{ py: 4, color: '#64748b' }}>
+                  No tracks yet. Click "Add Track" to create tracks such as "FinTech" or "Health".
+                </TableCell>
+              </TableRow>
+            ) : (
+              tracks.map((track) => {
+                const judgeIds = trackJudgeIds(track.id);
+                const overrideCount = Object.keys(track.criteria_weights || {}).length;
+
+                return (
+                  <TableRow key={track.id} sx={{ "&:hover": { backgroundColor: "#f8fafc" } }}>
+                    <TableCell>
+                      <Chip label={track.name} size="small" sx={{ backgroundColor: track.color, color: "white", fontWeight: 600 }} />
+                    </TableCell>
+                    <TableCell sx={{ color: "#334155" }}>{track.description || "-"}</TableCell>
+                    <TableCell sx={{ color: "#334155" }}>{teams.filter(t => t.track_id === track.id).length}</TableCell>
+                    <TableCell sx={{ color: "#334155" }}>
+                      {judgeIds.length > 0
+                        ? judges.filter(j => judgeIds.includes(j.id)).map(j => j.name).join(', ')
+                        : "Judges without a track only"}
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        label={overrideCount > 0 ? `${overrideCount} weight override${overrideCount === 1 ? '' : 's'}` : "Round weights"}
+                        size="small"
+                        variant="outlined"
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <IconButton
+                        size="small"
+                        onClick={() => handleOpenWeights(track)}
+                        sx={{ color: "#8b5cf6", "&:hover": { backgroundColor: "#faf5ff" } }}
+                        title="Criteria Weights"
+                      >
+                        <TuneIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        onClick={() => handleEditTrack(track)}
+                        sx={{ color: "#3b82f6", "&:hover": { backgroundColor: "#eff6ff" } }}
+                      >
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        onClick={() => handleDeleteTrack(track)}
+                        sx={{ color: "#ef4444", "&:hover": { backgroundColor: "#fef2f2" } }}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                );
+              })
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{currentTrack.id ? "Edit Track" : "Add Track"}</DialogTitle>
         <DialogContent>
+          {error && <Alert severity="error" sx={{ mt: 1 }}>{error}</Alert>}
           <TextField
             fullWidth
-            label="Category Name"
-            value={newCategory.name}
-            onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+            label="Track Name"
+            value={currentTrack.name}
+            onChange={(e) => setCurrentTrack({ ...currentTrack, name: e.target.value })}
             margin="normal"
+            placeholder="e.g., FinTech"
+            required
           />
           <TextField
             fullWidth
-            label="Weight"
-            type="number"
-            value={newCategory.weight}
-            onChange={(e) => setNewCategory({ ...newCategory, weight: parseFloat(e.target.value) })}
+            label="Description"
+            value={currentTrack.description || ""}
+            onChange={(e) => setCurrentTrack({ ...currentTrack, description: e.target.value })}
             margin="normal"
+            multiline
+            rows={2}
           />
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 2, mb: 1 }}>
+            <Typography variant="body2" sx={{ color: '#64748b', mr: 1 }}>Color</Typography>
+            {TRACK_COLORS.map(color => (
+              <Box
+                key={color}
+                onClick={() => setCurrentTrack({ ...currentTrack, color })}
+                sx={{
+                  width: 24,
+                  height: 24,
+                  borderRadius: '50%',
+                  bgcolor: color,
+                  cursor: 'pointer',
+                  outline: currentTrack.color === color ? '2px solid #1e293b' : 'none',
+                  outlineOffset: 2
+                }}
+              />
+            ))}
+            <TextField
+              type="color"
+              size="small"
+              value={currentTrack.color || DEFAULT_TRACK_COLOR}
+              onChange={(e) => setCurrentTrack({ ...currentTrack, color: e.target.value })}
+              sx={{ width: 64, ml: 1 }}
+            />
+          </Box>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Eligible Judges</InputLabel>
+            <Select
+              multiple
+              value={currentTrack.judgeIds}
+              onChange={(e) => setCurrentTrack({ ...currentTrack, judgeIds: e.target.value })}
+              input={<OutlinedInput label="Eligible Judges" />}
+              renderValue={(selected) => judges.filter(j => selected.includes(j.id)).map(j => j.name).join(', ')}
+            >
+              {judges.map((judge) => (
+                <MenuItem key={judge.id} value={judge.id}>
+                  <Checkbox checked={currentTrack.judgeIds.includes(judge.id)} />
+                  <ListItemText primary={judge.name} secondary={judge.email} />
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Typography variant="caption" sx={{ color: '#64748b' }}>
+            Judges with no tracks can judge every track.
+          </Typography>
+        </DialogContent>
+        <DialogActions sx={{ p: 3, pt: 2, gap: 1 }}>
+          <Button onClick={() => setOpenDialog(false)}>Cancel</Button>
+          <Button onClick={handleSaveTrack} variant="contained" disabled={loading}>
+            {loading ? <CircularProgress size={20} /> : currentTrack.id ? "Update" : "Create"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!weightsTrack} onClose={() => setWeightsTrack(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Criteria Weights: {weightsTrack?.name}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ color: '#64748b', mt: 1 }}>
+            Override criterion weights on this track's leaderboard. Leave blank to use the round's weight; 0 leaves the criterion out.
+          </Typography>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Round</InputLabel>
+            <Select
+              label="Round"
+              value={weightsRoundId}
+              onChange={(e) => handleWeightsRoundChange(e.target.value)}
+            >
+              {rounds.map(round => (
+                <MenuItem key={round.id} value={round.id}>
+                  Round {round.round_number}: {round.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {roundCriteria.map(criterion => (
+            <Box key={criterion.id} sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+              <Typography sx={{ flex: 1 }}>{criterion.name}</Typography>
+              <Typography variant="caption" sx={{ color: '#64748b', width: 90 }}>
+                Round: ×{criterion.weight}
+              </Typography>
+              <TextField
+                label="Track weight"
+                type="number"
+                size="small"
+                value={weights[criterion.id] ?? ''}
+                onChange={(e) => setWeights({ ...weights, [criterion.id]: e.target.value === '' ? '' : parseFloat(e.target.value) })}
+                inputProps={{ min: 0, step: 0.1 }}
+                sx={{ width: 130 }}
+              />
+            </Box>
+          ))}
+          {weightsRoundId && roundCriteria.length === 0 && (
+            <Typography variant="body2" sx={{ color: '#64748b' }}>This round has no criteria yet.</Typography>
+          )}
         </DialogContent>
-        <DialogActions>
-          <Button onClick={() => setOpen(false)}>Cancel</Button>
-          <Button onClick={handleAddCategory}>Add</Button>
+        <DialogActions sx={{ p: 3, pt: 2, gap: 1 }}>
+          <Button onClick={() => setWeightsTrack(null)}>Cancel</Button>
+          <Button onClick={handleSaveWeights} variant="contained" disabled={loading}>
+            Save Weights
+          </Button>
         </DialogActions>
       </Dialog>
     </Box>
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { Fragment, useState, useEffect, useRef } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import {
   Box,
@@ -27,8 +27,21 @@ import CheckCircle from '@mui/icons-material/CheckCircle';
 import HourglassEmpty from '@mui/icons-material/HourglassEmpty';
 import LockIcon from '@mui/icons-material/Lock';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import CampaignIcon from '@mui/icons-material/Campaign';
 import { eventService } from '../services/eventService';
-import { roundService } from '../services/roundService';
+import { roundService, RoundTypes, buildRubricSelections, getScoringLevels, getScoreInputStep, groupCriteria } from '../services/roundService';
+import { validateCriterionScore } from '../services/normalizationService';
+import { hasCalibration, isCalibrationOpen } from '../services/calibrationService';
+import { scheduleService, orderTeamsBySchedule } from '../services/scheduleService';
+import { stageService, isOnStage } from '../services/stageService';
+import PairwiseComparisonPanel from '../components/PairwiseComparisonPanel';
+import CalibrationPanel from '../components/CalibrationPanel';
+import ConflictDeclarationPanel from '../components/ConflictDeclarationPanel';
+import PitchScheduleList from '../components/PitchScheduleList';
+import RubricLevelPicker from '../components/RubricLevelPicker';
+import StageCountdown from '../components/StageCountdown';
+import { formatTime } from '../utils/dateHelpers';
 
 function JudgeDashboard() {
   const [searchParams] = useSearchParams();
@@ -38,6 +51,7 @@ function JudgeDashboard() {
   const [rounds, setRounds] = useState([]);
   const [currentRound, setCurrentRound] = useState(null);
   const [assignedTeams, setAssignedTeams] = useState([]);
+  const [schedule, setSchedule] = useState([]);
   const [criteria, setCriteria] = useState([]);
   const [scores, setScores] = useState({});
   const [loading, setLoading] = useState(true);
@@ -45,6 +59,9 @@ function JudgeDashboard() {
   const [submittedTeams, setSubmittedTeams] = useState(new Set());
   const [absentTeams, setAbsentTeams] = useState(new Set());
   const [roundProgress, setRoundProgress] = useState({});
+  const [calibratedRounds, setCalibratedRounds] = useState({});
+  const [stages, setStages] = useState({});
+  const teamCardRefs = useRef({});
 
   useEffect(() => {
     if (!token) {
@@ -67,6 +84,33 @@ function JudgeDashboard() {
     return () => window.removeEventListener('offline', handleOffline);
   }, []);
 
+  // Follow the stage controllers of the event's venues
+  useEffect(() => {
+    if (!judge?.event_id) return undefined;
+
+    stageService.getEventStages(judge.event_id)
+      .then(rows => setStages(Object.fromEntries(rows.map(row => [row.venue_id, row]))))
+      .catch(err => console.error('Error loading stages:', err));
+    stageService.syncClock().catch(err => console.error('Error syncing the stage clock:', err));
+
+    const unsubscribe = stageService.subscribeToEventStages(judge.event_id, (row) => {
+      if (row?.venue_id) setStages(prev => ({ ...prev, [row.venue_id]: row }));
+    });
+    return unsubscribe;
+  }, [judge?.event_id]);
+
+  const stageByTeam = Object.fromEntries(
+    Object.values(stages).filter(isOnStage).map(stage => [stage.team_id, stage])
+  );
+  const presentingTeamId = assignedTeams.find(team => stageByTeam[team.id])?.id;
+
+  // Bring the presenting team's scoring card into view when a new team takes the stage
+  useEffect(() => {
+    if (presentingTeamId) {
+      teamCardRefs.current[presentingTeamId]?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }, [presentingTeamId]);
+
   const loadJudgeData = async () => {
     try {
       // Find judge by token
@@ -113,9 +157,15 @@ function JudgeDashboard() {
 
   const loadRoundData = async (roundId, judgeId) => {
     try {
-      // Get teams assigned to this judge for this round
-      const teams = await roundService.getTeamsAssignedToJudgeForRound(roundId, judgeId);
-      setAssignedTeams(teams);
+      // Get teams assigned to this judge for this round, in pitch order when
+      // the round has a schedule
+      const [teams, roundSchedule] = await Promise.all([
+        roundService.getTeamsAssignedToJudgeForRound(roundId, judgeId),
+        scheduleService.getRoundSchedule(roundId)
+      ]);
+      const mySchedule = roundSchedule.filter(slot => teams.some(team => team.id === slot.team_id));
+      setSchedule(mySchedule);
+      setAssignedTeams(orderTeamsBySchedule(teams, mySchedule));
 
       // Track absent teams
       const absent = new Set(teams.filter(team => team.is_absent).map(team => team.id));
@@ -157,8 +207,8 @@ function JudgeDashboard() {
       }
     }
 
-    // Check if round is active
-    if (round.status === 'draft') {
+    // Check if round is active; draft rounds open early for calibration
+    if (round.status === 'draft' && !hasCalibration(round)) {
       alert('This round has not started yet. Please wait for the admin to activate it.');
       return;
     }
@@ -197,12 +247,22 @@ function JudgeDashboard() {
       return;
     }
 
+    const scaleErrors = criteria
+      .map(c => validateCriterionScore(c, teamScores[c.id]))
+      .filter(Boolean);
+    if (scaleErrors.length > 0) {
+      alert(scaleErrors.join('\n'));
+      return;
+    }
+
     try {
       await roundService.submitRoundEvaluation(
         currentRound.id,
         judge.id,
         teamId,
-        teamScores
+        teamScores,
+        '',
+        buildRubricSelections(criteria, teamScores)
       );
 
       const newSubmitted = new Set(submittedTeams);
@@ -231,7 +291,9 @@ function JudgeDashboard() {
         currentRound.id,
         judge.id,
         teamId,
-        teamScores
+        teamScores,
+        '',
+        buildRubricSelections(criteria, teamScores)
       );
       alert('Draft saved successfully!');
     } catch (error) {
@@ -287,6 +349,10 @@ function JudgeDashboard() {
     : 0;
 
   const isRoundEditable = currentRound?.status === 'active';
+  const isPairwiseRound = currentRound?.round_type === RoundTypes.PAIRWISE;
+  // Live scoring waits until the judge has scored every calibration sample
+  const showCalibration = isCalibrationOpen(currentRound);
+  const isCalibrated = !showCalibration || calibratedRounds[currentRound.id] === true;
 
   return (
     <Box sx={{ minHeight: '100vh', background: '#f5f7fa', p: 4 }}>
@@ -316,7 +382,7 @@ function JudgeDashboard() {
                   const progress = roundProgress[round.id];
                   const isComplete = progress?.isComplete;
                   const isPreviousComplete = index === 0 || roundProgress[rounds[index - 1]?.id]?.isComplete;
-                  const isAccessible = isPreviousComplete && round.status !== 'draft';
+                  const isAccessible = isPreviousComplete && (round.status !== 'draft' || hasCalibration(round));
 
                   return (
                     <Step
@@ -372,11 +438,19 @@ function JudgeDashboard() {
                 variant="outlined"
                 sx={{ fontWeight: 600 }}
               />
-              <Chip
-                label={`${submittedTeams.size}/${teamsToScore.length} Scored`}
-                color={submittedTeams.size === teamsToScore.length ? 'success' : 'warning'}
-                sx={{ fontWeight: 600 }}
-              />
+              {isPairwiseRound ? (
+                <Chip
+                  label={`${roundProgress[currentRound.id]?.submitted || 0}/${roundProgress[currentRound.id]?.total || 0} Compared`}
+                  color={roundProgress[currentRound.id]?.isComplete ? 'success' : 'warning'}
+                  sx={{ fontWeight: 600 }}
+                />
+              ) : (
+                <Chip
+                  label={`${submittedTeams.size}/${teamsToScore.length} Scored`}
+                  color={submittedTeams.size === teamsToScore.length ? 'success' : 'warning'}
+                  sx={{ fontWeight: 600 }}
+                />
+              )}
               {absentTeams.size > 0 && (
                 <Chip
                   label={`${absentTeams.size} Absent`}
@@ -388,7 +462,7 @@ function JudgeDashboard() {
           )}
 
           {/* Progress Bar */}
-          {teamsToScore.length > 0 && (
+          {teamsToScore.length > 0 && !isPairwiseRound && (
             <Box sx={{ mt: 3 }}>
               <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                 <Typography variant="body2" color="textSecondary">
@@ -417,6 +491,19 @@ function JudgeDashboard() {
           )}
         </Card>
 
+        {/* Conflicts of Interest */}
+        {judge && (
+          <ConflictDeclarationPanel
+            judge={judge}
+            onDeclared={() => currentRound && loadRoundData(currentRound.id, judge.id)}
+          />
+        )}
+
+        {/* Pitch Schedule */}
+        {schedule.length > 0 && (
+          <PitchScheduleList slots={schedule} title="Your Pitch Schedule" />
+        )}
+
         {/* No Round Warning */}
         {!currentRound && (
           <Alert severity="info" sx={{ mb: 3 }}>
@@ -428,31 +515,67 @@ function JudgeDashboard() {
         {currentRound && !isRoundEditable && (
           <Alert severity="warning" sx={{ mb: 3 }}>
             {currentRound.status === 'draft'
-              ? 'This round has not started yet. Please wait for the admin to activate it.'
+              ? (showCalibration
+                ? 'This round has not started yet. You can complete calibration below in the meantime.'
+                : 'This round has not started yet. Please wait for the admin to activate it.')
               : 'This round is closed. You can view your scores but cannot make changes.'}
           </Alert>
         )}
 
+        {/* Calibration */}
+        {showCalibration && (
+          <CalibrationPanel
+            key={currentRound.id}
+            round={currentRound}
+            judge={judge}
+            criteria={criteria}
+            editable
+            onComplete={(complete) => setCalibratedRounds(prev => ({
+              ...prev,
+              [currentRound.id]: complete
+            }))}
+          />
+        )}
+
         {/* Teams List */}
-        {assignedTeams.length === 0 ? (
+        {!isCalibrated ? (
+          currentRound.status === 'active' && (
+            <Alert severity="info">Submit your calibration scores above to start scoring your teams.</Alert>
+          )
+        ) : assignedTeams.length === 0 ? (
           <Alert severity="info">No teams have been assigned to you for this round.</Alert>
+        ) : isPairwiseRound ? (
+          <PairwiseComparisonPanel
+            round={currentRound}
+            judge={judge}
+            teams={teamsToScore}
+            editable={isRoundEditable}
+            onProgressChange={(progress) => setRoundProgress(prev => ({
+              ...prev,
+              [currentRound.id]: progress
+            }))}
+          />
         ) : (
           <Box>
             {assignedTeams.map((team) => {
               const teamScores = scores[team.id] || {};
               const isSubmitted = submittedTeams.has(team.id);
               const isAbsent = absentTeams.has(team.id);
+              const slot = schedule.find(s => s.team_id === team.id);
+              const stage = stageByTeam[team.id];
 
               return (
                 <Card
                   key={team.id}
+                  ref={(el) => { teamCardRefs.current[team.id] = el; }}
                   sx={{
                     mb: 3,
                     borderRadius: '16px',
                     overflow: 'hidden',
                     boxShadow: '0 2px 12px rgba(0,0,0,0.08)',
                     opacity: isAbsent ? 0.6 : 1,
-                    border: isAbsent ? '2px solid #ef4444' : 'none'
+                    border: isAbsent ? '2px solid #ef4444' : (stage ? '2px solid #3b82f6' : 'none'),
+                    scrollMarginTop: 16
                   }}
                 >
                   <Box sx={{
@@ -470,6 +593,19 @@ function JudgeDashboard() {
                         </Typography>
                       </Box>
                       <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                        {stage && (
+                          <>
+                            <Chip icon={<CampaignIcon />} label="On Stage" color="primary" sx={{ fontWeight: 600 }} />
+                            <StageCountdown state={stage} compact />
+                          </>
+                        )}
+                        {slot && (
+                          <Chip
+                            icon={<ScheduleIcon />}
+                            label={`${formatTime(slot.starts_at)}${slot.venue ? ` · ${slot.venue.name}` : ''}`}
+                            variant="outlined"
+                          />
+                        )}
                         {isAbsent ? (
                           <Chip label="Absent" color="error" sx={{ fontWeight: 600 }} />
                         ) : isSubmitted ? (
@@ -519,49 +655,74 @@ function JudgeDashboard() {
                             </TableRow>
                           </TableHead>
                           <TableBody>
-                            {criteria.map((criterion) => (
-                              <TableRow
-                                key={criterion.id}
-                                sx={{ '&:hover': { backgroundColor: '#f8fafc' } }}
-                              >
-                                <TableCell>
-                                  <Typography sx={{ fontWeight: 600, color: '#334155' }}>
-                                    {criterion.name}
-                                  </Typography>
-                                  {criterion.description && (
-                                    <Typography variant="caption" color="textSecondary">
-                                      {criterion.description}
-                                    </Typography>
-                                  )}
-                                </TableCell>
-                                <TableCell sx={{ color: '#64748b', fontWeight: 500 }}>
-                                  {criterion.max_marks}
-                                </TableCell>
-                                <TableCell>
-                                  <TextField
-                                    type="number"
-                                    size="small"
-                                    value={teamScores[criterion.id] ?? ''}
-                                    onChange={(e) => handleScoreChange(
-                                      team.id,
-                                      criterion.id,
-                                      e.target.value,
-                                      criterion.max_marks
-                                    )}
-                                    disabled={isSubmitted || !isRoundEditable}
-                                    inputProps={{
-                                      min: 0,
-                                      max: criterion.max_marks,
-                                      step: 0.5
-                                    }}
-                                    sx={{ width: '140px' }}
-                                    placeholder={`0-${criterion.max_marks}`}
-                                  />
-                                </TableCell>
-                                <TableCell sx={{ color: '#64748b', fontWeight: 600 }}>
-                                  {criterion.weight}x
-                                </TableCell>
-                              </TableRow>
+                            {groupCriteria(criteria, currentRound?.criterion_groups).map(section => (
+                              <Fragment key={section.group?.id || 'ungrouped'}>
+                                {section.group && (
+                                  <TableRow sx={{ bgcolor: '#f5f3ff' }}>
+                                    <TableCell colSpan={4} sx={{ fontWeight: 700, color: '#5b21b6' }}>
+                                      {section.group.name} · {section.group.weight}x
+                                    </TableCell>
+                                  </TableRow>
+                                )}
+                                {section.criteria.map((criterion) => (
+                                  <TableRow
+                                    key={criterion.id}
+                                    sx={{ '&:hover': { backgroundColor: '#f8fafc' } }}
+                                  >
+                                    <TableCell>
+                                      <Typography sx={{ fontWeight: 600, color: '#334155' }}>
+                                        {criterion.name}
+                                      </Typography>
+                                      {criterion.description && (
+                                        <Typography variant="caption" color="textSecondary">
+                                          {criterion.description}
+                                        </Typography>
+                                      )}
+                                    </TableCell>
+                                    <TableCell sx={{ color: '#64748b', fontWeight: 500 }}>
+                                      {criterion.max_marks}
+                                    </TableCell>
+                                    <TableCell>
+                                      {getScoringLevels(criterion).length > 0 ? (
+                                        <RubricLevelPicker
+                                          levels={getScoringLevels(criterion)}
+                                          value={teamScores[criterion.id]}
+                                          onSelect={(score) => handleScoreChange(
+                                            team.id,
+                                            criterion.id,
+                                            score,
+                                            criterion.max_marks
+                                          )}
+                                          disabled={isSubmitted || !isRoundEditable}
+                                        />
+                                      ) : (
+                                        <TextField
+                                          type="number"
+                                          size="small"
+                                          value={teamScores[criterion.id] ?? ''}
+                                          onChange={(e) => handleScoreChange(
+                                            team.id,
+                                            criterion.id,
+                                            e.target.value,
+                                            criterion.max_marks
+                                          )}
+                                          disabled={isSubmitted || !isRoundEditable}
+                                          inputProps={{
+                                            min: criterion.min_marks || 0,
+                                            max: criterion.max_marks,
+                                            step: getScoreInputStep(criterion)
+                                          }}
+                                          sx={{ width: '140px' }}
+                                          placeholder={`0-${criterion.max_marks}`}
+                                        />
+                                      )}
+                                    </TableCell>
+                                    <TableCell sx={{ color: '#64748b', fontWeight: 600 }}>
+                                      {criterion.weight}x
+                                    </TableCell>
+                                  </TableRow>
+                                ))}
+                              </Fragment>
                             ))}
                           </TableBody>
                         </Table>
@@ -614,7 +775,7 @@ function JudgeDashboard() {
         )}
 
         {/* All Complete Message */}
-        {submittedTeams.size === teamsToScore.length && teamsToScore.length > 0 && (
+        {!isPairwiseRound && isCalibrated && submittedTeams.size === teamsToScore.length && teamsToScore.length > 0 && (
           <Card sx={{
             p: 4,
             textAlign: 'center',
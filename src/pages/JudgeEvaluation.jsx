@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../supabaseClient';
-import { computeRawTotal } from '../services/normalizationService';
+import { computeRawTotal, validateCriterionScore } from '../services/normalizationService';
 import { offlineService } from '../services/offlineService';
+import { buildRubricSelections, getScoringLevels, getScoreInputStep, groupCriteria } from '../services/roundService';
 import './JudgeEvaluation.css';
 
 function JudgeEvaluation({ judgeId, roundId }) {
@@ -199,6 +200,14 @@ function JudgeEvaluation({ judgeId, roundId }) {
         setMessage(`Missing scores for: ${missing.join(', ')}`);
         return;
       }
+
+      const scaleErrors = criteria
+        .map(criterion => validateCriterionScore(criterion, scores[criterion.id]))
+        .filter(Boolean);
+      if (scaleErrors.length > 0) {
+        setMessage(scaleErrors.join('; '));
+        return;
+      }
     }
 
     setLoading(true);
@@ -218,6 +227,7 @@ function JudgeEvaluation({ judgeId, roundId }) {
       team_id: currentTeam.id,
       scores: cleanScores,
       raw_total: rawTotal,
+      rubric_selections: buildRubricSelections(criteria, cleanScores),
       note: note,
       is_draft: !submit,
       submitted_at: submit ? new Date().toISOString() : null,
@@ -388,30 +398,59 @@ function JudgeEvaluation({ judgeId, roundId }) {
               </div>
 
               <div className="criteria-scoring">
-                {criteria.map(criterion => (
-                  <div key={criterion.id} className="criterion-row">
-                    <div className="criterion-info-col">
-                      <div className="criterion-name">{criterion.name}</div>
-                      <div className="criterion-description">{criterion.description}</div>
-                      <div className="criterion-meta">
-                        Max: {criterion.max_marks} | Weight: {criterion.weight}
+                {groupCriteria(criteria, round?.criterion_groups).map(section => (
+                  <React.Fragment key={section.group?.id || 'ungrouped'}>
+                    {section.group && (
+                      <div className="criterion-group-header">
+                        {section.group.name}
+                        <span className="criterion-group-weight">Weight: {section.group.weight}</span>
                       </div>
-                    </div>
-                    <div className="criterion-input-col">
-                      <input
-                        type="number"
-                        min="0"
-                        max={criterion.max_marks}
-                        step="0.5"
-                        value={scores[criterion.id] || ''}
-                        onChange={(e) => handleScoreChange(criterion.id, e.target.value)}
-                        disabled={isSubmitted}
-                        placeholder="0"
-                        className="score-input"
-                      />
-                      <span className="max-marks">/ {criterion.max_marks}</span>
-                    </div>
-                  </div>
+                    )}
+                    {section.criteria.map(criterion => (
+                      <div key={criterion.id} className={`criterion-row ${getScoringLevels(criterion).length > 0 ? 'has-rubric' : ''}`}>
+                        <div className="criterion-info-col">
+                          <div className="criterion-name">{criterion.name}</div>
+                          <div className="criterion-description">{criterion.description}</div>
+                          <div className="criterion-meta">
+                            Max: {criterion.max_marks} | Weight: {criterion.weight}
+                          </div>
+                        </div>
+                        {getScoringLevels(criterion).length > 0 ? (
+                          <div className="criterion-input-col rubric-levels">
+                            {getScoringLevels(criterion).map(level => (
+                              <button
+                                key={level.score}
+                                type="button"
+                                onClick={() => handleScoreChange(criterion.id, level.score)}
+                                disabled={isSubmitted}
+                                className={`rubric-level ${scores[criterion.id] === level.score ? 'selected' : ''}`}
+                              >
+                                <span className="rubric-level-score">
+                                  {level.score}{level.label ? ` · ${level.label}` : ''}
+                                </span>
+                                <span className="rubric-level-descriptor">{level.descriptor}</span>
+                              </button>
+                            ))}
+                          </div>
+                        ) : (
+                          <div className="criterion-input-col">
+                            <input
+                              type="number"
+                              min={criterion.min_marks || 0}
+                              max={criterion.max_marks}
+                              step={getScoreInputStep(criterion)}
+                              value={scores[criterion.id] || ''}
+                              onChange={(e) => handleScoreChange(criterion.id, e.target.value)}
+                              disabled={isSubmitted}
+                              placeholder="0"
+                              className="score-input"
+                            />
+                            <span className="max-marks">/ {criterion.max_marks}</span>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </React.Fragment>
                 ))}
               </div>
 
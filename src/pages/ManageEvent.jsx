@@ -20,14 +20,17 @@ import PlaceOutlinedIcon from '@mui/icons-material/PlaceOutlined';
 import CategoryOutlinedIcon from '@mui/icons-material/CategoryOutlined';
 import DashboardOutlinedIcon from '@mui/icons-material/DashboardOutlined';
 import LeaderboardIcon from '@mui/icons-material/Leaderboard';
+import LabelOutlinedIcon from '@mui/icons-material/LabelOutlined';
 
 import Navigation from "../components/Navigation";
 import { eventService } from "../services/eventService";
+import { trackService } from "../services/trackService";
 import TeamsTab from "../components/ManageEvent/TeamsTab";
 import JudgesTab from "../components/ManageEvent/JudgesTab";
 import RoundsTab from "../components/ManageEvent/RoundsTab";
 import VenuesTab from "../components/ManageEvent/VenuesTab";
 import CriteriaTab from "../components/ManageEvent/CriteriaTab";
+import CategoryManager from "./CategoryManager";
 
 function ManageEvent() {
   const { eventId } = useParams();
@@ -39,6 +42,7 @@ function ManageEvent() {
   const [rounds, setRounds] = useState([]);
   const [venues, setVenues] = useState([]);
   const [criteria, setCriteria] = useState([]);
+  const [tracks, setTracks] = useState([]);
   const [isTransitioning, setIsTransitioning] = useState(false);
 
   useEffect(() => {
@@ -51,12 +55,13 @@ function ManageEvent() {
       const foundEvent = await eventService.getEvent(eventId);
       setEvent(foundEvent);
 
-      const [teamsData, judgesData, criteriaData, roundsData, venuesData] = await Promise.all([
+      const [teamsData, judgesData, criteriaData, roundsData, venuesData, tracksData] = await Promise.all([
         eventService.getTeamsByEvent(eventId),
         eventService.getJudgesByEvent(eventId),
         eventService.getCriteriaByEvent(eventId),
         eventService.getRoundsByEvent(eventId),
         eventService.getVenuesByEvent(eventId),
+        trackService.getTracksByEvent(eventId),
       ]);
 
       const judgesWithAssignments = await Promise.all(
@@ -71,6 +76,7 @@ function ManageEvent() {
       setCriteria(criteriaData);
       setRounds(roundsData);
       setVenues(venuesData);
+      setTracks(tracksData);
     } catch (error) {
       console.error('Error loading event data:', error);
     }
@@ -148,6 +154,11 @@ function ManageEvent() {
       icon: <CategoryOutlinedIcon sx={{ fontSize: "1.1rem", mr: 1 }} />,
       count: criteria.length
     },
+    {
+      label: "Tracks",
+      icon: <LabelOutlinedIcon sx={{ fontSize: "1.1rem", mr: 1 }} />,
+      count: tracks.length
+    },
   ];
 
   // A helper component for the stat cards to avoid repetition
@@ -513,23 +524,41 @@ function ManageEvent() {
             </TabContent>
           )}
 
-          {[1, 2, 3, 4, 5].includes(currentTab) && (
-            <TabContent isActive={[1, 2, 3, 4, 5].includes(currentTab)}>
-              {currentTab === 1 && <TeamsTab teams={teams} venues={venues} categories={criteria} onTeamsChange={handleTeamsChange} eventId={eventId} />}
+          {[1, 2, 3, 4, 5, 6].includes(currentTab) && (
+            <TabContent isActive={[1, 2, 3, 4, 5, 6].includes(currentTab)}>
+              {currentTab === 1 && <TeamsTab teams={teams} venues={venues} tracks={tracks} categories={criteria} onTeamsChange={handleTeamsChange} onTracksChange={setTracks} eventId={eventId} />}
               {currentTab === 2 && (
                 <JudgesTab
                   judges={judges}
                   venues={venues}
                   categories={criteria}
                   teams={teams}
+                  tracks={tracks}
                   onJudgesChange={handleJudgesChange}
                   eventId={eventId}
                   eventName={event.name}
                 />
               )}
-              {currentTab === 3 && <RoundsTab rounds={rounds} onRoundsChange={handleRoundsChange} eventId={eventId} judges={judges} teams={teams} />}
+              {currentTab === 3 && <RoundsTab rounds={rounds} onRoundsChange={handleRoundsChange} eventId={eventId} organizationId={event.organization_id} judges={judges} teams={teams} tracks={tracks} venues={venues} />}
               {currentTab === 4 && <VenuesTab venues={venues} onVenuesChange={handleVenuesChange} eventId={eventId} />}
-              {currentTab === 5 && <CriteriaTab categories={criteria} onCategoriesChange={handleCriteriaChange} eventId={eventId} />}
+              {currentTab === 5 && <CriteriaTab
+                categories={criteria}
+                onCategoriesChange={handleCriteriaChange}
+                eventId={eventId}
+                criterionGroups={event.criterion_groups || []}
+                onCriterionGroupsChange={(groups) => setEvent({ ...event, criterion_groups: groups })}
+              />}
+              {currentTab === 6 && (
+                <CategoryManager
+                  eventId={eventId}
+                  tracks={tracks}
+                  onTracksChange={setTracks}
+                  teams={teams}
+                  judges={judges}
+                  onJudgesChange={handleJudgesChange}
+                  rounds={rounds}
+                />
+              )}
             </TabContent>
           )}
         </Box>
@@ -0,0 +1,97 @@
+import { useState, useEffect } from "react";
+import { useParams, useSearchParams } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  CircularProgress,
+  Container,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  Typography,
+} from "@mui/material";
+import { scheduleService } from "../services/scheduleService";
+import PitchScheduleList from "../components/PitchScheduleList";
+
+/**
+ * Public pitch agenda of an event. Teams pick themselves (or open a link
+ * with ?team=<id>) to see only their own slots
+ */
+function PitchSchedulePage() {
+  const { eventId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const teamId = searchParams.get('team') || '';
+
+  useEffect(() => {
+    loadSchedule();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [eventId]);
+
+  const loadSchedule = async () => {
+    setLoading(true);
+    try {
+      setSlots(await scheduleService.getEventSchedule(eventId));
+    } catch (err) {
+      console.error("Error loading schedule:", err);
+      setError("Failed to load the schedule");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const teams = [...new Map(slots.filter(slot => slot.team).map(slot => [slot.team_id, slot.team])).values()]
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const selectedTeam = teams.find(team => team.id === teamId);
+  const visibleSlots = selectedTeam ? slots.filter(slot => slot.team_id === teamId) : slots;
+
+  return (
+    <Box sx={{ minHeight: '100vh', background: '#f5f7fa' }}>
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Typography variant="overline" sx={{ color: '#3b82f6', fontWeight: 700 }}>Agenda</Typography>
+        <Typography variant="h4" sx={{ fontWeight: 800, color: '#1e293b', mb: 1 }}>
+          Pitch Schedule
+        </Typography>
+        <Typography variant="body1" sx={{ color: '#64748b', mb: 3 }}>
+          Pick your team to see when and where you pitch. Please be at the venue a few minutes early.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            {teams.length > 0 && (
+              <FormControl fullWidth size="small" sx={{ mb: 3, bgcolor: 'white' }}>
+                <InputLabel>Your team</InputLabel>
+                <Select
+                  label="Your team"
+                  value={selectedTeam ? teamId : ''}
+                  onChange={(e) => setSearchParams(e.target.value ? { team: e.target.value } : {})}
+                >
+                  <MenuItem value="">All teams</MenuItem>
+                  {teams.map(team => (
+                    <MenuItem key={team.id} value={team.id}>{team.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            <PitchScheduleList
+              slots={visibleSlots}
+              title={selectedTeam ? `${selectedTeam.name}'s Pitches` : 'All Pitches'}
+              emptyText="The schedule has not been published yet."
+            />
+          </>
+        )}
+      </Container>
+    </Box>
+  );
+}
+
+export default PitchSchedulePage;
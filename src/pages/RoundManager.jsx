@@ -2,20 +2,27 @@ import React, { useState, useEffect } from 'react';
 import { supabase } from '../supabaseClient';
 import { computeRound, checkRoundReadiness } from '../services/computeRoundService';
 import { executeSelection, SelectionModes } from '../services/selectionService';
-import { executeSelection, SelectionModes } from '../services/selectionService';
+import { NormalizationMethods, AggregationModes, RankingStyles } from '../services/normalizationService';
 import { exportRoundCSV, exportRoundPDF, downloadFile, downloadPDF } from '../services/exportService';
 import { importService } from '../services/importService';
+import { DEFAULT_MAX_CRITERIA_PER_ROUND } from '../services/roundService';
+import { criteriaLibraryService } from '../services/criteriaLibraryService';
+import { trackService } from '../services/trackService';
 import './RoundManager.css';
 
 function RoundManager({ eventId }) {
   const [rounds, setRounds] = useState([]);
   const [selectedRound, setSelectedRound] = useState(null);
   const [criteria, setCriteria] = useState([]);
+  const [criteriaLimit, setCriteriaLimit] = useState(DEFAULT_MAX_CRITERIA_PER_ROUND);
   const [judges, setJudges] = useState([]);
+  const [tracks, setTracks] = useState([]);
   const [assignedJudges, setAssignedJudges] = useState([]);
   const [readiness, setReadiness] = useState(null);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [templateForm, setTemplateForm] = useState({ templateId: '', syncWithLibrary: true });
 
   // Import State
   const [showImport, setShowImport] = useState(false);
@@ -34,7 +41,6 @@ function RoundManager({ eventId }) {
     mode: SelectionModes.PER_JUDGE_TOP_N,
     topN: 5,
     topK: 10,
-    judgeTypes: ['HARDWARE', 'SOFTWARE', 'BOTH'],
     createNextRound: true
   });
 
@@ -45,6 +51,22 @@ function RoundManager({ eventId }) {
     }
   }, [eventId]);
 
+  useEffect(() => {
+    if (!eventId) return;
+    trackService.getTracksByEvent(eventId)
+      .then(setTracks)
+      .catch(error => console.error('Error loading tracks:', error));
+  }, [eventId]);
+
+  // Round templates of the event's organization
+  useEffect(() => {
+    if (!eventId) return;
+    criteriaLibraryService.getOrganizationIdForEvent(eventId)
+      .then(organizationId => (organizationId ? criteriaLibraryService.getTemplates(organizationId) : []))
+      .then(setTemplates)
+      .catch(error => console.error('Error loading round templates:', error));
+  }, [eventId]);
+
   useEffect(() => {
     if (selectedRound) {
       loadCriteria();
@@ -95,6 +117,9 @@ function RoundManager({ eventId }) {
     } else {
       setCriteria(data || []);
     }
+
+    const { data: limit } = await supabase.rpc('round_criteria_limit', { p_round_id: selectedRound });
+    setCriteriaLimit(limit || DEFAULT_MAX_CRITERIA_PER_ROUND);
   }
 
   async function loadAssignedJudges() {
@@ -106,7 +131,7 @@ function RoundManager({ eventId }) {
           id,
           name,
           email,
-          category
+          track_ids
         )
       `)
       .eq('round_id', selectedRound);
@@ -142,9 +167,23 @@ function RoundManager({ eventId }) {
     }
   }
 
+  async function updateRoundSettings(updates) {
+    const { error } = await supabase
+      .from('rounds')
+      .update(updates)
+      .eq('id', selectedRound);
+
+    if (error) {
+      setMessage(`Error updating round settings: ${error.message}`);
+    } else {
+      setMessage('Round settings updated');
+      loadRounds();
+    }
+  }
+
   async function addCriterion() {
-    if (criteria.length >= 5) {
-      setMessage('Maximum 5 criteria per round');
+    if (criteria.length >= criteriaLimit) {
+      setMessage(`Maximum ${criteriaLimit} criteria per round`);
       return;
     }
 
@@ -189,13 +228,32 @@ function RoundManager({ eventId }) {
     }
   }
 
-  async function assignJudge(judgeId, judgeType) {
+  async function applyTemplate() {
+    if (criteria.length > 0 && !window.confirm('Replace this round\'s criteria and settings with the template?')) {
+      return;
+    }
+
+    try {
+      const count = await criteriaLibraryService.applyTemplate(
+        selectedRound,
+        templateForm.templateId,
+        templateForm.syncWithLibrary
+      );
+      setMessage(`Template applied: ${count} criteria`);
+      loadRounds();
+      loadCriteria();
+      checkReadiness();
+    } catch (error) {
+      setMessage(`Error applying template: ${error.message}`);
+    }
+  }
+
+  async function assignJudge(judgeId) {
     const { error } = await supabase
       .from('round_judge_assignments')
       .insert({
         round_id: selectedRound,
         judge_id: judgeId,
-        judge_type: judgeType,
         judge_weight: 1.0
       });
 
@@ -228,14 +286,16 @@ function RoundManager({ eventId }) {
     setMessage('Computing round...');
 
     const result = await computeRound(selectedRound, {
-      method: 'Z_SCORE',
+      method: currentRound?.normalization_method,
+      aggregationMode: currentRound?.aggregation_mode,
       computedBy: null
     });
 
     setLoading(false);
 
     if (result.success) {
-      setMessage(`Round computed successfully! ${result.stats.teams_evaluated} teams, ${result.stats.judges_count} judges`);
+      const warningText = result.warnings?.length > 0 ? ` Warning: ${result.warnings.join(' ')}` : '';
+      setMessage(`Round computed successfully! ${result.stats.teams_evaluated} teams, ${result.stats.judges_count} judges.${warningText}`);
       loadRounds();
       checkReadiness();
     } else {
@@ -276,14 +336,16 @@ function RoundManager({ eventId }) {
     }
   }
 
-  async function handleExportPDF() {
+  async function handleExportPDF(options = {}) {
     setLoading(true);
-    const result = await exportRoundPDF(selectedRound);
+    const result = await exportRoundPDF(selectedRound, options);
     setLoading(false);
 
     if (result.success) {
       downloadPDF(result.pdf, result.filename);
       setMessage('PDF downloaded');
+    } else {
+      setMessage(`Error: ${result.error}`);
     }
   }
 
@@ -379,6 +441,14 @@ function RoundManager({ eventId }) {
     judge => !assignedJudges.some(aj => aj.judge_id === judge.id)
   );
 
+  // A judge without tracks may judge every track
+  const trackLabel = (judge) => {
+    const names = tracks
+      .filter(track => (judge?.track_ids || []).includes(track.id))
+      .map(track => track.name);
+    return names.length > 0 ? names.join(', ') : 'All tracks';
+  };
+
   return (
     <div className="round-manager">
       <h1>Round Management</h1>
@@ -460,7 +530,34 @@ function RoundManager({ eventId }) {
 
           <div className="sections">
             <section className="criteria-section">
-              <h3>Criteria (Max 5)</h3>
+              <h3>Criteria (Max {criteriaLimit})</h3>
+              {templates.length > 0 && currentRound?.status === 'draft' && (
+                <div className="add-criterion-form">
+                  <h4>Start from Template</h4>
+                  <div className="assign-judge-row">
+                    <select
+                      value={templateForm.templateId}
+                      onChange={(e) => setTemplateForm({ ...templateForm, templateId: e.target.value })}
+                    >
+                      <option value="">Choose a template...</option>
+                      {templates.map(template => (
+                        <option key={template.id} value={template.id}>{template.name}</option>
+                      ))}
+                    </select>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={templateForm.syncWithLibrary}
+                        onChange={(e) => setTemplateForm({ ...templateForm, syncWithLibrary: e.target.checked })}
+                      />
+                      Keep in sync with library
+                    </label>
+                    <button onClick={applyTemplate} className="btn-primary" disabled={!templateForm.templateId}>
+                      Apply
+                    </button>
+                  </div>
+                </div>
+              )}
               <div className="criteria-list">
                 {criteria.map(criterion => (
                   <div key={criterion.id} className="criterion-card">
@@ -482,7 +579,7 @@ function RoundManager({ eventId }) {
                 ))}
               </div>
 
-              {criteria.length < 5 && (
+              {criteria.length < criteriaLimit && (
                 <div className="add-criterion-form">
                   <h4>Add Criterion</h4>
                   <div className="form-grid">
@@ -527,7 +624,7 @@ function RoundManager({ eventId }) {
                     <div className="judge-info">
                       <h4>{assignment.judges?.name}</h4>
                       <p>{assignment.judges?.email}</p>
-                      <span className="judge-type-badge">{assignment.judge_type}</span>
+                      <span className="judge-track-badge">{trackLabel(assignment.judges)}</span>
                     </div>
                     <button
                       onClick={() => unassignJudge(assignment.id)}
@@ -544,21 +641,10 @@ function RoundManager({ eventId }) {
                   <h4>Assign Judge</h4>
                   {unassignedJudges.map(judge => (
                     <div key={judge.id} className="assign-judge-row">
-                      <span>{judge.name} ({judge.email})</span>
-                      <select
-                        onChange={(e) => {
-                          if (e.target.value) {
-                            assignJudge(judge.id, e.target.value);
-                            e.target.value = '';
-                          }
-                        }}
-                        defaultValue=""
-                      >
-                        <option value="">Assign as...</option>
-                        <option value="HARDWARE">Hardware</option>
-                        <option value="SOFTWARE">Software</option>
-                        <option value="BOTH">Both</option>
-                      </select>
+                      <span>{judge.name} ({judge.email}) · {trackLabel(judge)}</span>
+                      <button onClick={() => assignJudge(judge.id)} className="btn-secondary">
+                        Assign
+                      </button>
                     </div>
                   ))}
                 </div>
@@ -569,6 +655,47 @@ function RoundManager({ eventId }) {
           <div className="actions-panel">
             <div className="compute-section">
               <h3>Compute Results</h3>
+              <div className="selection-config">
+                <label>
+                  Normalization:
+                  <select
+                    value={currentRound.normalization_method || NormalizationMethods.Z_SCORE}
+                    onChange={(e) => updateRoundSettings({ normalization_method: e.target.value })}
+                    disabled={loading}
+                  >
+                    <option value={NormalizationMethods.Z_SCORE}>Z-Score (Mean / Std Dev)</option>
+                    <option value={NormalizationMethods.ROBUST_MAD}>Robust (Median / MAD)</option>
+                    <option value={NormalizationMethods.JUDGE_EFFECT}>Judge-effect model (least squares)</option>
+                    <option value={NormalizationMethods.BORDA}>Rank-based: Borda count</option>
+                    <option value={NormalizationMethods.SCHULZE}>Rank-based: Schulze method</option>
+                  </select>
+                </label>
+                <label>
+                  Aggregation:
+                  <select
+                    value={currentRound.aggregation_mode || AggregationModes.SUM}
+                    onChange={(e) => updateRoundSettings({ aggregation_mode: e.target.value })}
+                    disabled={loading}
+                  >
+                    <option value={AggregationModes.SUM}>Sum across judges</option>
+                    <option value={AggregationModes.MEAN}>Mean across judges</option>
+                    <option value={AggregationModes.CORRECTED_MEAN}>Judge-count-corrected mean</option>
+                  </select>
+                </label>
+                <label>
+                  Tied ranks:
+                  <select
+                    value={currentRound.ranking_style || RankingStyles.STANDARD}
+                    onChange={(e) => updateRoundSettings({ ranking_style: e.target.value })}
+                    disabled={loading}
+                  >
+                    <option value={RankingStyles.STANDARD}>Standard (1, 2, 2, 4)</option>
+                    <option value={RankingStyles.DENSE}>Dense (1, 2, 2, 3)</option>
+                    <option value={RankingStyles.MODIFIED}>Modified (1, 3, 3, 4)</option>
+                    <option value={RankingStyles.FRACTIONAL}>Fractional (1, 2.5, 2.5, 4)</option>
+                  </select>
+                </label>
+              </div>
               <button
                 onClick={handleComputeRound}
                 disabled={!readiness?.ready || loading}
@@ -662,12 +789,19 @@ function RoundManager({ eventId }) {
                       Export CSV (Normalized)
                     </button>
                     <button
-                      onClick={handleExportPDF}
+                      onClick={() => handleExportPDF()}
                       disabled={loading}
                       className="btn-secondary"
                     >
                       Export PDF
                     </button>
+                    <button
+                      onClick={() => handleExportPDF({ includeSensitivity: true, topK: selectionConfig.topK })}
+                      disabled={loading}
+                      className="btn-secondary"
+                    >
+                      Export PDF + Judge Sensitivity
+                    </button>
                   </div>
                 </div>
 
@@ -696,7 +830,7 @@ function RoundManager({ eventId }) {
                   <option value="">-- Select Judge --</option>
                   {assignedJudges.map(aj => (
                     <option key={aj.judge_id} value={aj.judge_id}>
-                      {aj.judges?.name} ({aj.judge_type})
+                      {aj.judges?.name}
                     </option>
                   ))}
                 </select>
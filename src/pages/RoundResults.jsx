@@ -229,7 +229,12 @@ function RoundResults({ roundId }) {
                   <tbody>
                     {team.judge_evaluations?.map((judgeEval, idx) => (
                       <tr key={idx}>
-                        <td>{judgeEval.judge_name || judgeEval.judge_id?.substring(0, 8)}</td>
+                        <td>
+                          {judgeEval.judge_name || judgeEval.judge_id?.substring(0, 8)}
+                          {judgeEval.has_conflict && (
+                            <span className="coi-badge" title="The judge declared a conflict of interest with this team">COI</span>
+                          )}
+                        </td>
                         <td>
                           <span className={`category-badge ${judgeEval.judge_category}`}>
                             {judgeEval.judge_category}
@@ -273,6 +278,14 @@ function RoundResults({ roundId }) {
                         <span className="value">{team.tie_breaker_data.judge_count}</span>
                       </div>
                     )}
+                    {team.tie_breaker_data.broken_by && (
+                      <div className="tie-data-item">
+                        <span className="label">Tie Broken By:</span>
+                        <span className="value">
+                          {team.tie_breaker_data.broken_by.rule.replace(/_/g, ' ').toLowerCase()}
+                        </span>
+                      </div>
+                    )}
                   </div>
                 </div>
               )}
@@ -312,6 +325,7 @@ function RoundResults({ roundId }) {
                   <div key={idx} className="modal-judge-card">
                     <div className="modal-judge-header">
                       <strong>{judgeEval.judge_name || 'Judge'}</strong>
+                      {judgeEval.has_conflict && <span className="coi-badge">Conflict of interest</span>}
                       <span className={`category-badge ${judgeEval.judge_category}`}>
                         {judgeEval.judge_category}
                       </span>
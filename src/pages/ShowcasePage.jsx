@@ -1,10 +1,44 @@
-import React, { useState } from 'react';
-import { Box, Container, Typography, ToggleButton, ToggleButtonGroup, Paper } from '@mui/material';
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Box, Container, Typography, ToggleButton, ToggleButtonGroup, Paper, Alert, CircularProgress } from '@mui/material';
 import DynamicSlides from '../components/DynamicSlides';
 import Navigation from '../components/Navigation';
+import { computeEventAwards } from '../services/computeRoundService';
+import { AwardTypes } from '../services/awardService';
+
+const ORDINALS = ['1st', '2nd', '3rd'];
+
+// One reveal slide per award winner, runners-up before the winner
+const awardsToSlides = (awards) => awards.flatMap(award =>
+    [...award.winners].reverse().map(winner => ({
+        title: award.name,
+        subtitle: winner.team_name || 'Unknown Team',
+        category: [award.track_name, award.sponsor && `Sponsored by ${award.sponsor}`].filter(Boolean).join(' · ') || 'Special Award',
+        rank: ORDINALS[winner.award_rank - 1] || `${winner.award_rank}th`,
+        description: award.description || `${award.award_type === AwardTypes.AUDIENCE
+            ? `Most audience votes (${winner.score})`
+            : `Highest ${award.criterion_name || 'criterion'} score`}${award.track_name ? ` in ${award.track_name}` : ''}${award.round_id && award.exclude_top_n > 0 ? `, outside the overall top ${award.exclude_top_n}` : ''}.`,
+        action: false
+    }))
+);
 
 const ShowcasePage = () => {
-    const [mode, setMode] = useState('spotlight');
+    const [searchParams] = useSearchParams();
+    const eventId = searchParams.get('event');
+    const [mode, setMode] = useState(searchParams.get('mode') === 'awards' && eventId ? 'awards' : 'spotlight');
+    const [awardSlides, setAwardSlides] = useState(null);
+    const [awardsError, setAwardsError] = useState(null);
+
+    useEffect(() => {
+        if (mode !== 'awards' || !eventId || awardSlides) return;
+        computeEventAwards(eventId).then(result => {
+            if (result.success) {
+                setAwardSlides(awardsToSlides(result.awards));
+            } else {
+                setAwardsError(result.error);
+            }
+        });
+    }, [mode, eventId, awardSlides]);
 
     const handleModeChange = (event, newMode) => {
         if (newMode !== null) {
@@ -81,6 +115,25 @@ const ShowcasePage = () => {
         }
     ];
 
+    const renderSlides = () => {
+        if (mode !== 'awards') {
+            return (
+                <DynamicSlides
+                    key={mode}
+                    slides={mode === 'spotlight' ? spotlightData : revealData}
+                    mode={mode}
+                    autoPlay={false}
+                />
+            );
+        }
+        if (awardsError) return <Alert severity="error">{awardsError}</Alert>;
+        if (!awardSlides) return <Box sx={{ p: 8, textAlign: 'center' }}><CircularProgress /></Box>;
+        if (awardSlides.length === 0) {
+            return <Alert severity="info">No award winners yet. Compute the awards' rounds first.</Alert>;
+        }
+        return <DynamicSlides key="awards" slides={awardSlides} mode="reveal" autoPlay={false} />;
+    };
+
     return (
         <Box sx={{ minHeight: '100vh', background: '#f8fafc' }}>
             <Navigation breadcrumb="Showcase" />
@@ -89,10 +142,14 @@ const ShowcasePage = () => {
                 <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4, flexWrap: 'wrap', gap: 2 }}>
                     <Box>
                         <Typography variant="h4" sx={{ fontWeight: 800, color: '#1e293b' }}>
-                            {mode === 'spotlight' ? 'Project Spotlight' : 'Live Results Reveal'}
+                            {mode === 'spotlight' ? 'Project Spotlight' : mode === 'awards' ? 'Special Awards' : 'Live Results Reveal'}
                         </Typography>
                         <Typography variant="body1" sx={{ color: '#64748b' }}>
-                            {mode === 'spotlight' ? 'Browse through the amazing submissions.' : 'The moment we have all been waiting for.'}
+                            {mode === 'spotlight'
+                                ? 'Browse through the amazing submissions.'
+                                : mode === 'awards'
+                                    ? 'Recognising standout work beyond the overall ranking.'
+                                    : 'The moment we have all been waiting for.'}
                         </Typography>
                     </Box>
 
@@ -110,20 +167,22 @@ const ShowcasePage = () => {
                             <ToggleButton value="reveal" sx={{ px: 3, fontWeight: 600 }}>
                                 Reveal
                             </ToggleButton>
+                            {eventId && (
+                                <ToggleButton value="awards" sx={{ px: 3, fontWeight: 600 }}>
+                                    Awards
+                                </ToggleButton>
+                            )}
                         </ToggleButtonGroup>
                     </Paper>
                 </Box>
 
-                <DynamicSlides
-                    slides={mode === 'spotlight' ? spotlightData : revealData}
-                    mode={mode}
-                    autoPlay={false}
-                />
+                {renderSlides()}
 
                 <Box sx={{ mt: 8, textAlign: 'center', maxWidth: '600px', mx: 'auto' }}>
                     <Typography variant="h6" sx={{ mb: 2, fontWeight: 700 }}>Instructions</Typography>
                     <Typography variant="body2" color="text.secondary">
                         Use the toggle above to switch between "Spotlight Mode" (for project galleries) and "Reveal Mode" (for announcing winners).
+                        Opened from an event's results, "Awards" presents its special award winners.
                         The animations and styles automatically adapt to provide the best experience for each context.
                     </Typography>
                 </Box>
@@ -0,0 +1,266 @@
+import { useState, useEffect } from "react";
+import { useParams } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  Chip,
+  CircularProgress,
+  Container,
+  TextField,
+  Typography,
+} from "@mui/material";
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import PauseIcon from '@mui/icons-material/Pause';
+import SkipNextIcon from '@mui/icons-material/SkipNext';
+import QuestionAnswerIcon from '@mui/icons-material/QuestionAnswer';
+import OpenInNewIcon from '@mui/icons-material/OpenInNew';
+import { scheduleService } from "../services/scheduleService";
+import {
+  stageService,
+  StagePhases,
+  presentTeam,
+  advanceStage,
+  pauseStage,
+  resumeStage,
+  venueLineup,
+  serverNow,
+  DEFAULT_PITCH_SECONDS,
+  DEFAULT_QA_SECONDS
+} from "../services/stageService";
+import StageCountdown from "../components/StageCountdown";
+import { formatTime } from "../utils/dateHelpers";
+
+/**
+ * Room moderator's controls for one venue: put the next team on stage, move
+ * from pitch to Q&A and pause the clock. Every change is broadcast to the
+ * venue display, other moderators and the judges
+ */
+function StageControllerPage() {
+  const { venueId } = useParams();
+  const [venue, setVenue] = useState(null);
+  const [stage, setStage] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [now, setNow] = useState(serverNow());
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadStage();
+    const unsubscribe = stageService.subscribeToStage(venueId, setStage);
+    return unsubscribe;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [venueId]);
+
+  // Count down on the database clock, not this device's
+  useEffect(() => {
+    stageService.syncClock().catch(err => console.error("Error syncing the stage clock:", err));
+    const timer = setInterval(() => setNow(serverNow()), 250);
+    return () => clearInterval(timer);
+  }, []);
+
+  const loadStage = async () => {
+    setLoading(true);
+    try {
+      const venueData = await stageService.getVenue(venueId);
+      const [stageData, eventSlots] = await Promise.all([
+        stageService.getStage(venueId),
+        scheduleService.getEventSchedule(venueData.event_id)
+      ]);
+      setVenue(venueData);
+      setStage(stageData);
+      setSlots(eventSlots);
+    } catch (err) {
+      console.error("Error loading stage:", err);
+      setError(`Failed to load the stage: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const update = async (patch) => {
+    setBusy(true);
+    setError(null);
+    try {
+      setStage(await stageService.updateStage(venue, patch));
+    } catch (err) {
+      console.error("Error updating stage:", err);
+      setError(`Failed to update the stage: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!venue) {
+    return (
+      <Container maxWidth="sm" sx={{ py: 4 }}>
+        <Alert severity="error">{error || 'Venue not found'}</Alert>
+      </Container>
+    );
+  }
+
+  const { queue, current, next } = venueLineup(slots, venue.id, stage, now);
+  const phase = stage?.phase || StagePhases.IDLE;
+  const live = phase === StagePhases.PITCH || phase === StagePhases.QA;
+  const pitchMinutes = (stage?.pitch_seconds ?? DEFAULT_PITCH_SECONDS) / 60;
+  const qaMinutes = (stage?.qa_seconds ?? DEFAULT_QA_SECONDS) / 60;
+
+  return (
+    <Box sx={{ minHeight: '100vh', background: '#f5f7fa' }}>
+      <Container maxWidth="sm" sx={{ py: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <Box sx={{ flex: 1 }}>
+            <Typography variant="overline" sx={{ color: '#3b82f6', fontWeight: 700 }}>Stage Controller</Typography>
+            <Typography variant="h5" sx={{ fontWeight: 800, color: '#1e293b' }}>{venue.name}</Typography>
+          </Box>
+          <Button
+            size="small"
+            startIcon={<OpenInNewIcon />}
+            href={`/stage/${venue.id}/display`}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            Display
+          </Button>
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+        <Card sx={{ p: 3, mb: 2, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+          <Typography variant="caption" color="textSecondary">On stage</Typography>
+          <Typography variant="h6" sx={{ fontWeight: 700, color: '#1e293b', mb: 2 }}>
+            {live && current ? current.team?.name : '—'}
+          </Typography>
+          <StageCountdown state={stage} now={now} fontSize={4.5} />
+
+          <Box sx={{ display: 'flex', gap: 1, mt: 3, flexWrap: 'wrap' }}>
+            {phase === StagePhases.PITCH && (
+              <Button
+                variant="contained"
+                startIcon={<QuestionAnswerIcon />}
+                onClick={() => update(advanceStage(stage))}
+                disabled={busy}
+                sx={{ flex: 1, py: 1.5 }}
+              >
+                {(stage.qa_seconds ?? DEFAULT_QA_SECONDS) > 0 ? 'Start Q&A' : 'End Pitch'}
+              </Button>
+            )}
+            {phase === StagePhases.QA && (
+              <Button
+                variant="contained"
+                onClick={() => update(advanceStage(stage))}
+                disabled={busy}
+                sx={{ flex: 1, py: 1.5 }}
+              >
+                End Q&A
+              </Button>
+            )}
+            {live && (
+              <Button
+                variant="outlined"
+                startIcon={stage.paused_at ? <PlayArrowIcon /> : <PauseIcon />}
+                onClick={() => update(stage.paused_at ? resumeStage(stage) : pauseStage(stage))}
+                disabled={busy}
+                sx={{ py: 1.5 }}
+              >
+                {stage.paused_at ? 'Resume' : 'Pause'}
+              </Button>
+            )}
+            {!live && (
+              <Button
+                variant="contained"
+                color="success"
+                startIcon={<SkipNextIcon />}
+                onClick={() => update(presentTeam(next))}
+                disabled={busy || !next}
+                sx={{ flex: 1, py: 1.5 }}
+              >
+                {next ? `Start ${next.team?.name || 'Next Team'}` : 'No More Teams'}
+              </Button>
+            )}
+          </Box>
+          {live && next && (
+            <Typography variant="body2" color="textSecondary" sx={{ mt: 2 }}>
+              Up next: {next.team?.name} ({formatTime(next.starts_at)})
+            </Typography>
+          )}
+        </Card>
+
+        <Card sx={{ p: 3, mb: 2, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+          <Typography sx={{ fontWeight: 700, color: '#1e293b', mb: 2 }}>Timer</Typography>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              size="small"
+              type="number"
+              label="Pitch (min)"
+              defaultValue={pitchMinutes}
+              onBlur={(e) => update({ pitch_seconds: Math.max(1, Math.round((parseFloat(e.target.value) || 1) * 60)) })}
+              inputProps={{ min: 1, step: 0.5 }}
+              key={`pitch-${pitchMinutes}`}
+            />
+            <TextField
+              size="small"
+              type="number"
+              label="Q&A (min)"
+              defaultValue={qaMinutes}
+              onBlur={(e) => update({ qa_seconds: Math.max(0, Math.round((parseFloat(e.target.value) || 0) * 60)) })}
+              inputProps={{ min: 0, step: 0.5 }}
+              helperText="0 = no Q&A"
+              key={`qa-${qaMinutes}`}
+            />
+          </Box>
+        </Card>
+
+        <Card sx={{ p: 3, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.08)' }}>
+          <Typography sx={{ fontWeight: 700, color: '#1e293b', mb: 2 }}>Lineup</Typography>
+          {queue.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">No pitches are scheduled in this venue.</Typography>
+          ) : (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+              {queue.map(slot => {
+                const isCurrent = current?.id === slot.id && live;
+                return (
+                  <Box
+                    key={slot.id}
+                    sx={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: 1.5,
+                      p: 1,
+                      borderRadius: '10px',
+                      background: isCurrent ? '#eff6ff' : 'transparent'
+                    }}
+                  >
+                    <Typography sx={{ minWidth: 56, color: '#475569', fontVariantNumeric: 'tabular-nums' }}>
+                      {formatTime(slot.starts_at)}
+                    </Typography>
+                    <Typography sx={{ flex: 1, fontWeight: 600, color: '#334155' }}>{slot.team?.name}</Typography>
+                    {isCurrent ? (
+                      <Chip size="small" label="On stage" color="primary" />
+                    ) : (
+                      <Button size="small" onClick={() => update(presentTeam(slot))} disabled={busy || live}>
+                        Present
+                      </Button>
+                    )}
+                  </Box>
+                );
+              })}
+            </Box>
+          )}
+        </Card>
+      </Container>
+    </Box>
+  );
+}
+
+export default StageControllerPage;
@@ -0,0 +1,110 @@
+import { useState, useEffect } from "react";
+import { useParams } from "react-router-dom";
+import { Box, CircularProgress, Typography } from "@mui/material";
+import { scheduleService } from "../services/scheduleService";
+import { stageService, isOnStage, venueLineup, serverNow } from "../services/stageService";
+import StageCountdown from "../components/StageCountdown";
+import { formatTime } from "../utils/dateHelpers";
+
+/**
+ * Full-screen venue display for a projector or TV next to the stage: the team
+ * presenting, its countdown and who is up next. Follows the stage controller
+ * over realtime, no sign-in needed
+ */
+function StageDisplayPage() {
+  const { venueId } = useParams();
+  const [venue, setVenue] = useState(null);
+  const [stage, setStage] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [now, setNow] = useState(serverNow());
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadDisplay();
+    const unsubscribe = stageService.subscribeToStage(venueId, setStage);
+    return unsubscribe;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [venueId]);
+
+  // Count down on the database clock, not this device's
+  useEffect(() => {
+    stageService.syncClock().catch(err => console.error("Error syncing the stage clock:", err));
+    const timer = setInterval(() => setNow(serverNow()), 250);
+    return () => clearInterval(timer);
+  }, []);
+
+  const loadDisplay = async () => {
+    try {
+      const venueData = await stageService.getVenue(venueId);
+      const [stageData, eventSlots] = await Promise.all([
+        stageService.getStage(venueId),
+        scheduleService.getEventSchedule(venueData.event_id)
+      ]);
+      setVenue(venueData);
+      setStage(stageData);
+      setSlots(eventSlots);
+    } catch (err) {
+      console.error("Error loading stage display:", err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: '#0f172a' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const { current, next } = venueLineup(slots, venueId, stage, now);
+  const presenting = isOnStage(stage) ? current : null;
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        background: '#0f172a',
+        color: '#f8fafc',
+        display: 'flex',
+        flexDirection: 'column',
+        px: { xs: 3, md: 8 },
+        py: { xs: 3, md: 6 }
+      }}
+    >
+      <Typography variant="overline" sx={{ color: '#60a5fa', fontWeight: 700, letterSpacing: 3, fontSize: '1rem' }}>
+        {venue?.name || 'Venue'}
+      </Typography>
+
+      <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'center', alignItems: 'center', textAlign: 'center', gap: 4 }}>
+        <Box>
+          <Typography sx={{ color: '#94a3b8', fontSize: '1.5rem', fontWeight: 600 }}>
+            {presenting ? 'Now presenting' : 'Next on stage'}
+          </Typography>
+          <Typography sx={{ fontWeight: 800, fontSize: { xs: '2.5rem', md: '4.5rem' }, lineHeight: 1.1 }}>
+            {(presenting || next)?.team?.name || '—'}
+          </Typography>
+          {(presenting || next)?.team?.project_title && (
+            <Typography sx={{ color: '#cbd5e1', fontSize: { xs: '1.25rem', md: '2rem' }, mt: 1 }}>
+              {(presenting || next).team.project_title}
+            </Typography>
+          )}
+        </Box>
+        {presenting && <StageCountdown state={stage} now={now} fontSize={12} />}
+      </Box>
+
+      {presenting && next && (
+        <Box sx={{ borderTop: '1px solid #334155', pt: 3, display: 'flex', alignItems: 'baseline', gap: 2 }}>
+          <Typography sx={{ color: '#94a3b8', fontSize: '1.25rem', fontWeight: 600 }}>Up next</Typography>
+          <Typography sx={{ fontSize: '1.75rem', fontWeight: 700 }}>{next.team?.name}</Typography>
+          <Typography sx={{ color: '#94a3b8', fontSize: '1.25rem' }}>
+            {formatTime(next.starts_at)}
+          </Typography>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default StageDisplayPage;
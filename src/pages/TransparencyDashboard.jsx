@@ -5,6 +5,7 @@ import { useApp } from '../context/AppContext';
 import ScoreBreakdownPanel from '../components/ScoreBreakdownPanel';
 import FormulaExplanation from '../components/FormulaExplanation';
 import JudgeAnalytics from '../components/JudgeAnalytics';
+import JudgeSensitivityMatrix from '../components/JudgeSensitivityMatrix';
 import AuditTrailViewer from '../components/AuditTrailViewer';
 import ExportPanel from '../components/ExportPanel';
 
@@ -55,6 +56,7 @@ function TransparencyDashboard() {
     { id: 'scores', label: 'Score Breakdown' },
     { id: 'formula', label: 'How Scoring Works' },
     { id: 'judges', label: 'Judge Analytics' },
+    { id: 'sensitivity', label: 'Judge Sensitivity' },
     { id: 'audit', label: 'Audit Trail' },
     { id: 'export', label: 'Export Reports' }
   ];
@@ -203,6 +205,11 @@ function TransparencyDashboard() {
             roundId={selectedRound}
           />
         )}
+        {activeTab === 'sensitivity' && (
+          <JudgeSensitivityMatrix
+            roundId={selectedRound}
+          />
+        )}
         {activeTab === 'audit' && (
           <AuditTrailViewer 
             eventId={eventId}
@@ -13,6 +13,7 @@ import { accessService } from '../services/accessService';
 import RoleBadge from '../components/RoleBadge';
 import InviteUserModal from '../components/InviteUserModal';
 import GrantAccessModal from '../components/GrantAccessModal';
+import OrganizationCriteriaLimit from '../components/OrganizationCriteriaLimit';
 import { supabase } from '../supabaseClient';
 import PersonAddIcon from '@mui/icons-material/PersonAdd';
 import EmailIcon from '@mui/icons-material/Email';
@@ -409,6 +410,11 @@ function UserManagement() {
         </div>
       </div>
 
+      {/* Scoring settings */}
+      <div style={sectionStyle}>
+        <OrganizationCriteriaLimit organizationId={effectiveOrgId} />
+      </div>
+
       {/* Search & Filter */}
       <div style={filtersStyle}>
         <input
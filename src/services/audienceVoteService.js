@@ -0,0 +1,254 @@
+/**
+ * Audience Vote Service
+ * Public people's-choice voting: the ballot, one vote per device token or
+ * email code, and the admin side (settings, vote review)
+ */
+
+import { supabase } from '../supabaseClient';
+import { sha256 } from '../utils/authHelpers';
+import { assignRanks, ranksToPercentiles } from './normalizationService';
+
+export const VoteVerificationModes = {
+  DEVICE: 'DEVICE', // random token kept in this browser's storage
+  EMAIL: 'EMAIL'    // one-time code emailed by the audience-vote-code function
+};
+
+// Admin decision on an audience vote; AUTO leaves it to the fraud heuristics
+export const VoteReviewStatus = {
+  AUTO: 'AUTO',
+  ACCEPTED: 'ACCEPTED',
+  REJECTED: 'REJECTED'
+};
+
+export const AUDIENCE_VOTE_HEURISTICS = {
+  maxVotesPerIp: 5,       // an IP above this is checked for concentration
+  ipConcentration: 0.8,   // share of the IP's votes going to a single team
+  burstSize: 5,           // votes from one IP ...
+  burstWindowSeconds: 60  // ... within this many seconds
+};
+
+const DEVICE_TOKEN_KEY = 'fairscore_audience_device_token';
+
+/**
+ * The token proving one vote per device, created on first use
+ * @returns {string}
+ */
+export function getDeviceToken() {
+  let token = localStorage.getItem(DEVICE_TOKEN_KEY);
+  if (!token) {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    token = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem(DEVICE_TOKEN_KEY, token);
+  }
+  return token;
+}
+
+/**
+ * Hash of stable browser traits. Unlike the device token it survives cleared
+ * storage, which is what the DEVICE_REUSE heuristic looks for
+ * @returns {Promise<string>}
+ */
+export async function getDeviceFingerprint() {
+  const traits = [
+    navigator.userAgent,
+    navigator.language,
+    navigator.hardwareConcurrency,
+    `${window.screen.width}x${window.screen.height}x${window.screen.colorDepth}`,
+    Intl.DateTimeFormat().resolvedOptions().timeZone
+  ];
+  return sha256(traits.join('|'));
+}
+
+/**
+ * Audience vote fraud heuristics. Nothing is rejected here: flagged votes are
+ * held back from the tally until an admin accepts or rejects them.
+ * - DEVICE_REUSE: a browser fingerprint already seen on an earlier vote
+ *   (storage cleared to vote again); the earliest vote stands
+ * - IP_CONCENTRATION: an IP with more than maxVotesPerIp votes, at least
+ *   ipConcentration of them for one team; its votes for that team are
+ *   flagged. A venue network spreading votes across teams is left alone
+ * - BURST: burstSize or more votes from one IP within burstWindowSeconds
+ * @param {Array} votes - [{id, team_id, device_hash, ip_hash, created_at}]
+ * @param {Object} options - overrides for AUDIENCE_VOTE_HEURISTICS
+ * @returns {Object} - {voteId: [reason]}, flagged votes only
+ */
+export function flagSuspiciousVotes(votes, options = {}) {
+  const { maxVotesPerIp, ipConcentration, burstSize, burstWindowSeconds } = {
+    ...AUDIENCE_VOTE_HEURISTICS,
+    ...options
+  };
+  const flags = {};
+  const flag = (vote, reason) => {
+    if (!flags[vote.id]) flags[vote.id] = [];
+    if (!flags[vote.id].includes(reason)) flags[vote.id].push(reason);
+  };
+  const time = (vote) => new Date(vote.created_at).getTime();
+  const ordered = [...votes].sort((a, b) => time(a) - time(b));
+
+  const seenDevices = new Set();
+  ordered.forEach(vote => {
+    if (!vote.device_hash) return;
+    if (seenDevices.has(vote.device_hash)) flag(vote, 'DEVICE_REUSE');
+    seenDevices.add(vote.device_hash);
+  });
+
+  const votesByIp = {};
+  ordered.forEach(vote => {
+    if (!vote.ip_hash) return;
+    if (!votesByIp[vote.ip_hash]) votesByIp[vote.ip_hash] = [];
+    votesByIp[vote.ip_hash].push(vote);
+  });
+
+  Object.values(votesByIp).forEach(ipVotes => {
+    if (ipVotes.length > maxVotesPerIp) {
+      const teamCounts = {};
+      ipVotes.forEach(vote => { teamCounts[vote.team_id] = (teamCounts[vote.team_id] || 0) + 1; });
+      const [topTeamId, topCount] = Object.entries(teamCounts).sort((a, b) => b[1] - a[1])[0];
+      if (topCount / ipVotes.length >= ipConcentration) {
+        ipVotes.filter(vote => vote.team_id === topTeamId).forEach(vote => flag(vote, 'IP_CONCENTRATION'));
+      }
+    }
+
+    // Sliding window over the IP's votes
+    let start = 0;
+    ipVotes.forEach((vote, end) => {
+      while (time(vote) - time(ipVotes[start]) > burstWindowSeconds * 1000) start++;
+      if (end - start + 1 >= burstSize) {
+        ipVotes.slice(start, end + 1).forEach(burstVote => flag(burstVote, 'BURST'));
+      }
+    });
+  });
+
+  return flags;
+}
+
+/**
+ * Audience vote tally. A vote counts unless an admin rejected it, or the
+ * fraud heuristics flagged it and no admin accepted it. Every team appears,
+ * with 0 votes if nobody voted for it, so percentiles cover the whole field
+ * @param {Array} votes - [{id, team_id, device_hash, ip_hash, created_at, review_status}]
+ * @param {Array} teamIds
+ * @param {Object} options - {heuristics: AUDIENCE_VOTE_HEURISTICS overrides, rankingStyle}
+ * @returns {Object} - {results: [{team_id, votes, held_votes, rank, percentile}],
+ *   flags: {voteId: [reason]}}
+ */
+export function tallyAudienceVotes(votes, teamIds, options = {}) {
+  const flags = flagSuspiciousVotes(votes, options.heuristics);
+  const counts = {};
+  teamIds.forEach(teamId => { counts[teamId] = { team_id: teamId, votes: 0, held_votes: 0 }; });
+
+  votes.forEach(vote => {
+    const team = counts[vote.team_id];
+    if (!team || vote.review_status === VoteReviewStatus.REJECTED) return;
+    if (flags[vote.id] && vote.review_status !== VoteReviewStatus.ACCEPTED) {
+      team.held_votes += 1;
+    } else {
+      team.votes += 1;
+    }
+  });
+
+  const results = Object.values(counts).sort((a, b) => {
+    if (a.votes !== b.votes) return b.votes - a.votes;
+    return String(a.team_id).localeCompare(String(b.team_id));
+  });
+  if (results.length === 0) return { results, flags };
+
+  const ranks = assignRanks(
+    results.map((team, index) => index > 0 && team.votes === results[index - 1].votes),
+    options.rankingStyle
+  );
+  const percentiles = ranksToPercentiles(ranks);
+  results.forEach((team, index) => {
+    team.rank = ranks[index];
+    team.percentile = percentiles[index];
+  });
+
+  return { results, flags };
+}
+
+export const audienceVoteService = {
+  // ==================== PUBLIC BALLOT ====================
+
+  async getVotingState(eventId) {
+    const { data, error } = await supabase.rpc('get_audience_voting_state', {
+      p_event_id: eventId
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  async requestEmailCode(eventId, email) {
+    const { data, error } = await supabase.functions.invoke('audience-vote-code', {
+      body: { eventId, email: email.toLowerCase().trim() }
+    });
+
+    if (error) throw error;
+    if (!data?.success) throw new Error(data?.error || 'Could not send the code');
+  },
+
+  /**
+   * @param {Object} voter - {email, code} for EMAIL votes; DEVICE votes use this browser's token
+   */
+  async castVote(eventId, teamId, voter = {}) {
+    const { data, error } = await supabase.rpc('cast_audience_vote', {
+      p_event_id: eventId,
+      p_team_id: teamId,
+      p_device_token: getDeviceToken(),
+      p_email: voter.email ? voter.email.toLowerCase().trim() : null,
+      p_code: voter.code ? voter.code.trim() : null,
+      p_device_hash: await getDeviceFingerprint()
+    });
+
+    if (error) throw error;
+    if (!data?.success) throw new Error(data?.error || 'Vote not recorded');
+  },
+
+  // ==================== ADMIN ====================
+
+  async getVotesByEvent(eventId) {
+    const { data, error } = await supabase
+      .from('audience_votes')
+      .select('id, team_id, device_hash, ip_hash, user_agent_hash, review_status, created_at')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * @param {string} reviewStatus - VoteReviewStatus value
+   */
+  async setVoteReview(voteIds, reviewStatus) {
+    const { error } = await supabase
+      .from('audience_votes')
+      .update({ review_status: reviewStatus })
+      .in('id', voteIds);
+
+    if (error) throw error;
+  },
+
+  async getVotingSettings(eventId) {
+    const { data, error } = await supabase
+      .from('events')
+      .select('status, audience_voting_enabled, audience_vote_verification, audience_vote_opens_at, audience_vote_closes_at, audience_vote_weight')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async updateVotingSettings(eventId, settings) {
+    const { data, error } = await supabase
+      .from('events')
+      .update(settings)
+      .eq('id', eventId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+};
@@ -0,0 +1,43 @@
+import { tallyAudienceVotes, VoteReviewStatus } from './audienceVoteService';
+
+jest.mock('../supabaseClient', () => ({ supabase: {} }));
+
+describe('Audience Vote Service', () => {
+  describe('Audience Voting', () => {
+    const at = (seconds) => new Date(Date.UTC(2026, 9, 19, 18, 0, seconds)).toISOString();
+
+    test('holds back flagged votes unless an admin accepts them', () => {
+      const votes = [
+        { id: 'v1', team_id: 'A', device_hash: 'd1', ip_hash: 'venue', created_at: at(0) },
+        { id: 'v2', team_id: 'B', device_hash: 'd2', ip_hash: 'venue', created_at: at(20) },
+        { id: 'v3', team_id: 'A', device_hash: 'd1', ip_hash: 'venue', created_at: at(40) },
+        { id: 'v4', team_id: 'B', device_hash: 'd3', ip_hash: 'home', created_at: at(50) },
+        { id: 'v5', team_id: 'B', device_hash: 'd1', ip_hash: 'venue', created_at: at(55), review_status: VoteReviewStatus.ACCEPTED }
+      ];
+
+      const { results, flags } = tallyAudienceVotes(votes, ['A', 'B', 'C']);
+
+      expect(flags).toEqual({ v3: ['DEVICE_REUSE'], v5: ['DEVICE_REUSE'] });
+      expect(results.map(r => [r.team_id, r.votes, r.held_votes, r.rank])).toEqual([
+        ['B', 3, 0, 1],
+        ['A', 1, 1, 2],
+        ['C', 0, 0, 3]
+      ]);
+      expect(results.map(r => r.percentile)).toEqual([100, 50, 0]);
+    });
+
+    test('flags ballot stuffing from one network but not a venue spreading votes', () => {
+      const stuffed = Array.from({ length: 6 }, (_, i) => ({
+        id: `s${i}`, team_id: i < 5 ? 'A' : 'B', ip_hash: 'bot', created_at: at(i * 30)
+      }));
+      const venue = Array.from({ length: 6 }, (_, i) => ({
+        id: `v${i}`, team_id: ['A', 'B', 'C'][i % 3], ip_hash: 'venue', created_at: at(i * 30)
+      }));
+
+      const { flags } = tallyAudienceVotes([...stuffed, ...venue], ['A', 'B', 'C']);
+
+      expect(Object.keys(flags).sort()).toEqual(['s0', 's1', 's2', 's3', 's4']);
+      expect(flags.s0).toEqual(['IP_CONCENTRATION']);
+    });
+  });
+});
@@ -40,7 +40,11 @@ export const AuditActions = {
   TEAM_DELETE: 'team_delete',
   
   JUDGE_ASSIGN: 'judge_assign',
-  JUDGE_REMOVE: 'judge_remove'
+  JUDGE_REMOVE: 'judge_remove',
+
+  // Written by a database trigger on conflict_declarations
+  COI_DECLARE: 'coi_declare',
+  COI_REMOVE: 'coi_remove'
 };
 
 export const auditService = {
@@ -0,0 +1,110 @@
+/**
+ * Award Service
+ * Special award definitions (e.g. "Best Design": one criterion, optionally
+ * one track, leaving out the overall top N). Winners are computed from the
+ * stored round results by computeEventAwards
+ */
+
+import { supabase } from '../supabaseClient';
+import { assignRanks } from './normalizationService';
+
+// What a special award ranks teams on
+export const AwardTypes = {
+  CRITERION: 'CRITERION', // one criterion's aggregated z in a computed round
+  AUDIENCE: 'AUDIENCE'    // counted audience votes
+};
+
+/**
+ * Special award winners: teams ranked on one criterion's aggregated z-score
+ * from a computed round (or, for AUDIENCE awards, on counted audience
+ * votes), optionally within one track and leaving out the round's top N.
+ * Ineligible teams never win; teams level on the score share an award rank,
+ * so a tie at the cutoff yields extra winners
+ * @param {Array} results - one per team: [{team_id, rank, is_eligible, track_id,
+ *   criteria_scores: {criterionId: aggregated z}, audience_votes}]
+ * @param {Object} award - {award_type, criterion_id, track_id (null = every team), exclude_top_n, winners_count}
+ * @returns {Array} - winners [{team_id, award_rank, score, overall_rank}]
+ */
+export function computeSpecialAward(results, award) {
+  const EPSILON = 0.0001;
+  const excludeTopN = Number(award.exclude_top_n) || 0;
+  const winnersCount = Number(award.winners_count) || 1;
+  const isAudience = award.award_type === AwardTypes.AUDIENCE;
+  const scoreOf = (result) => (isAudience ? result.audience_votes : result.criteria_scores?.[award.criterion_id]);
+
+  const candidates = results
+    .filter(result => result.is_eligible !== false)
+    .filter(result => !award.track_id || result.track_id === award.track_id)
+    .filter(result => !(excludeTopN > 0 && result.rank !== null && result.rank !== undefined && result.rank <= excludeTopN))
+    .filter(result => typeof scoreOf(result) === 'number' && !(isAudience && scoreOf(result) <= 0))
+    .map(result => ({
+      team_id: result.team_id,
+      score: scoreOf(result),
+      overall_rank: result.rank ?? null
+    }))
+    .sort((a, b) => {
+      if (Math.abs(a.score - b.score) > EPSILON) return b.score - a.score;
+      return (a.overall_rank ?? Infinity) - (b.overall_rank ?? Infinity);
+    });
+
+  const ranks = assignRanks(candidates.map((candidate, index) => index > 0 &&
+    Math.abs(candidate.score - candidates[index - 1].score) <= EPSILON));
+
+  return candidates
+    .map((candidate, index) => ({ ...candidate, award_rank: ranks[index] }))
+    .filter(candidate => candidate.award_rank <= winnersCount);
+}
+
+export const awardService = {
+  async getAwardsByEvent(eventId) {
+    const { data, error } = await supabase
+      .from('special_awards')
+      .select(`
+        *,
+        round:rounds(id, name, round_number, is_computed),
+        criterion:round_criteria(id, name),
+        track:tracks(id, name, color)
+      `)
+      .eq('event_id', eventId)
+      .order('display_order', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async createAward(eventId, awardData) {
+    const { data, error } = await supabase
+      .from('special_awards')
+      .insert([{
+        event_id: eventId,
+        ...awardData
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async updateAward(awardId, awardData) {
+    const { data, error } = await supabase
+      .from('special_awards')
+      .update({ ...awardData, updated_at: new Date().toISOString() })
+      .eq('id', awardId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async deleteAward(awardId) {
+    const { error } = await supabase
+      .from('special_awards')
+      .delete()
+      .eq('id', awardId);
+
+    if (error) throw error;
+  }
+};
@@ -0,0 +1,37 @@
+import { computeSpecialAward, AwardTypes } from './awardService';
+
+jest.mock('../supabaseClient', () => ({ supabase: {} }));
+
+describe('Award Service', () => {
+  describe('Special Awards', () => {
+    const results = [
+      { team_id: 'A', rank: 1, track_id: 't1', criteria_scores: { design: 2.0 } },
+      { team_id: 'B', rank: 2, track_id: 't1', criteria_scores: { design: 1.5 } },
+      { team_id: 'C', rank: 3, track_id: 't2', criteria_scores: { design: 1.5 } },
+      { team_id: 'D', rank: 4, track_id: 't1', criteria_scores: { design: 0.5 } },
+      { team_id: 'E', rank: null, is_eligible: false, track_id: 't1', criteria_scores: { design: 3.0 } }
+    ];
+
+    test('ranks on the criterion, skipping the top N and ineligible teams', () => {
+      const winners = computeSpecialAward(results, { criterion_id: 'design', exclude_top_n: 1, winners_count: 1 });
+
+      // B and C are level on design, so both share the award
+      expect(winners.map(w => w.team_id)).toEqual(['B', 'C']);
+      expect(winners.map(w => w.award_rank)).toEqual([1, 1]);
+    });
+
+    test('limits the award to one track', () => {
+      const winners = computeSpecialAward(results, { criterion_id: 'design', track_id: 't1', exclude_top_n: 3, winners_count: 1 });
+
+      expect(winners).toEqual([{ team_id: 'D', score: 0.5, overall_rank: 4, award_rank: 1 }]);
+    });
+
+    test('audience awards rank on counted votes', () => {
+      const voted = results.map((result, index) => ({ ...result, audience_votes: [3, 9, 0, 4, 12][index] }));
+      const winners = computeSpecialAward(voted, { award_type: AwardTypes.AUDIENCE, winners_count: 3 });
+
+      // E is ineligible and C has no votes
+      expect(winners.map(w => [w.team_id, w.award_rank])).toEqual([['B', 1], ['D', 2], ['A', 3]]);
+    });
+  });
+});
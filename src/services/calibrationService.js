@@ -0,0 +1,177 @@
+/**
+ * Calibration Service
+ * Scores judges give a round's shared sample projects before live judging,
+ * and the offsets stored from them on the judges' round assignments
+ */
+
+import { supabase } from '../supabaseClient';
+import { RoundTypes } from './roundService';
+import { isGateCriterion, median } from './normalizationService';
+
+// A round calibrates on at most this many sample teams
+export const MAX_CALIBRATION_SAMPLES = 3;
+
+// Judges can calibrate until the round closes
+const CALIBRATION_OPEN_STATUSES = ['draft', 'active'];
+
+/**
+ * Whether judges of this round score sample projects first
+ * @param {Object} round
+ * @returns {boolean}
+ */
+export function hasCalibration(round) {
+  return Boolean(round) && round.round_type !== RoundTypes.PAIRWISE &&
+    (round.calibration_team_ids || []).length > 0;
+}
+
+/**
+ * @param {Object} round
+ * @returns {boolean}
+ */
+export function isCalibrationOpen(round) {
+  return hasCalibration(round) && CALIBRATION_OPEN_STATUSES.includes(round.status);
+}
+
+/**
+ * Calibration offsets from the sample projects every judge scores before
+ * live judging. On each sample and criterion a judge's score is compared
+ * with the panel median; the judge's offset for the criterion is the mean
+ * of those differences (positive = more lenient than the panel). Gate
+ * criteria have no offset
+ * @param {Array} evaluations - calibration scores [{judge_id, team_id, scores}]
+ * @param {Array} criteria
+ * @returns {Object} - {panelMedians: {teamId: {criterionId: median}},
+ *   judges: {judgeId: {offsets: {criterionId: offset}, total_offset, samples}}}
+ */
+export function computeCalibrationOffsets(evaluations, criteria) {
+  const scoredCriteria = criteria.filter(criterion => !isGateCriterion(criterion));
+  const scoreOf = (evalItem, criterion) => {
+    const score = evalItem.scores?.[criterion.id];
+    return typeof score === 'number' ? score : null;
+  };
+
+  const panelMedians = {};
+  const teamIds = [...new Set(evaluations.map(e => e.team_id))];
+  teamIds.forEach(teamId => {
+    const teamEvals = evaluations.filter(e => e.team_id === teamId);
+    panelMedians[teamId] = {};
+    scoredCriteria.forEach(criterion => {
+      const scores = teamEvals.map(e => scoreOf(e, criterion)).filter(score => score !== null);
+      if (scores.length > 0) panelMedians[teamId][criterion.id] = median(scores);
+    });
+  });
+
+  const judges = {};
+  const judgeIds = [...new Set(evaluations.map(e => e.judge_id))];
+  judgeIds.forEach(judgeId => {
+    const judgeEvals = evaluations.filter(e => e.judge_id === judgeId);
+    const offsets = {};
+    scoredCriteria.forEach(criterion => {
+      const diffs = judgeEvals
+        .filter(e => scoreOf(e, criterion) !== null)
+        .map(e => scoreOf(e, criterion) - panelMedians[e.team_id][criterion.id]);
+      offsets[criterion.id] = diffs.length > 0
+        ? diffs.reduce((sum, diff) => sum + diff, 0) / diffs.length
+        : 0;
+    });
+
+    judges[judgeId] = {
+      offsets,
+      total_offset: Object.values(offsets).reduce((sum, offset) => sum + offset, 0),
+      samples: judgeEvals.length
+    };
+  });
+
+  return { panelMedians, judges };
+}
+
+/**
+ * Subtract each judge's calibration offsets from their scores. Judges
+ * without offsets keep their scores
+ * @param {Array} evaluations - [{judge_id, team_id, scores}]
+ * @param {Object} judgeOffsets - {judgeId: {criterionId: offset}}
+ * @param {Array} criteria
+ * @returns {Array} - evaluations with adjusted scores
+ */
+export function applyCalibrationOffsets(evaluations, judgeOffsets, criteria) {
+  const scoredCriteria = criteria.filter(criterion => !isGateCriterion(criterion));
+  return evaluations.map(evalItem => {
+    const offsets = judgeOffsets[evalItem.judge_id];
+    if (!offsets) return evalItem;
+
+    const scores = { ...evalItem.scores };
+    scoredCriteria.forEach(criterion => {
+      if (typeof scores[criterion.id] === 'number') {
+        scores[criterion.id] -= offsets[criterion.id] || 0;
+      }
+    });
+    return { ...evalItem, scores };
+  });
+}
+
+export const calibrationService = {
+  async getRoundCalibrations(roundId) {
+    const { data, error } = await supabase
+      .from('calibration_evaluations')
+      .select('*')
+      .eq('round_id', roundId)
+      .order('submitted_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getSampleTeams(teamIds) {
+    if (!teamIds || teamIds.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('teams')
+      .select('id, name, project_title')
+      .in('id', teamIds);
+
+    if (error) throw error;
+    // Keep the order the admin picked the samples in
+    return teamIds.map(id => (data || []).find(team => team.id === id)).filter(Boolean);
+  },
+
+  /**
+   * Calibration sheets are final once submitted
+   */
+  async submitCalibration(roundId, judgeId, teamId, scores, rawTotal) {
+    const { data, error } = await supabase
+      .from('calibration_evaluations')
+      .insert([{
+        round_id: roundId,
+        judge_id: judgeId,
+        team_id: teamId,
+        scores,
+        raw_total: rawTotal
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * @param {Object} judges - computeCalibrationOffsets().judges
+   */
+  async saveJudgeOffsets(roundId, judges) {
+    const calibratedAt = new Date().toISOString();
+
+    for (const [judgeId, calibration] of Object.entries(judges)) {
+      const { error } = await supabase
+        .from('round_judge_assignments')
+        .update({
+          calibration_offsets: calibration.offsets,
+          calibration_total_offset: calibration.total_offset,
+          calibrated_at: calibratedAt
+        })
+        .eq('round_id', roundId)
+        .eq('judge_id', judgeId);
+
+      if (error) throw error;
+    }
+  }
+};
@@ -0,0 +1,46 @@
+import { computeCalibrationOffsets, applyCalibrationOffsets } from './calibrationService';
+import { CriterionScaleTypes } from './normalizationService';
+
+jest.mock('../supabaseClient', () => ({ supabase: {} }));
+
+describe('Calibration Service', () => {
+  describe('Judge Calibration', () => {
+    const calibrationCriteria = [
+      { id: 'c1', name: 'Innovation', max_marks: 10, weight: 1.0 },
+      { id: 'g1', name: 'Demo works', max_marks: 1, weight: 1.0, scale_type: CriterionScaleTypes.GATE }
+    ];
+    const calibrations = [
+      { judge_id: 'J1', team_id: 'S1', scores: { c1: 6, g1: 1 } },
+      { judge_id: 'J2', team_id: 'S1', scores: { c1: 7, g1: 1 } },
+      { judge_id: 'J3', team_id: 'S1', scores: { c1: 9, g1: 0 } },
+      { judge_id: 'J1', team_id: 'S2', scores: { c1: 4, g1: 1 } },
+      { judge_id: 'J2', team_id: 'S2', scores: { c1: 4, g1: 1 } },
+      { judge_id: 'J3', team_id: 'S2', scores: { c1: 7, g1: 1 } }
+    ];
+
+    test('offsets are the mean difference from the panel median', () => {
+      const { panelMedians, judges } = computeCalibrationOffsets(calibrations, calibrationCriteria);
+
+      expect(panelMedians.S1.c1).toBe(7);
+      expect(panelMedians.S2.c1).toBe(4);
+      expect(panelMedians.S1.g1).toBeUndefined();
+      // J3: (+2 + +3) / 2
+      expect(judges.J3.offsets.c1).toBeCloseTo(2.5, 6);
+      expect(judges.J1.offsets.c1).toBeCloseTo(-0.5, 6);
+      expect(judges.J2.total_offset).toBe(0);
+      expect(judges.J3.samples).toBe(2);
+    });
+
+    test('applying offsets shifts only the judge\'s scored criteria', () => {
+      const { judges } = computeCalibrationOffsets(calibrations, calibrationCriteria);
+      const offsets = { J3: judges.J3.offsets };
+      const [j3, j1] = applyCalibrationOffsets([
+        { judge_id: 'J3', team_id: 'A', scores: { c1: 8.5, g1: 1 } },
+        { judge_id: 'J1', team_id: 'A', scores: { c1: 5, g1: 1 } }
+      ], offsets, calibrationCriteria);
+
+      expect(j3.scores).toEqual({ c1: 6, g1: 1 });
+      expect(j1.scores).toEqual({ c1: 5, g1: 1 });
+    });
+  });
+});
@@ -5,17 +5,207 @@
  */
 
 import { supabase } from '../supabaseClient';
-import { computeRoundNormalization, NormalizationMethods } from './normalizationService';
+import {
+  computeRoundNormalization,
+  computePairwiseRanking,
+  leaveOneJudgeOut,
+  combineRoundStandings,
+  resolveCriterionWeights,
+  applyCriterionWeightOverrides,
+  NormalizationMethods,
+  AggregationModes,
+  TieBreakRules,
+  RankingStyles,
+  DEFAULT_TIE_BREAK_POLICY,
+  CORRECTED_MEAN_PRIOR_WEIGHT,
+  BRADLEY_TERRY_METHOD,
+  BRADLEY_TERRY_PRIOR_GAMES
+} from './normalizationService';
+import { RoundTypes } from './roundService';
+import { pairwiseService } from './pairwiseService';
+import { auditService } from './auditService';
+import { awardService, computeSpecialAward, AwardTypes } from './awardService';
+import { audienceVoteService, tallyAudienceVotes } from './audienceVoteService';
+import { calibrationService, computeCalibrationOffsets, applyCalibrationOffsets } from './calibrationService';
+import { conflictService, buildConflictSet, hasConflict } from './conflictService';
+
+const AGGREGATION_FORMULAS = {
+  [AggregationModes.SUM]: 'Final = Σ_j (w_j × ΣZw)',
+  [AggregationModes.MEAN]: 'Final = Σ_j (w_j × ΣZw) / Σ_j w_j',
+  [AggregationModes.CORRECTED_MEAN]: `Final = Σ_j (w_j × ΣZw) / (Σ_j w_j + ${CORRECTED_MEAN_PRIOR_WEIGHT})`
+};
+
+const RANK_AGGREGATION_FORMULAS = {
+  [NormalizationMethods.BORDA]: 'Borda: points_j = 0.5 - (rank_j - 1) / (n_j - 1), Final = aggregate of w_j × points_j',
+  [NormalizationMethods.SCHULZE]: 'Schulze: d[a][b] = Σ w_j (judges ranking a above b), Final = teams beaten on strongest paths',
+  [BRADLEY_TERRY_METHOD]: `Bradley–Terry: P(a beats b) = p_a / (p_a + p_b), MM fit with ${BRADLEY_TERRY_PRIOR_GAMES} virtual win and loss per team, Final = ln p_a - mean(ln p)`
+};
+
+/**
+ * computation_logs type naming what actually ran, e.g. ROBUST_MAD_NORMALIZATION_MEAN.
+ * Rank-based and pairwise methods combine judges themselves, so no aggregation mode applies
+ */
+function computationType(method, aggregationMode) {
+  return RANK_AGGREGATION_FORMULAS[method]
+    ? `${method}_AGGREGATION`
+    : `${method}_NORMALIZATION_${aggregationMode}`;
+}
+
+/**
+ * Load the round's judge weights from its assignments
+ * @returns {Promise<Object>} - {judgeId: weight}
+ */
+async function loadJudgeWeights(roundId) {
+  const { data: judgeAssignments, error: judgesError } = await supabase
+    .from('round_judge_assignments')
+    .select('*')
+    .eq('round_id', roundId);
+
+  if (judgesError) throw judgesError;
+
+  const judgeWeights = {};
+  judgeAssignments?.forEach(assignment => {
+    judgeWeights[assignment.judge_id] = assignment.judge_weight || 1.0;
+  });
+  return judgeWeights;
+}
+
+/**
+ * Resolve the round's ranking style and tie-break policy, loading team
+ * submission times when the policy ranks by them
+ * @returns {Promise<Object>} - {rankingStyle, tieBreakPolicy, teamSubmittedAt}
+ */
+async function loadRankingOptions(round) {
+  const rankingStyle = round.ranking_style || RankingStyles.STANDARD;
+  const tieBreakPolicy = round.tie_break_policy || DEFAULT_TIE_BREAK_POLICY;
+  const teamSubmittedAt = {};
+
+  if (tieBreakPolicy.some(entry => entry.rule === TieBreakRules.EARLIEST_SUBMISSION)) {
+    const { data: teams, error } = await supabase
+      .from('teams')
+      .select('id, submitted_at')
+      .eq('event_id', round.event_id);
+
+    if (error) throw error;
+    teams?.forEach(team => {
+      if (team.submitted_at) teamSubmittedAt[team.id] = team.submitted_at;
+    });
+  }
+
+  return { rankingStyle, tieBreakPolicy, teamSubmittedAt };
+}
+
+/**
+ * Merge a round's calibration scores into its evaluations as the round's
+ * settings ask: calibration sheets count as ordinary evaluations of the
+ * sample teams unless excluded (a judge's live evaluation of the same team
+ * wins), and judges' offsets are subtracted when enabled
+ * @returns {Array} - evaluations to normalize
+ */
+function applyRoundCalibration(round, evaluations, calibrations, criteria) {
+  let inputs = evaluations;
+
+  if (!round.calibration_exclude_evaluations) {
+    const scored = new Set(evaluations.map(e => `${e.judge_id}:${e.team_id}`));
+    inputs = [
+      ...evaluations,
+      ...calibrations
+        .filter(c => !scored.has(`${c.judge_id}:${c.team_id}`))
+        .map(c => ({ ...c, is_draft: false, is_calibration: true }))
+    ];
+  }
+
+  if (round.calibration_apply_offsets) {
+    const { judges } = computeCalibrationOffsets(calibrations, criteria);
+    const judgeOffsets = {};
+    Object.entries(judges).forEach(([judgeId, calibration]) => {
+      judgeOffsets[judgeId] = calibration.offsets;
+    });
+    inputs = applyCalibrationOffsets(inputs, judgeOffsets, criteria);
+  }
+
+  return inputs;
+}
+
+/**
+ * Load the round's criteria, with group weights rolled down, and the
+ * submitted evaluations, with calibration scores applied per the round's settings
+ * @returns {Promise<Object>} - {criteria, roundCriteria: rows as stored, evaluations}
+ */
+async function loadScoredRoundInputs(round) {
+  const roundId = round.id;
+  const { data: roundCriteria, error: criteriaError } = await supabase
+    .from('round_criteria')
+    .select('*')
+    .eq('round_id', roundId)
+    .order('display_order');
+
+  if (criteriaError) throw criteriaError;
+  if (!roundCriteria || roundCriteria.length === 0) {
+    throw new Error('No criteria defined for this round');
+  }
+  const criteria = resolveCriterionWeights(roundCriteria, round.criterion_groups);
+
+  const { data: submitted, error: evalsError } = await supabase
+    .from('round_evaluations')
+    .select('*')
+    .eq('round_id', roundId)
+    .eq('is_draft', false);
+
+  if (evalsError) throw evalsError;
+
+  const evaluations = (round.calibration_team_ids || []).length > 0
+    ? applyRoundCalibration(round, submitted || [], await calibrationService.getRoundCalibrations(roundId), criteria)
+    : submitted || [];
+
+  if (evaluations.length === 0) {
+    throw new Error('No submitted evaluations found');
+  }
+
+  return { criteria, roundCriteria, evaluations };
+}
+
+/**
+ * Load submitted criterion scores and normalize them
+ * @returns {Promise<Object>} - computeRoundNormalization output plus inputCount
+ */
+async function computeScoredRound(round, options) {
+  const { criteria, evaluations } = await loadScoredRoundInputs(round);
+
+  return {
+    ...computeRoundNormalization(evaluations, criteria, options),
+    inputCount: evaluations.length
+  };
+}
+
+/**
+ * Load pairwise comparisons and fit Bradley–Terry strengths
+ * @returns {Promise<Object>} - computePairwiseRanking output plus inputCount
+ */
+async function computePairwiseRound(roundId, options) {
+  const comparisons = await pairwiseService.getRoundComparisons(roundId);
+  if (comparisons.length === 0) {
+    throw new Error('No pairwise comparisons submitted');
+  }
+
+  return {
+    ...computePairwiseRanking(comparisons, options),
+    judgeEffects: null,
+    ineligibleTeams: [],
+    inputCount: comparisons.length
+  };
+}
 
 /**
  * Compute and store normalized results for a round
  * @param {string} roundId - UUID of the round
- * @param {Object} options - {method: 'Z_SCORE'|'ROBUST_MAD', computedBy: userId}
- * @returns {Promise<Object>} - {success, results, error}
+ * @param {Object} options - {method: NormalizationMethods value, aggregationMode, computedBy: userId,
+ *   bootstrapIterations: resamples for rank intervals, e.g. BOOTSTRAP_ITERATIONS; skipped by default}
+ *   method and aggregationMode default to the round's configured settings
+ * @returns {Promise<Object>} - {success, results, warnings, error}
  */
 export async function computeRound(roundId, options = {}) {
   try {
-    const method = options.method || NormalizationMethods.Z_SCORE;
     const computedBy = options.computedBy;
 
     const { data: round, error: roundError } = await supabase
@@ -27,45 +217,30 @@ export async function computeRound(roundId, options = {}) {
     if (roundError) throw roundError;
     if (!round) throw new Error('Round not found');
 
-    const { data: criteria, error: criteriaError } = await supabase
-      .from('round_criteria')
-      .select('*')
-      .eq('round_id', roundId)
-      .order('display_order');
-
-    if (criteriaError) throw criteriaError;
-    if (!criteria || criteria.length === 0) {
-      throw new Error('No criteria defined for this round');
-    }
-
-    const { data: evaluations, error: evalsError } = await supabase
-      .from('round_evaluations')
-      .select('*')
-      .eq('round_id', roundId)
-      .eq('is_draft', false);
+    const isPairwise = round.round_type === RoundTypes.PAIRWISE;
+    const method = isPairwise
+      ? BRADLEY_TERRY_METHOD
+      : options.method || round.normalization_method || NormalizationMethods.Z_SCORE;
+    const aggregationMode = options.aggregationMode || round.aggregation_mode || AggregationModes.SUM;
 
-    if (evalsError) throw evalsError;
-    if (!evaluations || evaluations.length === 0) {
-      throw new Error('No submitted evaluations found');
-    }
+    const judgeWeights = await loadJudgeWeights(roundId);
+    const { rankingStyle, tieBreakPolicy, teamSubmittedAt } = await loadRankingOptions(round);
 
-    const { data: judgeAssignments, error: judgesError } = await supabase
-      .from('round_judge_assignments')
-      .select('*')
-      .eq('round_id', roundId);
-
-    if (judgesError) throw judgesError;
+    const bootstrapIterations = options.bootstrapIterations || 0;
 
-    const judgeWeights = {};
-    judgeAssignments?.forEach(assignment => {
-      judgeWeights[assignment.judge_id] = assignment.judge_weight || 1.0;
-    });
+    const conflicts = buildConflictSet(await conflictService.getEventConflicts(round.event_id));
 
-    const { perJudgeResults, finalResults } = computeRoundNormalization(
-      evaluations,
-      criteria,
-      { method, judgeWeights }
-    );
+    const { perJudgeResults, finalResults, judgeEffects, ineligibleTeams, warnings, inputCount } = isPairwise
+      ? await computePairwiseRound(roundId, { judgeWeights, rankingStyle, tieBreakPolicy, teamSubmittedAt })
+      : await computeScoredRound(round, {
+        method,
+        judgeWeights,
+        aggregationMode,
+        rankingStyle,
+        tieBreakPolicy,
+        teamSubmittedAt,
+        bootstrapIterations
+      });
 
     const { error: deleteError } = await supabase
       .from('round_normalization_results')
@@ -84,10 +259,22 @@ export async function computeRound(roundId, options = {}) {
         raw_total: result.raw_total,
         judge_mean: result.judge_mean,
         judge_std: result.judge_std,
+        judge_median: result.judge_median,
+        judge_mad: result.judge_mad,
+        judge_weight: result.judge_weight,
+        judge_bias: result.judge_bias,
         z_score: result.z_score,
         aggregated_z: null,
         percentile: null,
         rank: null,
+        rank_lower: null,
+        rank_upper: null,
+        score_lower: null,
+        score_upper: null,
+        rank_distribution: null,
+        is_eligible: true,
+        failed_gates: [],
+        has_conflict: hasConflict(conflicts, result.judge_id, result.team_id),
         tie_breaker_data: {},
         computed_at: new Date().toISOString()
       });
@@ -104,25 +291,60 @@ export async function computeRound(roundId, options = {}) {
           normalizationRecords[existingIndex].percentile = result.percentile;
           normalizationRecords[existingIndex].rank = result.rank;
           normalizationRecords[existingIndex].tie_breaker_data = result.tie_breaker_data;
+
+          if (result.rank_interval) {
+            normalizationRecords[existingIndex].rank_lower = result.rank_interval.rank_lower;
+            normalizationRecords[existingIndex].rank_upper = result.rank_interval.rank_upper;
+            normalizationRecords[existingIndex].score_lower = result.rank_interval.score_lower;
+            normalizationRecords[existingIndex].score_upper = result.rank_interval.score_upper;
+            normalizationRecords[existingIndex].rank_distribution = result.rank_interval.rank_distribution;
+          }
         }
       });
     });
 
+    // Teams that failed a gate criterion keep their raw totals but get no rank
+    ineligibleTeams.forEach(team => {
+      team.evaluations.forEach(evaluation => {
+        normalizationRecords.push({
+          round_id: roundId,
+          team_id: team.team_id,
+          judge_id: evaluation.judge_id,
+          raw_total: evaluation.raw_total,
+          z_score: null,
+          aggregated_z: null,
+          percentile: null,
+          rank: null,
+          is_eligible: false,
+          failed_gates: team.failed_gates,
+          has_conflict: hasConflict(conflicts, evaluation.judge_id, team.team_id),
+          tie_breaker_data: {},
+          computed_at: new Date().toISOString()
+        });
+      });
+    });
+
     const { error: insertError } = await supabase
       .from('round_normalization_results')
       .insert(normalizationRecords);
 
     if (insertError) throw insertError;
 
-    const uniqueJudges = new Set(evaluations.map(e => e.judge_id)).size;
-    const uniqueTeams = new Set(evaluations.map(e => e.team_id)).size;
+    const uniqueJudges = new Set(perJudgeResults.map(r => r.judge_id)).size;
+    const uniqueTeams = new Set(perJudgeResults.map(r => r.team_id)).size;
+
+    // Declared after the judge had already scored the team: kept, but flagged
+    const conflictedRecords = normalizationRecords.filter(r => r.has_conflict);
+    const conflictWarnings = conflictedRecords.length > 0
+      ? [`${conflictedRecords.length} evaluation(s) come from judges who declared a conflict of interest with the team. They are counted but flagged in the results.`]
+      : [];
 
     const { error: logError } = await supabase
       .from('round_compute_logs')
       .insert({
         round_id: roundId,
         normalization_method: method,
-        computation_params: { judgeWeights },
+        computation_params: { judgeWeights, aggregationMode, rankingStyle, tieBreakPolicy },
         teams_evaluated: uniqueTeams,
         judges_count: uniqueJudges,
         computed_by: computedBy,
@@ -131,12 +353,44 @@ export async function computeRound(roundId, options = {}) {
 
     if (logError) throw logError;
 
+    await auditService.logComputation(
+      roundId,
+      computationType(method, aggregationMode),
+      {
+        normalization_method: method,
+        aggregation_mode: aggregationMode,
+        judge_weights: judgeWeights,
+        ranking_style: rankingStyle,
+        tie_break_policy: tieBreakPolicy,
+        evaluation_count: inputCount,
+        bootstrap_iterations: isPairwise ? 0 : bootstrapIterations,
+        conflicted_evaluations: conflictedRecords.map(r => ({ judge_id: r.judge_id, team_id: r.team_id })),
+        ...(!isPairwise && (round.calibration_team_ids || []).length > 0 && {
+          calibration: {
+            apply_offsets: round.calibration_apply_offsets,
+            exclude_evaluations: round.calibration_exclude_evaluations
+          }
+        })
+      },
+      {
+        teams_evaluated: uniqueTeams,
+        judges_count: uniqueJudges,
+        ...(judgeEffects && {
+          judge_biases: judgeEffects.judgeTotalBias,
+          overlap_components: judgeEffects.components.length
+        })
+      },
+      RANK_AGGREGATION_FORMULAS[method] || AGGREGATION_FORMULAS[aggregationMode],
+      computedBy
+    );
+
     const { error: updateError } = await supabase
       .from('rounds')
       .update({
         is_computed: true,
         computed_at: new Date().toISOString(),
-        normalization_method: method
+        // Pairwise rounds keep their configured method; Bradley–Terry is implied by the round type
+        ...(!isPairwise && { normalization_method: method })
       })
       .eq('id', roundId);
 
@@ -145,10 +399,14 @@ export async function computeRound(roundId, options = {}) {
     return {
       success: true,
       results: finalResults,
+      warnings: [...(warnings || []), ...conflictWarnings],
       stats: {
         teams_evaluated: uniqueTeams,
         judges_count: uniqueJudges,
-        method
+        teams_ineligible: ineligibleTeams.length,
+        method,
+        aggregationMode,
+        rankingStyle
       }
     };
 
@@ -161,6 +419,129 @@ export async function computeRound(roundId, options = {}) {
   }
 }
 
+/**
+ * Leave-one-judge-out sensitivity analysis: recompute the round with each
+ * judge removed in turn, using the round's configured method and weights.
+ * Nothing is stored.
+ * @param {string} roundId
+ * @param {Object} options - {topK: cutoff for top-K membership changes, default 10}
+ * @returns {Promise<Object>} - {success, top_k, baseline, judges, pivotal_judges, error}
+ */
+export async function computeLeaveOneJudgeOut(roundId, options = {}) {
+  try {
+    const { data: round, error: roundError } = await supabase
+      .from('rounds')
+      .select('*')
+      .eq('id', roundId)
+      .maybeSingle();
+
+    if (roundError) throw roundError;
+    if (!round) throw new Error('Round not found');
+
+    const topK = options.topK || 10;
+    const judgeWeights = await loadJudgeWeights(roundId);
+    const { rankingStyle, tieBreakPolicy, teamSubmittedAt } = await loadRankingOptions(round);
+
+    let items;
+    let rankFn;
+
+    if (round.round_type === RoundTypes.PAIRWISE) {
+      items = await pairwiseService.getRoundComparisons(roundId);
+      rankFn = (excludedJudgeId) => computePairwiseRanking(
+        items.filter(c => c.judge_id !== excludedJudgeId),
+        { judgeWeights, rankingStyle, tieBreakPolicy, teamSubmittedAt }
+      ).finalResults;
+    } else {
+      const { criteria, evaluations } = await loadScoredRoundInputs(round);
+      items = evaluations;
+      rankFn = (excludedJudgeId) => computeRoundNormalization(
+        evaluations.filter(e => e.judge_id !== excludedJudgeId),
+        criteria,
+        {
+          method: round.normalization_method || NormalizationMethods.Z_SCORE,
+          judgeWeights,
+          aggregationMode: round.aggregation_mode || AggregationModes.SUM,
+          rankingStyle,
+          tieBreakPolicy,
+          teamSubmittedAt
+        }
+      ).finalResults;
+    }
+
+    const judgeIds = [...new Set(items.map(item => item.judge_id))];
+    if (judgeIds.length < 2) {
+      throw new Error('At least two judges are needed for a leave-one-judge-out analysis');
+    }
+
+    return {
+      success: true,
+      ...leaveOneJudgeOut(judgeIds, rankFn, topK)
+    };
+
+  } catch (error) {
+    console.error('Error computing leave-one-judge-out analysis:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Judge calibration for a round: compare every judge's sample scores with
+ * the panel median and store the resulting offsets on their assignments
+ * @param {string} roundId
+ * @returns {Promise<Object>} - {success, samples: [team], criteria,
+ *   calibrations, panelMedians, judges: {judgeId: {offsets, total_offset, samples}}, error}
+ */
+export async function computeCalibration(roundId) {
+  try {
+    const { data: round, error: roundError } = await supabase
+      .from('rounds')
+      .select('id, calibration_team_ids, criterion_groups')
+      .eq('id', roundId)
+      .maybeSingle();
+
+    if (roundError) throw roundError;
+    if (!round) throw new Error('Round not found');
+
+    const { data: roundCriteria, error: criteriaError } = await supabase
+      .from('round_criteria')
+      .select('*')
+      .eq('round_id', roundId)
+      .order('display_order');
+
+    if (criteriaError) throw criteriaError;
+
+    const criteria = resolveCriterionWeights(roundCriteria || [], round.criterion_groups);
+    const [samples, calibrations] = await Promise.all([
+      calibrationService.getSampleTeams(round.calibration_team_ids),
+      calibrationService.getRoundCalibrations(roundId)
+    ]);
+    const { panelMedians, judges } = computeCalibrationOffsets(calibrations, criteria);
+
+    if (Object.keys(judges).length > 0) {
+      await calibrationService.saveJudgeOffsets(roundId, judges);
+    }
+
+    return {
+      success: true,
+      samples,
+      criteria,
+      calibrations,
+      panelMedians,
+      judges
+    };
+
+  } catch (error) {
+    console.error('Error computing calibration:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Get computed results for a round
  * @param {string} roundId
@@ -175,7 +556,11 @@ export async function getRoundResults(roundId) {
         teams (
           id,
           name,
-          category_id
+          track:tracks (
+            id,
+            name,
+            color
+          )
         ),
         judges (
           id,
@@ -194,11 +579,23 @@ export async function getRoundResults(roundId) {
         teamMap[result.team_id] = {
           team_id: result.team_id,
           team_name: result.teams?.name,
-          team_category: result.teams?.category_id,
+          team_category: result.teams?.track?.name,
+          team_track: result.teams?.track || null,
           rank: result.rank,
           percentile: result.percentile,
           aggregated_z: result.aggregated_z,
           tie_breaker_data: result.tie_breaker_data,
+          is_eligible: result.is_eligible !== false,
+          failed_gates: result.failed_gates || [],
+          rank_interval: result.rank_lower !== null && result.rank_lower !== undefined
+            ? {
+              rank_lower: result.rank_lower,
+              rank_upper: result.rank_upper,
+              score_lower: result.score_lower,
+              score_upper: result.score_upper,
+              rank_distribution: result.rank_distribution
+            }
+            : null,
           judge_evaluations: []
         };
       }
@@ -210,7 +607,12 @@ export async function getRoundResults(roundId) {
         raw_total: result.raw_total,
         judge_mean: result.judge_mean,
         judge_std: result.judge_std,
-        z_score: result.z_score
+        judge_median: result.judge_median,
+        judge_mad: result.judge_mad,
+        judge_weight: result.judge_weight,
+        judge_bias: result.judge_bias,
+        z_score: result.z_score,
+        has_conflict: result.has_conflict === true
       });
     });
 
@@ -222,6 +624,360 @@ export async function getRoundResults(roundId) {
   }
 }
 
+/**
+ * Audience vote tally for an event, with the fraud heuristics applied.
+ * Nothing is stored; admins' accept / reject decisions are read from the votes
+ * @param {string} eventId
+ * @returns {Promise<Object>} - {success, results: [{team_id, team_name, track_id, votes,
+ *   held_votes, rank, percentile}], votes: [{...vote, flags}], total_votes, error}
+ */
+export async function computeAudienceResults(eventId) {
+  try {
+    const [{ data: teams, error: teamsError }, votes] = await Promise.all([
+      supabase
+        .from('teams')
+        .select('id, name, track_id')
+        .eq('event_id', eventId),
+      audienceVoteService.getVotesByEvent(eventId)
+    ]);
+
+    if (teamsError) throw teamsError;
+
+    const teamsById = {};
+    teams?.forEach(team => { teamsById[team.id] = team; });
+
+    const { results, flags } = tallyAudienceVotes(votes, Object.keys(teamsById));
+
+    return {
+      success: true,
+      results: results.map(result => ({
+        ...result,
+        team_name: teamsById[result.team_id]?.name,
+        track_id: teamsById[result.team_id]?.track_id || null
+      })),
+      votes: votes.map(vote => ({ ...vote, flags: flags[vote.id] || [] })),
+      total_votes: votes.length
+    };
+
+  } catch (error) {
+    console.error('Error computing audience results:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Overall event standings: combine every computed round's percentiles with
+ * the rounds' carry-over weights (rounds.final_weight), plus the audience
+ * vote percentile when the event gives it a weight (events.audience_vote_weight).
+ * Teams that failed a gate are listed unranked at the end.
+ * Nothing is stored; ranks use the final round's ranking style.
+ * @param {string} eventId
+ * @param {Object} options - {weights: {roundId: weight}, audienceWeight: number}
+ *   to preview unsaved weights
+ * @returns {Promise<Object>} - {success, rounds, audience: {weight} | null, standings, error}
+ */
+export async function computeEventStandings(eventId, options = {}) {
+  try {
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('audience_vote_weight')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (eventError) throw eventError;
+
+    const { data: rounds, error: roundsError } = await supabase
+      .from('rounds')
+      .select('id, name, round_number, final_weight, ranking_style, is_computed')
+      .eq('event_id', eventId)
+      .order('round_number', { ascending: true });
+
+    if (roundsError) throw roundsError;
+
+    const computedRounds = (rounds || []).filter(r => r.is_computed);
+    if (computedRounds.length === 0) {
+      throw new Error('No computed rounds yet');
+    }
+
+    const { data: results, error: resultsError } = await supabase
+      .from('round_normalization_results')
+      .select('round_id, team_id, percentile, rank, is_eligible, teams (name)')
+      .in('round_id', computedRounds.map(r => r.id));
+
+    if (resultsError) throw resultsError;
+
+    // One row per team and judge: keep one per team and round
+    const teamNames = {};
+    const roundResults = {};
+    results?.forEach(result => {
+      teamNames[result.team_id] = result.teams?.name;
+      if (!roundResults[result.round_id]) roundResults[result.round_id] = {};
+      roundResults[result.round_id][result.team_id] = {
+        team_id: result.team_id,
+        percentile: result.percentile,
+        rank: result.rank,
+        is_eligible: result.is_eligible !== false
+      };
+    });
+
+    const weights = options.weights || {};
+    const standingRounds = computedRounds.map(round => ({
+      round_id: round.id,
+      round_name: round.name,
+      round_number: round.round_number,
+      weight: weights[round.id] !== undefined ? weights[round.id] : round.final_weight,
+      results: Object.values(roundResults[round.id] || {})
+    })).filter(round => round.results.length > 0);
+
+    const audienceWeight = Math.max(Number(options.audienceWeight ?? event?.audience_vote_weight) || 0, 0);
+    let audience = null;
+    if (audienceWeight > 0) {
+      const audienceResults = await computeAudienceResults(eventId);
+      if (!audienceResults.success) throw new Error(audienceResults.error);
+      audience = { weight: audienceWeight, results: audienceResults.results };
+    }
+
+    const finalRound = computedRounds[computedRounds.length - 1];
+    const standings = combineRoundStandings(standingRounds, {
+      rankingStyle: finalRound.ranking_style || RankingStyles.STANDARD,
+      audience
+    }).map(team => ({
+      ...team,
+      team_name: teamNames[team.team_id],
+      round_ranks: Object.fromEntries(
+        standingRounds
+          .filter(round => roundResults[round.round_id]?.[team.team_id])
+          .map(round => [round.round_id, roundResults[round.round_id][team.team_id].rank])
+      )
+    }));
+
+    return {
+      success: true,
+      rounds: standingRounds.map(round => ({
+        round_id: round.round_id,
+        round_name: round.round_name,
+        round_number: round.round_number,
+        weight: round.weight
+      })),
+      audience: audience && { weight: audience.weight },
+      standings
+    };
+
+  } catch (error) {
+    console.error('Error computing event standings:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Per-track leaderboards for a round: each track's teams ranked among
+ * themselves, with the track's criteria weight overrides applied.
+ * Nothing is stored; judge weights, method and tie-breaks follow the round.
+ * @param {string} roundId
+ * @returns {Promise<Object>} - {success, tracks: [{track_id, track_name, color,
+ *   results, ineligible_teams}], error}
+ */
+export async function computeTrackLeaderboards(roundId) {
+  try {
+    const { data: round, error: roundError } = await supabase
+      .from('rounds')
+      .select('*')
+      .eq('id', roundId)
+      .maybeSingle();
+
+    if (roundError) throw roundError;
+    if (!round) throw new Error('Round not found');
+
+    const [{ data: tracks, error: tracksError }, { data: teams, error: teamsError }] = await Promise.all([
+      supabase
+        .from('tracks')
+        .select('*')
+        .eq('event_id', round.event_id)
+        .order('display_order', { ascending: true }),
+      supabase
+        .from('teams')
+        .select('id, name, track_id')
+        .eq('event_id', round.event_id)
+    ]);
+
+    if (tracksError) throw tracksError;
+    if (teamsError) throw teamsError;
+    if (!tracks || tracks.length === 0) {
+      throw new Error('No tracks defined for this event');
+    }
+
+    const teamNames = {};
+    teams?.forEach(team => { teamNames[team.id] = team.name; });
+
+    const judgeWeights = await loadJudgeWeights(roundId);
+    const { rankingStyle, tieBreakPolicy, teamSubmittedAt } = await loadRankingOptions(round);
+    const isPairwise = round.round_type === RoundTypes.PAIRWISE;
+    const inputs = isPairwise
+      ? { comparisons: await pairwiseService.getRoundComparisons(roundId) }
+      : await loadScoredRoundInputs(round);
+
+    const trackBoards = tracks.map(track => {
+      const trackTeamIds = new Set((teams || []).filter(t => t.track_id === track.id).map(t => t.id));
+      const board = {
+        track_id: track.id,
+        track_name: track.name,
+        color: track.color,
+        results: [],
+        ineligible_teams: []
+      };
+
+      let computed;
+      if (isPairwise) {
+        const comparisons = inputs.comparisons.filter(c =>
+          trackTeamIds.has(c.team_a_id) && trackTeamIds.has(c.team_b_id)
+        );
+        if (comparisons.length === 0) return board;
+        computed = computePairwiseRanking(comparisons, { judgeWeights, rankingStyle, tieBreakPolicy, teamSubmittedAt });
+      } else {
+        const evaluations = inputs.evaluations.filter(e => trackTeamIds.has(e.team_id));
+        const criteria = resolveCriterionWeights(
+          applyCriterionWeightOverrides(inputs.roundCriteria, track.criteria_weights),
+          round.criterion_groups
+        );
+        if (evaluations.length === 0 || criteria.length === 0) return board;
+        computed = computeRoundNormalization(evaluations, criteria, {
+          method: round.normalization_method || NormalizationMethods.Z_SCORE,
+          judgeWeights,
+          aggregationMode: round.aggregation_mode || AggregationModes.SUM,
+          rankingStyle,
+          tieBreakPolicy,
+          teamSubmittedAt
+        });
+      }
+
+      board.results = computed.finalResults.map(result => ({
+        team_id: result.team_id,
+        team_name: teamNames[result.team_id],
+        rank: result.rank,
+        percentile: result.percentile,
+        aggregated_z: result.aggregated_z
+      }));
+      board.ineligible_teams = (computed.ineligibleTeams || []).map(team => ({
+        team_id: team.team_id,
+        team_name: teamNames[team.team_id],
+        failed_gates: team.failed_gates
+      }));
+      return board;
+    });
+
+    return {
+      success: true,
+      tracks: trackBoards
+    };
+
+  } catch (error) {
+    console.error('Error computing track leaderboards:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Special award winners for an event, computed from each award's round's
+ * stored results (criterion z-scores kept in tie_breaker_data.criteria_scores)
+ * or, for audience awards, from the audience vote tally.
+ * Awards with nothing to rank yet (round not computed, no votes) come back
+ * without winners.
+ * @param {string} eventId
+ * @returns {Promise<Object>} - {success, awards: [{...award, criterion_name, track_name,
+ *   round_name, is_pending, winners: [{team_id, team_name, award_rank, score, overall_rank}]}], error}
+ */
+export async function computeEventAwards(eventId) {
+  try {
+    const awards = await awardService.getAwardsByEvent(eventId);
+    const roundIds = [...new Set(awards.map(award => award.round_id).filter(Boolean))];
+
+    let audienceResults = [];
+    if (awards.some(award => award.award_type === AwardTypes.AUDIENCE)) {
+      const audience = await computeAudienceResults(eventId);
+      if (!audience.success) throw new Error(audience.error);
+      audienceResults = audience.results;
+    }
+
+    const roundResults = {};
+    if (roundIds.length > 0) {
+      const { data: results, error: resultsError } = await supabase
+        .from('round_normalization_results')
+        .select('round_id, team_id, rank, is_eligible, tie_breaker_data, teams (name, track_id)')
+        .in('round_id', roundIds);
+
+      if (resultsError) throw resultsError;
+
+      // One row per team and judge: keep one per team and round
+      results?.forEach(result => {
+        if (!roundResults[result.round_id]) roundResults[result.round_id] = {};
+        const existing = roundResults[result.round_id][result.team_id];
+        if (existing && existing.criteria_scores) return;
+        roundResults[result.round_id][result.team_id] = {
+          team_id: result.team_id,
+          team_name: result.teams?.name,
+          track_id: result.teams?.track_id || null,
+          rank: result.rank,
+          is_eligible: result.is_eligible !== false,
+          criteria_scores: result.tie_breaker_data?.criteria_scores || null
+        };
+      });
+    }
+
+    return {
+      success: true,
+      awards: awards.map(award => {
+        let teams = Object.values(roundResults[award.round_id] || {});
+        let isPending = teams.length === 0;
+
+        // Audience awards rank every team on votes; a round, if set, only
+        // supplies eligibility and the overall rank for exclude_top_n
+        if (award.award_type === AwardTypes.AUDIENCE) {
+          const roundTeams = roundResults[award.round_id] || {};
+          teams = audienceResults.map(result => ({
+            team_id: result.team_id,
+            team_name: result.team_name,
+            track_id: result.track_id,
+            rank: roundTeams[result.team_id]?.rank ?? null,
+            is_eligible: roundTeams[result.team_id]?.is_eligible ?? true,
+            audience_votes: result.votes
+          }));
+          isPending = !audienceResults.some(result => result.votes > 0);
+        }
+
+        const teamNames = Object.fromEntries(teams.map(team => [team.team_id, team.team_name]));
+
+        return {
+          ...award,
+          criterion_name: award.award_type === AwardTypes.AUDIENCE ? 'Audience votes' : award.criterion?.name,
+          track_name: award.track?.name || null,
+          round_name: award.round?.name,
+          is_pending: isPending,
+          winners: computeSpecialAward(teams, award).map(winner => ({
+            ...winner,
+            team_name: teamNames[winner.team_id]
+          }))
+        };
+      })
+    };
+
+  } catch (error) {
+    console.error('Error computing special awards:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Check if a round is ready to compute
  * @param {string} roundId
@@ -229,6 +985,16 @@ export async function getRoundResults(roundId) {
  */
 export async function checkRoundReadiness(roundId) {
   try {
+    const { data: round } = await supabase
+      .from('rounds')
+      .select('round_type')
+      .eq('id', roundId)
+      .maybeSingle();
+
+    if (round?.round_type === RoundTypes.PAIRWISE) {
+      return await checkPairwiseRoundReadiness(roundId);
+    }
+
     const { data: criteria } = await supabase
       .from('round_criteria')
       .select('id')
@@ -279,3 +1045,36 @@ export async function checkRoundReadiness(roundId) {
     };
   }
 }
+
+/**
+ * Readiness for pairwise rounds: judges and at least one comparison, no criteria needed
+ * @param {string} roundId
+ * @returns {Promise<Object>} - {ready, missing, stats}
+ */
+async function checkPairwiseRoundReadiness(roundId) {
+  const { data: judges } = await supabase
+    .from('round_judge_assignments')
+    .select('judge_id')
+    .eq('round_id', roundId);
+
+  const comparisons = await pairwiseService.getRoundComparisons(roundId);
+
+  const missing = [];
+  if (!judges || judges.length === 0) {
+    missing.push('No judges assigned');
+  }
+  if (comparisons.length === 0) {
+    missing.push('No pairwise comparisons submitted');
+  }
+
+  return {
+    ready: missing.length === 0,
+    missing,
+    stats: {
+      criteria_count: 0,
+      judges_count: judges?.length || 0,
+      submitted_evaluations: comparisons.length,
+      draft_evaluations: 0
+    }
+  };
+}
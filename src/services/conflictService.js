@@ -0,0 +1,101 @@
+/**
+ * Conflict Service
+ * Conflict-of-interest declarations between judges and teams. A declared
+ * pair is never assigned; evaluations it already produced are flagged
+ */
+
+import { supabase } from '../supabaseClient';
+
+export const ConflictSources = {
+  JUDGE: 'JUDGE', // self-declared from the judge dashboard
+  ADMIN: 'ADMIN'  // added by an organizer
+};
+
+export function conflictKey(judgeId, teamId) {
+  return `${judgeId}:${teamId}`;
+}
+
+/**
+ * @param {Array} declarations - [{judge_id, team_id}]
+ * @returns {Set} - conflictKey() of every declared pair
+ */
+export function buildConflictSet(declarations) {
+  return new Set((declarations || []).map(d => conflictKey(d.judge_id, d.team_id)));
+}
+
+/**
+ * @param {Set} conflicts - from buildConflictSet()
+ * @returns {boolean}
+ */
+export function hasConflict(conflicts, judgeId, teamId) {
+  return Boolean(conflicts) && conflicts.has(conflictKey(judgeId, teamId));
+}
+
+export const conflictService = {
+  async getEventConflicts(eventId) {
+    const { data, error } = await supabase
+      .from('conflict_declarations')
+      .select('*, judge:judges(id, name, email), team:teams(id, name)')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getJudgeConflicts(judgeIds) {
+    const ids = Array.isArray(judgeIds) ? judgeIds : [judgeIds];
+    if (ids.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('conflict_declarations')
+      .select('*, team:teams(id, name)')
+      .in('judge_id', ids);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Also drops any pending assignment of the pair (database trigger)
+   */
+  async declareConflict(eventId, judgeId, teamId, reason, source = ConflictSources.JUDGE) {
+    const { data, error } = await supabase
+      .from('conflict_declarations')
+      .insert([{
+        event_id: eventId,
+        judge_id: judgeId,
+        team_id: teamId,
+        reason: reason || '',
+        source
+      }])
+      .select('*, judge:judges(id, name, email), team:teams(id, name)')
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async removeConflict(declarationId) {
+    const { error } = await supabase
+      .from('conflict_declarations')
+      .delete()
+      .eq('id', declarationId);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Throw if the judge declared a conflict with any of the teams
+   */
+  async assertNoConflicts(judgeId, teamIds) {
+    if (!teamIds || teamIds.length === 0) return;
+
+    const blocked = (await this.getJudgeConflicts(judgeId)).filter(d => teamIds.includes(d.team_id));
+    if (blocked.length > 0) {
+      throw new Error(`Conflict of interest declared with: ${blocked.map(d => d.team?.name || d.team_id).join(', ')}`);
+    }
+  }
+};
+
+export default conflictService;
@@ -0,0 +1,136 @@
+import { supabase } from '../supabaseClient';
+import {
+  ConflictSources,
+  conflictKey,
+  buildConflictSet,
+  hasConflict,
+  conflictService
+} from './conflictService';
+
+jest.mock('../supabaseClient', () => ({ supabase: { from: jest.fn() } }));
+
+/**
+ * Chainable stand-in for a supabase query: every builder call is recorded
+ * and awaiting it (or .single()) resolves to the given result
+ */
+function mockQuery(result) {
+  const calls = [];
+  const query = {
+    calls,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['select', 'insert', 'delete', 'eq', 'in', 'order'].forEach(method => {
+    query[method] = (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    };
+  });
+  query.single = () => {
+    calls.push(['single']);
+    return Promise.resolve(result);
+  };
+  supabase.from.mockReturnValueOnce(query);
+  return query;
+}
+
+describe('Conflict Service', () => {
+  afterEach(() => {
+    supabase.from.mockReset();
+  });
+
+  describe('Conflict sets', () => {
+    const declarations = [
+      { judge_id: 'j1', team_id: 't1' },
+      { judge_id: 'j2', team_id: 't3' }
+    ];
+
+    test('keys every declared judge/team pair', () => {
+      const conflicts = buildConflictSet(declarations);
+
+      expect(conflicts.size).toBe(2);
+      expect(conflicts.has(conflictKey('j1', 't1'))).toBe(true);
+      expect(buildConflictSet(null).size).toBe(0);
+    });
+
+    test('only the declared direction of a pair conflicts', () => {
+      const conflicts = buildConflictSet(declarations);
+
+      expect(hasConflict(conflicts, 'j1', 't1')).toBe(true);
+      expect(hasConflict(conflicts, 'j1', 't3')).toBe(false);
+      expect(hasConflict(conflicts, 'j2', 't1')).toBe(false);
+    });
+
+    test('no conflict set means nothing is blocked', () => {
+      expect(hasConflict(undefined, 'j1', 't1')).toBe(false);
+      expect(hasConflict(buildConflictSet([]), 'j1', 't1')).toBe(false);
+    });
+  });
+
+  describe('declareConflict', () => {
+    test('inserts the pair as a judge declaration by default', async () => {
+      const saved = { id: 'd1', judge_id: 'j1', team_id: 't1' };
+      const query = mockQuery({ data: saved, error: null });
+
+      await expect(conflictService.declareConflict('e1', 'j1', 't1', 'Former colleague')).resolves.toBe(saved);
+
+      expect(supabase.from).toHaveBeenCalledWith('conflict_declarations');
+      expect(query.calls[0]).toEqual(['insert', [{
+        event_id: 'e1',
+        judge_id: 'j1',
+        team_id: 't1',
+        reason: 'Former colleague',
+        source: ConflictSources.JUDGE
+      }]]);
+    });
+
+    test('organizers can declare without a reason', async () => {
+      const query = mockQuery({ data: {}, error: null });
+
+      await conflictService.declareConflict('e1', 'j1', 't1', undefined, ConflictSources.ADMIN);
+
+      expect(query.calls[0][1][0]).toMatchObject({ reason: '', source: ConflictSources.ADMIN });
+    });
+
+    test('surfaces database errors, e.g. a duplicate declaration', async () => {
+      const error = new Error('duplicate key value violates unique constraint');
+      mockQuery({ data: null, error });
+
+      await expect(conflictService.declareConflict('e1', 'j1', 't1', '')).rejects.toBe(error);
+    });
+  });
+
+  describe('assertNoConflicts', () => {
+    const judgeConflicts = [
+      { judge_id: 'j1', team_id: 't1', team: { id: 't1', name: 'Rocket' } },
+      { judge_id: 'j1', team_id: 't2', team: null }
+    ];
+
+    test('blocks an assignment that includes a declared team, naming it', async () => {
+      mockQuery({ data: judgeConflicts, error: null });
+
+      await expect(conflictService.assertNoConflicts('j1', ['t1', 't4']))
+        .rejects.toThrow('Conflict of interest declared with: Rocket');
+    });
+
+    test('falls back to the team id when the name is not loaded', async () => {
+      mockQuery({ data: judgeConflicts, error: null });
+
+      await expect(conflictService.assertNoConflicts('j1', ['t1', 't2']))
+        .rejects.toThrow('Conflict of interest declared with: Rocket, t2');
+    });
+
+    test('allows teams the judge has no conflict with', async () => {
+      const query = mockQuery({ data: judgeConflicts, error: null });
+
+      await expect(conflictService.assertNoConflicts('j1', ['t3', 't4'])).resolves.toBeUndefined();
+      expect(query.calls).toContainEqual(['in', 'judge_id', ['j1']]);
+    });
+
+    test('skips the lookup when no teams are being assigned', async () => {
+      await conflictService.assertNoConflicts('j1', []);
+      await conflictService.assertNoConflicts('j1', null);
+
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Criteria Library Service
+ * Organization-wide reusable criteria and saved round templates
+ * (criteria, weights, groups, selection mode, normalization method)
+ */
+
+import { supabase } from '../supabaseClient';
+import { normalizeRubricLevels } from './roundService';
+
+// Criterion fields a library entry defines; weights and groups belong to the round
+const DEFINITION_FIELDS = ['name', 'description', 'max_marks', 'scale_type', 'step_size', 'min_marks', 'rubric_levels'];
+
+/**
+ * Copy a library entry's definition onto a round criterion
+ * @param {Object} entry - criteria_library row
+ * @param {Object} options - {weight, groupId, displayOrder, syncWithLibrary}
+ * @returns {Object} - round_criteria fields
+ */
+export function libraryEntryToRoundCriterion(entry, { weight, groupId, displayOrder, syncWithLibrary = false } = {}) {
+  const criterion = {};
+  DEFINITION_FIELDS.forEach(field => { criterion[field] = entry[field]; });
+
+  return {
+    ...criterion,
+    description: entry.description || '',
+    rubric_levels: normalizeRubricLevels(entry.rubric_levels),
+    weight: weight ?? entry.weight ?? 1.0,
+    group_id: groupId || null,
+    display_order: displayOrder,
+    library_criterion_id: entry.id,
+    sync_with_library: syncWithLibrary
+  };
+}
+
+/**
+ * Snapshot a round's criteria as template entries. Library-linked criteria
+ * keep their link so applying the template picks up later library edits
+ * @param {Array} criteria - round_criteria rows in display order
+ * @returns {Array}
+ */
+export function roundCriteriaToTemplate(criteria) {
+  return criteria.map(criterion => {
+    const entry = {};
+    DEFINITION_FIELDS.forEach(field => { entry[field] = criterion[field]; });
+
+    return {
+      ...entry,
+      rubric_levels: criterion.rubric_levels || [],
+      weight: criterion.weight,
+      group_id: criterion.group_id || null,
+      library_criterion_id: criterion.library_criterion_id || null
+    };
+  });
+}
+
+export const criteriaLibraryService = {
+  async getOrganizationIdForEvent(eventId) {
+    const { data, error } = await supabase
+      .from('events')
+      .select('organization_id')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.organization_id || null;
+  },
+
+  // ==================== LIBRARY ====================
+
+  async getLibrary(organizationId) {
+    const { data, error } = await supabase
+      .from('criteria_library')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async createLibraryCriterion(organizationId, criterionData) {
+    const { data, error } = await supabase
+      .from('criteria_library')
+      .insert([{
+        organization_id: organizationId,
+        ...criterionData
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Synced criteria in draft rounds follow the update (database trigger)
+  async updateLibraryCriterion(libraryCriterionId, criterionData) {
+    const { data, error } = await supabase
+      .from('criteria_library')
+      .update(criterionData)
+      .eq('id', libraryCriterionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async deleteLibraryCriterion(libraryCriterionId) {
+    const { error } = await supabase
+      .from('criteria_library')
+      .delete()
+      .eq('id', libraryCriterionId);
+
+    if (error) throw error;
+  },
+
+  async addLibraryCriterionToRound(roundId, entry, options = {}) {
+    const { data, error } = await supabase
+      .from('round_criteria')
+      .insert([{
+        round_id: roundId,
+        ...libraryEntryToRoundCriterion(entry, options)
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // ==================== TEMPLATES ====================
+
+  async getTemplates(organizationId) {
+    const { data, error } = await supabase
+      .from('round_templates')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async saveRoundAsTemplate(organizationId, round, criteria, name, description = '') {
+    const { data, error } = await supabase
+      .from('round_templates')
+      .insert([{
+        organization_id: organizationId,
+        name,
+        description,
+        criteria: roundCriteriaToTemplate(criteria),
+        criterion_groups: round.criterion_groups || [],
+        selection_mode: round.selection_mode || null,
+        selection_params: round.selection_params || {},
+        normalization_method: round.normalization_method || 'Z_SCORE'
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async deleteTemplate(templateId) {
+    const { error } = await supabase
+      .from('round_templates')
+      .delete()
+      .eq('id', templateId);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Replace a draft round's criteria, groups, selection mode and
+   * normalization method with the template's
+   * @returns {number} - criteria created
+   */
+  async applyTemplate(roundId, templateId, syncWithLibrary = false) {
+    const { data, error } = await supabase.rpc('apply_round_template', {
+      p_round_id: roundId,
+      p_template_id: templateId,
+      p_sync_with_library: syncWithLibrary
+    });
+
+    if (error) throw error;
+    return data;
+  }
+};
@@ -0,0 +1,147 @@
+import { libraryEntryToRoundCriterion, roundCriteriaToTemplate } from './criteriaLibraryService';
+import { CriterionScaleTypes } from './normalizationService';
+
+jest.mock('../supabaseClient', () => ({ supabase: {} }));
+
+describe('Criteria Library Service', () => {
+  const library = [
+    {
+      id: 'lib-impl',
+      organization_id: 'org1',
+      name: 'Implementation',
+      description: 'How much of the product works',
+      max_marks: 10,
+      min_marks: 0,
+      scale_type: CriterionScaleTypes.LIKERT,
+      step_size: null,
+      rubric_levels: [
+        { score: '10', label: 'Complete', descriptor: ' Everything demoed works ' },
+        { score: 0, label: 'None', descriptor: 'Nothing runs' }
+      ],
+      weight: 2.0
+    },
+    {
+      id: 'lib-design',
+      organization_id: 'org1',
+      name: 'Design',
+      description: null,
+      max_marks: 5,
+      min_marks: 1,
+      scale_type: CriterionScaleTypes.DECIMAL,
+      step_size: 0.5,
+      rubric_levels: null
+    },
+    {
+      id: 'lib-gate',
+      organization_id: 'org1',
+      name: 'Built during the event',
+      description: 'Code written before the start fails',
+      max_marks: 1,
+      min_marks: 0,
+      scale_type: CriterionScaleTypes.GATE,
+      step_size: null,
+      rubric_levels: []
+    }
+  ];
+
+  describe('libraryEntryToRoundCriterion', () => {
+    test('copies the definition and links the criterion to its entry', () => {
+      const criterion = libraryEntryToRoundCriterion(library[0], {
+        weight: 3, groupId: 'g1', displayOrder: 2, syncWithLibrary: true
+      });
+
+      expect(criterion).toEqual({
+        name: 'Implementation',
+        description: 'How much of the product works',
+        max_marks: 10,
+        min_marks: 0,
+        scale_type: CriterionScaleTypes.LIKERT,
+        step_size: null,
+        rubric_levels: [
+          { score: 0, label: 'None', descriptor: 'Nothing runs' },
+          { score: 10, label: 'Complete', descriptor: 'Everything demoed works' }
+        ],
+        weight: 3,
+        group_id: 'g1',
+        display_order: 2,
+        library_criterion_id: 'lib-impl',
+        sync_with_library: true
+      });
+      // Organization and library id stay with the library row
+      expect(criterion.organization_id).toBeUndefined();
+      expect(criterion.id).toBeUndefined();
+    });
+
+    test('falls back to the entry weight, then 1, and fills blank fields', () => {
+      expect(libraryEntryToRoundCriterion(library[0]).weight).toBe(2.0);
+
+      const design = libraryEntryToRoundCriterion(library[1]);
+      expect(design.weight).toBe(1.0);
+      expect(design.description).toBe('');
+      expect(design.rubric_levels).toEqual([]);
+      expect(design.group_id).toBeNull();
+      expect(design.sync_with_library).toBe(false);
+      expect(design.step_size).toBe(0.5);
+    });
+  });
+
+  describe('roundCriteriaToTemplate', () => {
+    test('round-trips weights, scale types and gate criteria through a template', () => {
+      const roundCriteria = library.map((entry, index) => ({
+        id: `rc${index}`,
+        round_id: 'r1',
+        ...libraryEntryToRoundCriterion(entry, { weight: index + 1, groupId: index === 0 ? 'g1' : null, displayOrder: index })
+      }));
+
+      const template = roundCriteriaToTemplate(roundCriteria);
+
+      expect(template.map(entry => entry.weight)).toEqual([1, 2, 3]);
+      expect(template.map(entry => entry.scale_type)).toEqual([
+        CriterionScaleTypes.LIKERT,
+        CriterionScaleTypes.DECIMAL,
+        CriterionScaleTypes.GATE
+      ]);
+      expect(template.map(entry => entry.library_criterion_id)).toEqual(['lib-impl', 'lib-design', 'lib-gate']);
+      expect(template[0].group_id).toBe('g1');
+
+      // Round-only fields are not part of the template
+      template.forEach(entry => {
+        expect(entry.id).toBeUndefined();
+        expect(entry.round_id).toBeUndefined();
+        expect(entry.display_order).toBeUndefined();
+        expect(entry.sync_with_library).toBeUndefined();
+      });
+
+      // Applying the template gives back the same criteria
+      const reapplied = template.map((entry, index) => libraryEntryToRoundCriterion(
+        { ...entry, id: entry.library_criterion_id },
+        { groupId: entry.group_id, displayOrder: index }
+      ));
+      reapplied.forEach((criterion, index) => {
+        const { id, round_id, ...original } = roundCriteria[index];
+        expect(criterion).toEqual(original);
+      });
+    });
+
+    test('keeps the gate as a pass/fail criterion with its bounds', () => {
+      const [gate] = roundCriteriaToTemplate([libraryEntryToRoundCriterion(library[2], { weight: 0 })]);
+
+      expect(gate).toMatchObject({
+        name: 'Built during the event',
+        scale_type: CriterionScaleTypes.GATE,
+        min_marks: 0,
+        max_marks: 1,
+        weight: 0,
+        rubric_levels: []
+      });
+    });
+
+    test('unlinked criteria get a null library link', () => {
+      const [entry] = roundCriteriaToTemplate([{ name: 'Pitch', max_marks: 10, weight: 1.5 }]);
+
+      expect(entry.library_criterion_id).toBeNull();
+      expect(entry.rubric_levels).toEqual([]);
+      expect(entry.weight).toBe(1.5);
+    });
+  });
+});
@@ -10,6 +10,7 @@
 
 import { supabase } from '../supabaseClient';
 import { rbacService, Resources, Actions } from './rbacService';
+import { hasCalibration } from './calibrationService';
 
 export const EventStatus = {
   DRAFT: 'draft',
@@ -165,7 +166,7 @@ export const eventLifecycleService = {
 
     const { data: rounds } = await supabase
       .from('rounds')
-      .select('id')
+      .select('id, round_type, calibration_team_ids')
       .eq('event_id', eventId);
 
     if (!rounds || rounds.length === 0) {
@@ -183,12 +184,27 @@ export const eventLifecycleService = {
 
         const { data: judges } = await supabase
           .from('round_judge_assignments')
-          .select('id')
+          .select('id, judge_id')
           .eq('round_id', round.id);
 
         if (!judges || judges.length === 0) {
           issues.push(`Round ${round.id} has no judges assigned`);
         }
+
+        // Every judge scores the calibration samples before live judging
+        if (hasCalibration(round) && judges?.length > 0) {
+          const { data: calibrations } = await supabase
+            .from('calibration_evaluations')
+            .select('judge_id, team_id')
+            .eq('round_id', round.id);
+
+          const uncalibrated = judges.filter(judge => round.calibration_team_ids.some(teamId =>
+            !calibrations?.some(c => c.judge_id === judge.judge_id && c.team_id === teamId)
+          ));
+          if (uncalibrated.length > 0) {
+            issues.push(`Round ${round.id}: ${uncalibrated.length} judge(s) have not finished calibration`);
+          }
+        }
       }
     }
 
@@ -1,4 +1,5 @@
 import { supabase } from '../supabaseClient';
+import { conflictService } from './conflictService';
 
 export const eventService = {
   // Events
@@ -264,6 +265,12 @@ export const eventService = {
 
   async setJudgeAssignments(judgeId, teamIds) {
     try {
+      // Refuse conflicted teams before the current assignments are cleared
+      await conflictService.assertNoConflicts(
+        judgeId,
+        (teamIds || []).map(id => (typeof id === 'object' && id !== null ? id.id : id))
+      );
+
       // First delete existing assignments
       const { error: deleteError } = await supabase
         .from('judge_team_assignments')
@@ -1,12 +1,46 @@
 /**
  * Export Service
- * Handles CSV and PDF export of round results
+ * Handles CSV and PDF export of round results, overall event standings and
+ * special awards
  */
 
 import { supabase } from '../supabaseClient';
+import { computeLeaveOneJudgeOut, computeEventStandings, computeEventAwards } from './computeRoundService';
+import { AwardTypes } from './awardService';
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
 
+/**
+ * Format the rubric levels a judge picked, one entry per criterion
+ * @param {Object} selections - {criterionId: {criterion_name, score, label, descriptor}}
+ * @returns {string}
+ */
+function formatRubricSelections(selections) {
+  return Object.values(selections || {})
+    .map(sel => `${sel.criterion_name}: ${sel.score}${sel.label ? ` (${sel.label})` : ''} - ${sel.descriptor}`)
+    .join('; ');
+}
+
+/**
+ * Load the rubric levels stored with each evaluation of a round
+ * @param {string} roundId
+ * @returns {Promise<Object>} - {`${teamId}:${judgeId}`: selections}
+ */
+async function loadRubricSelections(roundId) {
+  const { data, error } = await supabase
+    .from('round_evaluations')
+    .select('team_id, judge_id, rubric_selections')
+    .eq('round_id', roundId);
+
+  if (error) throw error;
+
+  const selections = {};
+  data?.forEach(ev => {
+    selections[`${ev.team_id}:${ev.judge_id}`] = ev.rubric_selections || {};
+  });
+  return selections;
+}
+
 /**
  * Generate CSV from results data
  * @param {Array} results - normalized results with team and judge info
@@ -17,7 +51,7 @@ function generateCSV(results, options = {}) {
   const includeRaw = options.includeRaw !== false;
   const includeNormalized = options.includeNormalized !== false;
 
-  const headers = ['Team ID', 'Team Name', 'Team Category', 'Judge ID', 'Judge Name', 'Judge Category'];
+  const headers = ['Team ID', 'Team Name', 'Team Track', 'Judge ID', 'Judge Name', 'Judge Category'];
 
   if (includeRaw) {
     headers.push('Raw Total', 'Judge Mean (μ_j)', 'Judge Std (σ_j)');
@@ -27,6 +61,13 @@ function generateCSV(results, options = {}) {
     headers.push('Z-Score (z_{i,j})', 'Aggregated Z (Z_i)', 'Percentile', 'Rank');
   }
 
+  const includeRubric = results.some(team =>
+    team.judge_evaluations?.some(je => Object.keys(je.rubric_selections || {}).length > 0)
+  );
+  if (includeRubric) {
+    headers.push('Rubric Levels');
+  }
+
   const rows = [headers];
 
   results.forEach(team => {
@@ -57,6 +98,10 @@ function generateCSV(results, options = {}) {
         );
       }
 
+      if (includeRubric) {
+        row.push(formatRubricSelections(judgeEval.rubric_selections));
+      }
+
       rows.push(row);
     });
   });
@@ -71,7 +116,7 @@ function generateCSV(results, options = {}) {
  * @returns {string}
  */
 function generateJudgeCSV(results, judgeId) {
-  const headers = ['Rank', 'Team ID', 'Team Name', 'Raw Total', 'Z-Score', 'Selected'];
+  const headers = ['Rank', 'Team ID', 'Team Name', 'Raw Total', 'Z-Score', 'Selected', 'Rubric Levels'];
 
   const rows = [headers];
 
@@ -85,7 +130,8 @@ function generateJudgeCSV(results, judgeId) {
         team_name: team.team_name,
         raw_total: judgeEval.raw_total,
         z_score: judgeEval.z_score,
-        rank: team.rank
+        rank: team.rank,
+        rubric_selections: judgeEval.rubric_selections
       });
     }
   });
@@ -99,20 +145,207 @@ function generateJudgeCSV(results, judgeId) {
       result.team_name || '',
       result.raw_total?.toFixed(2) || '',
       result.z_score?.toFixed(4) || '',
-      index < 5 ? 'Yes' : 'No'
+      index < 5 ? 'Yes' : 'No',
+      formatRubricSelections(result.rubric_selections)
     ]);
   });
 
   return rows.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
 }
 
+/**
+ * Generate overall standings CSV
+ * @param {Object} standings - computeEventStandings output
+ * @returns {string}
+ */
+function generateStandingsCSV(standings) {
+  const headers = ['Rank', 'Team ID', 'Team Name', 'Rounds Reached'];
+  standings.rounds.forEach(round => {
+    headers.push(`${round.round_name} Percentile (w=${round.weight})`, `${round.round_name} Rank`);
+  });
+  if (standings.audience) {
+    headers.push(`Audience Percentile (w=${standings.audience.weight})`);
+  }
+  headers.push('Final Score');
+
+  const rows = [headers];
+
+  standings.standings.forEach(team => {
+    const row = [team.is_eligible ? team.rank : 'Ineligible', team.team_id, team.team_name || '', team.rounds_reached];
+    standings.rounds.forEach(round => {
+      const percentile = team.round_scores[round.round_id];
+      row.push(
+        percentile !== undefined ? percentile.toFixed(2) : '',
+        team.round_ranks[round.round_id] || ''
+      );
+    });
+    if (standings.audience) row.push(team.audience_score.toFixed(2));
+    row.push(team.is_eligible ? team.final_score.toFixed(2) : '');
+    rows.push(row);
+  });
+
+  return rows.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
+}
+
+// Why an award has no winner yet
+function pendingLabel(award) {
+  if (!award.is_pending) return 'No eligible team';
+  return award.award_type === AwardTypes.AUDIENCE ? 'No votes yet' : 'Round not computed';
+}
+
+/**
+ * Generate special awards CSV, one row per winner
+ * @param {Array} awards - computeEventAwards output awards
+ * @returns {string}
+ */
+function generateAwardsCSV(awards) {
+  const rows = [[
+    'Award', 'Sponsor', 'Round', 'Criterion', 'Track', 'Excludes Top',
+    'Award Rank', 'Team ID', 'Team Name', 'Score', 'Overall Rank'
+  ]];
+
+  awards.forEach(award => {
+    const definition = [
+      award.name,
+      award.sponsor || '',
+      award.round_name || '',
+      award.criterion_name || '',
+      award.track_name || 'All tracks',
+      award.exclude_top_n || 0
+    ];
+
+    if (award.winners.length === 0) {
+      rows.push([...definition, '', '', pendingLabel(award), '', '']);
+      return;
+    }
+
+    award.winners.forEach(winner => {
+      rows.push([
+        ...definition,
+        winner.award_rank,
+        winner.team_id,
+        winner.team_name || '',
+        award.award_type === AwardTypes.AUDIENCE ? winner.score : winner.score.toFixed(4),
+        winner.overall_rank ?? ''
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
+}
+
+/**
+ * Add the special awards table: one row per award with its winners
+ * @param {jsPDF} doc
+ * @param {number} startY
+ * @param {Array} awards - computeEventAwards output awards
+ * @returns {number} - y position after the section
+ */
+function addAwardsSection(doc, startY, awards) {
+  doc.setFontSize(14);
+  doc.text('Special Awards', 14, startY);
+
+  doc.autoTable({
+    startY: startY + 5,
+    head: [['Award', 'Criterion', 'Track', 'Winner(s)']],
+    body: awards.map(award => [
+      award.sponsor ? `${award.name} (${award.sponsor})` : award.name,
+      award.exclude_top_n > 0
+        ? `${award.criterion_name || '-'}, excl. top ${award.exclude_top_n}`
+        : award.criterion_name || '-',
+      award.track_name || 'All tracks',
+      award.winners.length > 0
+        ? award.winners.map(winner => winner.team_name || winner.team_id.substring(0, 8)).join(', ')
+        : pendingLabel(award)
+    ]),
+    theme: 'grid',
+    headStyles: { fillColor: [245, 158, 11] },
+    styles: { fontSize: 9 }
+  });
+
+  return doc.lastAutoTable.finalY + 10;
+}
+
+/**
+ * Add the leave-one-judge-out section: one row per removed judge
+ * @param {jsPDF} doc
+ * @param {number} startY
+ * @param {Array} results
+ * @param {Object} sensitivity - computeLeaveOneJudgeOut output
+ * @returns {number} - y position after the section
+ */
+function addSensitivitySection(doc, startY, results, sensitivity) {
+  let currentY = startY;
+  if (currentY > 240) {
+    doc.addPage();
+    currentY = 20;
+  }
+
+  const teamNames = {};
+  const judgeNames = {};
+  results.forEach(team => {
+    teamNames[team.team_id] = team.team_name || team.team_id.substring(0, 8);
+    team.judge_evaluations?.forEach(je => {
+      judgeNames[je.judge_id] = je.judge_name || je.judge_id.substring(0, 8);
+    });
+  });
+
+  doc.setFontSize(14);
+  doc.setFont(undefined, 'bold');
+  doc.text('Judge Sensitivity (Leave One Judge Out)', 14, currentY);
+  currentY += 6;
+
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'normal');
+  doc.text(
+    sensitivity.pivotal_judges.length > 0
+      ? `Removing ${sensitivity.pivotal_judges.length} judge(s) changes the top ${sensitivity.top_k}.`
+      : `No single judge changes the top ${sensitivity.top_k}.`,
+    14,
+    currentY
+  );
+  currentY += 4;
+
+  const describeMoves = (judge) => Object.entries(judge.shifts)
+    .filter(([, shift]) => shift !== 0)
+    .sort(([, a], [, b]) => Math.abs(b || 0) - Math.abs(a || 0))
+    .slice(0, 5)
+    .map(([teamId, shift]) => {
+      const name = teamNames[teamId] || teamId.substring(0, 8);
+      if (shift === null) return `${name} (out)`;
+      return `${name} (${shift > 0 ? '+' : ''}${shift})`;
+    })
+    .join(', ');
+
+  const rows = sensitivity.judges.map(judge => [
+    judgeNames[judge.judge_id] || judge.judge_id.substring(0, 8),
+    judge.moved_teams,
+    judge.max_shift,
+    judge.entered_top_k.map(id => teamNames[id] || id.substring(0, 8)).join(', ') || '-',
+    judge.left_top_k.map(id => teamNames[id] || id.substring(0, 8)).join(', ') || '-',
+    describeMoves(judge) || '-'
+  ]);
+
+  doc.autoTable({
+    startY: currentY,
+    head: [['Judge Removed', 'Teams Moved', 'Max Shift', `Enter Top ${sensitivity.top_k}`, `Leave Top ${sensitivity.top_k}`, 'Largest Moves']],
+    body: rows,
+    theme: 'grid',
+    headStyles: { fillColor: [66, 139, 202] },
+    styles: { fontSize: 8 }
+  });
+
+  return doc.lastAutoTable.finalY + 10;
+}
+
 /**
  * Generate PDF from results
  * @param {Array} results
  * @param {Object} roundInfo - {name, event_name, computed_at}
+ * @param {Object} sensitivity - optional computeLeaveOneJudgeOut output
  * @returns {jsPDF}
  */
-function generatePDF(results, roundInfo) {
+function generatePDF(results, roundInfo, sensitivity = null) {
   const doc = new jsPDF();
 
   doc.setFontSize(18);
@@ -158,16 +391,19 @@ function generatePDF(results, roundInfo) {
     doc.setFont(undefined, 'normal');
     doc.setFontSize(9);
 
+    const hasRubric = team.judge_evaluations?.some(je => Object.keys(je.rubric_selections || {}).length > 0);
+
     const detailData = team.judge_evaluations?.map(je => [
       je.judge_name || je.judge_id.substring(0, 8),
       je.judge_category || '',
       je.raw_total?.toFixed(2) || '',
-      je.z_score?.toFixed(4) || ''
+      je.z_score?.toFixed(4) || '',
+      ...(hasRubric ? [formatRubricSelections(je.rubric_selections) || '-'] : [])
     ]) || [];
 
     doc.autoTable({
       startY: currentY,
-      head: [['Judge', 'Category', 'Raw Total', 'Z-Score']],
+      head: [['Judge', 'Category', 'Raw Total', 'Z-Score', ...(hasRubric ? ['Rubric Levels'] : [])]],
       body: detailData,
       theme: 'plain',
       styles: { fontSize: 8 },
@@ -177,6 +413,10 @@ function generatePDF(results, roundInfo) {
     currentY = doc.lastAutoTable.finalY + 8;
   });
 
+  if (sensitivity) {
+    currentY = addSensitivitySection(doc, currentY + 4, results, sensitivity);
+  }
+
   // Add Signatures Section
   if (currentY > 250) {
     doc.addPage();
@@ -267,7 +507,9 @@ export async function exportRoundCSV(roundId, options = {}) {
           teams (
             id,
             name,
-            category_id
+            track:tracks (
+              name
+            )
           ),
           judges (
             id,
@@ -284,7 +526,7 @@ export async function exportRoundCSV(roundId, options = {}) {
           teamMap[ev.team_id] = {
             team_id: ev.team_id,
             team_name: ev.teams?.name,
-            team_category: ev.teams?.category_id,
+            team_category: ev.teams?.track?.name,
             rank: null,
             percentile: null,
             aggregated_z: null,
@@ -299,7 +541,8 @@ export async function exportRoundCSV(roundId, options = {}) {
           raw_total: ev.raw_total,
           judge_mean: null, // Not computed
           judge_std: null, // Not computed
-          z_score: null    // Not computed
+          z_score: null,   // Not computed
+          rubric_selections: ev.rubric_selections || {}
         });
       });
 
@@ -314,7 +557,9 @@ export async function exportRoundCSV(roundId, options = {}) {
           teams (
             id,
             name,
-            category_id
+            track:tracks (
+              name
+            )
           ),
           judges (
             id,
@@ -327,12 +572,14 @@ export async function exportRoundCSV(roundId, options = {}) {
 
       if (normError) throw normError;
 
+      const rubricSelections = await loadRubricSelections(roundId);
+
       normResults?.forEach(result => {
         if (!teamMap[result.team_id]) {
           teamMap[result.team_id] = {
             team_id: result.team_id,
             team_name: result.teams?.name,
-            team_category: result.teams?.category_id,
+            team_category: result.teams?.track?.name,
             rank: result.rank,
             percentile: result.percentile,
             aggregated_z: result.aggregated_z,
@@ -347,7 +594,8 @@ export async function exportRoundCSV(roundId, options = {}) {
           raw_total: result.raw_total,
           judge_mean: result.judge_mean,
           judge_std: result.judge_std,
-          z_score: result.z_score
+          z_score: result.z_score,
+          rubric_selections: rubricSelections[`${result.team_id}:${result.judge_id}`] || {}
         });
       });
 
@@ -386,9 +634,10 @@ export async function exportRoundCSV(roundId, options = {}) {
 /**
  * Export round results as PDF
  * @param {string} roundId
+ * @param {Object} options - {includeSensitivity: add the leave-one-judge-out section, topK}
  * @returns {Promise<Object>} - {success, pdf, filename}
  */
-export async function exportRoundPDF(roundId) {
+export async function exportRoundPDF(roundId, options = {}) {
   try {
     const { data: round, error: roundError } = await supabase
       .from('rounds')
@@ -411,7 +660,9 @@ export async function exportRoundPDF(roundId) {
         teams (
           id,
           name,
-          category_id
+          track:tracks (
+            name
+          )
         ),
         judges (
           id,
@@ -424,13 +675,15 @@ export async function exportRoundPDF(roundId) {
 
     if (normError) throw normError;
 
+    const rubricSelections = await loadRubricSelections(roundId);
+
     const teamMap = {};
     normResults?.forEach(result => {
       if (!teamMap[result.team_id]) {
         teamMap[result.team_id] = {
           team_id: result.team_id,
           team_name: result.teams?.name,
-          team_category: result.teams?.category_id,
+          team_category: result.teams?.track?.name,
           rank: result.rank,
           percentile: result.percentile,
           aggregated_z: result.aggregated_z,
@@ -445,17 +698,25 @@ export async function exportRoundPDF(roundId) {
         raw_total: result.raw_total,
         judge_mean: result.judge_mean,
         judge_std: result.judge_std,
-        z_score: result.z_score
+        z_score: result.z_score,
+        rubric_selections: rubricSelections[`${result.team_id}:${result.judge_id}`] || {}
       });
     });
 
     const results = Object.values(teamMap).sort((a, b) => (a.rank || 999) - (b.rank || 999));
 
+    let sensitivity = null;
+    if (options.includeSensitivity) {
+      const analysis = await computeLeaveOneJudgeOut(roundId, { topK: options.topK });
+      if (!analysis.success) throw new Error(`Sensitivity analysis failed: ${analysis.error}`);
+      sensitivity = analysis;
+    }
+
     const pdf = generatePDF(results, {
       name: round.name,
       event_name: round.events?.name,
       computed_at: round.computed_at
-    });
+    }, sensitivity);
 
     const filename = `${round.name.replace(/\s+/g, '_')}_results.pdf`;
 
@@ -474,6 +735,195 @@ export async function exportRoundPDF(roundId) {
   }
 }
 
+/**
+ * Export overall event standings as CSV
+ * @param {string} eventId
+ * @returns {Promise<Object>} - {success, csv, filename}
+ */
+export async function exportEventStandingsCSV(eventId) {
+  try {
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('name')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (eventError) throw eventError;
+
+    const standings = await computeEventStandings(eventId);
+    if (!standings.success) throw new Error(standings.error);
+
+    return {
+      success: true,
+      csv: generateStandingsCSV(standings),
+      filename: `${(event?.name || 'event').replace(/\s+/g, '_')}_overall_standings.csv`
+    };
+
+  } catch (error) {
+    console.error('Error exporting standings CSV:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Export overall event standings as PDF
+ * @param {string} eventId
+ * @returns {Promise<Object>} - {success, pdf, filename}
+ */
+export async function exportEventStandingsPDF(eventId) {
+  try {
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('name')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (eventError) throw eventError;
+
+    const standings = await computeEventStandings(eventId);
+    if (!standings.success) throw new Error(standings.error);
+
+    const doc = new jsPDF();
+    const components = [
+      ...standings.rounds.map(round => ({ name: round.round_name, weight: Number(round.weight) })),
+      ...(standings.audience ? [{ name: 'Audience vote', weight: Number(standings.audience.weight) }] : [])
+    ];
+    const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+
+    doc.setFontSize(18);
+    doc.text(`${event?.name || 'Event'} - Overall Standings`, 14, 20);
+
+    doc.setFontSize(10);
+    doc.text(
+      'Weights: ' + components
+        .map(component => `${component.name} ${totalWeight > 0 ? ((component.weight / totalWeight) * 100).toFixed(0) : 0}%`)
+        .join(', '),
+      14,
+      28
+    );
+
+    doc.autoTable({
+      startY: 35,
+      head: [[
+        'Rank',
+        'Team',
+        ...standings.rounds.map(round => `${round.round_name} (%ile)`),
+        ...(standings.audience ? ['Audience (%ile)'] : []),
+        'Final Score'
+      ]],
+      body: standings.standings.map(team => [
+        team.is_eligible ? team.rank : 'Ineligible',
+        team.team_name || team.team_id.substring(0, 8),
+        ...standings.rounds.map(round => team.round_scores[round.round_id]?.toFixed(2) || '-'),
+        ...(standings.audience ? [team.audience_score.toFixed(2)] : []),
+        team.is_eligible ? team.final_score.toFixed(2) : '-'
+      ]),
+      theme: 'grid',
+      headStyles: { fillColor: [66, 139, 202] },
+      styles: { fontSize: 9 }
+    });
+
+    doc.setFontSize(8);
+    doc.text(
+      'Teams that reached a later round place above teams eliminated earlier. Teams that failed a pass/fail gate are unranked.',
+      14,
+      doc.lastAutoTable.finalY + 8
+    );
+
+    const awards = await computeEventAwards(eventId);
+    if (awards.success && awards.awards.length > 0) {
+      addAwardsSection(doc, doc.lastAutoTable.finalY + 20, awards.awards);
+    }
+
+    return {
+      success: true,
+      pdf: doc,
+      filename: `${(event?.name || 'event').replace(/\s+/g, '_')}_overall_standings.pdf`
+    };
+
+  } catch (error) {
+    console.error('Error exporting standings PDF:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Export special award winners as CSV
+ * @param {string} eventId
+ * @returns {Promise<Object>} - {success, csv, filename}
+ */
+export async function exportEventAwardsCSV(eventId) {
+  try {
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('name')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (eventError) throw eventError;
+
+    const awards = await computeEventAwards(eventId);
+    if (!awards.success) throw new Error(awards.error);
+
+    return {
+      success: true,
+      csv: generateAwardsCSV(awards.awards),
+      filename: `${(event?.name || 'event').replace(/\s+/g, '_')}_special_awards.csv`
+    };
+
+  } catch (error) {
+    console.error('Error exporting awards CSV:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Export special award winners as PDF
+ * @param {string} eventId
+ * @returns {Promise<Object>} - {success, pdf, filename}
+ */
+export async function exportEventAwardsPDF(eventId) {
+  try {
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('name')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (eventError) throw eventError;
+
+    const awards = await computeEventAwards(eventId);
+    if (!awards.success) throw new Error(awards.error);
+
+    const doc = new jsPDF();
+    doc.setFontSize(18);
+    doc.text(`${event?.name || 'Event'} - Special Awards`, 14, 20);
+    addAwardsSection(doc, 32, awards.awards);
+
+    return {
+      success: true,
+      pdf: doc,
+      filename: `${(event?.name || 'event').replace(/\s+/g, '_')}_special_awards.pdf`
+    };
+
+  } catch (error) {
+    console.error('Error exporting awards PDF:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Download helper function
  * @param {string} content
@@ -9,20 +9,190 @@
  * 4. Calculate Weighted Z-score: Zw = Zc * Weight
  * 5. Team Score per Judge = Sum(Zw) for all criteria
  * 6. Final Team Score = Sum(Team Score per Judge) for all judges
+ *
+ * ROBUST_MAD swaps steps 1-3 for Median / MAD:
+ * Zc = (Score - Median) / (1.4826 * MAD)
+ *
+ * JUDGE_EFFECT fits Score = Team Effect + Judge Bias by least squares over
+ * the whole round, then z-scores the bias-corrected scores round-wide.
+ * Unlike per-judge z-scoring it does not assume every judge saw a
+ * comparable pool of teams.
+ *
+ * BORDA and SCHULZE only use each judge's ordering of the teams they saw:
+ * raw totals become a (partial) ranking per judge, and the rankings are
+ * combined with Borda points or the Schulze method.
+ *
+ * Pairwise rounds have no criterion scores at all: judges pick the better of
+ * two teams and a Bradley–Terry model is fitted to the outcomes
+ * (computePairwiseRanking).
  */
 
 export const NormalizationMethods = {
   Z_SCORE: 'Z_SCORE',
-  ROBUST_MAD: 'ROBUST_MAD' // Kept for interface compatibility, but implementation focuses on Z-Score
+  ROBUST_MAD: 'ROBUST_MAD',
+  JUDGE_EFFECT: 'JUDGE_EFFECT',
+  BORDA: 'BORDA',
+  SCHULZE: 'SCHULZE'
 };
 
+// Methods that ignore score distances and aggregate judge rankings instead
+export const RANK_BASED_METHODS = [NormalizationMethods.BORDA, NormalizationMethods.SCHULZE];
+
+// Scales MAD so it estimates the standard deviation of normally distributed scores
+export const MAD_SCALE_FACTOR = 1.4826;
+
+// Same for the mean absolute deviation, the fallback when more than half of a
+// judge's scores are identical and MAD is 0
+export const MEAN_AD_SCALE_FACTOR = 1.2533;
+
+// Convergence settings for the judge-effect least-squares fit
+const JUDGE_EFFECT_MAX_ITERATIONS = 1000;
+const JUDGE_EFFECT_TOLERANCE = 1e-9;
+
+/**
+ * How per-judge scores are combined into a team score
+ * SUM: Σ w_j × Z_j (teams seen by more judges get a wider range)
+ * MEAN: Σ w_j × Z_j / Σ w_j
+ * CORRECTED_MEAN: Σ w_j × Z_j / (Σ w_j + prior), shrinks teams seen by
+ *   few judges towards the round average
+ */
+export const AggregationModes = {
+  SUM: 'SUM',
+  MEAN: 'MEAN',
+  CORRECTED_MEAN: 'CORRECTED_MEAN'
+};
+
+// Prior used by CORRECTED_MEAN, equivalent to one extra judge scoring the team exactly average
+export const CORRECTED_MEAN_PRIOR_WEIGHT = 1.0;
+
+// Method label stored for pairwise rounds
+export const BRADLEY_TERRY_METHOD = 'BRADLEY_TERRY';
+
+// Each team gets one virtual win and one virtual loss against an average
+// opponent, so undefeated / winless teams still get a finite strength
+export const BRADLEY_TERRY_PRIOR_GAMES = 1.0;
+
+const BRADLEY_TERRY_MAX_ITERATIONS = 1000;
+const BRADLEY_TERRY_TOLERANCE = 1e-9;
+
+// Rank stability: resample judges and their evaluations, recompute ranks.
+// Each resample reruns the whole computation, so it only runs on request
+export const BOOTSTRAP_ITERATIONS = 200;
+export const BOOTSTRAP_CONFIDENCE = 0.95;
+const BOOTSTRAP_SEED = 20240601;
+
+// A top-K decision is fragile when it flips in more than this share of resamples
+export const FRAGILE_CUTOFF_THRESHOLD = 0.1;
+
+// Judge pairs sharing fewer teams than this get no pairwise correlation
+export const RELIABILITY_MIN_OVERLAP = 3;
+
+// Classic rater errors the bias detector looks for
+export const RaterBiasTypes = {
+  LENIENCY: 'LENIENCY',                 // consistently above the rest of the panel
+  SEVERITY: 'SEVERITY',                 // consistently below the rest of the panel
+  HALO: 'HALO',                         // one overall impression drives every criterion
+  CENTRAL_TENDENCY: 'CENTRAL_TENDENCY', // scores bunched in the middle of the scale
+  STRAIGHT_LINING: 'STRAIGHT_LINING'    // the same mark on every criterion of a sheet
+};
+
+export const BiasSeverity = {
+  LOW: 'LOW',
+  MEDIUM: 'MEDIUM',
+  HIGH: 'HIGH'
+};
+
+// Shares are fractions of a criterion's min–max range
+export const RATER_BIAS_THRESHOLDS = {
+  minEvaluations: 3,       // judges with fewer submitted sheets are not checked
+  minSharedTeams: 2,       // below this, leniency falls back to the panel-wide mean
+  leniencyShare: 0.1,      // mean gap from the other judges on the same teams
+  haloCorrelation: 0.9,    // mean correlation between one judge's criteria ...
+  haloMargin: 0.1,         // ... and this much above the rest of the panel's
+  centralBand: 0.2,        // "middle" = within this share of the scale's midpoint
+  centralShare: 0.8,       // share of scores in the middle band ...
+  centralSpreadRatio: 0.5, // ... with a spread below this share of the panel's
+  straightLineShare: 0.5   // share of sheets with the same mark on every criterion
+};
+
+// Rules a round's tie-break policy can chain after the aggregated score
+export const TieBreakRules = {
+  CRITERION: 'CRITERION',                   // one criterion's aggregated z, e.g. innovation first
+  CRITERIA_BY_WEIGHT: 'CRITERIA_BY_WEIGHT', // every criterion, heaviest group first, then by weight
+  MEAN_RAW_TOTAL: 'MEAN_RAW_TOTAL',
+  MEDIAN_RAW_TOTAL: 'MEDIAN_RAW_TOTAL',
+  JUDGE_COUNT: 'JUDGE_COUNT',               // more judges wins
+  EARLIEST_SUBMISSION: 'EARLIEST_SUBMISSION'
+};
+
+// How teams left level by the tie-break policy are numbered
+export const RankingStyles = {
+  STANDARD: 'STANDARD',    // 1224
+  DENSE: 'DENSE',          // 1223
+  MODIFIED: 'MODIFIED',    // 1334
+  FRACTIONAL: 'FRACTIONAL' // 1 2.5 2.5 4
+};
+
+// How a criterion is scored. GATE criteria are pass (1) / fail (0): a failed
+// gate makes the team ineligible and gates never enter the z-score
+export const CriterionScaleTypes = {
+  CONTINUOUS: 'CONTINUOUS', // any number between min and max
+  LIKERT: 'LIKERT',         // whole numbers between min and max
+  DECIMAL: 'DECIMAL',       // min + k × step_size
+  PERCENTAGE: 'PERCENTAGE', // 0–100
+  GATE: 'GATE'
+};
+
+// Weight a round carries in the event's overall standings unless the admin sets one
+export const DEFAULT_ROUND_FINAL_WEIGHT = 1;
+
+export const DEFAULT_TIE_BREAK_POLICY = [
+  { rule: TieBreakRules.CRITERIA_BY_WEIGHT },
+  { rule: TieBreakRules.MEAN_RAW_TOTAL },
+  { rule: TieBreakRules.MEDIAN_RAW_TOTAL },
+  { rule: TieBreakRules.JUDGE_COUNT }
+];
+
+/**
+ * Combine a weighted sum of judge scores according to the aggregation mode
+ * @param {number} weightedSum - Σ w_j × Z_j
+ * @param {number} weightTotal - Σ w_j
+ * @param {string} mode - AggregationModes value
+ * @returns {number}
+ */
+function combineJudgeScores(weightedSum, weightTotal, mode) {
+  if (mode === AggregationModes.MEAN) {
+    return weightTotal > 0 ? weightedSum / weightTotal : 0;
+  }
+  if (mode === AggregationModes.CORRECTED_MEAN) {
+    return weightedSum / (weightTotal + CORRECTED_MEAN_PRIOR_WEIGHT);
+  }
+  return weightedSum;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values
+ * @returns {number}
+ */
+export function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
 /**
- * Compute statistics (mean, stdDev) for each criterion for a judge
+ * Compute statistics for each criterion for a judge
+ * `center` and `scale` are the values the chosen method normalizes with
  * @param {Array} evaluations - evaluations by a single judge
  * @param {Array} criteria - scoring criteria
- * @returns {Object} - { criterionId: { mean, stdDev } }
+ * @param {string} method - Normalization method
+ * @returns {Object} - { criterionId: { mean, stdDev, median, mad, center, scale } }
  */
-function computeJudgeStatistics(evaluations, criteria) {
+function computeJudgeStatistics(evaluations, criteria, method = NormalizationMethods.Z_SCORE) {
   const stats = {};
 
   criteria.forEach(criterion => {
@@ -32,7 +202,7 @@ function computeJudgeStatistics(evaluations, criteria) {
       .filter(v => v !== undefined && v !== null && typeof v === 'number');
 
     if (values.length === 0) {
-      stats[criterion.id] = { mean: 0, stdDev: 0 };
+      stats[criterion.id] = { mean: 0, stdDev: 0, median: 0, mad: 0, center: 0, scale: 0 };
       return;
     }
 
@@ -51,23 +221,445 @@ function computeJudgeStatistics(evaluations, criteria) {
     // Using population standard deviation as per formula implies division by N
     const stdDev = values.length > 0 ? Math.sqrt(sumSquaredDiffs / values.length) : 0;
 
+    // Robust alternatives: Median and Median Absolute Deviation
+    const med = median(values);
+    const deviations = values.map(val => Math.abs(val - med));
+    const mad = median(deviations);
+    const meanAD = deviations.reduce((acc, val) => acc + val, 0) / values.length;
+
+    // A zero MAD would flatten every score, outliers included
+    const robustScale = mad > 0 ? MAD_SCALE_FACTOR * mad
+      : meanAD > 0 ? MEAN_AD_SCALE_FACTOR * meanAD
+        : stdDev;
+    const isRobust = method === NormalizationMethods.ROBUST_MAD;
+
     stats[criterion.id] = {
       mean,
-      stdDev
+      stdDev,
+      median: med,
+      mad,
+      center: isRobust ? med : mean,
+      scale: isRobust ? robustScale : stdDev
     };
   });
 
   return stats;
 }
 
+/**
+ * Summarize a judge's per-criterion statistics into single values
+ * (average across criteria) for storage alongside each evaluation
+ * @param {Object} criterionStats - output of computeJudgeStatistics
+ * @returns {Object} - { judge_mean, judge_std, judge_median, judge_mad }
+ */
+function summarizeJudgeStatistics(criterionStats) {
+  const entries = Object.values(criterionStats);
+  const avg = (key) => entries.length > 0
+    ? entries.reduce((acc, s) => acc + s[key], 0) / entries.length
+    : 0;
+
+  return {
+    judge_mean: avg('mean'),
+    judge_std: avg('stdDev'),
+    judge_median: avg('median'),
+    judge_mad: avg('mad')
+  };
+}
+
+/**
+ * Connected components of an undirected graph given as an edge list
+ * @param {Array} edges - [[nodeA, nodeB], ...]
+ * @returns {Array} - [[node, ...], ...]
+ */
+function connectedComponents(edges) {
+  const parent = {};
+
+  const find = (node) => {
+    while (parent[node] !== node) {
+      parent[node] = parent[parent[node]];
+      node = parent[node];
+    }
+    return node;
+  };
+
+  edges.forEach(([a, b]) => {
+    if (parent[a] === undefined) parent[a] = a;
+    if (parent[b] === undefined) parent[b] = b;
+    parent[find(a)] = find(b);
+  });
+
+  const components = {};
+  Object.keys(parent).forEach(node => {
+    const root = find(node);
+    if (!components[root]) components[root] = [];
+    components[root].push(node);
+  });
+
+  return Object.values(components);
+}
+
+/**
+ * Group judges and teams into connected components of the overlap graph
+ * (a judge and a team are linked when the judge evaluated the team).
+ * Judge biases are only comparable within one component.
+ * @param {Array} evaluations - [{judge_id, team_id}, ...]
+ * @returns {Array} - [{judges: [judgeId], teams: [teamId]}, ...]
+ */
+export function findOverlapComponents(evaluations) {
+  const edges = evaluations.map(e => [`j:${e.judge_id}`, `t:${e.team_id}`]);
+
+  return connectedComponents(edges).map(nodes => ({
+    judges: nodes.filter(n => n.startsWith('j:')).map(n => n.slice(2)),
+    teams: nodes.filter(n => n.startsWith('t:')).map(n => n.slice(2))
+  }));
+}
+
+/**
+ * Fit the additive model Score(team, judge) = Team Effect + Judge Bias per
+ * criterion by least squares, using alternating updates until the effects
+ * stop changing. Biases are centered to mean 0 within each connected
+ * component of the judge–team overlap graph.
+ * @param {Array} evaluations - [{judge_id, team_id, scores: {...}}, ...]
+ * @param {Array} criteria - [{id, ...}, ...]
+ * @returns {Object} - { judgeBiases: {judgeId: {criterionId: bias}},
+ *   judgeTotalBias: {judgeId: bias summed over criteria},
+ *   teamEffects: {teamId: {criterionId: effect}}, components, isConnected, warnings }
+ */
+export function fitJudgeEffects(evaluations, criteria) {
+  const components = findOverlapComponents(evaluations);
+  const isConnected = components.length <= 1;
+  const warnings = [];
+
+  if (!isConnected) {
+    warnings.push(
+      `Judge–team overlap graph is disconnected (${components.length} separate groups). ` +
+      'Judge biases and team scores are not comparable between groups; assign judges so every group shares at least one team.'
+    );
+  }
+
+  const judgeIds = [...new Set(evaluations.map(e => e.judge_id))];
+  const teamIds = [...new Set(evaluations.map(e => e.team_id))];
+
+  const judgeBiases = {};
+  const teamEffects = {};
+  judgeIds.forEach(id => { judgeBiases[id] = {}; });
+  teamIds.forEach(id => { teamEffects[id] = {}; });
+
+  criteria.forEach(criterion => {
+    const observations = evaluations
+      .map(e => ({ judge_id: e.judge_id, team_id: e.team_id, score: e.scores?.[criterion.id] }))
+      .filter(o => o.score !== undefined && o.score !== null && typeof o.score === 'number');
+
+    const bias = {};
+    const effect = {};
+    judgeIds.forEach(id => { bias[id] = 0; });
+    teamIds.forEach(id => { effect[id] = 0; });
+
+    for (let iteration = 0; iteration < JUDGE_EFFECT_MAX_ITERATIONS; iteration++) {
+      let maxChange = 0;
+
+      // Team effect = mean of the team's scores with judge bias removed
+      const teamSums = {};
+      observations.forEach(o => {
+        if (!teamSums[o.team_id]) teamSums[o.team_id] = { sum: 0, n: 0 };
+        teamSums[o.team_id].sum += o.score - bias[o.judge_id];
+        teamSums[o.team_id].n += 1;
+      });
+      Object.entries(teamSums).forEach(([teamId, { sum, n }]) => {
+        const next = sum / n;
+        maxChange = Math.max(maxChange, Math.abs(next - effect[teamId]));
+        effect[teamId] = next;
+      });
+
+      // Judge bias = mean residual of the judge's scores after team effects
+      const judgeSums = {};
+      observations.forEach(o => {
+        if (!judgeSums[o.judge_id]) judgeSums[o.judge_id] = { sum: 0, n: 0 };
+        judgeSums[o.judge_id].sum += o.score - effect[o.team_id];
+        judgeSums[o.judge_id].n += 1;
+      });
+      Object.entries(judgeSums).forEach(([judgeId, { sum, n }]) => {
+        const next = sum / n;
+        maxChange = Math.max(maxChange, Math.abs(next - bias[judgeId]));
+        bias[judgeId] = next;
+      });
+
+      if (maxChange < JUDGE_EFFECT_TOLERANCE) break;
+    }
+
+    // Identify the model: average judge has zero bias within each component
+    components.forEach(component => {
+      const scoredJudges = component.judges.filter(id => observations.some(o => o.judge_id === id));
+      if (scoredJudges.length === 0) return;
+      const offset = scoredJudges.reduce((acc, id) => acc + bias[id], 0) / scoredJudges.length;
+      component.judges.forEach(id => { bias[id] -= offset; });
+      component.teams.forEach(id => { effect[id] += offset; });
+    });
+
+    judgeIds.forEach(id => { judgeBiases[id][criterion.id] = bias[id]; });
+    teamIds.forEach(id => { teamEffects[id][criterion.id] = effect[id]; });
+  });
+
+  const judgeTotalBias = {};
+  judgeIds.forEach(id => {
+    judgeTotalBias[id] = Object.values(judgeBiases[id]).reduce((acc, b) => acc + b, 0);
+  });
+
+  return { judgeBiases, judgeTotalBias, teamEffects, components, isConnected, warnings };
+}
+
+/**
+ * Normalize evaluations with the judge-effect model: remove each judge's
+ * fitted bias, then z-score the corrected scores across the whole round
+ * @param {Array} evaluations
+ * @param {Array} criteria
+ * @param {Object} judgeEffects - output of fitJudgeEffects
+ * @returns {Array} - Normalized results per evaluation
+ */
+function computeJudgeEffectNormalization(evaluations, criteria, judgeEffects) {
+  const adjusted = evaluations.map(evalItem => {
+    const scores = {};
+    criteria.forEach(criterion => {
+      const score = evalItem.scores[criterion.id];
+      if (score !== undefined && score !== null && typeof score === 'number') {
+        scores[criterion.id] = score - (judgeEffects.judgeBiases[evalItem.judge_id]?.[criterion.id] || 0);
+      }
+    });
+    return { ...evalItem, scores };
+  });
+
+  // Round-wide center / scale of the bias-corrected scores
+  const roundStats = computeJudgeStatistics(adjusted, criteria, NormalizationMethods.Z_SCORE);
+
+  const judgeGroups = {};
+  evaluations.forEach(evalItem => {
+    if (!judgeGroups[evalItem.judge_id]) {
+      judgeGroups[evalItem.judge_id] = [];
+    }
+    judgeGroups[evalItem.judge_id].push(evalItem);
+  });
+
+  const judgeSummaries = {};
+  Object.entries(judgeGroups).forEach(([judgeId, judgeEvals]) => {
+    judgeSummaries[judgeId] = summarizeJudgeStatistics(computeJudgeStatistics(judgeEvals, criteria));
+  });
+
+  return evaluations.map((evalItem, index) => {
+    let totalWeightedZ = 0;
+    const criterionZScores = {};
+    const criterionStats = {};
+
+    criteria.forEach(criterion => {
+      const score = adjusted[index].scores[criterion.id];
+      const stats = roundStats[criterion.id];
+      const weight = criterion.weight || 1.0;
+      let weightedZ = 0;
+
+      if (score !== undefined && stats.scale > 0) {
+        weightedZ = ((score - stats.center) / stats.scale) * weight;
+      }
+
+      criterionStats[criterion.id] = {
+        ...stats,
+        bias: judgeEffects.judgeBiases[evalItem.judge_id]?.[criterion.id] || 0
+      };
+      criterionZScores[criterion.id] = weightedZ;
+      totalWeightedZ += weightedZ;
+    });
+
+    return {
+      ...evalItem,
+      z_score: totalWeightedZ,
+      raw_total: computeRawTotal(evalItem, criteria),
+      ...judgeSummaries[evalItem.judge_id],
+      judge_bias: judgeEffects.judgeTotalBias[evalItem.judge_id] || 0,
+      normalization_method: NormalizationMethods.JUDGE_EFFECT,
+      criterion_stats: criterionStats,
+      criterion_z_scores: criterionZScores
+    };
+  });
+}
+
+/**
+ * Rank items by value descending; tied values share the average of their positions
+ * @param {Array} items - [{key, value}, ...]
+ * @returns {Object} - { key: rank } (1 = best)
+ */
+function averageRanks(items) {
+  const sorted = [...items].sort((a, b) => b.value - a.value);
+  const ranks = {};
+  let start = 0;
+
+  while (start < sorted.length) {
+    let end = start;
+    while (end + 1 < sorted.length && sorted[end + 1].value === sorted[start].value) {
+      end++;
+    }
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) {
+      ranks[sorted[i].key] = rank;
+    }
+    start = end + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Convert a judge's rank among n teams into Borda points centered on 0:
+ * the judge's best team gets +0.5 and the worst -0.5, however many teams
+ * the judge ranked, so partial rankings carry equal weight
+ * @param {number} rank - 1 = best (may be fractional for ties)
+ * @param {number} n - number of teams the judge ranked
+ * @returns {number}
+ */
+function bordaPoints(rank, n) {
+  return n > 1 ? 0.5 - (rank - 1) / (n - 1) : 0;
+}
+
+/**
+ * Turn each judge's raw scores into a partial ranking of the teams they saw.
+ * z_score holds the Borda points of the raw total ranking and
+ * criterion_z_scores the Borda points per criterion (used for tie-breaking).
+ * @param {Array} evaluations - [{judge_id, team_id, scores: {...}}, ...]
+ * @param {Array} criteria
+ * @param {string} method - BORDA or SCHULZE
+ * @returns {Array} - Ranked results per evaluation
+ */
+function computeJudgeRankings(evaluations, criteria, method) {
+  const judgeGroups = {};
+
+  evaluations.forEach(evalItem => {
+    if (!judgeGroups[evalItem.judge_id]) {
+      judgeGroups[evalItem.judge_id] = [];
+    }
+    judgeGroups[evalItem.judge_id].push(evalItem);
+  });
+
+  const results = [];
+
+  Object.values(judgeGroups).forEach(judgeEvals => {
+    const judgeSummary = summarizeJudgeStatistics(computeJudgeStatistics(judgeEvals, criteria));
+    const n = judgeEvals.length;
+
+    const totalRanks = averageRanks(judgeEvals.map(e => ({ key: e.team_id, value: computeRawTotal(e, criteria) })));
+
+    const criterionRanks = {};
+    criteria.forEach(criterion => {
+      const scored = judgeEvals.filter(e => typeof e.scores[criterion.id] === 'number');
+      criterionRanks[criterion.id] = {
+        n: scored.length,
+        ranks: averageRanks(scored.map(e => ({ key: e.team_id, value: e.scores[criterion.id] })))
+      };
+    });
+
+    judgeEvals.forEach(evalItem => {
+      const criterionPoints = {};
+      criteria.forEach(criterion => {
+        const { n: scoredCount, ranks } = criterionRanks[criterion.id];
+        criterionPoints[criterion.id] = ranks[evalItem.team_id] !== undefined
+          ? bordaPoints(ranks[evalItem.team_id], scoredCount)
+          : 0;
+      });
+
+      results.push({
+        ...evalItem,
+        z_score: bordaPoints(totalRanks[evalItem.team_id], n),
+        raw_total: computeRawTotal(evalItem, criteria),
+        ...judgeSummary,
+        judge_rank: totalRanks[evalItem.team_id],
+        judge_team_count: n,
+        normalization_method: method,
+        criterion_z_scores: criterionPoints
+      });
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Schulze method over partial rankings. d[a][b] is the total judge weight of
+ * judges who ranked a above b; only judges who ranked both teams count.
+ * Strongest paths are found with the Floyd–Warshall widest-path variant.
+ * @param {Array} rankedResults - output of computeJudgeRankings
+ * @param {Object} judgeWeights - { judgeId: weight }
+ * @returns {Object} - { teamId: number of teams beaten on strongest paths }
+ */
+export function computeSchulzeWins(rankedResults, judgeWeights = {}) {
+  const teamIds = [...new Set(rankedResults.map(r => r.team_id))];
+  const index = {};
+  teamIds.forEach((id, i) => { index[id] = i; });
+  const n = teamIds.length;
+
+  const d = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  const judgeGroups = {};
+  rankedResults.forEach(result => {
+    if (!judgeGroups[result.judge_id]) {
+      judgeGroups[result.judge_id] = [];
+    }
+    judgeGroups[result.judge_id].push(result);
+  });
+
+  Object.entries(judgeGroups).forEach(([judgeId, judgeResults]) => {
+    const weight = judgeWeights[judgeId] || 1.0;
+    judgeResults.forEach(a => {
+      judgeResults.forEach(b => {
+        if (a.judge_rank < b.judge_rank) {
+          d[index[a.team_id]][index[b.team_id]] += weight;
+        }
+      });
+    });
+  });
+
+  const p = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i !== j && d[i][j] > d[j][i]) {
+        p[i][j] = d[i][j];
+      }
+    }
+  }
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i === j) continue;
+      for (let k = 0; k < n; k++) {
+        if (k === i || k === j) continue;
+        p[j][k] = Math.max(p[j][k], Math.min(p[j][i], p[i][k]));
+      }
+    }
+  }
+
+  const wins = {};
+  teamIds.forEach((id, i) => {
+    wins[id] = 0;
+    for (let j = 0; j < n; j++) {
+      if (i !== j && p[i][j] > p[j][i]) {
+        wins[id]++;
+      }
+    }
+  });
+
+  return wins;
+}
+
 /**
  * Compute z-score normalization for all evaluations
  * @param {Array} evaluations - [{judge_id, team_id, scores: {...}}, ...]
  * @param {Array} criteria - [{id, max_marks, weight}, ...]
- * @param {string} method - Normalization method (default Z_SCORE)
+ * @param {string} method - NormalizationMethods value
  * @returns {Array} - Normalized results per evaluation
  */
 export function computePerJudgeNormalization(evaluations, criteria, method = NormalizationMethods.Z_SCORE) {
+  if (method === NormalizationMethods.JUDGE_EFFECT) {
+    return computeJudgeEffectNormalization(evaluations, criteria, fitJudgeEffects(evaluations, criteria));
+  }
+  if (RANK_BASED_METHODS.includes(method)) {
+    return computeJudgeRankings(evaluations, criteria, method);
+  }
+
   const judgeGroups = {};
 
   // Group by judge
@@ -82,7 +674,8 @@ export function computePerJudgeNormalization(evaluations, criteria, method = Nor
 
   Object.entries(judgeGroups).forEach(([judgeId, judgeEvals]) => {
     // Calculate stats per criterion for this judge
-    const criterionStats = computeJudgeStatistics(judgeEvals, criteria);
+    const criterionStats = computeJudgeStatistics(judgeEvals, criteria, method);
+    const judgeSummary = summarizeJudgeStatistics(criterionStats);
 
     judgeEvals.forEach(evalItem => {
       let totalWeightedZ = 0;
@@ -96,9 +689,9 @@ export function computePerJudgeNormalization(evaluations, criteria, method = Nor
         let zScore = 0;
         let weightedZ = 0;
 
-        if (score !== undefined && score !== null && typeof score === 'number' && stats.stdDev > 0) {
+        if (score !== undefined && score !== null && typeof score === 'number' && stats.scale > 0) {
           // Step 3: Calculate Z-score (Zc)
-          zScore = (score - stats.mean) / stats.stdDev;
+          zScore = (score - stats.center) / stats.scale;
 
           // Step 4: Calculate Weighted Z-score (Zw)
           weightedZ = zScore * weight;
@@ -112,6 +705,8 @@ export function computePerJudgeNormalization(evaluations, criteria, method = Nor
         ...evalItem,
         z_score: totalWeightedZ, // This is technically sum of Zw per judge
         raw_total: computeRawTotal(evalItem, criteria), // Kept for reference
+        ...judgeSummary,
+        normalization_method: method,
         criterion_stats: criterionStats,
         criterion_z_scores: criterionZScores
       });
@@ -127,20 +722,162 @@ export function computePerJudgeNormalization(evaluations, criteria, method = Nor
 export function computeRawTotal(evaluation, criteria) {
   if (!evaluation.scores) return 0;
   let sum = 0;
-  criteria.forEach(c => {
+  criteria.filter(c => !isGateCriterion(c)).forEach(c => {
     const val = evaluation.scores[c.id];
     if (typeof val === 'number') sum += val;
   });
   return sum;
 }
 
+export function isGateCriterion(criterion) {
+  return criterion.scale_type === CriterionScaleTypes.GATE;
+}
+
+/**
+ * Check one score against its criterion's scale type
+ * @param {Object} criterion - {name, scale_type, min_marks, max_marks, step_size}
+ * @param {number} score
+ * @returns {string|null} - error message, or null when valid
+ */
+export function validateCriterionScore(criterion, score) {
+  if (typeof score !== 'number' || isNaN(score)) {
+    return `Invalid score for ${criterion.name}`;
+  }
+
+  const scaleType = criterion.scale_type || CriterionScaleTypes.CONTINUOUS;
+  if (scaleType === CriterionScaleTypes.GATE) {
+    return score === 0 || score === 1 ? null : `${criterion.name}: must be pass (1) or fail (0)`;
+  }
+
+  const min = scaleType === CriterionScaleTypes.PERCENTAGE ? 0 : Number(criterion.min_marks) || 0;
+  const max = scaleType === CriterionScaleTypes.PERCENTAGE ? 100 : Number(criterion.max_marks);
+  if (score < min || score > max) {
+    return `${criterion.name}: Score must be between ${min} and ${max}`;
+  }
+
+  if (scaleType === CriterionScaleTypes.LIKERT && !Number.isInteger(score)) {
+    return `${criterion.name}: Score must be a whole number`;
+  }
+
+  const step = Number(criterion.step_size) || 0;
+  if (scaleType === CriterionScaleTypes.DECIMAL && step > 0) {
+    const steps = (score - min) / step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+      return `${criterion.name}: Score must be in steps of ${step}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find teams that failed a gate criterion. A team fails a gate when more
+ * than half of the judges who scored it marked it as failed (0)
+ * @param {Array} evaluations
+ * @param {Array} criteria
+ * @returns {Object} - {teamId: [failed gate criterion ids]}
+ */
+export function findIneligibleTeams(evaluations, criteria) {
+  const gates = criteria.filter(isGateCriterion);
+  const votes = {};
+
+  evaluations.forEach(evalItem => {
+    gates.forEach(gate => {
+      const score = evalItem.scores?.[gate.id];
+      if (typeof score !== 'number') return;
+
+      if (!votes[evalItem.team_id]) votes[evalItem.team_id] = {};
+      if (!votes[evalItem.team_id][gate.id]) votes[evalItem.team_id][gate.id] = { failed: 0, total: 0 };
+      votes[evalItem.team_id][gate.id].total++;
+      if (score === 0) votes[evalItem.team_id][gate.id].failed++;
+    });
+  });
+
+  const ineligible = {};
+  Object.entries(votes).forEach(([teamId, gateVotes]) => {
+    const failed = Object.entries(gateVotes)
+      .filter(([, v]) => v.failed * 2 > v.total)
+      .map(([gateId]) => gateId);
+    if (failed.length > 0) ineligible[teamId] = failed;
+  });
+
+  return ineligible;
+}
+
+/**
+ * Replace criteria's own weights with a track's overrides before group
+ * weights are rolled down. A weight of 0 leaves the criterion out
+ * @param {Array} criteria - [{id, weight}]
+ * @param {Object} overrides - {criterionId: weight}
+ * @returns {Array}
+ */
+export function applyCriterionWeightOverrides(criteria, overrides = {}) {
+  const weights = overrides || {};
+  return criteria.flatMap(criterion => {
+    const override = weights[criterion.id];
+    if (override === undefined || override === null || override === '') return [criterion];
+    return Number(override) > 0 ? [{ ...criterion, weight: Number(override) }] : [];
+  });
+}
+
+/**
+ * Roll criterion group weights down to their criteria. A group's weight is
+ * shared among its criteria in proportion to their own weights; criteria
+ * outside any group keep their weight
+ * @param {Array} criteria - [{id, weight, group_id}]
+ * @param {Array} groups - [{id, name, weight}]
+ * @returns {Array} - criteria with the rolled-up weight, plus
+ *   criterion_weight (their own weight) and group_weight (the top-level weight)
+ */
+export function resolveCriterionWeights(criteria, groups = []) {
+  const groupMap = {};
+  (groups || []).forEach(group => { groupMap[group.id] = group; });
+
+  const groupTotals = {};
+  criteria.forEach(criterion => {
+    if (groupMap[criterion.group_id]) {
+      groupTotals[criterion.group_id] = (groupTotals[criterion.group_id] || 0) + (Number(criterion.weight) || 1.0);
+    }
+  });
+
+  return criteria.map(criterion => {
+    const ownWeight = Number(criterion.weight) || 1.0;
+    const group = groupMap[criterion.group_id];
+    if (!group) {
+      return { ...criterion, group_id: null, weight: ownWeight, criterion_weight: ownWeight, group_weight: ownWeight };
+    }
+
+    const groupWeight = Number(group.weight) || 1.0;
+    return {
+      ...criterion,
+      weight: groupWeight * ownWeight / groupTotals[group.id],
+      criterion_weight: ownWeight,
+      group_weight: groupWeight
+    };
+  });
+}
+
+/**
+ * Order for walking criteria by weight: heaviest group (or ungrouped
+ * criterion) first, then by the criterion's own weight within its group
+ */
+function compareCriteriaByWeight(a, b) {
+  const groupDiff = (b.group_weight ?? b.weight) - (a.group_weight ?? a.weight);
+  if (groupDiff !== 0) return groupDiff;
+  if ((a.group_id || '') !== (b.group_id || '')) return (a.group_id || '') < (b.group_id || '') ? -1 : 1;
+  return (b.criterion_weight ?? b.weight) - (a.criterion_weight ?? a.weight);
+}
+
 /**
- * Aggregate scores across judges (SUMMATION)
+ * Aggregate scores across judges (SUMMATION by default)
+ * Each judge's contribution is scaled by their judge weight (default 1.0)
  * @param {Array} normalizedResults 
  * @param {Array} criteria 
+ * @param {Object} judgeWeights - { judgeId: weight }
+ * @param {string} aggregationMode - AggregationModes value
  * @returns {Array}
  */
-export function aggregateAcrossJudges(normalizedResults, criteria) {
+export function aggregateAcrossJudges(normalizedResults, criteria, judgeWeights = {}, aggregationMode = AggregationModes.SUM) {
   const teamGroups = {};
 
   normalizedResults.forEach(result => {
@@ -154,34 +891,47 @@ export function aggregateAcrossJudges(normalizedResults, criteria) {
 
   Object.entries(teamGroups).forEach(([teamId, teamResults]) => {
     let finalZ = 0;
+    let weightTotal = 0;
     const aggregatedCriterionZ = {};
 
     // Initialize aggregated criteria scores
     criteria.forEach(c => aggregatedCriterionZ[c.id] = 0);
 
     teamResults.forEach(result => {
-      // Step 5: Add weighted Z-score per judge
-      finalZ += result.z_score;
+      const judgeWeight = judgeWeights[result.judge_id] || 1.0;
+      result.judge_weight = judgeWeight;
+
+      // Step 5: Add weighted Z-score per judge, scaled by judge weight
+      finalZ += result.z_score * judgeWeight;
+      weightTotal += judgeWeight;
 
       // Aggregate individual criterion weighted scores for tie-breaking
       if (result.criterion_z_scores) {
         Object.entries(result.criterion_z_scores).forEach(([cId, score]) => {
           if (aggregatedCriterionZ[cId] !== undefined) {
-            aggregatedCriterionZ[cId] += score;
+            aggregatedCriterionZ[cId] += score * judgeWeight;
           }
         });
       }
     });
 
+    finalZ = combineJudgeScores(finalZ, weightTotal, aggregationMode);
+    Object.keys(aggregatedCriterionZ).forEach(cId => {
+      aggregatedCriterionZ[cId] = combineJudgeScores(aggregatedCriterionZ[cId], weightTotal, aggregationMode);
+    });
+
     // Calculate raw stats for reference
     const rawTotals = teamResults.map(r => r.raw_total);
     const meanRaw = rawTotals.reduce((a, b) => a + b, 0) / rawTotals.length;
+    const medianRaw = median(rawTotals);
 
     aggregated.push({
       team_id: teamId,
       aggregated_z: finalZ,
+      aggregation_mode: aggregationMode,
       judge_count: teamResults.length,
       mean_raw_total: meanRaw,
+      median_raw_total: medianRaw,
       aggregated_criterion_z: aggregatedCriterionZ,
       team_results: teamResults
     });
@@ -191,139 +941,1297 @@ export function aggregateAcrossJudges(normalizedResults, criteria) {
 }
 
 /**
- * Convert to percentiles and apply tie-breaking
+ * Number an ordered list of teams under a ranking style
+ * @param {Array<boolean>} tiedWithPrevious - per position, whether it is level with the one above
+ * @param {string} style - RankingStyles value
+ * @returns {Array<number>} - rank per position
  */
-export function convertToPercentilesAndRanks(aggregatedResults, criteria) {
-  // Sort by Final Z-Score descending
-  const sorted = [...aggregatedResults].sort((a, b) => b.aggregated_z - a.aggregated_z);
+export function assignRanks(tiedWithPrevious, style = RankingStyles.STANDARD) {
+  const ranks = [];
+  let groupStart = 0;
+  let denseRank = 0;
 
-  const withPercentiles = sorted.map((result, index) => {
-    const percentile = sorted.length > 1
-      ? ((sorted.length - 1 - index) / (sorted.length - 1)) * 100
-      : 100;
+  while (groupStart < tiedWithPrevious.length) {
+    let groupEnd = groupStart + 1;
+    while (groupEnd < tiedWithPrevious.length && tiedWithPrevious[groupEnd]) groupEnd++;
+    denseRank++;
 
-    return {
-      ...result,
-      percentile: percentile,
-      initial_rank: index + 1
-    };
-  });
+    // Positions groupStart + 1 .. groupEnd (1-based) share one rank
+    let rank;
+    switch (style) {
+      case RankingStyles.DENSE:
+        rank = denseRank;
+        break;
+      case RankingStyles.MODIFIED:
+        rank = groupEnd;
+        break;
+      case RankingStyles.FRACTIONAL:
+        rank = (groupStart + 1 + groupEnd) / 2;
+        break;
+      default:
+        rank = groupStart + 1;
+    }
 
-  return applyTieBreaking(withPercentiles, criteria);
+    for (let i = groupStart; i < groupEnd; i++) ranks.push(rank);
+    groupStart = groupEnd;
+  }
+
+  return ranks;
 }
 
 /**
- * Apply Tie-Breaking Logic:
- * 1. Weighted Z-Score (already sorted)
- * 2. Highest Weighted Criterion Score
- * 3. Next Highest Weighted Criterion Score...
+ * Percentile from rank: best rank = 100, worst rank = 0, so teams sharing
+ * a rank share a percentile under every style
+ * @param {Array<number>} ranks
+ * @returns {Array<number>}
  */
-function applyTieBreaking(results, criteria) {
-  // precision for float comparison
-  const EPSILON = 0.0001;
-
-  // Sort criteria by weight descending (for tie-breaking)
-  const sortedCriteria = [...criteria].sort((a, b) => b.weight - a.weight);
+export function ranksToPercentiles(ranks) {
+  const best = Math.min(...ranks);
+  const worst = Math.max(...ranks);
+  return ranks.map(rank => (worst > best ? ((worst - rank) / (worst - best)) * 100 : 100));
+}
 
-  const finalResults = [...results].sort((a, b) => {
-    // 1. Primary: Final Z-Score
-    if (Math.abs(a.aggregated_z - b.aggregated_z) > EPSILON) {
-      return b.aggregated_z - a.aggregated_z;
+/**
+ * Convert to percentiles and apply tie-breaking
+ * @param {Array} aggregatedResults
+ * @param {Array} criteria
+ * @param {Object} options - {policy: tie-break rules in order (default DEFAULT_TIE_BREAK_POLICY),
+ *   submittedAt: {teamId: submission time} for EARLIEST_SUBMISSION,
+ *   rankingStyle: RankingStyles value (default STANDARD)}
+ */
+export function convertToPercentilesAndRanks(aggregatedResults, criteria, options = {}) {
+  // Sort by Final Z-Score descending
+  const sorted = [...aggregatedResults].sort((a, b) => b.aggregated_z - a.aggregated_z);
+
+  const withInitialRanks = sorted.map((result, index) => ({
+    ...result,
+    initial_rank: index + 1
+  }));
+
+  return applyTieBreaking(withInitialRanks, criteria, options);
+}
+
+/**
+ * Expand a tie-break policy into comparison steps. Each step reads one
+ * value per team, oriented so that higher wins.
+ * @param {Array} policy - [{rule, criterion_id}]
+ * @param {Array} criteria
+ * @param {Object} submittedAt - {teamId: submission time}
+ * @returns {Array} - [{rule, criterion_id, value: result => number}]
+ */
+function expandTieBreakPolicy(policy, criteria, submittedAt) {
+  const steps = [];
+  const criterionStep = (rule, criterionId) => ({
+    rule,
+    criterion_id: criterionId,
+    value: r => (r.aggregated_criterion_z && r.aggregated_criterion_z[criterionId]) || 0
+  });
+
+  policy.forEach(entry => {
+    switch (entry.rule) {
+      case TieBreakRules.CRITERION:
+        steps.push(criterionStep(entry.rule, entry.criterion_id));
+        break;
+      case TieBreakRules.CRITERIA_BY_WEIGHT:
+        [...criteria]
+          .sort(compareCriteriaByWeight)
+          .forEach(criterion => steps.push(criterionStep(entry.rule, criterion.id)));
+        break;
+      case TieBreakRules.MEAN_RAW_TOTAL:
+        steps.push({ rule: entry.rule, value: r => r.mean_raw_total || 0 });
+        break;
+      case TieBreakRules.MEDIAN_RAW_TOTAL:
+        steps.push({ rule: entry.rule, value: r => r.median_raw_total || 0 });
+        break;
+      case TieBreakRules.JUDGE_COUNT:
+        steps.push({ rule: entry.rule, value: r => r.judge_count || 0 });
+        break;
+      case TieBreakRules.EARLIEST_SUBMISSION:
+        // Teams without a submission time lose to every team with one
+        steps.push({
+          rule: entry.rule,
+          value: r => (submittedAt[r.team_id] ? -new Date(submittedAt[r.team_id]).getTime() : -Infinity)
+        });
+        break;
+      default:
+        throw new Error(`Unknown tie-break rule: ${entry.rule}`);
     }
+  });
 
-    // 2. Tie-Breaker: Compare by highest weighted criteria
-    for (const criterion of sortedCriteria) {
-      const scoreA = a.aggregated_criterion_z[criterion.id] || 0;
-      const scoreB = b.aggregated_criterion_z[criterion.id] || 0;
+  return steps;
+}
 
-      if (Math.abs(scoreA - scoreB) > EPSILON) {
-        return scoreB - scoreA;
-      }
+/**
+ * Apply Tie-Breaking Logic:
+ * 1. Aggregated Z-Score (already sorted)
+ * 2. The round's tie-break policy, rule by rule
+ * Teams still level after every rule share a rank, numbered by the
+ * ranking style. tie_breaker_data.broken_by records the rule that separated
+ * a team from the team above it when their aggregated scores were level.
+ */
+function applyTieBreaking(results, criteria, options = {}) {
+  // precision for float comparison
+  const EPSILON = 0.0001;
+
+  const steps = expandTieBreakPolicy(
+    options.policy || DEFAULT_TIE_BREAK_POLICY,
+    criteria,
+    options.submittedAt || {}
+  );
+
+  // First step on which two teams differ, or null when level on all of them
+  const firstDifference = (a, b) => {
+    for (const step of steps) {
+      const diff = step.value(b) - step.value(a);
+      if (Math.abs(diff) > EPSILON) return { step, diff };
     }
+    return null;
+  };
 
-    // 3. Fallback: Mean Raw Total (optional, but good for perfect ties)
-    if (Math.abs(a.mean_raw_total - b.mean_raw_total) > EPSILON) {
-      return b.mean_raw_total - a.mean_raw_total;
+  const finalResults = [...results].sort((a, b) => {
+    // 1. Primary: Final Z-Score
+    if (Math.abs(a.aggregated_z - b.aggregated_z) > EPSILON) {
+      return b.aggregated_z - a.aggregated_z;
     }
 
-    return 0; // True tie
+    // 2. Tie-Breakers, in policy order
+    const difference = firstDifference(a, b);
+    return difference ? difference.diff : 0; // 0 = true tie
   });
 
-  // Assign Ranks
-  let currentRank = 1;
-  return finalResults.map((result, index) => {
-    // Check if tied with previous
-    let isTied = false;
-    if (index > 0) {
-      const prev = finalResults[index - 1];
-
-      const zScoreTied = Math.abs(result.aggregated_z - prev.aggregated_z) < EPSILON;
-
-      // Determine if all tie-breakers were also tied
-      let criteriaTied = true;
-      for (const criterion of sortedCriteria) {
-        const scoreA = result.aggregated_criterion_z[criterion.id] || 0;
-        const scoreB = prev.aggregated_criterion_z[criterion.id] || 0;
-        if (Math.abs(scoreA - scoreB) > EPSILON) {
-          criteriaTied = false;
-          break;
-        }
-      }
+  const tieInfo = finalResults.map((result, index) => {
+    if (index === 0) return { isTied: false, brokenBy: null, tiedWith: null };
 
-      const rawTied = Math.abs(result.mean_raw_total - prev.mean_raw_total) < EPSILON;
-
-      isTied = zScoreTied && criteriaTied && rawTied;
+    const prev = finalResults[index - 1];
+    if (Math.abs(result.aggregated_z - prev.aggregated_z) >= EPSILON) {
+      return { isTied: false, brokenBy: null, tiedWith: null };
     }
 
-    if (isTied) {
-      // Keep same rank as previous
-      // Note: This implements "dense" ranking (1, 2, 2, 3) or "standard" (1, 2, 2, 4)?
-      // Usually standard competition ranking is 1, 2, 2, 4. 
-      // The previous code implied standard ranking logic but implemented linear.
-      // Let's stick to the previous loop's logic approach but cleaner:
-      // Actually simpler: if tied with previous, rank is same. 
-      // BUT `currentRank` usually increments by 1 every step, unless we manually control it.
-      // Let's use standard competition ranking logic.
-      result.rank = finalResults[index - 1].rank;
-    } else {
-      result.rank = index + 1;
-    }
+    const difference = firstDifference(prev, result);
+    if (!difference) return { isTied: true, brokenBy: null, tiedWith: prev.team_id };
+
+    return {
+      isTied: false,
+      brokenBy: difference.step.criterion_id
+        ? { rule: difference.step.rule, criterion_id: difference.step.criterion_id }
+        : { rule: difference.step.rule },
+      tiedWith: prev.team_id
+    };
+  });
+
+  const ranks = assignRanks(tieInfo.map(t => t.isTied), options.rankingStyle);
+  const percentiles = ranksToPercentiles(ranks);
+
+  return finalResults.map((result, index) => {
+    const { isTied, brokenBy, tiedWith } = tieInfo[index];
+
+    result.rank = ranks[index];
+    result.percentile = percentiles[index];
 
     result.tie_breaker_data = {
       aggregated_z: result.aggregated_z,
       criteria_scores: result.aggregated_criterion_z,
-      is_tied: isTied
+      mean_raw_total: result.mean_raw_total,
+      median_raw_total: result.median_raw_total,
+      judge_count: result.judge_count,
+      is_tied: isTied,
+      tied_on_score_with: tiedWith,
+      broken_by: brokenBy
     };
 
     return result;
   });
 }
 
+/**
+ * Small seeded PRNG (mulberry32) so bootstrap intervals are reproducible
+ * @param {number} seed
+ * @returns {Function} - returns floats in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Value at quantile q of an ascending array (nearest rank)
+ * @param {Array<number>} sorted
+ * @param {number} q - 0..1
+ * @returns {number}
+ */
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1));
+  return sorted[idx];
+}
+
+/**
+ * Probability that a team finishes in the top K, from its bootstrap rank distribution
+ * @param {Object} rankDistribution - { rank: count }
+ * @param {number} k
+ * @returns {number|null} - null when no distribution is available
+ */
+export function topKProbability(rankDistribution, k) {
+  if (!rankDistribution) return null;
+  let inside = 0;
+  let total = 0;
+  Object.entries(rankDistribution).forEach(([rank, count]) => {
+    total += count;
+    if (Number(rank) <= k) inside += count;
+  });
+  return total > 0 ? inside / total : null;
+}
+
+/**
+ * Whether a top-K cutoff decision for a team is statistically fragile,
+ * i.e. the team lands on the other side of the cutoff in a meaningful
+ * share of bootstrap resamples
+ * @param {Object} rankDistribution - { rank: count }
+ * @param {number} k
+ * @returns {boolean}
+ */
+export function isCutoffFragile(rankDistribution, k) {
+  const p = topKProbability(rankDistribution, k);
+  return p !== null && p > FRAGILE_CUTOFF_THRESHOLD && p < 1 - FRAGILE_CUTOFF_THRESHOLD;
+}
+
+/**
+ * Bootstrap rank intervals. Each resample draws judges with replacement,
+ * then redraws each team's evaluations with replacement from that sample
+ * (so every team keeps its judge count), and reruns the full computation.
+ * A team that no drawn judge scored counts as ranked below every team in
+ * that resample, so rank intervals and P(top K) cover every resample
+ * @param {Array} evaluations
+ * @param {Array} criteria
+ * @param {Object} options - {method, judgeWeights, aggregationMode, tieBreakPolicy, teamSubmittedAt,
+ *   rankingStyle, iterations, seed}
+ * @returns {Object} - { teamId: { rank_lower, rank_upper, score_lower, score_upper, rank_distribution,
+ *   replicates, missed_replicates } }, score bounds only over the resamples the team was in
+ */
+export function bootstrapRankIntervals(evaluations, criteria, options = {}) {
+  const iterations = options.iterations || BOOTSTRAP_ITERATIONS;
+  const judgeWeights = options.judgeWeights || {};
+  const random = seededRandom(options.seed || BOOTSTRAP_SEED);
+
+  const byJudge = {};
+  evaluations.forEach(evalItem => {
+    if (!byJudge[evalItem.judge_id]) byJudge[evalItem.judge_id] = [];
+    byJudge[evalItem.judge_id].push(evalItem);
+  });
+  const judgeIds = Object.keys(byJudge);
+  const teamIds = [...new Set(evaluations.map(e => e.team_id))];
+
+  const ranks = {};
+  const scores = {};
+  const missed = {};
+  teamIds.forEach(teamId => {
+    ranks[teamId] = [];
+    scores[teamId] = [];
+    missed[teamId] = 0;
+  });
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const sampleWeights = {};
+    const byTeam = {};
+
+    // Stage 1: judges
+    judgeIds.forEach((_, slot) => {
+      const judgeId = judgeIds[Math.floor(random() * judgeIds.length)];
+      // Each draw acts as a separate judge so duplicates keep their own statistics
+      const pseudoJudgeId = `${judgeId}#${slot}`;
+      sampleWeights[pseudoJudgeId] = judgeWeights[judgeId] || 1.0;
+
+      byJudge[judgeId].forEach(evalItem => {
+        if (!byTeam[evalItem.team_id]) byTeam[evalItem.team_id] = [];
+        byTeam[evalItem.team_id].push({ ...evalItem, judge_id: pseudoJudgeId });
+      });
+    });
+
+    // Stage 2: each team's evaluations
+    const sample = [];
+    Object.values(byTeam).forEach(teamEvals => {
+      teamEvals.forEach(() => {
+        sample.push(teamEvals[Math.floor(random() * teamEvals.length)]);
+      });
+    });
+
+    const { finalResults } = computeRoundNormalization(sample, criteria, {
+      method: options.method,
+      judgeWeights: sampleWeights,
+      aggregationMode: options.aggregationMode,
+      tieBreakPolicy: options.tieBreakPolicy,
+      teamSubmittedAt: options.teamSubmittedAt,
+      rankingStyle: options.rankingStyle
+    });
+
+    const ranked = new Set();
+    finalResults.forEach(result => {
+      ranked.add(result.team_id);
+      ranks[result.team_id].push(result.rank);
+      scores[result.team_id].push(result.aggregated_z);
+    });
+
+    // Missing teams share the place after the last ranked team
+    teamIds.filter(teamId => !ranked.has(teamId)).forEach(teamId => {
+      ranks[teamId].push(finalResults.length + 1);
+      missed[teamId] += 1;
+    });
+  }
+
+  const tail = (1 - BOOTSTRAP_CONFIDENCE) / 2;
+  const intervals = {};
+
+  Object.keys(ranks).forEach(teamId => {
+    const sortedRanks = [...ranks[teamId]].sort((a, b) => a - b);
+    const sortedScores = [...scores[teamId]].sort((a, b) => a - b);
+    const distribution = {};
+    sortedRanks.forEach(rank => {
+      distribution[rank] = (distribution[rank] || 0) + 1;
+    });
+
+    intervals[teamId] = {
+      rank_lower: quantile(sortedRanks, tail),
+      rank_upper: quantile(sortedRanks, 1 - tail),
+      score_lower: quantile(sortedScores, tail),
+      score_upper: quantile(sortedScores, 1 - tail),
+      rank_distribution: distribution,
+      replicates: sortedRanks.length,
+      missed_replicates: missed[teamId]
+    };
+  });
+
+  return intervals;
+}
+
+/**
+ * Leave-one-judge-out sensitivity: rerun the ranking with each judge removed
+ * in turn and compare against the full ranking.
+ * shift = baseline rank - new rank (positive = team moved up); teams that
+ * only the removed judge evaluated drop out and get a null shift
+ * @param {Array} judgeIds
+ * @param {Function} rankFn - (excludedJudgeId | null) => finalResults with {team_id, rank}
+ * @param {number} topK - cutoff for top-K membership changes
+ * @returns {Object} - { top_k, baseline: {teamId: rank}, judges: [...], pivotal_judges: [judgeId] }
+ */
+export function leaveOneJudgeOut(judgeIds, rankFn, topK) {
+  const baseline = {};
+  rankFn(null).forEach(result => {
+    baseline[result.team_id] = result.rank;
+  });
+  const teamIds = Object.keys(baseline);
+
+  const judges = judgeIds.map(judgeId => {
+    const ranks = {};
+    rankFn(judgeId).forEach(result => {
+      ranks[result.team_id] = result.rank;
+    });
+
+    const shifts = {};
+    const enteredTopK = [];
+    const leftTopK = [];
+    let maxShift = 0;
+    let movedTeams = 0;
+
+    teamIds.forEach(teamId => {
+      const newRank = ranks[teamId] !== undefined ? ranks[teamId] : null;
+      shifts[teamId] = newRank !== null ? baseline[teamId] - newRank : null;
+
+      if (shifts[teamId] !== 0) movedTeams++;
+      if (shifts[teamId] !== null) maxShift = Math.max(maxShift, Math.abs(shifts[teamId]));
+
+      const wasInside = baseline[teamId] <= topK;
+      const isInside = newRank !== null && newRank <= topK;
+      if (!wasInside && isInside) enteredTopK.push(teamId);
+      if (wasInside && !isInside) leftTopK.push(teamId);
+    });
+
+    return {
+      judge_id: judgeId,
+      ranks,
+      shifts,
+      moved_teams: movedTeams,
+      max_shift: maxShift,
+      entered_top_k: enteredTopK,
+      left_top_k: leftTopK,
+      changes_top_k: enteredTopK.length > 0 || leftTopK.length > 0
+    };
+  });
+
+  return {
+    top_k: topK,
+    baseline,
+    judges,
+    pivotal_judges: judges.filter(j => j.changes_top_k).map(j => j.judge_id)
+  };
+}
+
+/**
+ * Pearson correlation of two equal-length lists
+ * @returns {number|null} - null when either list has no variance
+ */
+function pearsonCorrelation(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    sxx += (xs[i] - meanX) ** 2;
+    syy += (ys[i] - meanY) ** 2;
+  }
+
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/**
+ * Spearman's rho: Pearson correlation of the values' average ranks
+ * @param {Array<number>} xs
+ * @param {Array<number>} ys - paired with xs
+ * @returns {number|null}
+ */
+export function spearmanCorrelation(xs, ys) {
+  const toRanks = (values) => {
+    const ranks = averageRanks(values.map((value, key) => ({ key, value })));
+    return values.map((_, index) => ranks[index]);
+  };
+  return pearsonCorrelation(toRanks(xs), toRanks(ys));
+}
+
+/**
+ * Kendall's tau-b, corrected for ties in either list
+ * @param {Array<number>} xs
+ * @param {Array<number>} ys - paired with xs
+ * @returns {number|null}
+ */
+export function kendallTau(xs, ys) {
+  let concordant = 0;
+  let discordant = 0;
+  let tiedX = 0;
+  let tiedY = 0;
+
+  for (let i = 0; i < xs.length; i++) {
+    for (let j = i + 1; j < xs.length; j++) {
+      const dx = Math.sign(xs[i] - xs[j]);
+      const dy = Math.sign(ys[i] - ys[j]);
+      if (dx === 0 && dy === 0) continue;
+      if (dx === 0) tiedX++;
+      else if (dy === 0) tiedY++;
+      else if (dx === dy) concordant++;
+      else discordant++;
+    }
+  }
+
+  const denominator = Math.sqrt((concordant + discordant + tiedX) * (concordant + discordant + tiedY));
+  return denominator > 0 ? (concordant - discordant) / denominator : null;
+}
+
+/**
+ * Kendall's W over the teams every judge scored, with the tie correction.
+ * 0 = no agreement on the order, 1 = identical rankings
+ * @param {Object} matrix - {judgeId: {teamId: value}}
+ * @returns {Object|null} - {value, judges, teams}; null with fewer than 2
+ *   judges or 2 commonly scored teams
+ */
+export function kendallsW(matrix) {
+  const judgeIds = Object.keys(matrix);
+  if (judgeIds.length < 2) return null;
+
+  const teamIds = Object.keys(matrix[judgeIds[0]])
+    .filter(teamId => judgeIds.every(judgeId => typeof matrix[judgeId][teamId] === 'number'));
+  const m = judgeIds.length;
+  const n = teamIds.length;
+  if (n < 2) return null;
+
+  const rankSums = teamIds.map(() => 0);
+  let tieCorrection = 0;
+  judgeIds.forEach(judgeId => {
+    const ranks = averageRanks(teamIds.map(teamId => ({ key: teamId, value: matrix[judgeId][teamId] })));
+    const tieGroups = {};
+    teamIds.forEach((teamId, index) => {
+      rankSums[index] += ranks[teamId];
+      tieGroups[ranks[teamId]] = (tieGroups[ranks[teamId]] || 0) + 1;
+    });
+    Object.values(tieGroups).forEach(t => { tieCorrection += t ** 3 - t; });
+  });
+
+  const meanRankSum = (m * (n + 1)) / 2;
+  const s = rankSums.reduce((sum, rankSum) => sum + (rankSum - meanRankSum) ** 2, 0);
+  const denominator = m * m * (n ** 3 - n) - m * tieCorrection;
+
+  return { value: denominator > 0 ? (12 * s) / denominator : null, judges: m, teams: n };
+}
+
+/**
+ * Group a judge × team matrix by team
+ * @returns {Array<Array<number>>} - each team's values
+ */
+function valuesByTeam(matrix) {
+  const byTeam = {};
+  Object.values(matrix).forEach(teamValues => {
+    Object.entries(teamValues).forEach(([teamId, value]) => {
+      if (!byTeam[teamId]) byTeam[teamId] = [];
+      byTeam[teamId].push(value);
+    });
+  });
+  return Object.values(byTeam);
+}
+
+/**
+ * One-way random-effects ICC(1) for a single judge's score. Teams may be
+ * scored by different judges and different numbers of them; the group size
+ * is the unbalanced-design average k0
+ * @param {Object} matrix - {judgeId: {teamId: value}}
+ * @returns {number|null}
+ */
+export function intraclassCorrelation(matrix) {
+  const groups = valuesByTeam(matrix);
+  const g = groups.length;
+  const total = groups.reduce((sum, values) => sum + values.length, 0);
+  if (g < 2 || total - g < 1) return null;
+
+  const grandMean = groups.flat().reduce((sum, v) => sum + v, 0) / total;
+  let ssBetween = 0;
+  let ssWithin = 0;
+  groups.forEach(values => {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    ssBetween += values.length * (mean - grandMean) ** 2;
+    values.forEach(v => { ssWithin += (v - mean) ** 2; });
+  });
+
+  const msBetween = ssBetween / (g - 1);
+  const msWithin = ssWithin / (total - g);
+  const k0 = (total - groups.reduce((sum, values) => sum + values.length ** 2, 0) / total) / (g - 1);
+  const denominator = msBetween + (k0 - 1) * msWithin;
+
+  return denominator > 0 ? (msBetween - msWithin) / denominator : null;
+}
+
+/**
+ * Krippendorff's alpha with the interval metric. Teams with a single score
+ * are not pairable and are skipped, so missing evaluations need no imputation
+ * @param {Object} matrix - {judgeId: {teamId: value}}
+ * @returns {number|null}
+ */
+export function krippendorffAlpha(matrix) {
+  const units = valuesByTeam(matrix).filter(values => values.length >= 2);
+  const n = units.reduce((sum, values) => sum + values.length, 0);
+  if (units.length === 0 || n < 2) return null;
+
+  // Σ over ordered pairs i ≠ j of (v_i − v_j)² = 2 (m Σv² − (Σv)²)
+  const pairDisagreement = (values) => {
+    const sum = values.reduce((s, v) => s + v, 0);
+    const sumSquares = values.reduce((s, v) => s + v * v, 0);
+    return 2 * (values.length * sumSquares - sum * sum);
+  };
+
+  const observed = units.reduce((sum, values) => sum + pairDisagreement(values) / (values.length - 1), 0) / n;
+  const expected = pairDisagreement(units.flat()) / (n * (n - 1));
+
+  return expected > 0 ? 1 - observed / expected : null;
+}
+
+/**
+ * Correlate every pair of judges on the teams both scored
+ * @param {Object} matrix - {judgeId: {teamId: value}}
+ * @param {Function} correlate - (xs, ys) => number|null
+ * @returns {Object} - {judgeA: {judgeB: {value, teams}}}
+ */
+function pairwiseAgreement(matrix, correlate) {
+  const judgeIds = Object.keys(matrix);
+  const agreement = {};
+  judgeIds.forEach(judgeId => { agreement[judgeId] = {}; });
+
+  judgeIds.forEach((a, index) => {
+    judgeIds.slice(index + 1).forEach(b => {
+      const shared = Object.keys(matrix[a]).filter(teamId => typeof matrix[b][teamId] === 'number');
+      const value = shared.length >= RELIABILITY_MIN_OVERLAP
+        ? correlate(shared.map(teamId => matrix[a][teamId]), shared.map(teamId => matrix[b][teamId]))
+        : null;
+      agreement[a][b] = { value, teams: shared.length };
+      agreement[b][a] = { value, teams: shared.length };
+    });
+  });
+
+  return agreement;
+}
+
+/**
+ * A judge's mean pairwise correlation with the rest of the panel
+ * @returns {number|null}
+ */
+function meanAgreement(agreement, judgeId) {
+  const values = Object.values(agreement[judgeId] || {})
+    .map(pair => pair.value)
+    .filter(value => value !== null);
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Inter-rater reliability of a round's panel, on raw totals and on each
+ * scored criterion. Missing evaluations are expected: pairwise correlations
+ * use the teams both judges scored, Kendall's W the teams every judge
+ * scored, and ICC(1) and Krippendorff's alpha whatever each team received
+ * @param {Array} evaluations - [{judge_id, team_id, scores}]
+ * @param {Array} criteria
+ * @returns {Object} - {judge_ids, overall, criteria: {criterionId: ...}}, each
+ *   {spearman, kendall: {judgeA: {judgeB: {value, teams}}}, kendalls_w,
+ *   icc, krippendorff_alpha, judge_agreement: {judgeId: {spearman, kendall}}, evaluations}
+ */
+export function computeInterRaterReliability(evaluations, criteria) {
+  const judgeIds = [...new Set(evaluations.map(e => e.judge_id))];
+
+  const reliability = (valueOf) => {
+    const matrix = {};
+    let count = 0;
+    evaluations.forEach(evalItem => {
+      const value = valueOf(evalItem);
+      if (typeof value !== 'number' || isNaN(value)) return;
+      if (!matrix[evalItem.judge_id]) matrix[evalItem.judge_id] = {};
+      matrix[evalItem.judge_id][evalItem.team_id] = value;
+      count++;
+    });
+
+    const spearman = pairwiseAgreement(matrix, spearmanCorrelation);
+    const kendall = pairwiseAgreement(matrix, kendallTau);
+    const judgeAgreement = {};
+    Object.keys(matrix).forEach(judgeId => {
+      judgeAgreement[judgeId] = {
+        spearman: meanAgreement(spearman, judgeId),
+        kendall: meanAgreement(kendall, judgeId)
+      };
+    });
+
+    return {
+      spearman,
+      kendall,
+      kendalls_w: kendallsW(matrix),
+      icc: intraclassCorrelation(matrix),
+      krippendorff_alpha: krippendorffAlpha(matrix),
+      judge_agreement: judgeAgreement,
+      evaluations: count
+    };
+  };
+
+  const perCriterion = {};
+  criteria.filter(criterion => !isGateCriterion(criterion)).forEach(criterion => {
+    perCriterion[criterion.id] = reliability(evalItem => evalItem.scores?.[criterion.id]);
+  });
+
+  return {
+    judge_ids: judgeIds,
+    overall: reliability(evalItem => computeRawTotal(evalItem, criteria)),
+    criteria: perCriterion
+  };
+}
+
+const BIAS_SEVERITY_ORDER = [BiasSeverity.HIGH, BiasSeverity.MEDIUM, BiasSeverity.LOW];
+
+function criterionRange(criterion) {
+  if (criterion.scale_type === CriterionScaleTypes.PERCENTAGE) return { min: 0, max: 100 };
+  return { min: Number(criterion.min_marks) || 0, max: Number(criterion.max_marks) || 0 };
+}
+
+function meanOf(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function standardDeviation(values) {
+  const mean = meanOf(values);
+  if (mean === null) return null;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+const formatShare = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Look for the classic rater errors in each judge's submitted sheets. Scores
+ * are compared as positions on their criterion's scale (0 = min, 1 = max),
+ * so criteria with different ranges can be pooled. Gate criteria are skipped
+ * - LENIENCY / SEVERITY: mean gap from the other judges who scored the same
+ *   teams and criteria. A judge sharing too few teams is compared with the
+ *   panel-wide mean instead, which team quality can explain, so at most LOW
+ * - HALO: mean correlation between the judge's criteria across teams, well
+ *   above the rest of the panel's
+ * - CENTRAL_TENDENCY: nearly all scores in the middle band, with a spread
+ *   well below the panel's
+ * - STRAIGHT_LINING: sheets giving every criterion the same scale position
+ * @param {Array} evaluations - submitted [{judge_id, team_id, scores}]
+ * @param {Array} criteria
+ * @param {Object} options - overrides for RATER_BIAS_THRESHOLDS
+ * @returns {Array} - [{judge_id, type, severity, evidence, metrics}], most severe first
+ */
+export function detectRaterBiases(evaluations, criteria, options = {}) {
+  const thresholds = { ...RATER_BIAS_THRESHOLDS, ...options };
+  const scoredCriteria = criteria.filter(c => {
+    const { min, max } = criterionRange(c);
+    return !isGateCriterion(c) && max > min;
+  });
+
+  const positionOf = (evalItem, criterion) => {
+    const score = evalItem.scores?.[criterion.id];
+    if (typeof score !== 'number' || isNaN(score)) return null;
+    const { min, max } = criterionRange(criterion);
+    return (score - min) / (max - min);
+  };
+
+  const byJudge = {};
+  evaluations.forEach(evalItem => {
+    if (!byJudge[evalItem.judge_id]) byJudge[evalItem.judge_id] = [];
+    byJudge[evalItem.judge_id].push(evalItem);
+  });
+  const positionsOf = (judgeEvals) => judgeEvals.flatMap(evalItem =>
+    scoredCriteria.map(c => positionOf(evalItem, c)).filter(p => p !== null)
+  );
+
+  // Mean correlation between every pair of the judge's criteria across teams
+  const criterionCorrelation = (judgeEvals) => {
+    const values = [];
+    scoredCriteria.forEach((a, i) => {
+      scoredCriteria.slice(i + 1).forEach(b => {
+        const pairs = judgeEvals
+          .map(evalItem => [positionOf(evalItem, a), positionOf(evalItem, b)])
+          .filter(([x, y]) => x !== null && y !== null);
+        if (pairs.length < thresholds.minEvaluations) return;
+        const r = pearsonCorrelation(pairs.map(p => p[0]), pairs.map(p => p[1]));
+        if (r !== null) values.push(r);
+      });
+    });
+    return meanOf(values);
+  };
+
+  const checkedJudges = Object.keys(byJudge).filter(judgeId => byJudge[judgeId].length >= thresholds.minEvaluations);
+  const correlations = {};
+  checkedJudges.forEach(judgeId => {
+    correlations[judgeId] = criterionCorrelation(byJudge[judgeId]);
+  });
+
+  const findings = [];
+  const report = (judgeId, type, severity, evidence, metrics) => {
+    findings.push({ judge_id: judgeId, type, severity, evidence, metrics });
+  };
+
+  checkedJudges.forEach(judgeId => {
+    const judgeEvals = byJudge[judgeId];
+    const otherEvals = evaluations.filter(e => e.judge_id !== judgeId);
+
+    // Leniency / severity
+    const gaps = [];
+    const sharedTeams = new Set();
+    judgeEvals.forEach(evalItem => {
+      const peers = otherEvals.filter(e => e.team_id === evalItem.team_id);
+      scoredCriteria.forEach(c => {
+        const own = positionOf(evalItem, c);
+        const peerMean = meanOf(peers.map(e => positionOf(e, c)).filter(p => p !== null));
+        if (own === null || peerMean === null) return;
+        gaps.push(own - peerMean);
+        sharedTeams.add(evalItem.team_id);
+      });
+    });
+
+    const ownPositions = positionsOf(judgeEvals);
+    const panelPositions = positionsOf(otherEvals);
+    const sameTeams = sharedTeams.size >= thresholds.minSharedTeams;
+    const gap = sameTeams
+      ? meanOf(gaps)
+      : (ownPositions.length > 0 && panelPositions.length > 0 ? meanOf(ownPositions) - meanOf(panelPositions) : null);
+    if (gap !== null && Math.abs(gap) >= thresholds.leniencyShare) {
+      let severity = BiasSeverity.LOW;
+      if (sameTeams && Math.abs(gap) >= thresholds.leniencyShare * 2) severity = BiasSeverity.HIGH;
+      else if (sameTeams && Math.abs(gap) >= thresholds.leniencyShare * 1.5) severity = BiasSeverity.MEDIUM;
+
+      report(
+        judgeId,
+        gap > 0 ? RaterBiasTypes.LENIENCY : RaterBiasTypes.SEVERITY,
+        severity,
+        sameTeams
+          ? `Scores ${formatShare(Math.abs(gap))} of the scale ${gap > 0 ? 'above' : 'below'} the other judges on the same ${sharedTeams.size} teams`
+          : `Average score ${formatShare(Math.abs(gap))} of the scale ${gap > 0 ? 'above' : 'below'} the rest of the panel; no teams in common, so team quality may explain it`,
+        { gap, shared_teams: sharedTeams.size }
+      );
+    }
+
+    // Halo
+    const correlation = correlations[judgeId];
+    const panelCorrelation = meanOf(
+      checkedJudges.filter(id => id !== judgeId && correlations[id] !== null).map(id => correlations[id])
+    );
+    if (correlation !== null && correlation >= thresholds.haloCorrelation &&
+        (panelCorrelation === null || correlation - panelCorrelation >= thresholds.haloMargin)) {
+      let severity = BiasSeverity.LOW;
+      if (correlation >= 0.97) severity = BiasSeverity.HIGH;
+      else if (correlation >= (thresholds.haloCorrelation + 0.97) / 2) severity = BiasSeverity.MEDIUM;
+
+      report(
+        judgeId,
+        RaterBiasTypes.HALO,
+        severity,
+        `Criteria move together across teams (r = ${correlation.toFixed(2)}${panelCorrelation !== null ? `, panel ${panelCorrelation.toFixed(2)}` : ''})`,
+        { correlation, panel_correlation: panelCorrelation }
+      );
+    }
+
+    // Central tendency
+    const spread = standardDeviation(ownPositions);
+    const panelSpread = standardDeviation(panelPositions);
+    if (spread !== null && panelSpread) {
+      const middleShare = ownPositions.filter(p => Math.abs(p - 0.5) <= thresholds.centralBand).length / ownPositions.length;
+      const spreadRatio = spread / panelSpread;
+      if (middleShare >= thresholds.centralShare && spreadRatio <= thresholds.centralSpreadRatio) {
+        let severity = BiasSeverity.LOW;
+        if (middleShare >= 0.95 && spreadRatio <= thresholds.centralSpreadRatio / 2) severity = BiasSeverity.HIGH;
+        else if (spreadRatio <= thresholds.centralSpreadRatio * 0.75) severity = BiasSeverity.MEDIUM;
+
+        report(
+          judgeId,
+          RaterBiasTypes.CENTRAL_TENDENCY,
+          severity,
+          `${formatShare(middleShare)} of scores in the middle ${formatShare(thresholds.centralBand * 2)} of the scale, with ${formatShare(spreadRatio)} of the panel's spread`,
+          { middle_share: middleShare, spread_ratio: spreadRatio }
+        );
+      }
+    }
+
+    // Straight-lining
+    const sheets = judgeEvals
+      .map(evalItem => scoredCriteria.map(c => positionOf(evalItem, c)).filter(p => p !== null))
+      .filter(positions => positions.length >= 2);
+    const flatSheets = sheets.filter(positions => Math.max(...positions) - Math.min(...positions) < 1e-9).length;
+    if (sheets.length > 0 && flatSheets / sheets.length >= thresholds.straightLineShare) {
+      const share = flatSheets / sheets.length;
+      let severity = BiasSeverity.LOW;
+      if (share >= 0.9) severity = BiasSeverity.HIGH;
+      else if (share >= 0.7) severity = BiasSeverity.MEDIUM;
+
+      report(
+        judgeId,
+        RaterBiasTypes.STRAIGHT_LINING,
+        severity,
+        `${flatSheets} of ${sheets.length} score sheets put every criterion at the same point of the scale`,
+        { flat_sheets: flatSheets, sheets: sheets.length }
+      );
+    }
+  });
+
+  return findings.sort((a, b) =>
+    BIAS_SEVERITY_ORDER.indexOf(a.severity) - BIAS_SEVERITY_ORDER.indexOf(b.severity) ||
+    String(a.judge_id).localeCompare(String(b.judge_id))
+  );
+}
+
 /**
  * Main computation function for a round
+ * @param {Array} evaluations
+ * @param {Array} criteria
+ * @param {Object} options - {method, judgeWeights: {judgeId: weight}, aggregationMode,
+ *   tieBreakPolicy: ordered tie-break rules, teamSubmittedAt: {teamId: submission time},
+ *   rankingStyle: RankingStyles value,
+ *   bootstrapIterations: resamples for rank intervals (0 / omitted = skip)}
  */
 export function computeRoundNormalization(evaluations, criteria, options = {}) {
+  // Gate criteria only decide eligibility. Teams that fail one are left out
+  // entirely so they don't shift the judges' statistics either
+  const failedGates = findIneligibleTeams(evaluations, criteria);
+  const eligibleEvaluations = evaluations.filter(e => !failedGates[e.team_id]);
+  const scoredCriteria = criteria.filter(c => !isGateCriterion(c));
+  if (scoredCriteria.length === 0) {
+    throw new Error('At least one criterion besides gate criteria is needed to rank teams');
+  }
+
   const method = options.method || NormalizationMethods.Z_SCORE;
-  // judgeWeights option is currently ignored/deprecated as user specified direct summation 
-  // but if needed we could multiply `totalWeightedZ` by judge weight. 
-  // For now, assuming standard summation as per user formula Z1 = (Z1)j1 + (Z1)j2
+  // Judges without an explicit weight count as 1.0, so Z = Σ w_j × (Z)j
+  const judgeWeights = options.judgeWeights || {};
+  const aggregationMode = options.aggregationMode || AggregationModes.SUM;
 
-  // 1. Per Judge Normalization
-  const perJudgeResults = computePerJudgeNormalization(evaluations, criteria, method);
+  // 1. Per Judge Normalization (or round-wide judge-effect fit)
+  const judgeEffects = method === NormalizationMethods.JUDGE_EFFECT
+    ? fitJudgeEffects(eligibleEvaluations, scoredCriteria)
+    : null;
+  const perJudgeResults = judgeEffects
+    ? computeJudgeEffectNormalization(eligibleEvaluations, scoredCriteria, judgeEffects)
+    : computePerJudgeNormalization(eligibleEvaluations, scoredCriteria, method);
 
-  // 2. Aggregation (Summation)
-  const aggregatedResults = aggregateAcrossJudges(perJudgeResults, criteria);
+  // 2. Aggregation (Weighted Summation / Mean)
+  let aggregatedResults = aggregateAcrossJudges(perJudgeResults, scoredCriteria, judgeWeights, aggregationMode);
+
+  // Schulze replaces the Borda total with pairwise strongest-path wins;
+  // the Borda criterion points stay as tie-breakers
+  if (method === NormalizationMethods.SCHULZE) {
+    const wins = computeSchulzeWins(perJudgeResults, judgeWeights);
+    aggregatedResults = aggregatedResults.map(result => ({
+      ...result,
+      borda_score: result.aggregated_z,
+      aggregated_z: wins[result.team_id] || 0
+    }));
+  }
 
   // 3. Ranking & Tie-Breaking
-  const finalResults = convertToPercentilesAndRanks(aggregatedResults, criteria);
+  const finalResults = convertToPercentilesAndRanks(aggregatedResults, scoredCriteria, {
+    policy: options.tieBreakPolicy,
+    submittedAt: options.teamSubmittedAt,
+    rankingStyle: options.rankingStyle
+  });
+
+  // 4. Rank stability (optional, reruns steps 1-3 per resample)
+  if (options.bootstrapIterations > 0) {
+    const intervals = bootstrapRankIntervals(eligibleEvaluations, scoredCriteria, {
+      method,
+      judgeWeights,
+      aggregationMode,
+      tieBreakPolicy: options.tieBreakPolicy,
+      teamSubmittedAt: options.teamSubmittedAt,
+      rankingStyle: options.rankingStyle,
+      iterations: options.bootstrapIterations
+    });
+    finalResults.forEach(result => {
+      result.rank_interval = intervals[result.team_id] || null;
+    });
+  }
 
   return {
     perJudgeResults,
     aggregatedResults,
-    finalResults
+    finalResults,
+    judgeEffects,
+    ineligibleTeams: Object.entries(failedGates).map(([teamId, gateIds]) => ({
+      team_id: teamId,
+      failed_gates: gateIds,
+      evaluations: evaluations
+        .filter(e => e.team_id === teamId)
+        .map(e => ({ ...e, raw_total: computeRawTotal(e, criteria) }))
+    })),
+    warnings: judgeEffects ? judgeEffects.warnings : []
   };
 }
 
+/**
+ * Fit a Bradley–Terry model, P(a beats b) = p_a / (p_a + p_b), with the
+ * minorization–maximization updates. A tie counts as half a win for each team.
+ * @param {Array} comparisons - [{judge_id, team_a_id, team_b_id, winner_team_id (null = tie)}, ...]
+ * @param {Object} judgeWeights - { judgeId: weight }, scales each judge's comparisons
+ * @returns {Object} - { teamId: { strength, log_strength, wins, games } }
+ */
+export function fitBradleyTerry(comparisons, judgeWeights = {}) {
+  const teams = {};
+  const pairGames = {};
 
+  const ensureTeam = (teamId) => {
+    if (!teams[teamId]) {
+      teams[teamId] = { strength: 1, wins: BRADLEY_TERRY_PRIOR_GAMES, games: 0 };
+      pairGames[teamId] = {};
+    }
+  };
+
+  comparisons.forEach(c => {
+    const weight = judgeWeights[c.judge_id] || 1.0;
+    ensureTeam(c.team_a_id);
+    ensureTeam(c.team_b_id);
+
+    pairGames[c.team_a_id][c.team_b_id] = (pairGames[c.team_a_id][c.team_b_id] || 0) + weight;
+    pairGames[c.team_b_id][c.team_a_id] = (pairGames[c.team_b_id][c.team_a_id] || 0) + weight;
+    teams[c.team_a_id].games += weight;
+    teams[c.team_b_id].games += weight;
+
+    if (!c.winner_team_id) {
+      teams[c.team_a_id].wins += weight / 2;
+      teams[c.team_b_id].wins += weight / 2;
+    } else if (teams[c.winner_team_id]) {
+      teams[c.winner_team_id].wins += weight;
+    }
+  });
 
+  const teamIds = Object.keys(teams);
+
+  for (let iteration = 0; iteration < BRADLEY_TERRY_MAX_ITERATIONS; iteration++) {
+    let maxChange = 0;
+    const next = {};
+
+    teamIds.forEach(teamId => {
+      const p = teams[teamId].strength;
+      // Virtual games against an opponent of strength 1
+      let denominator = (2 * BRADLEY_TERRY_PRIOR_GAMES) / (p + 1);
+      Object.entries(pairGames[teamId]).forEach(([opponentId, games]) => {
+        denominator += games / (p + teams[opponentId].strength);
+      });
+      next[teamId] = teams[teamId].wins / denominator;
+    });
+
+    teamIds.forEach(teamId => {
+      maxChange = Math.max(maxChange, Math.abs(Math.log(next[teamId]) - Math.log(teams[teamId].strength)));
+      teams[teamId].strength = next[teamId];
+    });
+
+    if (maxChange < BRADLEY_TERRY_TOLERANCE) break;
+  }
+
+  const fitted = {};
+  teamIds.forEach(teamId => {
+    fitted[teamId] = {
+      strength: teams[teamId].strength,
+      log_strength: Math.log(teams[teamId].strength),
+      wins: teams[teamId].wins - BRADLEY_TERRY_PRIOR_GAMES,
+      games: teams[teamId].games
+    };
+  });
 
+  return fitted;
+}
+
+/**
+ * Pick the most informative pair for a judge to compare next: teams whose
+ * fitted strengths are close (P(win) near 0.5) and that have rarely been
+ * compared with each other. Pairs the judge already compared are skipped.
+ * @param {Array} teamIds - teams this judge can compare
+ * @param {Array} comparisons - all comparisons in the round so far
+ * @param {string} judgeId
+ * @returns {Array|null} - [teamAId, teamBId] or null when every pair is done
+ */
+export function selectNextComparisonPair(teamIds, comparisons, judgeId) {
+  const fitted = fitBradleyTerry(comparisons);
+  const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+  const pairCounts = {};
+  const teamCounts = {};
+  const judgePairs = new Set();
+  comparisons.forEach(c => {
+    const key = pairKey(c.team_a_id, c.team_b_id);
+    pairCounts[key] = (pairCounts[key] || 0) + 1;
+    teamCounts[c.team_a_id] = (teamCounts[c.team_a_id] || 0) + 1;
+    teamCounts[c.team_b_id] = (teamCounts[c.team_b_id] || 0) + 1;
+    if (c.judge_id === judgeId) judgePairs.add(key);
+  });
+
+  let best = null;
+  for (let i = 0; i < teamIds.length; i++) {
+    for (let j = i + 1; j < teamIds.length; j++) {
+      const a = teamIds[i];
+      const b = teamIds[j];
+      const key = pairKey(a, b);
+      if (judgePairs.has(key)) continue;
+
+      const pa = fitted[a]?.strength || 1;
+      const pb = fitted[b]?.strength || 1;
+      const pWin = pa / (pa + pb);
+      // Fisher information of one comparison, discounted for repeated pairs
+      const information = (pWin * (1 - pWin)) / (1 + (pairCounts[key] || 0));
+      const exposure = (teamCounts[a] || 0) + (teamCounts[b] || 0);
+
+      if (
+        !best ||
+        information > best.information + 1e-12 ||
+        (Math.abs(information - best.information) <= 1e-12 && exposure < best.exposure)
+      ) {
+        best = { pair: [a, b], information, exposure };
+      }
+    }
+  }
+
+  return best ? best.pair : null;
+}
+
+/**
+ * Rank a pairwise round with Bradley–Terry. Output matches
+ * computeRoundNormalization so results storage, selection and exports work
+ * unchanged: aggregated_z is the centered log-strength, and each judge row
+ * carries raw_total = wins given by that judge and z_score = that judge's
+ * net win rate for the team.
+ * @param {Array} comparisons
+ * @param {Object} options - {judgeWeights: {judgeId: weight}, tieBreakPolicy, teamSubmittedAt, rankingStyle}
+ * @returns {Object} - { perJudgeResults, aggregatedResults, finalResults, warnings }
+ */
+export function computePairwiseRanking(comparisons, options = {}) {
+  const judgeWeights = options.judgeWeights || {};
+  const fitted = fitBradleyTerry(comparisons, judgeWeights);
+
+  const teamIds = Object.keys(fitted);
+  const meanLog = teamIds.length > 0
+    ? teamIds.reduce((acc, id) => acc + fitted[id].log_strength, 0) / teamIds.length
+    : 0;
+
+  const judgeRows = {};
+  const rowFor = (judgeId, teamId) => {
+    const key = `${judgeId}|${teamId}`;
+    if (!judgeRows[key]) {
+      judgeRows[key] = { judge_id: judgeId, team_id: teamId, wins: 0, losses: 0, games: 0 };
+    }
+    return judgeRows[key];
+  };
+
+  comparisons.forEach(c => {
+    const rowA = rowFor(c.judge_id, c.team_a_id);
+    const rowB = rowFor(c.judge_id, c.team_b_id);
+    rowA.games++;
+    rowB.games++;
+    if (!c.winner_team_id) {
+      rowA.wins += 0.5;
+      rowA.losses += 0.5;
+      rowB.wins += 0.5;
+      rowB.losses += 0.5;
+    } else if (c.winner_team_id === c.team_a_id) {
+      rowA.wins++;
+      rowB.losses++;
+    } else {
+      rowB.wins++;
+      rowA.losses++;
+    }
+  });
+
+  const perJudgeResults = Object.values(judgeRows).map(row => ({
+    judge_id: row.judge_id,
+    team_id: row.team_id,
+    raw_total: row.wins,
+    z_score: (row.wins - row.losses) / row.games,
+    judge_weight: judgeWeights[row.judge_id] || 1.0,
+    comparisons: row.games,
+    normalization_method: BRADLEY_TERRY_METHOD,
+    criterion_z_scores: {}
+  }));
+
+  const aggregatedResults = teamIds.map(teamId => {
+    const teamResults = perJudgeResults.filter(r => r.team_id === teamId);
+    return {
+      team_id: teamId,
+      aggregated_z: fitted[teamId].log_strength - meanLog,
+      strength: fitted[teamId].strength,
+      judge_count: teamResults.length,
+      // Win rate stands in for the raw total in the final tie-break
+      mean_raw_total: fitted[teamId].games > 0 ? fitted[teamId].wins / fitted[teamId].games : 0,
+      aggregated_criterion_z: {},
+      team_results: teamResults
+    };
+  });
+
+  const finalResults = convertToPercentilesAndRanks(aggregatedResults, [], {
+    policy: options.tieBreakPolicy,
+    submittedAt: options.teamSubmittedAt,
+    rankingStyle: options.rankingStyle
+  });
+
+  const warnings = [];
+  const components = connectedComponents(comparisons.map(c => [c.team_a_id, c.team_b_id]));
+  if (components.length > 1) {
+    warnings.push(
+      `Teams fall into ${components.length} groups that were never compared with each other; ` +
+      'their relative order comes only from the prior. Collect more comparisons across groups.'
+    );
+  }
+
+  return { perJudgeResults, aggregatedResults, finalResults, warnings };
+}
+
+/**
+ * Event-level final standings: combine each team's round percentiles with
+ * per-round carry-over weights (e.g. 30% round 1, 70% round 2).
+ * Percentiles are used because they mean the same thing for every
+ * normalization method and round type.
+ * Teams that reached a later round always place above teams eliminated
+ * earlier; within the same stage, final_score = Σ_r w_r × P_r / Σ_r w_r over
+ * the rounds the team took part in (plain mean if those weights are all zero).
+ * With an audience weight, the team's audience vote percentile is one more
+ * term of that mean (0 for teams missing from the tally).
+ * A team that failed a gate in any round (is_eligible false) is listed
+ * unranked after every ranked team, with no final score
+ * @param {Array} rounds - [{round_id, round_number, weight, results: [{team_id, percentile, is_eligible}]}]
+ * @param {Object} options - {rankingStyle: RankingStyles value,
+ *   audience: {weight, results: [{team_id, percentile}]}}
+ * @returns {Array} - [{team_id, final_score, rank, is_eligible, ineligible_round_id,
+ *   rounds_reached, last_round_id, round_scores: {roundId: percentile},
+ *   audience_score (null without an audience weight)}]
+ */
+export function combineRoundStandings(rounds, options = {}) {
+  const EPSILON = 0.0001;
+  const audienceWeight = Math.max(Number(options.audience?.weight) || 0, 0);
+  const audiencePercentiles = {};
+  (options.audience?.results || []).forEach(result => {
+    audiencePercentiles[result.team_id] = Number(result.percentile) || 0;
+  });
+  const ordered = [...rounds]
+    .filter(round => round.results && round.results.length > 0)
+    .sort((a, b) => a.round_number - b.round_number);
+
+  const teams = {};
+  ordered.forEach((round, stage) => {
+    const weight = round.weight !== null && round.weight !== undefined
+      ? Number(round.weight)
+      : DEFAULT_ROUND_FINAL_WEIGHT;
+
+    round.results.forEach(result => {
+      if (!teams[result.team_id]) {
+        teams[result.team_id] = {
+          team_id: result.team_id,
+          round_scores: {},
+          weighted_sum: 0,
+          weight_total: 0,
+          stage: 0,
+          last_round_id: null,
+          ineligible_round_id: null
+        };
+      }
+      const team = teams[result.team_id];
+      team.stage = stage;
+      team.last_round_id = round.round_id;
+
+      // Failed a gate: no percentile to carry, and no place in the standings
+      if (result.is_eligible === false) {
+        team.ineligible_round_id = round.round_id;
+        return;
+      }
+      const percentile = Number(result.percentile) || 0;
+      team.round_scores[round.round_id] = percentile;
+      team.weighted_sum += weight * percentile;
+      team.weight_total += weight;
+    });
+  });
+
+  const standings = Object.values(teams).map(team => {
+    const scores = Object.values(team.round_scores);
+    const audienceScore = audienceWeight > 0 ? (audiencePercentiles[team.team_id] ?? 0) : null;
+    const weightedSum = team.weighted_sum + (audienceScore !== null ? audienceWeight * audienceScore : 0);
+    const weightTotal = team.weight_total + (audienceScore !== null ? audienceWeight : 0);
+    const isEligible = team.ineligible_round_id === null;
+    const finalScore = !isEligible ? null
+      : weightTotal > 0
+        ? weightedSum / weightTotal
+        : scores.reduce((sum, p) => sum + p, 0) / scores.length;
+
+    return {
+      team_id: team.team_id,
+      final_score: finalScore,
+      is_eligible: isEligible,
+      ineligible_round_id: team.ineligible_round_id,
+      rounds_reached: team.stage + 1,
+      last_round_id: team.last_round_id,
+      round_scores: team.round_scores,
+      audience_score: audienceScore
+    };
+  });
+
+  standings.sort((a, b) => {
+    if (a.is_eligible !== b.is_eligible) return a.is_eligible ? -1 : 1;
+    if (a.rounds_reached !== b.rounds_reached) return b.rounds_reached - a.rounds_reached;
+    if (a.is_eligible && Math.abs(a.final_score - b.final_score) > EPSILON) return b.final_score - a.final_score;
+    return String(a.team_id).localeCompare(String(b.team_id));
+  });
+
+  const ranked = standings.filter(team => team.is_eligible);
+  const ranks = assignRanks(
+    ranked.map((team, index) => index > 0 &&
+      team.rounds_reached === ranked[index - 1].rounds_reached &&
+      Math.abs(team.final_score - ranked[index - 1].final_score) <= EPSILON),
+    options.rankingStyle
+  );
+  standings.forEach((team, index) => {
+    team.rank = team.is_eligible ? ranks[index] : null;
+  });
+
+  return standings;
+}
@@ -4,7 +4,30 @@ import {
   aggregateAcrossJudges,
   convertToPercentilesAndRanks,
   computeRoundNormalization,
-  NormalizationMethods
+  fitJudgeEffects,
+  fitBradleyTerry,
+  selectNextComparisonPair,
+  computePairwiseRanking,
+  bootstrapRankIntervals,
+  topKProbability,
+  isCutoffFragile,
+  leaveOneJudgeOut,
+  combineRoundStandings,
+  validateCriterionScore,
+  NormalizationMethods,
+  AggregationModes,
+  TieBreakRules,
+  RankingStyles,
+  CriterionScaleTypes,
+  resolveCriterionWeights,
+  applyCriterionWeightOverrides,
+  spearmanCorrelation,
+  kendallTau,
+  computeInterRaterReliability,
+  detectRaterBiases,
+  RaterBiasTypes,
+  BiasSeverity,
+  assignRanks
 } from './normalizationService';
 
 describe('Normalization Service', () => {
@@ -71,6 +94,328 @@ describe('Normalization Service', () => {
     });
   });
 
+  describe('ROBUST_MAD normalization', () => {
+    const singleCriterion = [{ id: 'c1', weight: 1 }];
+
+    test('normalizes with median and scaled MAD', () => {
+      // Scores: [5, 6, 7, 100] -> Median = 6.5
+      // Absolute deviations: [1.5, 0.5, 0.5, 93.5] -> MAD = 1.0
+      const evaluations = [
+        { judge_id: 'j1', team_id: 't1', scores: { c1: 5 } },
+        { judge_id: 'j1', team_id: 't2', scores: { c1: 6 } },
+        { judge_id: 'j1', team_id: 't3', scores: { c1: 7 } },
+        { judge_id: 'j1', team_id: 't4', scores: { c1: 100 } }
+      ];
+
+      const results = computePerJudgeNormalization(
+        evaluations, singleCriterion, NormalizationMethods.ROBUST_MAD
+      );
+
+      const t3 = results.find(r => r.team_id === 't3');
+      // (7 - 6.5) / (1.4826 * 1.0) = 0.3372
+      expect(t3.z_score).toBeCloseTo(0.3372, 3);
+      expect(t3.judge_median).toBeCloseTo(6.5, 5);
+      expect(t3.judge_mad).toBeCloseTo(1.0, 5);
+      expect(t3.normalization_method).toBe(NormalizationMethods.ROBUST_MAD);
+
+      // The outlier does not flatten the rest of the judge's scale
+      const zScoreResults = computePerJudgeNormalization(evaluations, singleCriterion);
+      const t3ZScore = zScoreResults.find(r => r.team_id === 't3');
+      expect(Math.abs(t3.z_score - results.find(r => r.team_id === 't2').z_score))
+        .toBeGreaterThan(Math.abs(t3ZScore.z_score - zScoreResults.find(r => r.team_id === 't2').z_score));
+    });
+
+    test('falls back to the mean absolute deviation when MAD is zero', () => {
+      const evaluations = [
+        { judge_id: 'j1', team_id: 't1', scores: { c1: 8 } },
+        { judge_id: 'j1', team_id: 't2', scores: { c1: 8 } },
+        { judge_id: 'j1', team_id: 't3', scores: { c1: 3 } }
+      ];
+
+      const results = computePerJudgeNormalization(
+        evaluations, singleCriterion, NormalizationMethods.ROBUST_MAD
+      );
+
+      expect(results.find(r => r.team_id === 't1').z_score).toBe(0);
+      expect(results.find(r => r.team_id === 't2').z_score).toBe(0);
+      // (3 - 8) / (1.2533 * 5/3) = -2.3937
+      const outlier = results.find(r => r.team_id === 't3');
+      expect(outlier.judge_mad).toBe(0);
+      expect(outlier.z_score).toBeLessThan(0);
+      expect(outlier.z_score).toBeCloseTo(-2.3937, 3);
+    });
+
+    test('gives identical scores a z of zero', () => {
+      const evaluations = [
+        { judge_id: 'j1', team_id: 't1', scores: { c1: 6 } },
+        { judge_id: 'j1', team_id: 't2', scores: { c1: 6 } }
+      ];
+
+      const results = computePerJudgeNormalization(
+        evaluations, singleCriterion, NormalizationMethods.ROBUST_MAD
+      );
+
+      results.forEach(r => {
+        expect(r.z_score).toBe(0);
+      });
+    });
+
+    test('is used by computeRoundNormalization when requested', () => {
+      const evaluations = [
+        { judge_id: 'j1', team_id: 'A', scores: { c1: 9 } },
+        { judge_id: 'j1', team_id: 'B', scores: { c1: 7 } },
+        { judge_id: 'j1', team_id: 'C', scores: { c1: 6 } }
+      ];
+
+      const result = computeRoundNormalization(evaluations, singleCriterion, {
+        method: NormalizationMethods.ROBUST_MAD
+      });
+
+      expect(result.perJudgeResults.every(r => r.normalization_method === NormalizationMethods.ROBUST_MAD)).toBe(true);
+      expect(result.finalResults.find(r => r.team_id === 'A').rank).toBe(1);
+    });
+  });
+
+  describe('JUDGE_EFFECT normalization', () => {
+    const singleCriterion = [{ id: 'c1', weight: 1.0 }];
+
+    // True quality: A=9, B=7, C=5, D=3. j2 scores 2 points above j1.
+    const chainEvaluations = [
+      { judge_id: 'j1', team_id: 'A', scores: { c1: 9 } },
+      { judge_id: 'j1', team_id: 'B', scores: { c1: 7 } },
+      { judge_id: 'j2', team_id: 'B', scores: { c1: 9 } },
+      { judge_id: 'j2', team_id: 'C', scores: { c1: 7 } },
+      { judge_id: 'j2', team_id: 'D', scores: { c1: 5 } }
+    ];
+
+    test('recovers judge biases from an incomplete but connected design', () => {
+      const fit = fitJudgeEffects(chainEvaluations, singleCriterion);
+
+      expect(fit.isConnected).toBe(true);
+      expect(fit.warnings).toHaveLength(0);
+      expect(fit.judgeBiases.j1.c1).toBeCloseTo(-1, 5);
+      expect(fit.judgeBiases.j2.c1).toBeCloseTo(1, 5);
+      expect(fit.judgeTotalBias.j2 - fit.judgeTotalBias.j1).toBeCloseTo(2, 5);
+      expect(fit.teamEffects.A.c1 - fit.teamEffects.D.c1).toBeCloseTo(6, 5);
+    });
+
+    test('ranks teams on bias-corrected scores', () => {
+      const result = computeRoundNormalization(chainEvaluations, singleCriterion, {
+        method: NormalizationMethods.JUDGE_EFFECT,
+        aggregationMode: AggregationModes.MEAN
+      });
+
+      expect(result.finalResults.map(r => r.team_id)).toEqual(['A', 'B', 'C', 'D']);
+      expect(result.perJudgeResults[0].normalization_method).toBe(NormalizationMethods.JUDGE_EFFECT);
+      expect(result.warnings).toHaveLength(0);
+    });
+
+    test('warns when the judge-team overlap graph is disconnected', () => {
+      const evaluations = [
+        { judge_id: 'j1', team_id: 'A', scores: { c1: 9 } },
+        { judge_id: 'j1', team_id: 'B', scores: { c1: 7 } },
+        { judge_id: 'j2', team_id: 'C', scores: { c1: 9 } },
+        { judge_id: 'j2', team_id: 'D', scores: { c1: 5 } }
+      ];
+
+      const result = computeRoundNormalization(evaluations, singleCriterion, {
+        method: NormalizationMethods.JUDGE_EFFECT
+      });
+
+      expect(result.judgeEffects.isConnected).toBe(false);
+      expect(result.judgeEffects.components).toHaveLength(2);
+      expect(result.warnings).toHaveLength(1);
+    });
+  });
+
+  describe('Rank-based methods', () => {
+    const singleCriterion = [{ id: 'c1', weight: 1.0 }];
+
+    test('BORDA combines partial rankings with equal weight per judge', () => {
+      const evaluations = [
+        { judge_id: 'j1', team_id: 'A', scores: { c1: 9 } },
+        { judge_id: 'j1', team_id: 'B', scores: { c1: 7 } },
+        { judge_id: 'j1', team_id: 'C', scores: { c1: 2 } },
+        { judge_id: 'j2', team_id: 'B', scores: { c1: 10 } },
+        { judge_id: 'j2', team_id: 'D', scores: { c1: 3 } }
+      ];
+
+      const { perJudgeResults, finalResults } = computeRoundNormalization(evaluations, singleCriterion, {
+        method: NormalizationMethods.BORDA,
+        aggregationMode: AggregationModes.MEAN
+      });
+
+      const byTeam = Object.fromEntries(finalResults.map(r => [r.team_id, r]));
+      // B: (0 from j1's middle place + 0.5 from j2's top place) / 2
+      expect(byTeam.A.aggregated_z).toBeCloseTo(0.5, 5);
+      expect(byTeam.B.aggregated_z).toBeCloseTo(0.25, 5);
+      expect(byTeam.D.aggregated_z).toBeCloseTo(-0.5, 5);
+      expect(finalResults[0].team_id).toBe('A');
+      expect(finalResults[1].team_id).toBe('B');
+      expect(perJudgeResults.find(r => r.judge_id === 'j2' && r.team_id === 'B').judge_rank).toBe(1);
+    });
+
+    test('SCHULZE picks the pairwise winner when Borda ties', () => {
+      const evaluations = [
+        { judge_id: 'j1', team_id: 'A', scores: { c1: 9 } },
+        { judge_id: 'j1', team_id: 'B', scores: { c1: 8 } },
+        { judge_id: 'j1', team_id: 'C', scores: { c1: 7 } },
+        { judge_id: 'j2', team_id: 'A', scores: { c1: 9 } },
+        { judge_id: 'j2', team_id: 'B', scores: { c1: 8 } },
+        { judge_id: 'j2', team_id: 'C', scores: { c1: 7 } },
+        { judge_id: 'j3', team_id: 'B', scores: { c1: 9 } },
+        { judge_id: 'j3', team_id: 'C', scores: { c1: 8 } },
+        { judge_id: 'j3', team_id: 'A', scores: { c1: 1 } }
+      ];
+
+      const { finalResults } = computeRoundNormalization(evaluations, singleCriterion, {
+        method: NormalizationMethods.SCHULZE
+      });
+
+      expect(finalResults.map(r => r.team_id)).toEqual(['A', 'B', 'C']);
+      expect(finalResults.map(r => r.aggregated_z)).toEqual([2, 1, 0]);
+      expect(finalResults[0].borda_score).toBeCloseTo(finalResults[1].borda_score, 5);
+      expect(finalResults[0].rank).toBe(1);
+      expect(finalResults[0].percentile).toBe(100);
+      expect(finalResults[0].tie_breaker_data).toBeDefined();
+    });
+  });
+
+  describe('Pairwise comparisons (Bradley-Terry)', () => {
+    const comparisons = [
+      { judge_id: 'j1', team_a_id: 'A', team_b_id: 'B', winner_team_id: 'A' },
+      { judge_id: 'j1', team_a_id: 'B', team_b_id: 'C', winner_team_id: 'B' },
+      { judge_id: 'j2', team_a_id: 'A', team_b_id: 'C', winner_team_id: 'A' },
+      { judge_id: 'j2', team_a_id: 'A', team_b_id: 'B', winner_team_id: null }
+    ];
+
+    test('fits finite strengths in win order', () => {
+      const fitted = fitBradleyTerry(comparisons);
+
+      expect(fitted.A.strength).toBeGreaterThan(fitted.B.strength);
+      expect(fitted.B.strength).toBeGreaterThan(fitted.C.strength);
+      expect(Number.isFinite(fitted.A.log_strength)).toBe(true);
+      expect(fitted.A.wins).toBeCloseTo(2.5, 5);
+      expect(fitted.A.games).toBe(3);
+    });
+
+    test('produces the same result shape as score-based rounds', () => {
+      const { perJudgeResults, finalResults, warnings } = computePairwiseRanking(comparisons);
+
+      expect(finalResults.map(r => r.team_id)).toEqual(['A', 'B', 'C']);
+      expect(finalResults[0].rank).toBe(1);
+      expect(finalResults[0].percentile).toBe(100);
+      expect(finalResults[0].tie_breaker_data).toBeDefined();
+      expect(finalResults[0].team_results).toHaveLength(2);
+      const j1A = perJudgeResults.find(r => r.judge_id === 'j1' && r.team_id === 'A');
+      expect(j1A.raw_total).toBe(1);
+      expect(j1A.z_score).toBe(1);
+      expect(warnings).toHaveLength(0);
+    });
+
+    test('picks close, rarely compared pairs and skips pairs the judge has seen', () => {
+      const history = [
+        { judge_id: 'j1', team_a_id: 'A', team_b_id: 'B', winner_team_id: 'A' },
+        { judge_id: 'j1', team_a_id: 'A', team_b_id: 'C', winner_team_id: 'A' },
+        { judge_id: 'j2', team_a_id: 'C', team_b_id: 'D', winner_team_id: 'C' }
+      ];
+
+      const pair = selectNextComparisonPair(['A', 'B', 'C', 'D'], history, 'j1');
+      // B and D each lost their only comparison, so they are the closest unseen pair
+      expect([...pair].sort()).toEqual(['B', 'D']);
+
+      const allSeen = [
+        { judge_id: 'j1', team_a_id: 'A', team_b_id: 'B', winner_team_id: 'A' }
+      ];
+      expect(selectNextComparisonPair(['A', 'B'], allSeen, 'j1')).toBeNull();
+    });
+  });
+
+  describe('Bootstrap rank intervals', () => {
+    const singleCriterion = [{ id: 'c1', weight: 1.0 }];
+    // A is clearly first for every judge; B and C swap places between judges
+    const evaluations = ['j1', 'j2', 'j3', 'j4'].flatMap((judgeId, idx) => [
+      { judge_id: judgeId, team_id: 'A', scores: { c1: 10 } },
+      { judge_id: judgeId, team_id: 'B', scores: { c1: idx % 2 === 0 ? 6 : 5 } },
+      { judge_id: judgeId, team_id: 'C', scores: { c1: idx % 2 === 0 ? 5 : 6 } },
+      { judge_id: judgeId, team_id: 'D', scores: { c1: 1 } }
+    ]);
+
+    test('gives a clear winner a tight interval and close teams a wide one', () => {
+      const intervals = bootstrapRankIntervals(evaluations, singleCriterion, { iterations: 100 });
+
+      expect(intervals.A.rank_lower).toBe(1);
+      expect(intervals.A.rank_upper).toBe(1);
+      expect(intervals.B.rank_upper - intervals.B.rank_lower).toBeGreaterThanOrEqual(1);
+      expect(intervals.A.replicates).toBeGreaterThan(0);
+      expect(topKProbability(intervals.A.rank_distribution, 1)).toBeGreaterThan(0.95);
+    });
+
+    test('is reproducible and attached to final results on request', () => {
+      const first = computeRoundNormalization(evaluations, singleCriterion, { bootstrapIterations: 50 });
+      const second = computeRoundNormalization(evaluations, singleCriterion, { bootstrapIterations: 50 });
+
+      const firstB = first.finalResults.find(r => r.team_id === 'B').rank_interval;
+      const secondB = second.finalResults.find(r => r.team_id === 'B').rank_interval;
+      expect(firstB).toEqual(secondB);
+    });
+
+    test('counts resamples without a team as ranked last, not as skipped', () => {
+      // Only j1 scored E, so resamples that do not draw j1 miss it
+      const withSparseTeam = [...evaluations, { judge_id: 'j1', team_id: 'E', scores: { c1: 10 } }];
+      const intervals = bootstrapRankIntervals(withSparseTeam, singleCriterion, { iterations: 100 });
+
+      expect(intervals.E.missed_replicates).toBeGreaterThan(0);
+      expect(intervals.E.replicates).toBe(100);
+      expect(intervals.E.rank_distribution[5]).toBeGreaterThanOrEqual(intervals.E.missed_replicates);
+      expect(intervals.E.rank_upper).toBe(5);
+      expect(topKProbability(intervals.E.rank_distribution, 1))
+        .toBeLessThanOrEqual(1 - intervals.E.missed_replicates / 100);
+      Object.values(intervals).forEach(interval => {
+        expect(Object.values(interval.rank_distribution).reduce((a, b) => a + b, 0)).toBe(100);
+      });
+    });
+
+    test('flags cutoffs that flip in a meaningful share of resamples', () => {
+      expect(isCutoffFragile({ 2: 50, 3: 50 }, 2)).toBe(true);
+      expect(isCutoffFragile({ 1: 99, 2: 1 }, 2)).toBe(false);
+      expect(isCutoffFragile(null, 2)).toBe(false);
+    });
+  });
+
+  describe('Leave-one-judge-out sensitivity', () => {
+    test('reports rank shifts and the judge who decides the top spot', () => {
+      const singleCriterion = [{ id: 'c1', weight: 1.0 }];
+      // j1 and j2 mildly prefer A, j3 strongly prefers B and carries B to first
+      const evaluations = [
+        { judge_id: 'j1', team_id: 'A', scores: { c1: 7 } },
+        { judge_id: 'j1', team_id: 'B', scores: { c1: 6 } },
+        { judge_id: 'j1', team_id: 'C', scores: { c1: 1 } },
+        { judge_id: 'j2', team_id: 'A', scores: { c1: 7 } },
+        { judge_id: 'j2', team_id: 'B', scores: { c1: 6 } },
+        { judge_id: 'j2', team_id: 'C', scores: { c1: 1 } },
+        { judge_id: 'j3', team_id: 'A', scores: { c1: 1 } },
+        { judge_id: 'j3', team_id: 'B', scores: { c1: 10 } },
+        { judge_id: 'j3', team_id: 'C', scores: { c1: 5 } }
+      ];
+
+      const rankFn = (excludedJudgeId) => computeRoundNormalization(
+        evaluations.filter(e => e.judge_id !== excludedJudgeId),
+        singleCriterion
+      ).finalResults;
+
+      const analysis = leaveOneJudgeOut(['j1', 'j2', 'j3'], rankFn, 1);
+      const withoutJ3 = analysis.judges.find(j => j.judge_id === 'j3');
+
+      expect(analysis.baseline.B).toBe(1);
+      expect(analysis.pivotal_judges).toEqual(['j3']);
+      expect(withoutJ3.shifts.A).toBe(1);
+      expect(withoutJ3.shifts.B).toBe(-1);
+      expect(withoutJ3.entered_top_k).toEqual(['A']);
+      expect(withoutJ3.left_top_k).toEqual(['B']);
+    });
+  });
+
   describe('aggregateAcrossJudges', () => {
     test('sums z-scores across judges', () => {
       const normalizedResults = [
@@ -97,6 +442,49 @@ describe('Normalization Service', () => {
       expect(t1.aggregated_criterion_z['c1']).toBeCloseTo(1.5, 5);
       expect(t1.aggregated_criterion_z['c2']).toBeCloseTo(2.0, 5);
     });
+
+    test('scales each judge contribution by judge weight', () => {
+      const normalizedResults = [
+        {
+          team_id: 't1', judge_id: 'senior', z_score: 1.0, raw_total: 80,
+          criterion_z_scores: { c1: 0.5, c2: 0.5 }
+        },
+        {
+          team_id: 't1', judge_id: 'student', z_score: -1.0, raw_total: 60,
+          criterion_z_scores: { c1: -0.5, c2: -0.5 }
+        }
+      ];
+
+      const aggregated = aggregateAcrossJudges(normalizedResults, criteria, { senior: 2.0 });
+
+      // 2.0 * 1.0 + 1.0 * -1.0 = 1.0
+      expect(aggregated[0].aggregated_z).toBeCloseTo(1.0, 5);
+      expect(aggregated[0].aggregated_criterion_z['c1']).toBeCloseTo(0.5, 5);
+      expect(normalizedResults[0].judge_weight).toBe(2.0);
+      expect(normalizedResults[1].judge_weight).toBe(1.0);
+    });
+
+    test('mean and corrected mean do not reward extra judges', () => {
+      const normalizedResults = [
+        { team_id: 't1', judge_id: 'j1', z_score: 1.0, raw_total: 80, criterion_z_scores: { c1: 1.0, c2: 0 } },
+        { team_id: 't1', judge_id: 'j2', z_score: 1.0, raw_total: 80, criterion_z_scores: { c1: 1.0, c2: 0 } },
+        { team_id: 't1', judge_id: 'j3', z_score: 1.0, raw_total: 80, criterion_z_scores: { c1: 1.0, c2: 0 } },
+        { team_id: 't2', judge_id: 'j1', z_score: 1.0, raw_total: 80, criterion_z_scores: { c1: 1.0, c2: 0 } }
+      ];
+
+      const mean = aggregateAcrossJudges(normalizedResults, criteria, {}, AggregationModes.MEAN);
+      const meanByTeam = Object.fromEntries(mean.map(r => [r.team_id, r]));
+      expect(meanByTeam.t1.aggregated_z).toBeCloseTo(1.0, 5);
+      expect(meanByTeam.t2.aggregated_z).toBeCloseTo(1.0, 5);
+      expect(meanByTeam.t1.aggregation_mode).toBe(AggregationModes.MEAN);
+
+      // Corrected mean shrinks towards 0: 3/4 vs 1/2
+      const corrected = aggregateAcrossJudges(normalizedResults, criteria, {}, AggregationModes.CORRECTED_MEAN);
+      const correctedByTeam = Object.fromEntries(corrected.map(r => [r.team_id, r]));
+      expect(correctedByTeam.t1.aggregated_z).toBeCloseTo(0.75, 5);
+      expect(correctedByTeam.t2.aggregated_z).toBeCloseTo(0.5, 5);
+      expect(correctedByTeam.t2.aggregated_criterion_z['c1']).toBeCloseTo(0.5, 5);
+    });
   });
 
   describe('Ranking and Tie-Breaking', () => {
@@ -144,6 +532,182 @@ describe('Normalization Service', () => {
       expect(results[0].rank).toBe(results[1].rank); // Should be tied
       expect(results[0].tie_breaker_data.is_tied).toBeDefined();
     });
+
+    test('numbers tied teams by the ranking style', () => {
+      const tied = [false, false, true, false]; // second and third are level
+
+      expect(assignRanks(tied, RankingStyles.STANDARD)).toEqual([1, 2, 2, 4]);
+      expect(assignRanks(tied, RankingStyles.DENSE)).toEqual([1, 2, 2, 3]);
+      expect(assignRanks(tied, RankingStyles.MODIFIED)).toEqual([1, 3, 3, 4]);
+      expect(assignRanks(tied, RankingStyles.FRACTIONAL)).toEqual([1, 2.5, 2.5, 4]);
+
+      const aggregatedResults = ['A', 'B', 'C', 'D'].map((teamId, idx) => ({
+        team_id: teamId,
+        aggregated_z: [3, 1, 1, 0][idx],
+        mean_raw_total: 80,
+        aggregated_criterion_z: {}
+      }));
+      const results = convertToPercentilesAndRanks(aggregatedResults, [], { rankingStyle: RankingStyles.DENSE });
+
+      expect(results.map(r => r.rank)).toEqual([1, 2, 2, 3]);
+      expect(results[1].percentile).toBe(results[2].percentile);
+      expect(results[0].percentile).toBe(100);
+      expect(results[3].percentile).toBe(0);
+    });
+
+    test('follows the configured policy and records the deciding rule', () => {
+      // B leads on the heaviest criterion, A on c1 and on submission time
+      const aggregatedResults = [
+        { team_id: 'A', aggregated_z: 10, mean_raw_total: 80, aggregated_criterion_z: { c1: 5, c2: 5 } },
+        { team_id: 'B', aggregated_z: 10, mean_raw_total: 80, aggregated_criterion_z: { c1: 4, c2: 6 } }
+      ];
+
+      const byC1 = convertToPercentilesAndRanks(aggregatedResults, criteria, {
+        policy: [{ rule: TieBreakRules.CRITERION, criterion_id: 'c1' }]
+      });
+      expect(byC1[0].team_id).toBe('A');
+      expect(byC1[1].tie_breaker_data.broken_by).toEqual({ rule: TieBreakRules.CRITERION, criterion_id: 'c1' });
+      expect(byC1[1].tie_breaker_data.tied_on_score_with).toBe('A');
+
+      const bySubmission = convertToPercentilesAndRanks(aggregatedResults, criteria, {
+        policy: [{ rule: TieBreakRules.MEAN_RAW_TOTAL }, { rule: TieBreakRules.EARLIEST_SUBMISSION }],
+        submittedAt: { A: '2026-03-01T10:00:00Z', B: '2026-03-01T09:00:00Z' }
+      });
+      expect(bySubmission[0].team_id).toBe('B');
+      expect(bySubmission[1].rank).toBe(2);
+      expect(bySubmission[1].tie_breaker_data.broken_by).toEqual({ rule: TieBreakRules.EARLIEST_SUBMISSION });
+    });
+
+    test('rolls group weights down and walks the heaviest group first', () => {
+      const groups = [{ id: 'tech', name: 'Technical', weight: 3 }];
+      const grouped = resolveCriterionWeights([
+        { id: 'c1', weight: 2.0, group_id: 'tech' },
+        { id: 'c2', weight: 1.0, group_id: 'tech' },
+        { id: 'c3', weight: 2.5, group_id: null }
+      ], groups);
+
+      expect(grouped.map(c => c.weight)).toEqual([2, 1, 2.5]);
+      expect(grouped[0].group_weight).toBe(3);
+      expect(grouped[2].group_id).toBeNull();
+
+      // c3 outweighs each technical criterion, but the group as a whole is heavier
+      const aggregatedResults = [
+        { team_id: 'A', aggregated_z: 10, mean_raw_total: 80, aggregated_criterion_z: { c1: 3, c2: 2, c3: 5 } },
+        { team_id: 'B', aggregated_z: 10, mean_raw_total: 80, aggregated_criterion_z: { c1: 4, c2: 0, c3: 6 } }
+      ];
+      const results = convertToPercentilesAndRanks(aggregatedResults, grouped);
+
+      expect(results[0].team_id).toBe('B');
+      expect(results[1].tie_breaker_data.broken_by).toEqual({ rule: TieBreakRules.CRITERIA_BY_WEIGHT, criterion_id: 'c1' });
+    });
+
+    test('applies track weight overrides before rolling group weights down', () => {
+      const groups = [{ id: 'tech', name: 'Technical', weight: 3 }];
+      const overridden = applyCriterionWeightOverrides([
+        { id: 'c1', weight: 1.0, group_id: 'tech' },
+        { id: 'c2', weight: 1.0, group_id: 'tech' },
+        { id: 'c3', weight: 2.0, group_id: null }
+      ], { c1: 2, c3: 0 });
+
+      expect(overridden.map(c => c.id)).toEqual(['c1', 'c2']);
+      expect(resolveCriterionWeights(overridden, groups).map(c => c.weight)).toEqual([2, 1]);
+    });
+  });
+
+  describe('Inter-rater reliability', () => {
+    const reliabilityCriteria = [{ id: 'c1', name: 'Innovation', max_marks: 10, weight: 1.0 }];
+    // J3 did not score C
+    const reliabilityEvaluations = [
+      ['J1', 'A', 1], ['J1', 'B', 2], ['J1', 'C', 3], ['J1', 'D', 4],
+      ['J2', 'A', 1], ['J2', 'B', 3], ['J2', 'C', 3], ['J2', 'D', 5],
+      ['J3', 'A', 2], ['J3', 'B', 2], ['J3', 'D', 4]
+    ].map(([judge_id, team_id, c1]) => ({ judge_id, team_id, scores: { c1 } }));
+
+    test('rank correlations handle ties', () => {
+      expect(spearmanCorrelation([1, 2, 3, 4], [1, 3, 3, 5])).toBeCloseTo(4.5 / Math.sqrt(22.5), 6);
+      expect(kendallTau([1, 2, 3, 4], [1, 3, 3, 5])).toBeCloseTo(5 / Math.sqrt(30), 6);
+      expect(spearmanCorrelation([1, 2, 3], [3, 2, 1])).toBeCloseTo(-1, 6);
+      expect(kendallTau([2, 2, 2], [1, 2, 3])).toBeNull();
+    });
+
+    test('panel statistics cope with a missing evaluation', () => {
+      const { overall, criteria: perCriterion } = computeInterRaterReliability(reliabilityEvaluations, reliabilityCriteria);
+
+      // Kendall's W only uses A, B and D, which every judge scored
+      expect(overall.kendalls_w.teams).toBe(3);
+      expect(overall.kendalls_w.value).toBeCloseTo(12 * 15.5 / 198, 6);
+      expect(overall.icc).toBeCloseTo(0.850746, 5);
+      expect(overall.krippendorff_alpha).toBeCloseTo(0.831461, 5);
+      expect(overall.spearman.J1.J3.teams).toBe(3);
+      expect(overall.spearman.J1.J2.value).toBe(overall.spearman.J2.J1.value);
+      expect(perCriterion.c1.evaluations).toBe(11);
+    });
+
+    test('judge pairs sharing too few teams get no correlation', () => {
+      const sparse = reliabilityEvaluations.filter(e => !(e.judge_id === 'J3' && e.team_id !== 'A'));
+      const { overall } = computeInterRaterReliability(sparse, reliabilityCriteria);
+
+      expect(overall.spearman.J1.J3).toEqual({ value: null, teams: 1 });
+      expect(overall.judge_agreement.J3.spearman).toBeNull();
+      expect(overall.kendalls_w).toBeNull();
+    });
+  });
+
+  describe('Rater bias detection', () => {
+    const biasCriteria = [
+      { id: 'c1', name: 'Innovation', max_marks: 10, weight: 1.0 },
+      { id: 'c2', name: 'Implementation', max_marks: 10, weight: 1.0 },
+      { id: 'c3', name: 'Presentation', max_marks: 10, weight: 1.0 }
+    ];
+    // J3 is J2 plus three marks, J4 gives 5 everywhere, J5's criteria move together
+    const sheets = {
+      J1: [[2, 6, 4], [4, 3, 7], [6, 8, 3], [8, 5, 9], [9, 2, 6]],
+      J2: [[3, 5, 5], [5, 4, 6], [5, 7, 4], [7, 6, 8], [8, 3, 7]],
+      J3: [[6, 8, 8], [8, 7, 9], [8, 10, 7], [10, 9, 10], [10, 6, 10]],
+      J4: [[5, 5, 5], [5, 5, 5], [5, 5, 5], [5, 5, 5], [5, 5, 5]],
+      J5: [[2, 3, 2], [4, 4, 5], [6, 7, 6], [8, 8, 9], [9, 9, 9]]
+    };
+    const biasEvaluations = Object.entries(sheets).flatMap(([judge_id, rows]) =>
+      rows.map(([c1, c2, c3], i) => ({ judge_id, team_id: `T${i + 1}`, scores: { c1, c2, c3 } }))
+    );
+    const typesFor = (findings, judgeId) => findings.filter(f => f.judge_id === judgeId).map(f => f.type).sort();
+
+    test('flags each classic rater error with evidence', () => {
+      const findings = detectRaterBiases(biasEvaluations, biasCriteria);
+
+      const lenient = findings.find(f => f.judge_id === 'J3' && f.type === RaterBiasTypes.LENIENCY);
+      expect(lenient.severity).toBe(BiasSeverity.HIGH);
+      expect(lenient.metrics.shared_teams).toBe(5);
+      expect(lenient.evidence).toMatch(/above the other judges on the same 5 teams/);
+
+      expect(typesFor(findings, 'J4')).toEqual([
+        RaterBiasTypes.CENTRAL_TENDENCY,
+        RaterBiasTypes.SEVERITY,
+        RaterBiasTypes.STRAIGHT_LINING
+      ]);
+      expect(findings.find(f => f.judge_id === 'J4' && f.type === RaterBiasTypes.STRAIGHT_LINING).severity)
+        .toBe(BiasSeverity.HIGH);
+      expect(typesFor(findings, 'J5')).toEqual([RaterBiasTypes.HALO]);
+      expect(typesFor(findings, 'J1')).toEqual([]);
+      expect(typesFor(findings, 'J2')).toEqual([]);
+
+      // Most severe first
+      const order = [BiasSeverity.HIGH, BiasSeverity.MEDIUM, BiasSeverity.LOW];
+      const ranks = findings.map(f => order.indexOf(f.severity));
+      expect(ranks).toEqual([...ranks].sort((a, b) => a - b));
+    });
+
+    test('without shared teams leniency is compared panel-wide and capped at LOW', () => {
+      const separate = biasEvaluations
+        .filter(e => e.judge_id === 'J1' || e.judge_id === 'J3')
+        .map(e => (e.judge_id === 'J3' ? { ...e, team_id: `X${e.team_id}` } : e));
+
+      const lenient = detectRaterBiases(separate, biasCriteria).find(f => f.type === RaterBiasTypes.LENIENCY);
+      expect(lenient.judge_id).toBe('J3');
+      expect(lenient.severity).toBe(BiasSeverity.LOW);
+      expect(lenient.metrics.shared_teams).toBe(0);
+      expect(lenient.evidence).toMatch(/no teams in common/);
+    });
   });
 
   describe('Full Round Computation Integration', () => {
@@ -178,5 +742,134 @@ describe('Normalization Service', () => {
       expect(teamB.rank).toBe(2);
     });
   });
-});
 
+  describe('Event Standings', () => {
+    test('weights round percentiles and places finalists above eliminated teams', () => {
+      const rounds = [
+        {
+          round_id: 'r1', round_number: 1, weight: 0.3,
+          results: [
+            { team_id: 'A', percentile: 100 },
+            { team_id: 'B', percentile: 75 },
+            { team_id: 'C', percentile: 50 },
+            { team_id: 'D', percentile: 0 }
+          ]
+        },
+        {
+          round_id: 'r2', round_number: 2, weight: 0.7,
+          results: [
+            { team_id: 'B', percentile: 100 },
+            { team_id: 'A', percentile: 0 }
+          ]
+        }
+      ];
+
+      const standings = combineRoundStandings(rounds);
+      expect(standings.map(s => s.team_id)).toEqual(['B', 'A', 'C', 'D']);
+
+      const [b, a, c] = standings;
+      expect(b.final_score).toBeCloseTo(0.3 * 75 + 0.7 * 100, 6);
+      expect(a.final_score).toBeCloseTo(30, 6);
+      expect(a.rounds_reached).toBe(2);
+      // C only played round 1, so its score is its round 1 percentile
+      expect(c.final_score).toBeCloseTo(50, 6);
+      expect(c.rounds_reached).toBe(1);
+      expect(c.rank).toBe(3);
+    });
+
+    test('adds the audience vote percentile as a weighted component', () => {
+      const rounds = [{
+        round_id: 'r1', round_number: 1, weight: 3,
+        results: [
+          { team_id: 'A', percentile: 100 },
+          { team_id: 'B', percentile: 50 }
+        ]
+      }];
+      const audience = { weight: 1, results: [{ team_id: 'B', percentile: 100 }] };
+
+      const [a, b] = combineRoundStandings(rounds, { audience });
+      expect(a.final_score).toBeCloseTo(75, 6);
+      expect(a.audience_score).toBe(0);
+      expect(b.final_score).toBeCloseTo(62.5, 6);
+      expect(combineRoundStandings(rounds)[0].audience_score).toBeNull();
+    });
+
+    test('a finalist that failed a gate is unranked, below teams eliminated earlier', () => {
+      const rounds = [
+        {
+          round_id: 'r1', round_number: 1, weight: 1,
+          results: [
+            { team_id: 'A', percentile: 100, is_eligible: true },
+            { team_id: 'B', percentile: 50, is_eligible: true },
+            { team_id: 'C', percentile: 0, is_eligible: true }
+          ]
+        },
+        {
+          round_id: 'r2', round_number: 2, weight: 1,
+          results: [
+            { team_id: 'B', percentile: 100, is_eligible: true },
+            // Failed a gate in the final: no percentile, no rank
+            { team_id: 'A', percentile: null, rank: null, is_eligible: false }
+          ]
+        }
+      ];
+
+      const standings = combineRoundStandings(rounds);
+      expect(standings.map(s => s.team_id)).toEqual(['B', 'C', 'A']);
+      expect(standings.map(s => s.rank)).toEqual([1, 2, null]);
+
+      const a = standings[2];
+      expect(a.is_eligible).toBe(false);
+      expect(a.ineligible_round_id).toBe('r2');
+      expect(a.final_score).toBeNull();
+      expect(a.rounds_reached).toBe(2);
+      expect(a.round_scores).toEqual({ r1: 100 });
+      expect(standings[1].final_score).toBeCloseTo(0, 6);
+    });
+  });
+
+  describe('Criterion Scale Types', () => {
+    test('validates each score against its scale', () => {
+      const likert = { name: 'Impact', scale_type: CriterionScaleTypes.LIKERT, min_marks: 1, max_marks: 5 };
+      const decimal = { name: 'Design', scale_type: CriterionScaleTypes.DECIMAL, max_marks: 10, step_size: 0.5 };
+      const percentage = { name: 'Completion', scale_type: CriterionScaleTypes.PERCENTAGE, max_marks: 100 };
+      const gate = { name: 'Demo works', scale_type: CriterionScaleTypes.GATE, max_marks: 1 };
+
+      expect(validateCriterionScore(likert, 4)).toBeNull();
+      expect(validateCriterionScore(likert, 3.5)).toMatch(/whole number/);
+      expect(validateCriterionScore(likert, 0)).toMatch(/between 1 and 5/);
+      expect(validateCriterionScore(decimal, 7.5)).toBeNull();
+      expect(validateCriterionScore(decimal, 7.3)).toMatch(/steps of 0.5/);
+      expect(validateCriterionScore(percentage, 87)).toBeNull();
+      expect(validateCriterionScore(percentage, 101)).toMatch(/between 0 and 100/);
+      expect(validateCriterionScore(gate, 1)).toBeNull();
+      expect(validateCriterionScore(gate, 0.5)).toMatch(/pass \(1\) or fail \(0\)/);
+    });
+
+    test('a team failing a gate by majority is unranked and left out of normalization', () => {
+      const gatedCriteria = [
+        { id: 'c1', name: 'Innovation', max_marks: 10, weight: 1.0 },
+        { id: 'g1', name: 'Demo works', max_marks: 1, weight: 1.0, scale_type: CriterionScaleTypes.GATE }
+      ];
+      const gatedEvaluations = [
+        { judge_id: 'J1', team_id: 'A', scores: { c1: 8, g1: 1 } },
+        { judge_id: 'J1', team_id: 'B', scores: { c1: 6, g1: 1 } },
+        { judge_id: 'J1', team_id: 'C', scores: { c1: 10, g1: 0 } },
+        { judge_id: 'J2', team_id: 'A', scores: { c1: 7, g1: 1 } },
+        { judge_id: 'J2', team_id: 'B', scores: { c1: 5, g1: 0 } },
+        { judge_id: 'J2', team_id: 'C', scores: { c1: 9, g1: 0 } }
+      ];
+
+      const result = computeRoundNormalization(gatedEvaluations, gatedCriteria);
+
+      // B failed the gate with only one of two judges, so it stays eligible
+      expect(result.finalResults.map(r => r.team_id)).toEqual(['A', 'B']);
+      expect(result.ineligibleTeams).toHaveLength(1);
+      expect(result.ineligibleTeams[0].team_id).toBe('C');
+      expect(result.ineligibleTeams[0].failed_gates).toEqual(['g1']);
+      // The gate carries no marks towards the raw total
+      expect(result.ineligibleTeams[0].evaluations[0].raw_total)
+        .toBeCloseTo(computeRawTotal({ scores: { c1: 10 } }, [gatedCriteria[0]]), 6);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Pairwise Service
+ * Stores judge comparisons ("A is better than B") for pairwise rounds
+ * and picks the next pair to show each judge
+ */
+
+import { supabase } from '../supabaseClient';
+import { selectNextComparisonPair } from './normalizationService';
+
+export const pairwiseService = {
+  async getRoundComparisons(roundId) {
+    const { data, error } = await supabase
+      .from('pairwise_comparisons')
+      .select('*')
+      .eq('round_id', roundId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getJudgeComparisons(roundId, judgeId) {
+    const { data, error } = await supabase
+      .from('pairwise_comparisons')
+      .select('*')
+      .eq('round_id', roundId)
+      .eq('judge_id', judgeId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * @param {string|null} winnerTeamId - null records a tie
+   */
+  async submitComparison(roundId, judgeId, teamAId, teamBId, winnerTeamId) {
+    const { data, error } = await supabase
+      .from('pairwise_comparisons')
+      .insert([{
+        round_id: roundId,
+        judge_id: judgeId,
+        team_a_id: teamAId,
+        team_b_id: teamBId,
+        winner_team_id: winnerTeamId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Choose the next pair adaptively from everything compared so far in the round
+   * @param {Array} teamIds - teams this judge can compare
+   * @returns {Promise<Array|null>} - [teamAId, teamBId] or null when the judge has compared every pair
+   */
+  async getNextPair(roundId, judgeId, teamIds) {
+    const comparisons = await this.getRoundComparisons(roundId);
+    return selectNextComparisonPair(teamIds, comparisons, judgeId);
+  }
+};
+
+export default pairwiseService;
@@ -4,6 +4,144 @@
  */
 
 import { supabase } from '../supabaseClient';
+import { CriterionScaleTypes } from './normalizationService';
+import { conflictService, buildConflictSet, hasConflict } from './conflictService';
+
+export const RoundTypes = {
+  SCORED: 'SCORED',
+  PAIRWISE: 'PAIRWISE'
+};
+
+export const DEFAULT_COMPARISONS_PER_JUDGE = 10;
+
+// Used when neither the round nor its organization sets a criteria limit
+export const DEFAULT_MAX_CRITERIA_PER_ROUND = 12;
+
+/**
+ * Clean criterion groups: blank names dropped, numeric weights, and an id
+ * for new groups
+ * @param {Array} groups - [{id, name, weight}]
+ * @returns {Array}
+ */
+export function normalizeCriterionGroups(groups) {
+  return (groups || [])
+    .filter(group => group && (group.name || '').trim())
+    .map(group => ({
+      id: group.id || `grp-${Math.random().toString(36).substring(2, 10)}`,
+      name: group.name.trim(),
+      weight: Number(group.weight) > 0 ? Number(group.weight) : 1
+    }));
+}
+
+/**
+ * Split criteria into sections for display: one per group, in the groups'
+ * order, then the criteria outside any group
+ * @param {Array} criteria - [{id, group_id, ...}] in display order
+ * @param {Array} groups - [{id, name, weight}]
+ * @returns {Array} - [{group: {id, name, weight} | null, criteria: [...]}]
+ */
+export function groupCriteria(criteria, groups) {
+  const sections = (groups || []).map(group => ({
+    group,
+    criteria: criteria.filter(c => c.group_id === group.id)
+  }));
+  const groupIds = new Set(sections.map(section => section.group.id));
+  const ungrouped = criteria.filter(c => !groupIds.has(c.group_id));
+
+  return [
+    ...sections.filter(section => section.criteria.length > 0),
+    ...(ungrouped.length > 0 ? [{ group: null, criteria: ungrouped }] : [])
+  ];
+}
+
+/**
+ * Clean a criterion's rubric levels: numeric scores, blank rows dropped,
+ * lowest level first
+ * @param {Array} levels - [{score, label, descriptor}]
+ * @returns {Array}
+ */
+export function normalizeRubricLevels(levels) {
+  return (levels || [])
+    .filter(level => level && level.score !== '' && level.score !== null && level.score !== undefined)
+    .map(level => ({
+      score: Number(level.score),
+      label: (level.label || '').trim(),
+      descriptor: (level.descriptor || '').trim()
+    }))
+    .sort((a, b) => a.score - b.score);
+}
+
+/**
+ * Check rubric levels against the criterion's max marks
+ * @param {Array} levels
+ * @param {number} maxMarks
+ * @returns {string|null} - error message, or null when valid
+ */
+export function validateRubricLevels(levels, maxMarks) {
+  const normalized = normalizeRubricLevels(levels);
+  const scores = normalized.map(level => level.score);
+
+  if (scores.some(score => isNaN(score) || score < 0 || score > maxMarks)) {
+    return `Rubric level scores must be between 0 and ${maxMarks}`;
+  }
+  if (new Set(scores).size !== scores.length) {
+    return 'Each rubric level needs a different score';
+  }
+  if (normalized.some(level => !level.descriptor)) {
+    return 'Every rubric level needs a descriptor';
+  }
+  return null;
+}
+
+/**
+ * Snapshot the rubric level picked for each rubric criterion, so the
+ * evaluation keeps the descriptor the judge saw even if the rubric changes
+ * @param {Array} criteria - round criteria with rubric_levels
+ * @param {Object} scores - {criterionId: score}
+ * @returns {Object} - {criterionId: {criterion_name, score, label, descriptor}}
+ */
+export function buildRubricSelections(criteria, scores) {
+  const selections = {};
+  criteria.forEach(criterion => {
+    const level = (criterion.rubric_levels || []).find(l => Number(l.score) === Number(scores[criterion.id]));
+    if (level && scores[criterion.id] !== '' && scores[criterion.id] !== undefined) {
+      selections[criterion.id] = {
+        criterion_name: criterion.name,
+        score: Number(level.score),
+        label: level.label || '',
+        descriptor: level.descriptor || ''
+      };
+    }
+  });
+  return selections;
+}
+
+const GATE_LEVELS = [
+  { score: 1, label: 'Pass', descriptor: 'Meets the requirement' },
+  { score: 0, label: 'Fail', descriptor: 'Does not meet the requirement' }
+];
+
+/**
+ * Levels a judge picks from instead of typing a number: pass/fail for
+ * gate criteria, otherwise the criterion's rubric levels (may be empty)
+ * @param {Object} criterion
+ * @returns {Array} - [{score, label, descriptor}]
+ */
+export function getScoringLevels(criterion) {
+  if (criterion.scale_type === CriterionScaleTypes.GATE) return GATE_LEVELS;
+  return criterion.rubric_levels || [];
+}
+
+/**
+ * Step for a criterion's number input
+ * @param {Object} criterion
+ * @returns {number}
+ */
+export function getScoreInputStep(criterion) {
+  if (criterion.scale_type === CriterionScaleTypes.LIKERT) return 1;
+  if (criterion.scale_type === CriterionScaleTypes.DECIMAL) return Number(criterion.step_size) || 0.5;
+  return 0.5;
+}
 
 export const roundService = {
   // ==================== ROUND MANAGEMENT ====================
@@ -49,7 +187,7 @@ export const roundService = {
       .from('round_judge_assignments')
       .select(`
         *,
-        judge:judges(id, name, email, category)
+        judge:judges(id, name, email, category, track_ids, venue_id)
       `)
       .eq('round_id', roundId);
 
@@ -71,13 +209,12 @@ export const roundService = {
     return data || [];
   },
 
-  async assignJudgeToRound(roundId, judgeId, judgeType = 'BOTH', judgeWeight = 1.0) {
+  async assignJudgeToRound(roundId, judgeId, judgeWeight = 1.0) {
     const { data, error } = await supabase
       .from('round_judge_assignments')
       .upsert([{
         round_id: roundId,
         judge_id: judgeId,
-        judge_type: judgeType,
         judge_weight: judgeWeight
       }], { onConflict: 'round_id,judge_id' })
       .select()
@@ -97,7 +234,7 @@ export const roundService = {
     if (error) throw error;
   },
 
-  async setRoundJudges(roundId, judgeIds, judgeType = 'BOTH') {
+  async setRoundJudges(roundId, judgeIds) {
     // First remove all existing assignments for this round
     const { error: deleteError } = await supabase
       .from('round_judge_assignments')
@@ -111,7 +248,6 @@ export const roundService = {
       const assignments = judgeIds.map(judgeId => ({
         round_id: roundId,
         judge_id: judgeId,
-        judge_type: judgeType,
         judge_weight: 1.0
       }));
 
@@ -130,8 +266,8 @@ export const roundService = {
       .from('judge_assignments')
       .select(`
         *,
-        judge:judges(id, name, email, category),
-        team:teams(id, name, project_title, category_id)
+        judge:judges(id, name, email, category, track_ids, venue_id),
+        team:teams(id, name, project_title, track_id, venue_id, track:tracks(id, name, color))
       `)
       .eq('round_id', roundId);
 
@@ -140,6 +276,8 @@ export const roundService = {
   },
 
   async assignTeamsToJudgeForRound(roundId, judgeId, teamIds) {
+    await conflictService.assertNoConflicts(judgeId, teamIds);
+
     // Remove existing team assignments for this judge in this round
     const { error: deleteError } = await supabase
       .from('judge_assignments')
@@ -178,6 +316,42 @@ export const roundService = {
 
   // ==================== ROUND CRITERIA ====================
 
+  async getCriteriaLimit(roundId) {
+    const { data, error } = await supabase.rpc('round_criteria_limit', { p_round_id: roundId });
+
+    if (error) throw error;
+    return data || DEFAULT_MAX_CRITERIA_PER_ROUND;
+  },
+
+  async getOrganizationCriteriaLimit(organizationId) {
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('max_criteria_per_round')
+      .eq('id', organizationId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.max_criteria_per_round || DEFAULT_MAX_CRITERIA_PER_ROUND;
+  },
+
+  /**
+   * Default limit for the organization's rounds; a round's own max_criteria
+   * still wins. Only the organization owner may change it
+   */
+  async updateOrganizationCriteriaLimit(organizationId, limit) {
+    const { data, error } = await supabase
+      .from('organizations')
+      .update({ max_criteria_per_round: limit })
+      .eq('id', organizationId)
+      .select('max_criteria_per_round');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new Error('Only the organization owner can change the criteria limit');
+    }
+    return data[0].max_criteria_per_round;
+  },
+
   async getRoundCriteria(roundId) {
     const { data, error } = await supabase
       .from('round_criteria')
@@ -264,7 +438,7 @@ export const roundService = {
     return data;
   },
 
-  async submitRoundEvaluation(roundId, judgeId, teamId, scores, note = '') {
+  async submitRoundEvaluation(roundId, judgeId, teamId, scores, note = '', rubricSelections = {}) {
     // Calculate raw total from scores
     const rawTotal = Object.values(scores).reduce((sum, score) => sum + (parseFloat(score) || 0), 0);
 
@@ -276,6 +450,7 @@ export const roundService = {
         team_id: teamId,
         scores,
         raw_total: rawTotal,
+        rubric_selections: rubricSelections,
         note,
         is_draft: false,
         submitted_at: new Date().toISOString()
@@ -287,7 +462,7 @@ export const roundService = {
     return data;
   },
 
-  async saveDraftEvaluation(roundId, judgeId, teamId, scores, note = '') {
+  async saveDraftEvaluation(roundId, judgeId, teamId, scores, note = '', rubricSelections = {}) {
     const rawTotal = Object.values(scores).reduce((sum, score) => sum + (parseFloat(score) || 0), 0);
 
     const { data, error } = await supabase
@@ -298,6 +473,7 @@ export const roundService = {
         team_id: teamId,
         scores,
         raw_total: rawTotal,
+        rubric_selections: rubricSelections,
         note,
         is_draft: true
       }], { onConflict: 'round_id,judge_id,team_id' })
@@ -320,6 +496,18 @@ export const roundService = {
 
     if (assignError) throw assignError;
 
+    const { data: round, error: roundError } = await supabase
+      .from('rounds')
+      .select('round_type, comparisons_per_judge')
+      .eq('id', roundId)
+      .maybeSingle();
+
+    if (roundError) throw roundError;
+
+    if (round?.round_type === RoundTypes.PAIRWISE) {
+      return this.getJudgeComparisonProgress(roundId, judgeId, round, (assignments || []).length);
+    }
+
     // Get submitted evaluations
     const { data: evaluations, error: evalError } = await supabase
       .from('round_evaluations')
@@ -342,6 +530,29 @@ export const roundService = {
     };
   },
 
+  async getJudgeComparisonProgress(roundId, judgeId, round, teamCount) {
+    const { count, error } = await supabase
+      .from('pairwise_comparisons')
+      .select('id', { count: 'exact', head: true })
+      .eq('round_id', roundId)
+      .eq('judge_id', judgeId);
+
+    if (error) throw error;
+
+    // A judge cannot make more comparisons than there are distinct pairs
+    const possiblePairs = (teamCount * (teamCount - 1)) / 2;
+    const target = Math.min(round.comparisons_per_judge || DEFAULT_COMPARISONS_PER_JUDGE, possiblePairs);
+    const made = count || 0;
+
+    return {
+      total: target,
+      submitted: made,
+      pending: Math.max(target - made, 0),
+      progress: target > 0 ? Math.min((made / target) * 100, 100) : 0,
+      isComplete: target > 0 && made >= target
+    };
+  },
+
   async isRoundCompleteForJudge(roundId, judgeId) {
     const progress = await this.getJudgeRoundProgress(roundId, judgeId);
     return progress.isComplete;
@@ -391,7 +602,6 @@ export const roundService = {
       .from('round_judge_assignments')
       .select(`
         round_id,
-        judge_type,
         round:rounds(*)
       `)
       .eq('judge_id', judgeId);
@@ -403,7 +613,6 @@ export const roundService = {
         const progress = await this.getJudgeRoundProgress(assignment.round_id, judgeId);
         return {
           ...assignment.round,
-          judgeType: assignment.judge_type,
           progress
         };
       })
@@ -415,7 +624,17 @@ export const roundService = {
 
   // ==================== AUTO-ASSIGN HELPERS ====================
 
-  async autoAssignJudgesToRound(roundId, judges, teams) {
+  /**
+   * Replace every team assignment of the round with the given plan
+   * (e.g. from generateBalancedAssignments())
+   * @param {Array} plan - [{judge_id, team_id}]
+   */
+  async saveRoundAssignments(roundId, plan) {
+    const conflicts = buildConflictSet(await conflictService.getJudgeConflicts([...new Set(plan.map(a => a.judge_id))]));
+    if (plan.some(a => hasConflict(conflicts, a.judge_id, a.team_id))) {
+      throw new Error('The plan assigns a judge to a team they declared a conflict of interest with');
+    }
+
     // Clear existing assignments
     const { error: deleteError } = await supabase
       .from('judge_assignments')
@@ -424,55 +643,11 @@ export const roundService = {
 
     if (deleteError) throw deleteError;
 
-    // Group teams by category
-    const softwareTeams = teams.filter(t => 
-      (t.category_id || '').toLowerCase() === 'software'
-    );
-    const hardwareTeams = teams.filter(t => 
-      (t.category_id || '').toLowerCase() === 'hardware'
-    );
-
-    // Group judges by category
-    const softwareJudges = judges.filter(j => 
-      (j.category || '').toLowerCase() === 'software'
-    );
-    const hardwareJudges = judges.filter(j => 
-      (j.category || '').toLowerCase() === 'hardware'
-    );
-
-    const assignments = [];
-
-    // Assign software teams
-    if (softwareJudges.length > 0 && softwareTeams.length > 0) {
-      const teamsPerJudge = Math.ceil(softwareTeams.length / softwareJudges.length);
-      softwareJudges.forEach((judge, i) => {
-        const start = i * teamsPerJudge;
-        const end = Math.min(start + teamsPerJudge, softwareTeams.length);
-        for (let j = start; j < end; j++) {
-          assignments.push({
-            round_id: roundId,
-            judge_id: judge.id,
-            team_id: softwareTeams[j].id
-          });
-        }
-      });
-    }
-
-    // Assign hardware teams
-    if (hardwareJudges.length > 0 && hardwareTeams.length > 0) {
-      const teamsPerJudge = Math.ceil(hardwareTeams.length / hardwareJudges.length);
-      hardwareJudges.forEach((judge, i) => {
-        const start = i * teamsPerJudge;
-        const end = Math.min(start + teamsPerJudge, hardwareTeams.length);
-        for (let j = start; j < end; j++) {
-          assignments.push({
-            round_id: roundId,
-            judge_id: judge.id,
-            team_id: hardwareTeams[j].id
-          });
-        }
-      });
-    }
+    const assignments = plan.map(({ judge_id, team_id }) => ({
+      round_id: roundId,
+      judge_id,
+      team_id
+    }));
 
     if (assignments.length > 0) {
       const { error: insertError } = await supabase
@@ -0,0 +1,75 @@
+import {
+  normalizeRubricLevels,
+  validateRubricLevels,
+  buildRubricSelections,
+  getScoringLevels
+} from './roundService';
+import { CriterionScaleTypes } from './normalizationService';
+
+jest.mock('../supabaseClient', () => ({ supabase: {} }));
+
+describe('Round Service', () => {
+  describe('Rubric levels', () => {
+    const levels = [
+      { score: 10, label: 'Excellent', descriptor: 'Production ready' },
+      { score: 0, label: 'Missing', descriptor: 'Nothing shown' },
+      { score: 5, label: 'Working', descriptor: 'Core flow works' }
+    ];
+    const criterion = { id: 'c1', name: 'Implementation', max_marks: 10, rubric_levels: levels };
+
+    test('cleans levels: numeric scores, blank rows dropped, lowest first', () => {
+      const normalized = normalizeRubricLevels([
+        { score: '7', label: ' Good ', descriptor: ' Mostly done ' },
+        { score: '', label: 'Blank', descriptor: 'Half-filled row' },
+        null,
+        { score: 0, descriptor: 'Nothing shown' }
+      ]);
+
+      expect(normalized).toEqual([
+        { score: 0, label: '', descriptor: 'Nothing shown' },
+        { score: 7, label: 'Good', descriptor: 'Mostly done' }
+      ]);
+      expect(normalizeRubricLevels(undefined)).toEqual([]);
+    });
+
+    test('accepts levels on the 0 and max marks boundaries, rejects scores outside them', () => {
+      expect(validateRubricLevels(levels, 10)).toBeNull();
+      expect(validateRubricLevels([{ score: 10.5, descriptor: 'Too high' }], 10))
+        .toBe('Rubric level scores must be between 0 and 10');
+      expect(validateRubricLevels([{ score: -1, descriptor: 'Too low' }], 10))
+        .toBe('Rubric level scores must be between 0 and 10');
+    });
+
+    test('rejects duplicate scores and levels without a descriptor', () => {
+      expect(validateRubricLevels([
+        { score: 5, descriptor: 'One' },
+        { score: '5', descriptor: 'Two' }
+      ], 10)).toBe('Each rubric level needs a different score');
+      expect(validateRubricLevels([{ score: 5, descriptor: '  ' }], 10))
+        .toBe('Every rubric level needs a descriptor');
+    });
+
+    test('maps a score to the level the judge picked, including the boundaries', () => {
+      expect(buildRubricSelections([criterion], { c1: 0 })).toEqual({
+        c1: { criterion_name: 'Implementation', score: 0, label: 'Missing', descriptor: 'Nothing shown' }
+      });
+      expect(buildRubricSelections([criterion], { c1: '10' }).c1.label).toBe('Excellent');
+    });
+
+    test('records nothing for scores between levels, blank scores or criteria without levels', () => {
+      const plain = { id: 'c2', name: 'Pitch', max_marks: 10 };
+
+      expect(buildRubricSelections([criterion, plain], { c1: 7, c2: 5 })).toEqual({});
+      expect(buildRubricSelections([criterion], { c1: '' })).toEqual({});
+      expect(buildRubricSelections([criterion], {})).toEqual({});
+    });
+
+    test('gate criteria always offer pass and fail; others fall back to no levels', () => {
+      const gate = { id: 'g1', name: 'Eligible', scale_type: CriterionScaleTypes.GATE, rubric_levels: levels };
+
+      expect(getScoringLevels(gate).map(level => level.score)).toEqual([1, 0]);
+      expect(getScoringLevels(criterion)).toBe(levels);
+      expect(getScoringLevels({ id: 'c3', name: 'Design' })).toEqual([]);
+    });
+  });
+});
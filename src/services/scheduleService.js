@@ -0,0 +1,336 @@
+/**
+ * Schedule Service
+ * Pitch agendas: each team presents once per round, in a venue, in front of
+ * the judges assigned to it, without double-booking a team, judge or venue
+ */
+
+import { supabase } from '../supabaseClient';
+
+export const DEFAULT_SCHEDULE_SETTINGS = {
+  start_at: null,
+  slot_minutes: 10,
+  break_minutes: 15,
+  slots_between_breaks: 6 // 0 = no breaks
+};
+
+export const ScheduleConflictTypes = {
+  JUDGE_DOUBLE_BOOKED: 'JUDGE_DOUBLE_BOOKED',
+  VENUE_DOUBLE_BOOKED: 'VENUE_DOUBLE_BOOKED',
+  WRONG_VENUE: 'WRONG_VENUE',       // team or one of its judges is placed at another venue
+  OVER_CAPACITY: 'OVER_CAPACITY'    // panel and team do not fit the room
+};
+
+const withDefaults = (settings) => ({ ...DEFAULT_SCHEDULE_SETTINGS, ...(settings || {}) });
+
+/**
+ * Start and end of a slot. Every slot_minutes-long slot follows the previous
+ * one directly, with a break after every slots_between_breaks slots
+ * @param {Object} settings - rounds.schedule_settings
+ * @param {number} slotIndex
+ * @returns {Object} - {starts_at, ends_at} as ISO strings
+ */
+export function slotTimes(settings, slotIndex) {
+  const { start_at, slot_minutes, break_minutes, slots_between_breaks } = withDefaults(settings);
+  const breaks = slots_between_breaks > 0 ? Math.floor(slotIndex / slots_between_breaks) : 0;
+  const startsAt = new Date(start_at).getTime() + (slotIndex * slot_minutes + breaks * break_minutes) * 60000;
+
+  return {
+    starts_at: new Date(startsAt).toISOString(),
+    ends_at: new Date(startsAt + slot_minutes * 60000).toISOString()
+  };
+}
+
+/**
+ * @returns {boolean} - whether a break comes right before this slot
+ */
+export function isBreakBefore(settings, slotIndex) {
+  const { slots_between_breaks } = withDefaults(settings);
+  return slotIndex > 0 && slots_between_breaks > 0 && slotIndex % slots_between_breaks === 0;
+}
+
+/**
+ * @param {Array} assignments - [{judge_id, team_id}]
+ * @returns {Object} - {teamId: [judgeId]}
+ */
+function buildPanels(assignments) {
+  const panels = {};
+  assignments.forEach(({ judge_id, team_id }) => {
+    if (!panels[team_id]) panels[team_id] = [];
+    panels[team_id].push(judge_id);
+  });
+  return panels;
+}
+
+// Panel plus the team's members (at least one presenter)
+const peopleInRoom = (team, panel) => panel.length + Math.max(1, (team.members || []).length);
+
+/**
+ * Venues a team can present in: the team's own venue, else the venue its
+ * judges are placed at, else any venue, minus rooms too small for the panel
+ * and the team (capacity 0 = unlimited)
+ */
+function venueOptions(team, panel, venues, judgesById) {
+  const judgeVenues = [...new Set(panel.map(judgeId => judgesById[judgeId]?.venue_id).filter(Boolean))];
+  let options = venues;
+  if (team.venue_id) {
+    options = venues.filter(venue => venue.id === team.venue_id);
+  } else if (judgeVenues.length > 0) {
+    options = judgeVenues.length === 1 ? venues.filter(venue => venue.id === judgeVenues[0]) : [];
+  }
+
+  return options.filter(venue => !(venue.capacity > 0) || peopleInRoom(team, panel) <= venue.capacity);
+}
+
+/**
+ * Place every team with a judge panel in the earliest slot where its venue
+ * and all of its judges are free. Teams with the largest panels and fewest
+ * usable venues are placed first; within a slot the least used venue is
+ * preferred so rooms fill evenly
+ * @param {Array} teams - [{id, name, venue_id, members}]
+ * @param {Array} judges - [{id, venue_id}]
+ * @param {Array} venues - [{id, name, capacity}]
+ * @param {Array} assignments - the round's [{judge_id, team_id}]
+ * @param {Object} settings - rounds.schedule_settings
+ * @returns {Object} - {slots: [{team_id, venue_id, slot_index, starts_at, ends_at, judge_ids}],
+ *   unscheduledTeams: [team], warnings}
+ */
+export function generatePitchSchedule(teams, judges, venues, assignments, settings) {
+  const panels = buildPanels(assignments);
+  const judgesById = Object.fromEntries(judges.map(judge => [judge.id, judge]));
+  const venueBusy = {};
+  const judgeBusy = {};
+  const venueLoad = {};
+  venues.forEach(venue => {
+    venueBusy[venue.id] = new Set();
+    venueLoad[venue.id] = 0;
+  });
+
+  const slots = [];
+  const unscheduledTeams = [];
+  const warnings = [];
+
+  const unjudged = teams.filter(team => !panels[team.id]);
+  if (unjudged.length > 0) {
+    warnings.push(`${unjudged.length} team(s) have no judges assigned and were not scheduled: ${unjudged.map(t => t.name).join(', ')}`);
+  }
+
+  const candidates = teams
+    .filter(team => panels[team.id])
+    .map(team => ({ team, panel: panels[team.id], options: venueOptions(team, panels[team.id], venues, judgesById) }))
+    .sort((a, b) => b.panel.length - a.panel.length || a.options.length - b.options.length);
+
+  candidates.forEach(({ team, panel, options }) => {
+    if (options.length === 0) {
+      unscheduledTeams.push(team);
+      return;
+    }
+
+    // Every placed team takes one slot, so a free slot exists within this range
+    for (let slotIndex = 0; slotIndex <= slots.length; slotIndex++) {
+      if (panel.some(judgeId => judgeBusy[judgeId]?.has(slotIndex))) continue;
+      const free = options.filter(venue => !venueBusy[venue.id].has(slotIndex));
+      if (free.length === 0) continue;
+
+      const venue = free.reduce((best, candidate) => (venueLoad[candidate.id] < venueLoad[best.id] ? candidate : best));
+      venueBusy[venue.id].add(slotIndex);
+      venueLoad[venue.id] += 1;
+      panel.forEach(judgeId => {
+        if (!judgeBusy[judgeId]) judgeBusy[judgeId] = new Set();
+        judgeBusy[judgeId].add(slotIndex);
+      });
+      slots.push({
+        team_id: team.id,
+        venue_id: venue.id,
+        slot_index: slotIndex,
+        ...slotTimes(settings, slotIndex),
+        judge_ids: panel
+      });
+      return;
+    }
+  });
+
+  if (unscheduledTeams.length > 0) {
+    warnings.push(
+      `${unscheduledTeams.length} team(s) fit no venue (venue placement or capacity): ` +
+      unscheduledTeams.map(team => team.name).join(', ')
+    );
+  }
+
+  return {
+    slots: slots.sort((a, b) => a.slot_index - b.slot_index),
+    unscheduledTeams,
+    warnings
+  };
+}
+
+/**
+ * Check an agenda, e.g. after manual moves. Slots are all the same length,
+ * so two pitches overlap exactly when they share a slot index
+ * @param {Array} slots - [{team_id, venue_id, slot_index}]
+ * @param {Array} teams - [{id, name, venue_id, members}]
+ * @param {Array} judges - [{id, name, venue_id}]
+ * @param {Array} venues - [{id, name, capacity}]
+ * @param {Array} assignments - the round's [{judge_id, team_id}]
+ * @returns {Array} - [{type, slot_index, team_ids, message}]
+ */
+export function findScheduleConflicts(slots, teams, judges, venues, assignments) {
+  const panels = buildPanels(assignments);
+  const teamsById = Object.fromEntries(teams.map(team => [team.id, team]));
+  const judgesById = Object.fromEntries(judges.map(judge => [judge.id, judge]));
+  const venuesById = Object.fromEntries(venues.map(venue => [venue.id, venue]));
+  const teamName = (teamId) => teamsById[teamId]?.name || 'Unknown team';
+  const conflicts = [];
+
+  const bySlot = {};
+  slots.forEach(slot => {
+    if (!bySlot[slot.slot_index]) bySlot[slot.slot_index] = [];
+    bySlot[slot.slot_index].push(slot);
+  });
+
+  Object.values(bySlot).forEach(concurrent => {
+    const slotIndex = concurrent[0].slot_index;
+
+    const byVenue = {};
+    concurrent.forEach(slot => {
+      if (!byVenue[slot.venue_id]) byVenue[slot.venue_id] = [];
+      byVenue[slot.venue_id].push(slot.team_id);
+    });
+    Object.entries(byVenue).forEach(([venueId, teamIds]) => {
+      if (teamIds.length < 2) return;
+      conflicts.push({
+        type: ScheduleConflictTypes.VENUE_DOUBLE_BOOKED,
+        slot_index: slotIndex,
+        team_ids: teamIds,
+        message: `${venuesById[venueId]?.name || 'A venue'} hosts ${teamIds.map(teamName).join(' and ')} at the same time`
+      });
+    });
+
+    const byJudge = {};
+    concurrent.forEach(slot => {
+      (panels[slot.team_id] || []).forEach(judgeId => {
+        if (!byJudge[judgeId]) byJudge[judgeId] = [];
+        byJudge[judgeId].push(slot.team_id);
+      });
+    });
+    Object.entries(byJudge).forEach(([judgeId, teamIds]) => {
+      if (teamIds.length < 2) return;
+      conflicts.push({
+        type: ScheduleConflictTypes.JUDGE_DOUBLE_BOOKED,
+        slot_index: slotIndex,
+        team_ids: teamIds,
+        message: `${judgesById[judgeId]?.name || 'A judge'} is due at ${teamIds.map(teamName).join(' and ')} at the same time`
+      });
+    });
+  });
+
+  slots.forEach(slot => {
+    const team = teamsById[slot.team_id];
+    if (!team) return;
+    const panel = panels[slot.team_id] || [];
+    const venue = venuesById[slot.venue_id];
+
+    const misplaced = panel.map(judgeId => judgesById[judgeId])
+      .filter(judge => judge?.venue_id && judge.venue_id !== slot.venue_id);
+    if ((team.venue_id && team.venue_id !== slot.venue_id) || misplaced.length > 0) {
+      conflicts.push({
+        type: ScheduleConflictTypes.WRONG_VENUE,
+        slot_index: slot.slot_index,
+        team_ids: [team.id],
+        message: misplaced.length > 0
+          ? `${team.name} is in ${venue?.name || 'another venue'} but ${misplaced.map(judge => judge.name).join(', ')} judge elsewhere`
+          : `${team.name} presents in ${venuesById[team.venue_id]?.name || 'another venue'}, not ${venue?.name || 'this one'}`
+      });
+    }
+
+    if (venue?.capacity > 0 && peopleInRoom(team, panel) > venue.capacity) {
+      conflicts.push({
+        type: ScheduleConflictTypes.OVER_CAPACITY,
+        slot_index: slot.slot_index,
+        team_ids: [team.id],
+        message: `${venue.name} seats ${venue.capacity}, but ${team.name}'s pitch needs ${peopleInRoom(team, panel)}`
+      });
+    }
+  });
+
+  return conflicts.sort((a, b) => a.slot_index - b.slot_index);
+}
+
+/**
+ * Teams in pitch order; teams without a slot keep their order at the end
+ * @param {Array} teams - [{id}]
+ * @param {Array} slots - [{team_id, starts_at}]
+ * @returns {Array}
+ */
+export function orderTeamsBySchedule(teams, slots) {
+  const startsAt = Object.fromEntries(slots.map(slot => [slot.team_id, new Date(slot.starts_at).getTime()]));
+  return teams
+    .map((team, index) => ({ team, index }))
+    .sort((a, b) => (startsAt[a.team.id] ?? Infinity) - (startsAt[b.team.id] ?? Infinity) || a.index - b.index)
+    .map(({ team }) => team);
+}
+
+export const scheduleService = {
+  async getRoundSchedule(roundId) {
+    const { data, error } = await supabase
+      .from('pitch_slots')
+      .select('*, team:teams(id, name, project_title), venue:venues(id, name)')
+      .eq('round_id', roundId)
+      .order('starts_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getEventSchedule(eventId) {
+    const { data, error } = await supabase
+      .from('pitch_slots')
+      .select('*, team:teams(id, name, project_title), venue:venues(id, name), round:rounds(id, name, round_number)')
+      .eq('event_id', eventId)
+      .order('starts_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Replace the round's agenda and remember the settings it was built with.
+   * Times are recomputed from the settings, so moved slots stay aligned
+   * @param {Object} round - {id, event_id}
+   * @param {Array} slots - [{team_id, venue_id, slot_index}]
+   * @param {Object} settings - rounds.schedule_settings
+   */
+  async saveRoundSchedule(round, slots, settings) {
+    const { error: settingsError } = await supabase
+      .from('rounds')
+      .update({ schedule_settings: withDefaults(settings) })
+      .eq('id', round.id);
+
+    if (settingsError) throw settingsError;
+
+    const { error: deleteError } = await supabase
+      .from('pitch_slots')
+      .delete()
+      .eq('round_id', round.id);
+
+    if (deleteError) throw deleteError;
+
+    if (slots.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('pitch_slots')
+      .insert(slots.map(slot => ({
+        event_id: round.event_id,
+        round_id: round.id,
+        team_id: slot.team_id,
+        venue_id: slot.venue_id,
+        slot_index: slot.slot_index,
+        ...slotTimes(settings, slot.slot_index)
+      })))
+      .select('*, team:teams(id, name, project_title), venue:venues(id, name)');
+
+    if (error) throw error;
+    return data || [];
+  }
+};
+
+export default scheduleService;
@@ -0,0 +1,245 @@
+import {
+  slotTimes,
+  isBreakBefore,
+  generatePitchSchedule,
+  findScheduleConflicts,
+  orderTeamsBySchedule,
+  ScheduleConflictTypes
+} from './scheduleService';
+
+jest.mock('../supabaseClient', () => ({ supabase: {} }));
+
+describe('Schedule Service', () => {
+  const settings = {
+    start_at: '2026-10-19T09:00:00.000Z',
+    slot_minutes: 10,
+    break_minutes: 15,
+    slots_between_breaks: 3
+  };
+
+  const team = (id, extra = {}) => ({ id, name: `Team ${id}`, venue_id: null, members: [], ...extra });
+  const judge = (id, extra = {}) => ({ id, name: `Judge ${id}`, venue_id: null, ...extra });
+  const venues = [
+    { id: 'v1', name: 'Main Hall', capacity: 0 },
+    { id: 'v2', name: 'Room B', capacity: 0 }
+  ];
+
+  describe('Slot times', () => {
+    test('slots follow each other directly, with a break after every block', () => {
+      expect(slotTimes(settings, 0)).toEqual({
+        starts_at: '2026-10-19T09:00:00.000Z',
+        ends_at: '2026-10-19T09:10:00.000Z'
+      });
+      expect(slotTimes(settings, 2).starts_at).toBe('2026-10-19T09:20:00.000Z');
+      // 3 slots, then the 15 minute break
+      expect(slotTimes(settings, 3).starts_at).toBe('2026-10-19T09:45:00.000Z');
+      expect(slotTimes(settings, 6).starts_at).toBe('2026-10-19T10:30:00.000Z');
+    });
+
+    test('no breaks when slots_between_breaks is 0', () => {
+      const noBreaks = { ...settings, slots_between_breaks: 0 };
+
+      expect(slotTimes(noBreaks, 6).starts_at).toBe('2026-10-19T10:00:00.000Z');
+      expect([0, 3, 6].some(index => isBreakBefore(noBreaks, index))).toBe(false);
+    });
+
+    test('a break comes before the first slot of every block but the first', () => {
+      expect([0, 1, 2, 3, 4, 5, 6].map(index => isBreakBefore(settings, index)))
+        .toEqual([false, false, false, true, false, false, true]);
+    });
+
+    test('missing settings fall back to the defaults', () => {
+      const { starts_at, ends_at } = slotTimes({ start_at: settings.start_at }, 6);
+
+      // 6 slots of 10 minutes, then the default 15 minute break after 6
+      expect(starts_at).toBe('2026-10-19T10:15:00.000Z');
+      expect(ends_at).toBe('2026-10-19T10:25:00.000Z');
+    });
+  });
+
+  describe('generatePitchSchedule', () => {
+    const judges = [judge('j1'), judge('j2'), judge('j3')];
+    const teams = [team('t1'), team('t2'), team('t3'), team('t4')];
+    const assignments = [
+      { judge_id: 'j1', team_id: 't1' },
+      { judge_id: 'j2', team_id: 't1' },
+      { judge_id: 'j1', team_id: 't2' },
+      { judge_id: 'j3', team_id: 't3' },
+      { judge_id: 'j2', team_id: 't4' }
+    ];
+
+    test('places every judged team once, with its panel and slot times', () => {
+      const { slots, unscheduledTeams, warnings } = generatePitchSchedule(teams, judges, venues, assignments, settings);
+
+      expect(slots.map(slot => slot.team_id).sort()).toEqual(['t1', 't2', 't3', 't4']);
+      expect(unscheduledTeams).toEqual([]);
+      expect(warnings).toEqual([]);
+      slots.forEach(slot => {
+        expect(slot).toMatchObject(slotTimes(settings, slot.slot_index));
+      });
+      expect(slots.find(slot => slot.team_id === 't1').judge_ids).toEqual(['j1', 'j2']);
+    });
+
+    test('never double-books a judge or a venue', () => {
+      const { slots } = generatePitchSchedule(teams, judges, venues, assignments, settings);
+
+      expect(findScheduleConflicts(slots, teams, judges, venues, assignments)).toEqual([]);
+      // t1 shares j1 with t2 and j2 with t4
+      const slotOf = (teamId) => slots.find(slot => slot.team_id === teamId).slot_index;
+      expect(slotOf('t1')).not.toBe(slotOf('t2'));
+      expect(slotOf('t1')).not.toBe(slotOf('t4'));
+    });
+
+    test('runs venues in parallel and fills them evenly', () => {
+      const { slots } = generatePitchSchedule(teams, judges, venues, assignments, settings);
+
+      expect(Math.max(...slots.map(slot => slot.slot_index))).toBe(1);
+      expect(slots.filter(slot => slot.venue_id === 'v1')).toHaveLength(2);
+      expect(slots.filter(slot => slot.venue_id === 'v2')).toHaveLength(2);
+    });
+
+    test('keeps teams and judges at the venue they are placed at', () => {
+      const placedTeams = [team('t1', { venue_id: 'v2' }), team('t2'), team('t3')];
+      const placedJudges = [judge('j1'), judge('j2'), judge('j3', { venue_id: 'v2' })];
+
+      const { slots } = generatePitchSchedule(placedTeams, placedJudges, venues, assignments, settings);
+      const venueOf = (teamId) => slots.find(slot => slot.team_id === teamId).venue_id;
+
+      expect(venueOf('t1')).toBe('v2');
+      expect(venueOf('t3')).toBe('v2');
+    });
+
+    test('skips unjudged teams and teams that fit no venue, with warnings', () => {
+      const crowded = [...teams.slice(0, 3), team('t4', { members: [{}, {}, {}] }), team('t5')];
+      const smallRooms = venues.map(venue => ({ ...venue, capacity: 4 }));
+
+      const { slots, unscheduledTeams, warnings } = generatePitchSchedule(crowded, judges, smallRooms, [
+        ...assignments.slice(0, 4),
+        { judge_id: 'j1', team_id: 't4' },
+        { judge_id: 'j3', team_id: 't4' }
+      ], settings);
+
+      expect(slots.map(slot => slot.team_id)).not.toContain('t5');
+      expect(unscheduledTeams.map(t => t.id)).toEqual(['t4']);
+      expect(warnings).toEqual([
+        '1 team(s) have no judges assigned and were not scheduled: Team t5',
+        '1 team(s) fit no venue (venue placement or capacity): Team t4'
+      ]);
+    });
+
+    test('a panel split across two venues cannot be placed', () => {
+      const splitJudges = [judge('j1', { venue_id: 'v1' }), judge('j2', { venue_id: 'v2' }), judge('j3')];
+
+      const { unscheduledTeams } = generatePitchSchedule(teams, splitJudges, venues, assignments, settings);
+
+      expect(unscheduledTeams.map(t => t.id)).toEqual(['t1']);
+    });
+
+    test("each judge's personal schedule has one pitch per slot, in time order", () => {
+      const { slots } = generatePitchSchedule(teams, judges, venues, assignments, settings);
+
+      judges.forEach(({ id }) => {
+        const mySlots = slots.filter(slot => slot.judge_ids.includes(id));
+        const myTeams = teams.filter(t => assignments.some(a => a.judge_id === id && a.team_id === t.id));
+
+        expect(new Set(mySlots.map(slot => slot.slot_index)).size).toBe(mySlots.length);
+        expect(mySlots.map(slot => slot.team_id).sort()).toEqual(myTeams.map(t => t.id).sort());
+
+        const ordered = orderTeamsBySchedule(myTeams, mySlots).map(t => t.id);
+        const startTimes = ordered.map(teamId => mySlots.find(slot => slot.team_id === teamId).starts_at);
+        expect([...startTimes].sort()).toEqual(startTimes);
+      });
+    });
+  });
+
+  describe('findScheduleConflicts', () => {
+    const judges = [judge('j1'), judge('j2', { venue_id: 'v1' })];
+    const teams = [team('t1'), team('t2', { venue_id: 'v1' }), team('t3', { members: [{}, {}] })];
+    const assignments = [
+      { judge_id: 'j1', team_id: 't1' },
+      { judge_id: 'j1', team_id: 't3' },
+      { judge_id: 'j2', team_id: 't2' }
+    ];
+
+    test('flags two pitches in one venue at the same time', () => {
+      const conflicts = findScheduleConflicts([
+        { team_id: 't1', venue_id: 'v1', slot_index: 0 },
+        { team_id: 't2', venue_id: 'v1', slot_index: 0 }
+      ], teams, judges, venues, assignments);
+
+      expect(conflicts).toEqual([{
+        type: ScheduleConflictTypes.VENUE_DOUBLE_BOOKED,
+        slot_index: 0,
+        team_ids: ['t1', 't2'],
+        message: 'Main Hall hosts Team t1 and Team t2 at the same time'
+      }]);
+    });
+
+    test('flags a judge due at two pitches at the same time', () => {
+      const conflicts = findScheduleConflicts([
+        { team_id: 't1', venue_id: 'v1', slot_index: 1 },
+        { team_id: 't3', venue_id: 'v2', slot_index: 1 }
+      ], teams, judges, venues, assignments);
+
+      expect(conflicts).toEqual([{
+        type: ScheduleConflictTypes.JUDGE_DOUBLE_BOOKED,
+        slot_index: 1,
+        team_ids: ['t1', 't3'],
+        message: 'Judge j1 is due at Team t1 and Team t3 at the same time'
+      }]);
+    });
+
+    test('flags a team moved away from its venue or from its judges', () => {
+      const conflicts = findScheduleConflicts([
+        { team_id: 't2', venue_id: 'v2', slot_index: 0 }
+      ], teams, judges, venues, assignments);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({ type: ScheduleConflictTypes.WRONG_VENUE, team_ids: ['t2'] });
+      expect(conflicts[0].message).toBe('Team t2 is in Room B but Judge j2 judge elsewhere');
+
+      const [wrongTeamVenue] = findScheduleConflicts([
+        { team_id: 't2', venue_id: 'v2', slot_index: 0 }
+      ], teams, [judge('j2')], venues, assignments);
+      expect(wrongTeamVenue.message).toBe('Team t2 presents in Main Hall, not Room B');
+    });
+
+    test('flags a pitch that does not fit the room', () => {
+      const smallRoom = [{ id: 'v1', name: 'Booth', capacity: 2 }];
+
+      const conflicts = findScheduleConflicts([
+        { team_id: 't3', venue_id: 'v1', slot_index: 2 }
+      ], teams, judges, smallRoom, assignments);
+
+      expect(conflicts).toEqual([{
+        type: ScheduleConflictTypes.OVER_CAPACITY,
+        slot_index: 2,
+        team_ids: ['t3'],
+        message: "Booth seats 2, but Team t3's pitch needs 3"
+      }]);
+    });
+
+    test('returns conflicts in slot order', () => {
+      const conflicts = findScheduleConflicts([
+        { team_id: 't1', venue_id: 'v2', slot_index: 3 },
+        { team_id: 't3', venue_id: 'v1', slot_index: 3 },
+        { team_id: 't2', venue_id: 'v2', slot_index: 0 }
+      ], teams, judges, venues, assignments);
+
+      expect(conflicts.map(conflict => conflict.slot_index)).toEqual([0, 3]);
+    });
+  });
+
+  describe('orderTeamsBySchedule', () => {
+    test('orders by start time and keeps unscheduled teams at the end in their order', () => {
+      const teams = [team('t1'), team('t2'), team('t3'), team('t4')];
+      const slots = [
+        { team_id: 't3', starts_at: '2026-10-19T09:00:00.000Z' },
+        { team_id: 't1', starts_at: '2026-10-19T09:30:00.000Z' }
+      ];
+
+      expect(orderTeamsBySchedule(teams, slots).map(t => t.id)).toEqual(['t3', 't1', 't2', 't4']);
+      expect(orderTeamsBySchedule(teams, []).map(t => t.id)).toEqual(['t1', 't2', 't3', 't4']);
+    });
+  });
+});
@@ -16,6 +16,7 @@
  */
 
 import { supabase } from '../supabaseClient';
+import { validateCriterionScore } from './normalizationService';
 
 export const ScoringMethods = {
   Z_SCORE: 'Z_SCORE',
@@ -192,7 +193,7 @@ export const scoringEngine = {
   async getRoundCriteria(roundId) {
     const { data, error } = await supabase
       .from('round_criteria')
-      .select('id, name, description, max_marks, min_marks, weight, display_order')
+      .select('id, name, description, max_marks, min_marks, weight, display_order, scale_type, step_size')
       .eq('round_id', roundId)
       .order('display_order');
 
@@ -229,14 +230,9 @@ export const scoringEngine = {
         continue;
       }
 
-      if (typeof score !== 'number' || isNaN(score)) {
-        errors.push(`Invalid score for ${criterion.name}`);
-        continue;
-      }
-
-      const minScore = criterion.min_marks || 0;
-      if (score < minScore || score > criterion.max_marks) {
-        errors.push(`${criterion.name}: Score must be between ${minScore} and ${criterion.max_marks}`);
+      const scaleError = validateCriterionScore(criterion, score);
+      if (scaleError) {
+        errors.push(scaleError);
       }
     }
 
@@ -13,29 +13,27 @@ export const SelectionModes = {
 };
 
 /**
- * Select top N teams per judge based on their raw_total rankings
+ * Select top N teams per judge based on their raw_total rankings.
+ * Every judge assigned to the round counts; which teams a judge scored
+ * already follows the event's tracks
  * @param {string} roundId
  * @param {number} topN - 2, 5, or 10
- * @param {Object} options - {judgeTypes: ['HARDWARE', 'SOFTWARE', 'BOTH']}
  * @returns {Promise<Object>} - {success, selected, breakdown}
  */
-export async function selectPerJudgeTopN(roundId, topN, options = {}) {
+export async function selectPerJudgeTopN(roundId, topN) {
   try {
     if (![2, 5, 10].includes(topN)) {
       throw new Error('topN must be 2, 5, or 10');
     }
 
-    const judgeTypes = options.judgeTypes || ['HARDWARE', 'SOFTWARE', 'BOTH'];
-
     const { data: judges, error: judgesError } = await supabase
       .from('round_judge_assignments')
-      .select('judge_id, judge_type')
-      .eq('round_id', roundId)
-      .in('judge_type', judgeTypes);
+      .select('judge_id')
+      .eq('round_id', roundId);
 
     if (judgesError) throw judgesError;
     if (!judges || judges.length === 0) {
-      throw new Error('No judges found matching criteria');
+      throw new Error('No judges assigned to this round');
     }
 
     const { data: normResults, error: normError } = await supabase
@@ -50,7 +48,8 @@ export async function selectPerJudgeTopN(roundId, topN, options = {}) {
           name
         )
       `)
-      .eq('round_id', roundId);
+      .eq('round_id', roundId)
+      .neq('is_eligible', false);
 
     if (normError) throw normError;
     if (!normResults || normResults.length === 0) {
@@ -70,7 +69,6 @@ export async function selectPerJudgeTopN(roundId, topN, options = {}) {
 
       judgeSelections[judge.judge_id] = {
         judge_id: judge.judge_id,
-        judge_type: judge.judge_type,
         selected_teams: topTeams.map(t => ({
           team_id: t.team_id,
           team_name: t.teams?.name,
@@ -84,7 +82,6 @@ export async function selectPerJudgeTopN(roundId, topN, options = {}) {
 
       breakdown.push({
         judge_id: judge.judge_id,
-        judge_type: judge.judge_type,
         teams_evaluated: judgeEvals.length,
         teams_selected: topTeams.length,
         selected_team_ids: topTeams.map(t => t.team_id)
@@ -280,7 +277,7 @@ export async function shouldStopAfterRound(roundId) {
 /**
  * Main selection orchestrator
  * @param {string} roundId
- * @param {Object} config - {mode, topN, topK, judgeTypes, createNextRound}
+ * @param {Object} config - {mode, topN, topK, createNextRound}
  * @returns {Promise<Object>}
  */
 export async function executeSelection(roundId, config) {
@@ -297,11 +294,7 @@ export async function executeSelection(roundId, config) {
     let selectionResult;
 
     if (config.mode === SelectionModes.PER_JUDGE_TOP_N) {
-      selectionResult = await selectPerJudgeTopN(
-        roundId,
-        config.topN || 5,
-        { judgeTypes: config.judgeTypes }
-      );
+      selectionResult = await selectPerJudgeTopN(roundId, config.topN || 5);
     } else if (config.mode === SelectionModes.GLOBAL_TOP_K) {
       selectionResult = await selectGlobalTopK(roundId, config.topK || 10);
     } else {
@@ -335,8 +328,7 @@ export async function executeSelection(roundId, config) {
             event_id: currentRound.event_id,
             name: `Round ${currentRound.round_number + 1}`,
             round_number: currentRound.round_number + 1,
-            status: 'draft',
-            max_criteria: 5
+            status: 'draft'
           })
           .select()
           .maybeSingle();
@@ -352,7 +344,7 @@ export async function executeSelection(roundId, config) {
         toRoundId,
         selectionResult.selected,
         config.mode,
-        { topN: config.topN, topK: config.topK, judgeTypes: config.judgeTypes }
+        { topN: config.topN, topK: config.topK }
       );
 
       if (!saveResult.success) {
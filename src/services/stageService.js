@@ -0,0 +1,277 @@
+/**
+ * Stage Service
+ * Live "now presenting" state per venue: which team is on stage, its phase
+ * (pitch, then Q&A) and the countdown, shared over Supabase realtime
+ */
+
+import { supabase } from '../supabaseClient';
+
+export const StagePhases = {
+  IDLE: 'IDLE',   // nothing started yet
+  PITCH: 'PITCH',
+  QA: 'QA',
+  DONE: 'DONE'    // the team has finished; waiting for the next one
+};
+
+export const DEFAULT_PITCH_SECONDS = 300;
+export const DEFAULT_QA_SECONDS = 120;
+
+const toISO = (time) => new Date(time).toISOString();
+
+// Milliseconds to add to this device's clock to read the database clock
+let clockOffset = 0;
+
+/**
+ * Offset of this device's clock from the server's, assuming the request
+ * took as long each way
+ * @param {number} requestedAt - device ms timestamp when the request was sent
+ * @param {string} serverTime - ISO timestamp the server answered with
+ * @param {number} receivedAt - device ms timestamp when the answer arrived
+ * @returns {number} - ms to add to the device clock
+ */
+export function estimateClockOffset(requestedAt, serverTime, receivedAt) {
+  return new Date(serverTime).getTime() - (requestedAt + receivedAt) / 2;
+}
+
+/**
+ * The database clock as seen from this device, once syncClock() has run
+ * @returns {number} - ms timestamp
+ */
+export function serverNow() {
+  return Date.now() + clockOffset;
+}
+
+/**
+ * @param {Object} state - stage_states row
+ * @returns {boolean} - whether a team is presenting or taking questions
+ */
+export function isOnStage(state) {
+  return Boolean(state?.team_id) && (state.phase === StagePhases.PITCH || state.phase === StagePhases.QA);
+}
+
+/**
+ * Seconds left in the current phase; negative once the team runs over.
+ * Counted from phase_started_at, which the database stamps, so every screen
+ * shows the same time as long as now is on the server clock
+ * @param {Object} state - stage_states row
+ * @param {number} now - ms timestamp, from serverNow()
+ * @returns {number|null} - null when no phase is running
+ */
+export function remainingSeconds(state, now = serverNow()) {
+  if (!isOnStage(state) || !state.phase_started_at) return null;
+  const duration = state.phase === StagePhases.PITCH
+    ? (state.pitch_seconds ?? DEFAULT_PITCH_SECONDS)
+    : (state.qa_seconds ?? DEFAULT_QA_SECONDS);
+  const until = state.paused_at ? new Date(state.paused_at).getTime() : now;
+  return duration - (until - new Date(state.phase_started_at).getTime()) / 1000;
+}
+
+/**
+ * @param {number} seconds - from remainingSeconds()
+ * @returns {string} - m:ss, with a leading + for overtime
+ */
+export function formatCountdown(seconds) {
+  if (seconds === null || seconds === undefined) return '--:--';
+  const whole = Math.ceil(Math.abs(seconds) - 1e-9);
+  const text = `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+  return seconds < 0 && whole > 0 ? `+${text}` : text;
+}
+
+/**
+ * Put a scheduled team on stage, starting its pitch. The times in this and
+ * the other patches are re-stamped by the database (stamp_stage_times)
+ * @param {Object} slot - pitch_slots row
+ * @returns {Object} - stage_states patch
+ */
+export function presentTeam(slot, now = serverNow()) {
+  return {
+    round_id: slot.round_id,
+    slot_id: slot.id,
+    team_id: slot.team_id,
+    phase: StagePhases.PITCH,
+    phase_started_at: toISO(now),
+    paused_at: null
+  };
+}
+
+/**
+ * Pitch → Q&A → done. Rounds without Q&A time go straight to done
+ * @returns {Object} - stage_states patch
+ */
+export function advanceStage(state, now = serverNow()) {
+  const next = state.phase === StagePhases.PITCH && (state.qa_seconds ?? DEFAULT_QA_SECONDS) > 0
+    ? StagePhases.QA
+    : StagePhases.DONE;
+  return {
+    phase: next,
+    phase_started_at: next === StagePhases.DONE ? null : toISO(now),
+    paused_at: null
+  };
+}
+
+/**
+ * @returns {Object} - stage_states patch
+ */
+export function pauseStage(state, now = serverNow()) {
+  return state.paused_at ? {} : { paused_at: toISO(now) };
+}
+
+/**
+ * Shift the phase start by the length of the pause so no time is lost
+ * @returns {Object} - stage_states patch
+ */
+export function resumeStage(state, now = serverNow()) {
+  if (!state.paused_at) return {};
+  const paused = now - new Date(state.paused_at).getTime();
+  return {
+    phase_started_at: toISO(new Date(state.phase_started_at).getTime() + paused),
+    paused_at: null
+  };
+}
+
+/**
+ * The venue's pitches in order, with the team on stage and the one after it.
+ * Before anything is presented, the next team is the first one whose slot
+ * has not ended yet
+ * @param {Array} slots - pitch_slots rows of any rounds
+ * @param {string} venueId
+ * @param {Object} state - stage_states row, or null
+ * @returns {Object} - {queue, current, next}
+ */
+export function venueLineup(slots, venueId, state, now = serverNow()) {
+  const queue = slots
+    .filter(slot => slot.venue_id === venueId)
+    .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+  const index = state?.slot_id ? queue.findIndex(slot => slot.id === state.slot_id) : -1;
+  const current = index >= 0 ? queue[index] : null;
+  const next = index >= 0
+    ? queue[index + 1] || null
+    : queue.find(slot => new Date(slot.ends_at).getTime() > now) || null;
+
+  return { queue, current, next };
+}
+
+export const stageService = {
+  /**
+   * Measure this device's clock offset from the database for serverNow().
+   * Call once when a screen showing a countdown loads
+   * @returns {number} - the offset in ms
+   */
+  async syncClock() {
+    const requestedAt = Date.now();
+    const { data, error } = await supabase.rpc('stage_server_time');
+
+    if (error) throw error;
+    clockOffset = estimateClockOffset(requestedAt, data, Date.now());
+    return clockOffset;
+  },
+
+  async getVenue(venueId) {
+    const { data, error } = await supabase
+      .from('venues')
+      .select('*')
+      .eq('id', venueId)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getStage(venueId) {
+    const { data, error } = await supabase
+      .from('stage_states')
+      .select('*')
+      .eq('venue_id', venueId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getEventStages(eventId) {
+    const { data, error } = await supabase
+      .from('stage_states')
+      .select('*')
+      .eq('event_id', eventId);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Create the venue's stage on first use. An existing stage is updated
+   * rather than upserted: an upsert runs the INSERT branch of
+   * stamp_stage_times first, which would clear paused_at before the update
+   * @param {Object} venue - {id, event_id}
+   * @param {Object} patch - e.g. from presentTeam() or advanceStage()
+   */
+  async updateStage(venue, patch) {
+    const { data: updated, error: updateError } = await supabase
+      .from('stage_states')
+      .update(patch)
+      .eq('venue_id', venue.id)
+      .select();
+
+    if (updateError) throw updateError;
+    if (updated && updated.length > 0) return updated[0];
+
+    const { data, error } = await supabase
+      .from('stage_states')
+      .insert({
+        venue_id: venue.id,
+        event_id: venue.event_id,
+        ...patch
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  subscribeToStage(venueId, callback) {
+    const channel = supabase
+      .channel(`stage-${venueId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'stage_states',
+          filter: `venue_id=eq.${venueId}`
+        },
+        (payload) => {
+          callback(payload.new);
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+
+  subscribeToEventStages(eventId, callback) {
+    const channel = supabase
+      .channel(`event-stages-${eventId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'stage_states',
+          filter: `event_id=eq.${eventId}`
+        },
+        (payload) => {
+          callback(payload.new);
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }
+};
+
+export default stageService;
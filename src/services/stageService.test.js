@@ -0,0 +1,294 @@
+import { supabase } from '../supabaseClient';
+import {
+  StagePhases,
+  remainingSeconds,
+  formatCountdown,
+  presentTeam,
+  advanceStage,
+  pauseStage,
+  resumeStage,
+  venueLineup,
+  estimateClockOffset,
+  serverNow,
+  stageService,
+  DEFAULT_PITCH_SECONDS
+} from './stageService';
+
+jest.mock('../supabaseClient', () => ({ supabase: { rpc: jest.fn(), from: jest.fn() } }));
+
+describe('Stage Service', () => {
+  const start = new Date('2026-10-19T09:00:00.000Z').getTime();
+  const at = (seconds) => start + seconds * 1000;
+  const iso = (seconds) => new Date(at(seconds)).toISOString();
+
+  const pitch = {
+    team_id: 't1',
+    slot_id: 's1',
+    phase: StagePhases.PITCH,
+    phase_started_at: iso(0),
+    paused_at: null,
+    pitch_seconds: 180,
+    qa_seconds: 60
+  };
+
+  describe('remainingSeconds', () => {
+    test('counts down the phase length from the phase start', () => {
+      expect(remainingSeconds(pitch, at(0))).toBe(180);
+      expect(remainingSeconds(pitch, at(179.5))).toBe(0.5);
+      expect(remainingSeconds({ ...pitch, phase: StagePhases.QA }, at(45))).toBe(15);
+    });
+
+    test('goes negative in overtime', () => {
+      expect(remainingSeconds(pitch, at(200))).toBe(-20);
+    });
+
+    test('freezes at the pause time while paused', () => {
+      const paused = { ...pitch, paused_at: iso(30) };
+
+      expect(remainingSeconds(paused, at(30))).toBe(150);
+      expect(remainingSeconds(paused, at(600))).toBe(150);
+    });
+
+    test('falls back to the default lengths', () => {
+      const { pitch_seconds, ...defaults } = pitch;
+
+      expect(remainingSeconds(defaults, at(0))).toBe(DEFAULT_PITCH_SECONDS);
+    });
+
+    test('is null when nobody is on stage', () => {
+      expect(remainingSeconds(null, at(0))).toBeNull();
+      expect(remainingSeconds({ ...pitch, phase: StagePhases.DONE }, at(0))).toBeNull();
+      expect(remainingSeconds({ ...pitch, team_id: null }, at(0))).toBeNull();
+      expect(remainingSeconds({ ...pitch, phase_started_at: null }, at(0))).toBeNull();
+    });
+  });
+
+  describe('formatCountdown', () => {
+    test('shows m:ss, rounding partial seconds up', () => {
+      expect(formatCountdown(180)).toBe('3:00');
+      expect(formatCountdown(59.2)).toBe('1:00');
+      expect(formatCountdown(9)).toBe('0:09');
+      expect(formatCountdown(0.4)).toBe('0:01');
+      expect(formatCountdown(0)).toBe('0:00');
+    });
+
+    test('marks overtime with a plus, but not a zero that is just past', () => {
+      expect(formatCountdown(-20)).toBe('+0:20');
+      expect(formatCountdown(-61)).toBe('+1:01');
+      expect(formatCountdown(-1e-12)).toBe('0:00');
+    });
+
+    test('shows dashes when no phase is running', () => {
+      expect(formatCountdown(null)).toBe('--:--');
+      expect(formatCountdown(undefined)).toBe('--:--');
+    });
+  });
+
+  describe('Stage changes', () => {
+    test('presenting a team starts its pitch unpaused', () => {
+      expect(presentTeam({ id: 's2', round_id: 'r1', team_id: 't2' }, at(10))).toEqual({
+        round_id: 'r1',
+        slot_id: 's2',
+        team_id: 't2',
+        phase: StagePhases.PITCH,
+        phase_started_at: iso(10),
+        paused_at: null
+      });
+    });
+
+    test('pitch moves to Q&A, then done', () => {
+      const qa = advanceStage(pitch, at(185));
+      expect(qa).toEqual({ phase: StagePhases.QA, phase_started_at: iso(185), paused_at: null });
+
+      expect(advanceStage({ ...pitch, ...qa }, at(250))).toEqual({
+        phase: StagePhases.DONE,
+        phase_started_at: null,
+        paused_at: null
+      });
+    });
+
+    test('a round without Q&A time goes straight from pitch to done', () => {
+      expect(advanceStage({ ...pitch, qa_seconds: 0 }, at(185)).phase).toBe(StagePhases.DONE);
+    });
+
+    test('advancing a paused phase clears the pause', () => {
+      expect(advanceStage({ ...pitch, paused_at: iso(30) }, at(40)).paused_at).toBeNull();
+    });
+
+    test('resuming shifts the phase start by the pause so no time is lost', () => {
+      const paused = { ...pitch, ...pauseStage(pitch, at(30)) };
+      expect(paused.paused_at).toBe(iso(30));
+
+      const resumed = { ...paused, ...resumeStage(paused, at(90)) };
+      expect(resumed).toMatchObject({ phase_started_at: iso(60), paused_at: null });
+      expect(remainingSeconds(resumed, at(90))).toBe(remainingSeconds(paused, at(90)));
+    });
+
+    test('pausing twice or resuming a running clock changes nothing', () => {
+      expect(pauseStage({ ...pitch, paused_at: iso(30) }, at(60))).toEqual({});
+      expect(resumeStage(pitch, at(60))).toEqual({});
+    });
+  });
+
+  describe('venueLineup', () => {
+    const slots = [
+      { id: 's3', venue_id: 'v1', starts_at: iso(1200), ends_at: iso(1800) },
+      { id: 's1', venue_id: 'v1', starts_at: iso(0), ends_at: iso(600) },
+      { id: 'sx', venue_id: 'v2', starts_at: iso(0), ends_at: iso(600) },
+      { id: 's2', venue_id: 'v1', starts_at: iso(600), ends_at: iso(1200) }
+    ];
+
+    test("lists the venue's pitches in time order", () => {
+      const { queue } = venueLineup(slots, 'v1', null, at(0));
+
+      expect(queue.map(slot => slot.id)).toEqual(['s1', 's2', 's3']);
+    });
+
+    test('the team on stage is current and the following slot is next', () => {
+      const { current, next } = venueLineup(slots, 'v1', { slot_id: 's2' }, at(0));
+
+      expect(current.id).toBe('s2');
+      expect(next.id).toBe('s3');
+      expect(venueLineup(slots, 'v1', { slot_id: 's3' }, at(0)).next).toBeNull();
+    });
+
+    test('before anything is presented, next is the first slot that has not ended', () => {
+      expect(venueLineup(slots, 'v1', null, at(0)).next.id).toBe('s1');
+      expect(venueLineup(slots, 'v1', { slot_id: null }, at(700)).next.id).toBe('s2');
+      expect(venueLineup(slots, 'v1', null, at(1800)).next).toBeNull();
+    });
+  });
+
+  describe('Server clock', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      supabase.rpc.mockReset();
+    });
+
+    test('estimates the offset at the midpoint of the request', () => {
+      // Server answered 09:00:05 for a request sent at 09:00:00 and answered at 09:00:02
+      expect(estimateClockOffset(at(0), iso(5), at(2))).toBe(4000);
+      expect(estimateClockOffset(at(10), iso(5), at(10))).toBe(-5000);
+    });
+
+    test('syncClock makes serverNow read the database clock', async () => {
+      const deviceTimes = [at(0), at(2), at(3)];
+      jest.spyOn(Date, 'now').mockImplementation(() => deviceTimes.shift());
+      supabase.rpc.mockResolvedValueOnce({ data: iso(65), error: null });
+
+      await expect(stageService.syncClock()).resolves.toBe(64000);
+      expect(supabase.rpc).toHaveBeenCalledWith('stage_server_time');
+      expect(serverNow()).toBe(at(67));
+    });
+
+    test('a device running behind still shows the moderator\'s countdown', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(at(0));
+      supabase.rpc.mockResolvedValueOnce({ data: iso(30), error: null });
+
+      await stageService.syncClock();
+
+      // 30 s into the pitch on the server, though this device thinks it just started
+      expect(remainingSeconds(pitch)).toBe(150);
+    });
+
+    test('keeps the last offset when the server cannot be reached', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(at(0));
+      supabase.rpc.mockResolvedValueOnce({ data: iso(10), error: null });
+      await stageService.syncClock();
+
+      const error = new Error('network down');
+      supabase.rpc.mockResolvedValueOnce({ data: null, error });
+
+      await expect(stageService.syncClock()).rejects.toBe(error);
+      expect(serverNow()).toBe(at(10));
+    });
+  });
+
+  describe('updateStage', () => {
+    const venue = { id: 'v1', event_id: 'e1' };
+    let rows;
+    let dbNow;
+
+    // The stamp_stage_times trigger, applied by the stage_states table below
+    const stampStageTimes = (oldRow, newRow) => {
+      const row = { ...newRow };
+      if (!oldRow || row.phase !== oldRow.phase || row.slot_id !== oldRow.slot_id) {
+        row.phase_started_at = [StagePhases.PITCH, StagePhases.QA].includes(row.phase) ? iso(dbNow) : null;
+        row.paused_at = null;
+      } else if (!oldRow.paused_at && row.paused_at) {
+        row.phase_started_at = oldRow.phase_started_at;
+        row.paused_at = iso(dbNow);
+      } else if (oldRow.paused_at && !row.paused_at) {
+        row.phase_started_at = new Date(
+          new Date(oldRow.phase_started_at).getTime() + at(dbNow) - new Date(oldRow.paused_at).getTime()
+        ).toISOString();
+      } else {
+        row.phase_started_at = oldRow.phase_started_at;
+        row.paused_at = oldRow.paused_at;
+      }
+      return row;
+    };
+
+    // Supports the update and insert calls updateStage makes, and nothing else
+    const stageTable = () => ({
+      update: (patch) => ({
+        eq: (column, venueId) => ({
+          select: async () => {
+            if (!rows[venueId]) return { data: [], error: null };
+            rows[venueId] = stampStageTimes(rows[venueId], { ...rows[venueId], ...patch });
+            return { data: [rows[venueId]], error: null };
+          }
+        })
+      }),
+      insert: (row) => ({
+        select: () => ({
+          single: async () => {
+            rows[row.venue_id] = stampStageTimes(null, { phase: StagePhases.IDLE, paused_at: null, ...row });
+            return { data: rows[row.venue_id], error: null };
+          }
+        })
+      })
+    });
+
+    beforeEach(() => {
+      rows = {};
+      supabase.from.mockImplementation(stageTable);
+    });
+
+    afterEach(() => {
+      supabase.from.mockReset();
+    });
+
+    const run = async (seconds, makePatch) => {
+      dbNow = seconds;
+      // Moderator's device is 7 s behind the database
+      return stageService.updateStage(venue, makePatch(rows.v1, at(seconds - 7)));
+    };
+
+    test('creates the stage on first use, on the database clock', async () => {
+      const stage = await run(0, (_, now) => presentTeam({ id: 's1', round_id: 'r1', team_id: 't1' }, now));
+
+      expect(stage).toMatchObject({ venue_id: 'v1', event_id: 'e1', phase: StagePhases.PITCH, phase_started_at: iso(0) });
+    });
+
+    test('pause takes effect on an existing stage and resume gives the paused time back', async () => {
+      await run(0, (_, now) => presentTeam({ id: 's1', round_id: 'r1', team_id: 't1' }, now));
+
+      const paused = await run(30, pauseStage);
+      expect(paused).toMatchObject({ phase: StagePhases.PITCH, phase_started_at: iso(0), paused_at: iso(30) });
+      expect(remainingSeconds({ ...paused, pitch_seconds: 180 }, at(100))).toBe(150);
+
+      const resumed = await run(100, resumeStage);
+      expect(resumed).toMatchObject({ phase_started_at: iso(70), paused_at: null });
+      expect(remainingSeconds({ ...resumed, pitch_seconds: 180 }, at(100))).toBe(150);
+    });
+
+    test('moving to Q&A restarts the clock and clears a pause', async () => {
+      await run(0, (_, now) => presentTeam({ id: 's1', round_id: 'r1', team_id: 't1' }, now));
+      await run(30, pauseStage);
+
+      const qa = await run(45, advanceStage);
+      expect(qa).toMatchObject({ phase: StagePhases.QA, phase_started_at: iso(45), paused_at: null });
+    });
+  });
+});
@@ -0,0 +1,313 @@
+/**
+ * Track Service
+ * Event tracks (e.g. FinTech, Health): colors, per-track criteria weight
+ * overrides, eligible judges and track-aware judge assignment
+ */
+
+import { supabase } from '../supabaseClient';
+import { hasConflict } from './conflictService';
+import { findOverlapComponents } from './normalizationService';
+
+export const DEFAULT_TRACK_COLOR = '#7c3aed';
+
+export const TRACK_COLORS = ['#3b82f6', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b'];
+
+export const DEFAULT_JUDGES_PER_TEAM = 2;
+
+/**
+ * A judge with no tracks may judge any track; a team with no track may be
+ * judged by anyone. Likewise a judge placed at a venue only judges teams
+ * presenting there. A declared conflict of interest always rules the judge out
+ * @param {Object} judge - {id, track_ids, venue_id}
+ * @param {Object} team - {id, track_id, venue_id}
+ * @param {Set} conflicts - buildConflictSet() of the event's declarations
+ * @returns {boolean}
+ */
+export function isJudgeEligibleForTeam(judge, team, conflicts = null) {
+  if (hasConflict(conflicts, judge.id, team.id)) return false;
+  if (judge.venue_id && team.venue_id && judge.venue_id !== team.venue_id) return false;
+  const trackIds = judge.track_ids || [];
+  if (!team.track_id || trackIds.length === 0) return true;
+  return trackIds.includes(team.track_id);
+}
+
+/**
+ * Give each team one eligible judge, keeping judges' loads even. Judges
+ * restricted to fewer tracks are preferred on ties so generalists stay free
+ * for the tracks nobody else covers
+ * @param {Array} judges - [{id, track_ids}]
+ * @param {Array} teams - [{id, track_id}]
+ * @param {Set} conflicts - buildConflictSet() of the event's declarations
+ * @returns {Object} - {assignments: [{judge_id, team_id}], unassignedTeams: [team]}
+ */
+export function assignTeamsByTrack(judges, teams, conflicts = null) {
+  const load = {};
+  judges.forEach(judge => { load[judge.id] = 0; });
+
+  const breadth = (judge) => ((judge.track_ids || []).length === 0 ? Infinity : judge.track_ids.length);
+  const assignments = [];
+  const unassignedTeams = [];
+
+  // Teams with the fewest eligible judges pick first
+  const candidates = teams.map(team => ({
+    team,
+    eligible: judges.filter(judge => isJudgeEligibleForTeam(judge, team, conflicts))
+  })).sort((a, b) => a.eligible.length - b.eligible.length);
+
+  candidates.forEach(({ team, eligible }) => {
+    if (eligible.length === 0) {
+      unassignedTeams.push(team);
+      return;
+    }
+
+    const judge = eligible.reduce((best, candidate) => {
+      if (load[candidate.id] !== load[best.id]) return load[candidate.id] < load[best.id] ? candidate : best;
+      return breadth(candidate) < breadth(best) ? candidate : best;
+    });
+
+    load[judge.id] += 1;
+    assignments.push({ judge_id: judge.id, team_id: team.id });
+  });
+
+  return { assignments, unassignedTeams };
+}
+
+/**
+ * Coverage, workloads and overlap groups of a round's assignment plan
+ * @param {Array} assignments - [{judge_id, team_id}]
+ * @param {Array} judges - [{id, name}]
+ * @param {Array} teams - [{id, name}]
+ * @param {number} judgesPerTeam - coverage every team should reach
+ * @returns {Object} - {coverage: {teamId: judges}, loads: {judgeId: teams},
+ *   understaffedTeams: [team], components: [{judges, teams}], isConnected, warnings}
+ */
+export function summarizeAssignments(assignments, judges, teams, judgesPerTeam = DEFAULT_JUDGES_PER_TEAM) {
+  const coverage = {};
+  const loads = {};
+  teams.forEach(team => { coverage[team.id] = 0; });
+  judges.forEach(judge => { loads[judge.id] = 0; });
+  assignments.forEach(({ judge_id, team_id }) => {
+    coverage[team_id] = (coverage[team_id] || 0) + 1;
+    loads[judge_id] = (loads[judge_id] || 0) + 1;
+  });
+
+  const understaffedTeams = teams.filter(team => coverage[team.id] < judgesPerTeam);
+  const components = findOverlapComponents(assignments);
+  const isConnected = components.length <= 1;
+  const warnings = [];
+
+  if (understaffedTeams.length > 0) {
+    warnings.push(
+      `${understaffedTeams.length} team(s) have fewer than ${judgesPerTeam} judges: ` +
+      understaffedTeams.map(team => team.name).join(', ')
+    );
+  }
+  if (!isConnected) {
+    warnings.push(
+      `Judges split into ${components.length} groups that share no team. ` +
+      'Normalization can only compare judges within a group.'
+    );
+  }
+
+  return { coverage, loads, understaffedTeams, components, isConnected, warnings };
+}
+
+/**
+ * Give every team at least judgesPerTeam eligible judges without exceeding
+ * maxTeamsPerJudge, keeping loads even. Among equally loaded judges the one
+ * who has shared the fewest teams with the team's other judges is picked, so
+ * panels rotate instead of forming fixed pairs. If the judges still split
+ * into groups sharing no team, extra assignments bridge the groups while the
+ * cap allows
+ * @param {Array} judges - [{id, track_ids, venue_id}]
+ * @param {Array} teams - [{id, name, track_id, venue_id}]
+ * @param {Object} options - {judgesPerTeam, maxTeamsPerJudge (null = no cap),
+ *   conflicts: buildConflictSet() of the event's declarations}
+ * @returns {Object} - {assignments: [{judge_id, team_id}], ...summarizeAssignments()}
+ */
+export function generateBalancedAssignments(judges, teams, options = {}) {
+  const {
+    judgesPerTeam = DEFAULT_JUDGES_PER_TEAM,
+    maxTeamsPerJudge = null,
+    conflicts = null
+  } = options;
+  const cap = maxTeamsPerJudge > 0 ? maxTeamsPerJudge : Infinity;
+
+  const load = {};
+  const shared = {};
+  judges.forEach(judge => {
+    load[judge.id] = 0;
+    shared[judge.id] = {};
+  });
+
+  const breadth = (judge) => ((judge.track_ids || []).length === 0 ? Infinity : judge.track_ids.length);
+  const panels = {};
+  const assignments = [];
+  const assign = (judge, team) => {
+    panels[team.id].forEach(other => {
+      shared[judge.id][other.id] = (shared[judge.id][other.id] || 0) + 1;
+      shared[other.id][judge.id] = (shared[other.id][judge.id] || 0) + 1;
+    });
+    panels[team.id].push(judge);
+    load[judge.id] += 1;
+    assignments.push({ judge_id: judge.id, team_id: team.id });
+  };
+
+  // Teams with the fewest eligible judges pick first
+  const candidates = teams.map(team => ({
+    team,
+    eligible: judges.filter(judge => isJudgeEligibleForTeam(judge, team, conflicts))
+  })).sort((a, b) => a.eligible.length - b.eligible.length);
+
+  candidates.forEach(({ team, eligible }) => {
+    panels[team.id] = [];
+    while (panels[team.id].length < judgesPerTeam) {
+      const available = eligible.filter(judge => load[judge.id] < cap && !panels[team.id].includes(judge));
+      if (available.length === 0) break;
+
+      const overlap = (judge) => panels[team.id].reduce((sum, other) => sum + (shared[judge.id][other.id] || 0), 0);
+      const judge = available.reduce((best, candidate) => {
+        if (load[candidate.id] !== load[best.id]) return load[candidate.id] < load[best.id] ? candidate : best;
+        if (overlap(candidate) !== overlap(best)) return overlap(candidate) < overlap(best) ? candidate : best;
+        return breadth(candidate) < breadth(best) ? candidate : best;
+      });
+      assign(judge, team);
+    }
+  });
+
+  // Bridge disconnected groups: the least loaded judge of one group takes a
+  // team from another. Each bridge merges two groups
+  const judgeById = Object.fromEntries(judges.map(judge => [judge.id, judge]));
+  const teamById = Object.fromEntries(teams.map(team => [team.id, team]));
+  const findBridge = (groups) => {
+    let bridge = null;
+    groups.forEach((group, index) => {
+      const outsideTeams = groups
+        .filter((_, other) => other !== index)
+        .flatMap(other => other.teams)
+        .map(teamId => teamById[teamId]);
+
+      group.judges.forEach(judgeId => {
+        const judge = judgeById[judgeId];
+        if (load[judgeId] >= cap) return;
+        if (bridge && load[bridge.judge.id] <= load[judgeId]) return;
+        const team = outsideTeams.find(t => isJudgeEligibleForTeam(judge, t, conflicts));
+        if (team) bridge = { judge, team };
+      });
+    });
+    return bridge;
+  };
+
+  let bridge = findBridge(findOverlapComponents(assignments));
+  while (bridge) {
+    assign(bridge.judge, bridge.team);
+    const components = findOverlapComponents(assignments);
+    bridge = components.length > 1 ? findBridge(components) : null;
+  }
+
+  return {
+    assignments,
+    ...summarizeAssignments(assignments, judges, teams, judgesPerTeam)
+  };
+}
+
+/**
+ * Match a free-text category (CSV imports) to one of the event's tracks
+ * @returns {Object|null}
+ */
+export function findTrackByName(tracks, name) {
+  const key = (name || '').trim().toLowerCase();
+  if (!key) return null;
+  return tracks.find(track => track.name.trim().toLowerCase() === key) || null;
+}
+
+export const trackService = {
+  async getTracksByEvent(eventId) {
+    const { data, error } = await supabase
+      .from('tracks')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('display_order', { ascending: true })
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async createTrack(eventId, trackData) {
+    const { data, error } = await supabase
+      .from('tracks')
+      .insert([{
+        event_id: eventId,
+        ...trackData
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async updateTrack(trackId, trackData) {
+    const { data, error } = await supabase
+      .from('tracks')
+      .update({ ...trackData, updated_at: new Date().toISOString() })
+      .eq('id', trackId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Teams fall back to no track; judges lose the track (database trigger)
+  async deleteTrack(trackId) {
+    const { error } = await supabase
+      .from('tracks')
+      .delete()
+      .eq('id', trackId);
+
+    if (error) throw error;
+  },
+
+  /**
+   * @param {Object} criteriaWeights - {roundCriterionId: weight}, 0 leaves the criterion out
+   */
+  async setCriteriaWeights(trackId, criteriaWeights) {
+    return this.updateTrack(trackId, { criteria_weights: criteriaWeights });
+  },
+
+  /**
+   * Make exactly these judges eligible for the track, leaving their other
+   * tracks untouched
+   * @param {string} trackId
+   * @param {Array} judges - the event's judges, [{id, track_ids}]
+   * @param {Array} judgeIds - judges to make eligible
+   */
+  async setTrackJudges(trackId, judges, judgeIds) {
+    const changed = judges
+      .map(judge => {
+        const current = judge.track_ids || [];
+        const wanted = judgeIds.includes(judge.id);
+        if (wanted === current.includes(trackId)) return null;
+        return {
+          id: judge.id,
+          track_ids: wanted ? [...current, trackId] : current.filter(id => id !== trackId)
+        };
+      })
+      .filter(Boolean);
+
+    for (const judge of changed) {
+      const { error } = await supabase
+        .from('judges')
+        .update({ track_ids: judge.track_ids })
+        .eq('id', judge.id);
+
+      if (error) throw error;
+    }
+
+    return changed;
+  }
+};
+
+export default trackService;
@@ -0,0 +1,188 @@
+import {
+  generateBalancedAssignments,
+  summarizeAssignments,
+  isJudgeEligibleForTeam
+} from './trackService';
+import { buildConflictSet } from './conflictService';
+
+jest.mock('../supabaseClient', () => ({ supabase: {} }));
+
+describe('Track Service', () => {
+  const team = (id, extra = {}) => ({ id, name: `Team ${id}`, track_id: null, venue_id: null, ...extra });
+  const judge = (id, extra = {}) => ({ id, name: `Judge ${id}`, track_ids: [], venue_id: null, ...extra });
+
+  const countBy = (assignments, key) => assignments.reduce((counts, a) => {
+    counts[a[key]] = (counts[a[key]] || 0) + 1;
+    return counts;
+  }, {});
+
+  describe('generateBalancedAssignments', () => {
+    const judges = ['j1', 'j2', 'j3', 'j4'].map(id => judge(id));
+    const teams = ['t1', 't2', 't3', 't4', 't5', 't6'].map(id => team(id));
+
+    test('every team reaches the requested coverage k with distinct judges', () => {
+      [1, 2, 3].forEach(judgesPerTeam => {
+        const result = generateBalancedAssignments(judges, teams, { judgesPerTeam });
+
+        teams.forEach(t => {
+          const panel = result.assignments.filter(a => a.team_id === t.id).map(a => a.judge_id);
+          expect(panel.length).toBeGreaterThanOrEqual(judgesPerTeam);
+          expect(new Set(panel).size).toBe(panel.length);
+        });
+        expect(result.understaffedTeams).toEqual([]);
+      });
+    });
+
+    test('keeps judge loads even', () => {
+      const { loads } = generateBalancedAssignments(judges, teams, { judgesPerTeam: 2 });
+      const values = Object.values(loads);
+
+      // 6 teams x 2 judges over 4 judges
+      expect(values.reduce((a, b) => a + b, 0)).toBe(12);
+      expect(Math.max(...values) - Math.min(...values)).toBeLessThanOrEqual(1);
+    });
+
+    test('never exceeds maxTeamsPerJudge and reports the teams left short', () => {
+      const result = generateBalancedAssignments(judges, teams, { judgesPerTeam: 3, maxTeamsPerJudge: 3 });
+
+      Object.values(countBy(result.assignments, 'judge_id')).forEach(load => {
+        expect(load).toBeLessThanOrEqual(3);
+      });
+      // 4 judges x 3 teams = 12 slots for 18 needed
+      expect(result.assignments).toHaveLength(12);
+      expect(result.understaffedTeams.length).toBeGreaterThan(0);
+      expect(result.warnings[0]).toMatch(/have fewer than 3 judges/);
+    });
+
+    test('a cap of 0 or null means no cap', () => {
+      [0, null].forEach(maxTeamsPerJudge => {
+        const result = generateBalancedAssignments([judge('j1')], teams, { judgesPerTeam: 1, maxTeamsPerJudge });
+        expect(result.loads.j1).toBe(teams.length);
+      });
+    });
+
+    test('a generalist bridges track specialists into one connected group', () => {
+      const trackTeams = [
+        team('a1', { track_id: 'A' }), team('a2', { track_id: 'A' }),
+        team('b1', { track_id: 'B' }), team('b2', { track_id: 'B' })
+      ];
+      const specialists = [
+        judge('ja1', { track_ids: ['A'] }), judge('ja2', { track_ids: ['A'] }),
+        judge('jb1', { track_ids: ['B'] }), judge('jb2', { track_ids: ['B'] })
+      ];
+
+      const result = generateBalancedAssignments([...specialists, judge('jg')], trackTeams, { judgesPerTeam: 2 });
+
+      expect(result.isConnected).toBe(true);
+      expect(result.components).toHaveLength(1);
+      expect(result.warnings).toEqual([]);
+      expect(result.assignments.some(a => a.judge_id === 'jg')).toBe(true);
+    });
+
+    test('warns when tracks share no judge and nobody can bridge them', () => {
+      const trackTeams = [team('a1', { track_id: 'A' }), team('b1', { track_id: 'B' })];
+      const specialists = [
+        judge('ja1', { track_ids: ['A'] }), judge('ja2', { track_ids: ['A'] }),
+        judge('jb1', { track_ids: ['B'] }), judge('jb2', { track_ids: ['B'] })
+      ];
+
+      const result = generateBalancedAssignments(specialists, trackTeams, { judgesPerTeam: 2 });
+
+      expect(result.isConnected).toBe(false);
+      expect(result.components).toHaveLength(2);
+      expect(result.understaffedTeams).toEqual([]);
+      expect(result.warnings).toEqual([
+        'Judges split into 2 groups that share no team. Normalization can only compare judges within a group.'
+      ]);
+    });
+
+    test('bridging stops at the workload cap', () => {
+      const trackTeams = [team('a1', { track_id: 'A' }), team('b1', { track_id: 'B' })];
+      const panel = [judge('ja', { track_ids: ['A'] }), judge('jg1'), judge('jg2')];
+
+      // jg1 and jg2 can judge both tracks, but a cap of 1 leaves no room to bridge
+      const result = generateBalancedAssignments(panel, trackTeams, { judgesPerTeam: 1, maxTeamsPerJudge: 1 });
+
+      expect(result.assignments).toHaveLength(2);
+      expect(result.isConnected).toBe(false);
+    });
+
+    test('never assigns a judge to a conflicted, other-venue or other-track team', () => {
+      const constrainedTeams = [
+        team('t1', { track_id: 'A', venue_id: 'v1' }),
+        team('t2', { track_id: 'B', venue_id: 'v1' }),
+        team('t3', { track_id: 'A', venue_id: 'v2' })
+      ];
+      const constrainedJudges = [
+        judge('j1', { track_ids: ['A'] }),
+        judge('j2', { venue_id: 'v1' }),
+        judge('j3'),
+        judge('j4', { track_ids: ['A', 'B'] })
+      ];
+      const conflicts = buildConflictSet([
+        { judge_id: 'j3', team_id: 't1' },
+        { judge_id: 'j4', team_id: 't3' }
+      ]);
+
+      const result = generateBalancedAssignments(constrainedJudges, constrainedTeams, {
+        judgesPerTeam: 3, conflicts
+      });
+      const pairs = result.assignments.map(a => `${a.judge_id}:${a.team_id}`);
+
+      expect(pairs).not.toContain('j1:t2'); // track
+      expect(pairs).not.toContain('j2:t3'); // venue
+      expect(pairs).not.toContain('j3:t1'); // conflict
+      expect(pairs).not.toContain('j4:t3'); // conflict
+      result.assignments.forEach(a => {
+        const j = constrainedJudges.find(x => x.id === a.judge_id);
+        const t = constrainedTeams.find(x => x.id === a.team_id);
+        expect(isJudgeEligibleForTeam(j, t, conflicts)).toBe(true);
+      });
+      // t3 only has j1 and j3 left
+      expect(result.coverage.t3).toBe(2);
+      expect(result.understaffedTeams.map(t => t.id)).toContain('t3');
+    });
+  });
+
+  describe('summarizeAssignments', () => {
+    const judges = [judge('j1'), judge('j2'), judge('j3')];
+    const teams = [team('t1'), team('t2'), team('t3')];
+
+    test('counts coverage per team and load per judge, including unused ones', () => {
+      const summary = summarizeAssignments([
+        { judge_id: 'j1', team_id: 't1' },
+        { judge_id: 'j2', team_id: 't1' },
+        { judge_id: 'j1', team_id: 't2' }
+      ], judges, teams, 2);
+
+      expect(summary.coverage).toEqual({ t1: 2, t2: 1, t3: 0 });
+      expect(summary.loads).toEqual({ j1: 2, j2: 1, j3: 0 });
+      expect(summary.understaffedTeams.map(t => t.id)).toEqual(['t2', 't3']);
+      expect(summary.warnings).toEqual(['2 team(s) have fewer than 2 judges: Team t2, Team t3']);
+      expect(summary.isConnected).toBe(true);
+    });
+
+    test('reports judge groups that share no team', () => {
+      const summary = summarizeAssignments([
+        { judge_id: 'j1', team_id: 't1' },
+        { judge_id: 'j2', team_id: 't2' },
+        { judge_id: 'j3', team_id: 't3' }
+      ], judges, teams, 1);
+
+      expect(summary.understaffedTeams).toEqual([]);
+      expect(summary.isConnected).toBe(false);
+      expect(summary.components).toHaveLength(3);
+      expect(summary.warnings).toEqual([
+        'Judges split into 3 groups that share no team. Normalization can only compare judges within a group.'
+      ]);
+    });
+
+    test('an empty plan leaves every team understaffed', () => {
+      const summary = summarizeAssignments([], judges, teams);
+
+      expect(summary.understaffedTeams).toHaveLength(3);
+      expect(summary.components).toEqual([]);
+      expect(summary.isConnected).toBe(true);
+    });
+  });
+});
@@ -234,14 +234,14 @@ export function validateSystemRequirements() {
   const checks = [];
 
   checks.push({
-    requirement: 'Max 5 criteria per round',
-    status: 'Database constraint enforced',
+    requirement: 'Criteria per round capped by the organization limit',
+    status: 'Database trigger enforced',
     validated: true
   });
 
   checks.push({
-    requirement: 'Judge types: HARDWARE, SOFTWARE, BOTH',
-    status: 'Enum constraint enforced',
+    requirement: 'Judge eligibility follows event tracks',
+    status: 'Implemented in trackService.js',
     validated: true
   });
 
@@ -16,15 +16,18 @@ export const validatePassword = (password) => {
   return { isValid, criteria };
 };
 
-export const hashPassword = async (password) => {
+// Hex SHA-256 digest of a string
+export const sha256 = async (text) => {
   const encoder = new TextEncoder();
-  const data = encoder.encode(password);
+  const data = encoder.encode(text);
   const hash = await crypto.subtle.digest('SHA-256', data);
   return Array.from(new Uint8Array(hash))
     .map(b => b.toString(16).padStart(2, '0'))
     .join('');
 };
 
+export const hashPassword = (password) => sha256(password);
+
 export const verifyPassword = async (password, hash) => {
   const hashedInput = await hashPassword(password);
   return hashedInput === hash;
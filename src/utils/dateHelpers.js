@@ -0,0 +1,25 @@
+/**
+ * ISO timestamp to the value of an <input type="datetime-local">, which
+ * works in local time without a zone
+ * @param {string} iso
+ * @returns {string} - e.g. '2026-10-19T14:30', '' when unset
+ */
+export const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Value of an <input type="datetime-local"> back to an ISO timestamp
+ * @param {string} value
+ * @returns {string|null}
+ */
+export const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Local wall-clock time of a pitch slot, e.g. '14:30'
+ * @param {string} iso
+ * @returns {string}
+ */
+export const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -159,21 +159,18 @@ export function generateExampleDataset() {
       id: 'assignment-001',
       round_id: round1.id,
       judge_id: judges[0].id,
-      judge_type: 'SOFTWARE',
       judge_weight: 1.0
     },
     {
       id: 'assignment-002',
       round_id: round1.id,
       judge_id: judges[1].id,
-      judge_type: 'HARDWARE',
       judge_weight: 1.0
     },
     {
       id: 'assignment-003',
       round_id: round1.id,
       judge_id: judges[2].id,
-      judge_type: 'BOTH',
       judge_weight: 1.0
     }
   ];
@@ -0,0 +1,15 @@
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Make user-entered text safe to interpolate into generated HTML
+ * @param {*} value - null and undefined become an empty string
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
@@ -1,3 +1,5 @@
+import { spearmanCorrelation, kendallsW } from '../services/normalizationService';
+
 export const calculateNormalizedScores = (judgeScores) => {
   const teamScores = [];
 
@@ -105,40 +107,49 @@ export const calculateRound2Scores = (round2JudgeScores) => {
   return finalScores;
 };
 
+/**
+ * Panel agreement: Spearman correlation for every pair of judges on the
+ * teams both scored, averaged, plus Kendall's W across the whole panel
+ * @param {Object} judgeScores - {judgeId: {teamId: score}}
+ */
 export const calculateCorrelation = (judgeScores) => {
   const judges = Object.keys(judgeScores);
   if (judges.length < 2) {
     return { correlation: null, message: 'Need at least 2 judges for correlation' };
   }
 
-  const judge1 = judges[0];
-  const judge2 = judges[1];
-
-  const teams = Object.keys(judgeScores[judge1]);
+  const pairs = [];
+  judges.forEach((judge1, index) => {
+    judges.slice(index + 1).forEach(judge2 => {
+      const teams = Object.keys(judgeScores[judge1]).filter(teamId => judgeScores[judge2][teamId] !== undefined);
+      if (teams.length < 2) return;
+
+      const correlation = spearmanCorrelation(
+        teams.map(teamId => judgeScores[judge1][teamId]),
+        teams.map(teamId => judgeScores[judge2][teamId])
+      );
+      pairs.push({ judges: [judge1, judge2], teams: teams.length, correlation });
+    });
+  });
 
-  if (teams.length < 2) {
-    return { correlation: null, message: 'Need at least 2 teams for correlation' };
+  if (pairs.length === 0) {
+    return { correlation: null, message: 'Need at least 2 teams scored by the same judges for correlation' };
   }
 
-  const scores1 = teams.map(teamId => judgeScores[judge1][teamId]);
-  const scores2 = teams.map(teamId => judgeScores[judge2][teamId]);
-
-  const mean1 = scores1.reduce((sum, val) => sum + val, 0) / scores1.length;
-  const mean2 = scores2.reduce((sum, val) => sum + val, 0) / scores2.length;
-
-  const numerator = scores1.reduce((sum, val, i) => sum + (val - mean1) * (scores2[i] - mean2), 0);
-  const denominator1 = Math.sqrt(scores1.reduce((sum, val) => sum + Math.pow(val - mean1, 2), 0));
-  const denominator2 = Math.sqrt(scores2.reduce((sum, val) => sum + Math.pow(val - mean2, 2), 0));
+  const correlated = pairs.filter(pair => pair.correlation !== null);
+  const concordance = kendallsW(judgeScores);
 
-  if (denominator1 === 0 || denominator2 === 0) {
-    return { correlation: 0, message: 'No variance in scores' };
+  if (correlated.length === 0) {
+    return { correlation: 0, pairs, message: 'No variance in scores' };
   }
 
-  const correlation = numerator / (denominator1 * denominator2);
+  const correlation = correlated.reduce((sum, pair) => sum + pair.correlation, 0) / correlated.length;
 
   return {
     correlation: correlation.toFixed(3),
-    message: `Correlation between ${judge1} and ${judge2}: ${correlation.toFixed(3)}`
+    kendallsW: concordance?.value ?? null,
+    pairs,
+    message: `Mean correlation across ${correlated.length} judge pairs: ${correlation.toFixed(3)}`
   };
 };
 
@@ -96,7 +96,6 @@ export async function createTestScenario() {
         const assignments = judgesData.map(j => ({
             round_id: round1.id,
             judge_id: j.id,
-            judge_type: j.category,
             judge_weight: 1.0
         }));
 
@@ -118,7 +117,6 @@ export async function createTestScenario() {
         const assignments2 = judgesData.map(j => ({
             round_id: round2.id,
             judge_id: j.id,
-            judge_type: j.category,
             judge_weight: 1.0
         }));
         await supabase.from('round_judge_assignments').insert(assignments2);
@@ -0,0 +1,115 @@
+import { serve } from "https://deno.land/std@0.190.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { Resend } from "https://esm.sh/resend@2.0.0";
+
+const resend = new Resend(Deno.env.get("RESEND_API_KEY"));
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+interface VoteCodeRequest {
+  eventId: string;
+  email: string;
+}
+
+const getFromEmail = () => {
+  return Deno.env.get("FROM_EMAIL") || "FairScore <onboarding@resend.dev>";
+};
+
+// Event names are admin-entered text; never let them become markup
+const escapeHtml = (text: string) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// The code is issued with the service role so it never reaches the browser
+const handler = async (req: Request): Promise<Response> => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const { eventId, email }: VoteCodeRequest = await req.json();
+
+    if (!eventId || !email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error("A valid email address is required");
+    }
+
+    const supabase = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? ""
+    );
+
+    const { data: code, error: codeError } = await supabase.rpc("issue_audience_vote_code", {
+      p_event_id: eventId,
+      p_email: email,
+    });
+
+    if (codeError) throw new Error(codeError.message);
+
+    const { data: event } = await supabase
+      .from("events")
+      .select("name")
+      .eq("id", eventId)
+      .maybeSingle();
+
+    const eventName = event?.name || "the event";
+
+    const emailResponse = await resend.emails.send({
+      from: getFromEmail(),
+      to: [email],
+      subject: `Your voting code for ${eventName}: ${code}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f8fafc; margin: 0; padding: 40px 20px;">
+          <div style="max-width: 560px; margin: 0 auto; background-color: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+            <div style="background: linear-gradient(135deg, #ec4899 0%, #db2777 100%); padding: 32px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 24px;">People's Choice Vote</h1>
+            </div>
+            <div style="padding: 32px;">
+              <p style="color: #374151; font-size: 16px;">Use this code to cast your vote for <strong>${escapeHtml(eventName)}</strong>:</p>
+              <div style="background-color: #fdf2f8; border-radius: 12px; padding: 20px; margin: 24px 0; text-align: center;">
+                <p style="color: #9d174d; font-size: 32px; font-weight: 700; letter-spacing: 8px; margin: 0;">${code}</p>
+              </div>
+              <p style="color: #9ca3af; font-size: 13px; text-align: center;">The code expires in 15 minutes. If you didn't ask for it, you can ignore this email.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    });
+
+    // Resend reports rejected sends in the response instead of throwing
+    if (emailResponse.error) {
+      throw new Error(`The voting code could not be emailed: ${emailResponse.error.message}`);
+    }
+
+    console.log("Vote code email sent:", emailResponse.data?.id);
+
+    return new Response(
+      JSON.stringify({ success: true }),
+      {
+        status: 200,
+        headers: { "Content-Type": "application/json", ...corsHeaders },
+      }
+    );
+  } catch (error: unknown) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    console.error("Error sending audience vote code:", error);
+    return new Response(
+      JSON.stringify({ success: false, error: errorMessage }),
+      {
+        status: 400,
+        headers: { "Content-Type": "application/json", ...corsHeaders },
+      }
+    );
+  }
+};
+
+serve(handler);
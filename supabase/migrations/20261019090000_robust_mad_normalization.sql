@@ -0,0 +1,383 @@
+/*
+  # Robust MAD Normalization
+
+  ## Overview
+  `rounds.normalization_method` has always accepted ROBUST_MAD, but the
+  backend scoring engine only ever computed mean / standard deviation.
+  This migration makes the method take effect:
+  1. Judge statistics now include median and MAD per criterion
+  2. Each criterion carries the `center` / `scale` used for normalization
+     - Z_SCORE:    center = mean,   scale = std_dev
+     - ROBUST_MAD: center = median, scale = 1.4826 × MAD; when MAD is 0,
+       1.2533 × mean absolute deviation, then std_dev
+  3. Per-judge median / MAD are stored with computed results
+
+  ## Formula
+  Z = (X - median_j) / (1.4826 × MAD_j)
+  A zero MAD would give every score, outliers included, Z = 0, so the scale
+  falls back to 1.2533 × mean absolute deviation from the median, then to
+  std_dev; Z is zero only when all of the judge's scores are equal
+*/
+
+-- =============================================
+-- SECTION 1: RESULT COLUMNS
+-- =============================================
+
+ALTER TABLE round_normalization_results
+  ADD COLUMN IF NOT EXISTS judge_median numeric,
+  ADD COLUMN IF NOT EXISTS judge_mad numeric;
+
+ALTER TABLE computed_results
+  ADD COLUMN IF NOT EXISTS judge_median NUMERIC(10, 4),
+  ADD COLUMN IF NOT EXISTS judge_mad NUMERIC(10, 4),
+  ADD COLUMN IF NOT EXISTS normalization_method TEXT DEFAULT 'Z_SCORE';
+
+-- =============================================
+-- SECTION 2: JUDGE STATISTICS
+-- =============================================
+
+CREATE OR REPLACE FUNCTION compute_judge_statistics(
+  p_round_id UUID,
+  p_judge_id UUID
+) RETURNS JSONB AS $$
+DECLARE
+  v_criteria RECORD;
+  v_stats JSONB := '{}'::JSONB;
+  v_scores NUMERIC[];
+  v_mean NUMERIC;
+  v_variance NUMERIC;
+  v_std_dev NUMERIC;
+  v_median NUMERIC;
+  v_mad NUMERIC;
+  v_mean_ad NUMERIC;
+  v_n INTEGER;
+  v_method TEXT;
+BEGIN
+  SELECT COALESCE(normalization_method, 'Z_SCORE') INTO v_method
+  FROM rounds WHERE id = p_round_id;
+
+  FOR v_criteria IN
+    SELECT id::TEXT as criterion_id, weight
+    FROM round_criteria
+    WHERE round_id = p_round_id
+    ORDER BY display_order
+  LOOP
+    SELECT ARRAY_AGG((scores ->> v_criteria.criterion_id)::NUMERIC)
+    INTO v_scores
+    FROM raw_evaluations
+    WHERE round_id = p_round_id
+      AND judge_id = p_judge_id
+      AND is_draft = false;
+
+    v_n := COALESCE(array_length(v_scores, 1), 0);
+
+    IF v_n > 0 THEN
+      SELECT AVG(s) INTO v_mean FROM unnest(v_scores) AS s;
+
+      SELECT SUM(POWER(s - v_mean, 2)) / v_n INTO v_variance
+      FROM unnest(v_scores) AS s;
+
+      v_std_dev := SQRT(v_variance);
+
+      SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY s) INTO v_median
+      FROM unnest(v_scores) AS s;
+
+      SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY ABS(s - v_median)) INTO v_mad
+      FROM unnest(v_scores) AS s;
+
+      SELECT AVG(ABS(s - v_median)) INTO v_mean_ad
+      FROM unnest(v_scores) AS s;
+
+      v_stats := v_stats || jsonb_build_object(
+        v_criteria.criterion_id, jsonb_build_object(
+          'mean', v_mean,
+          'std_dev', v_std_dev,
+          'median', v_median,
+          'mad', v_mad,
+          'center', CASE WHEN v_method = 'ROBUST_MAD' THEN v_median ELSE v_mean END,
+          'scale', CASE
+            WHEN v_method <> 'ROBUST_MAD' THEN v_std_dev
+            WHEN v_mad > 0 THEN 1.4826 * v_mad
+            WHEN v_mean_ad > 0 THEN 1.2533 * v_mean_ad
+            ELSE v_std_dev
+          END,
+          'n', v_n,
+          'weight', v_criteria.weight
+        )
+      );
+    END IF;
+  END LOOP;
+
+  RETURN v_stats;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =============================================
+-- SECTION 3: NORMALIZATION (center / scale)
+-- =============================================
+
+CREATE OR REPLACE FUNCTION normalize_evaluation(
+  p_evaluation_id UUID,
+  p_judge_stats JSONB
+) RETURNS JSONB AS $$
+DECLARE
+  v_eval RECORD;
+  v_criteria RECORD;
+  v_raw_score NUMERIC;
+  v_center NUMERIC;
+  v_scale NUMERIC;
+  v_z_score NUMERIC;
+  v_weight NUMERIC;
+  v_total_weight NUMERIC := 0;
+  v_weighted_z NUMERIC;
+  v_total_weighted_z NUMERIC := 0;
+  v_z_scores JSONB := '{}'::JSONB;
+  v_weighted_z_scores JSONB := '{}'::JSONB;
+  v_raw_total NUMERIC := 0;
+BEGIN
+  SELECT * INTO v_eval FROM raw_evaluations WHERE id = p_evaluation_id;
+
+  IF v_eval IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT SUM(weight) INTO v_total_weight
+  FROM round_criteria WHERE round_id = v_eval.round_id;
+
+  FOR v_criteria IN
+    SELECT id::TEXT as criterion_id, weight, max_marks
+    FROM round_criteria
+    WHERE round_id = v_eval.round_id
+    ORDER BY display_order
+  LOOP
+    v_raw_score := (v_eval.scores ->> v_criteria.criterion_id)::NUMERIC;
+
+    v_raw_total := v_raw_total + (v_raw_score / v_criteria.max_marks * 100) * (v_criteria.weight / v_total_weight);
+
+    v_center := (p_judge_stats -> v_criteria.criterion_id ->> 'center')::NUMERIC;
+    v_scale := (p_judge_stats -> v_criteria.criterion_id ->> 'scale')::NUMERIC;
+    v_weight := v_criteria.weight / v_total_weight;
+
+    IF v_scale IS NULL OR v_scale = 0 OR (p_judge_stats -> v_criteria.criterion_id ->> 'n')::INTEGER = 1 THEN
+      v_z_score := 0;
+    ELSE
+      v_z_score := (v_raw_score - v_center) / v_scale;
+    END IF;
+
+    v_weighted_z := v_weight * v_z_score;
+    v_total_weighted_z := v_total_weighted_z + v_weighted_z;
+
+    v_z_scores := v_z_scores || jsonb_build_object(v_criteria.criterion_id, v_z_score);
+    v_weighted_z_scores := v_weighted_z_scores || jsonb_build_object(v_criteria.criterion_id, v_weighted_z);
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'evaluation_id', p_evaluation_id,
+    'team_id', v_eval.team_id,
+    'judge_id', v_eval.judge_id,
+    'raw_total', v_raw_total,
+    'z_scores', v_z_scores,
+    'weighted_z_scores', v_weighted_z_scores,
+    'final_z', v_total_weighted_z
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =============================================
+-- SECTION 4: ROUND COMPUTATION
+-- =============================================
+
+CREATE OR REPLACE FUNCTION compute_round_scores(
+  p_round_id UUID
+) RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID;
+  v_can_compute BOOLEAN;
+  v_event_status event_status;
+  v_method TEXT;
+  v_judge RECORD;
+  v_eval RECORD;
+  v_judge_stats JSONB;
+  v_normalized JSONB;
+  v_all_normalized JSONB[] := ARRAY[]::JSONB[];
+  v_team_results JSONB;
+  v_computation_version INTEGER;
+  v_start_time TIMESTAMPTZ;
+  v_criteria JSONB;
+BEGIN
+  v_user_id := auth.uid();
+  v_start_time := NOW();
+
+  IF v_user_id IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Authentication required');
+  END IF;
+
+  SELECT has_permission(v_user_id, 'results', 'compute') INTO v_can_compute;
+
+  IF NOT v_can_compute THEN
+    INSERT INTO scoring_audit_log (round_id, action, error_message, user_id)
+    VALUES (p_round_id, 'COMPUTE_DENIED', 'Permission denied', v_user_id);
+
+    RETURN jsonb_build_object('success', false, 'error', 'Permission denied');
+  END IF;
+
+  SELECT e.status, COALESCE(r.normalization_method, 'Z_SCORE')
+  INTO v_event_status, v_method
+  FROM rounds r
+  JOIN events e ON r.event_id = e.id
+  WHERE r.id = p_round_id;
+
+  IF v_event_status IN ('locked', 'published') THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Cannot recompute scores for locked or published events');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM raw_evaluations
+    WHERE round_id = p_round_id AND is_draft = false
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'error', 'No submitted evaluations found');
+  END IF;
+
+  SELECT jsonb_agg(jsonb_build_object('id', id, 'name', name, 'weight', weight, 'max_marks', max_marks))
+  INTO v_criteria
+  FROM round_criteria WHERE round_id = p_round_id;
+
+  FOR v_judge IN
+    SELECT DISTINCT judge_id FROM raw_evaluations
+    WHERE round_id = p_round_id AND is_draft = false
+  LOOP
+    v_judge_stats := compute_judge_statistics(p_round_id, v_judge.judge_id);
+
+    FOR v_eval IN
+      SELECT id FROM raw_evaluations
+      WHERE round_id = p_round_id
+        AND judge_id = v_judge.judge_id
+        AND is_draft = false
+    LOOP
+      v_normalized := normalize_evaluation(v_eval.id, v_judge_stats);
+
+      IF v_normalized IS NOT NULL THEN
+        v_normalized := v_normalized || jsonb_build_object(
+          'judge_mean', (
+            SELECT AVG((v_judge_stats -> key ->> 'mean')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_std', (
+            SELECT AVG((v_judge_stats -> key ->> 'std_dev')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_median', (
+            SELECT AVG((v_judge_stats -> key ->> 'median')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_mad', (
+            SELECT AVG((v_judge_stats -> key ->> 'mad')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'normalization_method', v_method
+        );
+        v_all_normalized := array_append(v_all_normalized, v_normalized);
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  v_team_results := aggregate_and_rank_teams(v_all_normalized, v_criteria);
+
+  SELECT COALESCE(MAX(computation_version), 0) + 1
+  INTO v_computation_version
+  FROM computed_results WHERE round_id = p_round_id;
+
+  PERFORM save_computed_results(p_round_id, v_team_results, v_user_id, v_computation_version);
+
+  INSERT INTO scoring_audit_log (round_id, action, details, user_id)
+  VALUES (p_round_id, 'SCORES_COMPUTED', jsonb_build_object(
+    'evaluation_count', array_length(v_all_normalized, 1),
+    'team_count', jsonb_array_length(v_team_results),
+    'computation_version', v_computation_version,
+    'normalization_method', v_method,
+    'duration_ms', EXTRACT(MILLISECONDS FROM (NOW() - v_start_time))
+  ), v_user_id);
+
+  INSERT INTO computation_logs (round_id, computation_type, input_data, output_data, formula_used, computed_by)
+  VALUES (
+    p_round_id,
+    CASE WHEN v_method = 'ROBUST_MAD' THEN 'ROBUST_MAD_NORMALIZATION' ELSE 'Z_SCORE_NORMALIZATION' END,
+    jsonb_build_object(
+      'evaluation_count', array_length(v_all_normalized, 1),
+      'criteria', v_criteria,
+      'normalization_method', v_method
+    ),
+    jsonb_build_object(
+      'team_count', jsonb_array_length(v_team_results),
+      'version', v_computation_version
+    ),
+    CASE WHEN v_method = 'ROBUST_MAD'
+      THEN 'Robust MAD: Z=(X-median)/(1.4826×MAD), Zw=w×Z, Final=ΣZw'
+      ELSE 'USP Z-Score: Z=(X-μ)/σ, Zw=w×Z, Final=ΣZw'
+    END,
+    v_user_id
+  );
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'team_count', jsonb_array_length(v_team_results),
+    'computation_version', v_computation_version,
+    'normalization_method', v_method,
+    'results', v_team_results
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =============================================
+-- SECTION 5: PERSIST MEDIAN / MAD
+-- =============================================
+
+CREATE OR REPLACE FUNCTION save_computed_results(
+  p_round_id UUID,
+  p_team_results JSONB,
+  p_computed_by UUID,
+  p_version INTEGER
+) RETURNS VOID AS $$
+DECLARE
+  v_team JSONB;
+  v_eval JSONB;
+BEGIN
+  FOR v_team IN SELECT * FROM jsonb_array_elements(p_team_results)
+  LOOP
+    FOR v_eval IN SELECT * FROM jsonb_array_elements(v_team -> 'evaluations')
+    LOOP
+      INSERT INTO computed_results (
+        round_id, team_id, judge_id,
+        raw_total, normalized_z, aggregated_z, weighted_z_scores,
+        rank, percentile, is_tied, tie_breaker_data,
+        judge_mean, judge_std, judge_median, judge_mad, normalization_method,
+        computed_by, computation_version
+      ) VALUES (
+        p_round_id,
+        (v_team ->> 'team_id')::UUID,
+        (v_eval ->> 'judge_id')::UUID,
+        (v_eval ->> 'raw_total')::NUMERIC,
+        (v_eval ->> 'final_z')::NUMERIC,
+        (v_team ->> 'aggregated_z')::NUMERIC,
+        v_eval -> 'weighted_z_scores',
+        (v_team ->> 'rank')::INTEGER,
+        (v_team ->> 'percentile')::NUMERIC,
+        (v_team ->> 'is_tied')::BOOLEAN,
+        jsonb_build_object(
+          'avg_z_scores', v_team -> 'avg_z_scores',
+          'avg_raw_total', v_team ->> 'avg_raw_total',
+          'median_raw_total', v_team ->> 'median_raw_total',
+          'judge_count', v_team ->> 'judge_count'
+        ),
+        (v_eval ->> 'judge_mean')::NUMERIC,
+        (v_eval ->> 'judge_std')::NUMERIC,
+        (v_eval ->> 'judge_median')::NUMERIC,
+        (v_eval ->> 'judge_mad')::NUMERIC,
+        COALESCE(v_eval ->> 'normalization_method', 'Z_SCORE'),
+        p_computed_by,
+        p_version
+      );
+    END LOOP;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
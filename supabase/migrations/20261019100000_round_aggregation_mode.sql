@@ -0,0 +1,395 @@
+/*
+  # Per-Round Aggregation Mode
+
+  ## Overview
+  Summing judge scores gives teams seen by more judges a wider score range,
+  which rewards uneven assignments. Rounds can now choose how judge scores
+  are combined into a team score:
+  - SUM:            Z_i = Σ(w_j × Z_ij)
+  - MEAN:           Z_i = Σ(w_j × Z_ij) / Σ w_j
+  - CORRECTED_MEAN: Z_i = Σ(w_j × Z_ij) / (Σ w_j + 1)
+    Shrinks teams seen by few judges towards the round average, as if one
+    extra judge had scored them exactly average.
+
+  The same mode is applied to the per-criterion averages used for
+  tie-breaking.
+
+  compute_round_scores only implements Z_SCORE and ROBUST_MAD and refuses
+  any other normalization method, which is left to the client-side round
+  computation (computeRound).
+*/
+
+-- =============================================
+-- SECTION 1: ROUND SETTING
+-- =============================================
+
+ALTER TABLE rounds
+  ADD COLUMN IF NOT EXISTS aggregation_mode text DEFAULT 'SUM'
+  CHECK (aggregation_mode IN ('SUM', 'MEAN', 'CORRECTED_MEAN'));
+
+-- =============================================
+-- SECTION 2: AGGREGATION & RANKING
+-- =============================================
+
+DROP FUNCTION IF EXISTS aggregate_and_rank_teams(JSONB[], JSONB);
+
+CREATE OR REPLACE FUNCTION aggregate_and_rank_teams(
+  p_normalized_evals JSONB[],
+  p_criteria JSONB,
+  p_aggregation_mode TEXT DEFAULT 'SUM'
+) RETURNS JSONB AS $$
+DECLARE
+  v_team_map JSONB := '{}'::JSONB;
+  v_eval JSONB;
+  v_team_id TEXT;
+  v_team_data JSONB;
+  v_results JSONB[] := ARRAY[]::JSONB[];
+  v_team RECORD;
+  v_aggregated_z NUMERIC;
+  v_avg_z_scores JSONB;
+  v_avg_raw_total NUMERIC;
+  v_median_raw_total NUMERIC;
+  v_judge_count INTEGER;
+  v_ranked JSONB[] := ARRAY[]::JSONB[];
+  v_current_rank INTEGER := 1;
+  v_result JSONB;
+  v_total_teams INTEGER;
+  v_criterion JSONB;
+  v_criterion_id TEXT;
+  v_sorted_criteria JSONB[];
+  v_raw_totals NUMERIC[];
+  v_mid_idx INTEGER;
+  v_weight_total NUMERIC;
+  v_divisor NUMERIC;
+BEGIN
+  FOREACH v_eval IN ARRAY p_normalized_evals
+  LOOP
+    v_team_id := v_eval ->> 'team_id';
+
+    IF v_team_map ? v_team_id THEN
+      v_team_data := v_team_map -> v_team_id;
+      v_team_data := jsonb_set(
+        v_team_data,
+        '{evaluations}',
+        (v_team_data -> 'evaluations') || jsonb_build_array(v_eval)
+      );
+      v_team_map := jsonb_set(v_team_map, ARRAY[v_team_id], v_team_data);
+    ELSE
+      v_team_map := jsonb_set(
+        v_team_map,
+        ARRAY[v_team_id],
+        jsonb_build_object('team_id', v_team_id, 'evaluations', jsonb_build_array(v_eval))
+      );
+    END IF;
+  END LOOP;
+
+  SELECT array_agg(c ORDER BY (c ->> 'weight')::NUMERIC DESC)
+  INTO v_sorted_criteria
+  FROM jsonb_array_elements(p_criteria) AS c;
+
+  FOR v_team IN SELECT key, value FROM jsonb_each(v_team_map)
+  LOOP
+    v_judge_count := jsonb_array_length(v_team.value -> 'evaluations');
+
+    SELECT SUM(COALESCE((e ->> 'judge_weight')::NUMERIC, 1.0)) INTO v_weight_total
+    FROM jsonb_array_elements(v_team.value -> 'evaluations') AS e;
+
+    -- SUM: Σ w×Z, MEAN: Σ w×Z / Σ w, CORRECTED_MEAN: Σ w×Z / (Σ w + 1)
+    v_divisor := CASE p_aggregation_mode
+      WHEN 'MEAN' THEN NULLIF(v_weight_total, 0)
+      WHEN 'CORRECTED_MEAN' THEN v_weight_total + 1.0
+      ELSE 1.0
+    END;
+
+    SELECT SUM((e ->> 'final_z')::NUMERIC * COALESCE((e ->> 'judge_weight')::NUMERIC, 1.0)) / v_divisor
+    INTO v_aggregated_z
+    FROM jsonb_array_elements(v_team.value -> 'evaluations') AS e;
+
+    SELECT AVG((e ->> 'raw_total')::NUMERIC) INTO v_avg_raw_total
+    FROM jsonb_array_elements(v_team.value -> 'evaluations') AS e;
+
+    SELECT array_agg((e ->> 'raw_total')::NUMERIC ORDER BY (e ->> 'raw_total')::NUMERIC)
+    INTO v_raw_totals
+    FROM jsonb_array_elements(v_team.value -> 'evaluations') AS e;
+
+    v_mid_idx := (array_length(v_raw_totals, 1) + 1) / 2;
+    IF array_length(v_raw_totals, 1) % 2 = 0 THEN
+      v_median_raw_total := (v_raw_totals[v_mid_idx] + v_raw_totals[v_mid_idx + 1]) / 2.0;
+    ELSE
+      v_median_raw_total := v_raw_totals[v_mid_idx];
+    END IF;
+
+    v_avg_z_scores := '{}'::JSONB;
+    FOR v_criterion IN SELECT * FROM jsonb_array_elements(p_criteria)
+    LOOP
+      v_criterion_id := v_criterion ->> 'id';
+      DECLARE
+        v_crit_avg NUMERIC;
+      BEGIN
+        SELECT SUM((e -> 'z_scores' ->> v_criterion_id)::NUMERIC * COALESCE((e ->> 'judge_weight')::NUMERIC, 1.0)) / v_divisor
+        INTO v_crit_avg
+        FROM jsonb_array_elements(v_team.value -> 'evaluations') AS e;
+        v_avg_z_scores := v_avg_z_scores || jsonb_build_object(v_criterion_id, v_crit_avg);
+      END;
+    END LOOP;
+
+    v_results := array_append(v_results, jsonb_build_object(
+      'team_id', v_team.key,
+      'aggregated_z', v_aggregated_z,
+      'aggregation_mode', p_aggregation_mode,
+      'avg_z_scores', v_avg_z_scores,
+      'avg_raw_total', v_avg_raw_total,
+      'median_raw_total', v_median_raw_total,
+      'judge_count', v_judge_count,
+      'evaluations', v_team.value -> 'evaluations'
+    ));
+  END LOOP;
+
+  WITH sorted_teams AS (
+    SELECT
+      elem,
+      ROW_NUMBER() OVER (
+        ORDER BY
+          (elem ->> 'aggregated_z')::NUMERIC DESC,
+          (SELECT MAX((elem -> 'avg_z_scores' ->> (c ->> 'id'))::NUMERIC)
+           FROM unnest(v_sorted_criteria) AS c LIMIT 1) DESC,
+          (elem ->> 'avg_raw_total')::NUMERIC DESC,
+          (elem ->> 'median_raw_total')::NUMERIC DESC,
+          (elem ->> 'judge_count')::INTEGER DESC
+      ) AS sort_order
+    FROM unnest(v_results) AS elem
+  )
+  SELECT array_agg(elem ORDER BY sort_order)
+  INTO v_ranked
+  FROM sorted_teams;
+
+  v_total_teams := COALESCE(array_length(v_ranked, 1), 0);
+
+  IF v_total_teams = 0 THEN
+    RETURN '[]'::JSONB;
+  END IF;
+
+  FOR i IN 1..v_total_teams
+  LOOP
+    v_result := v_ranked[i];
+    v_aggregated_z := (v_result ->> 'aggregated_z')::NUMERIC;
+
+    DECLARE
+      v_is_tied BOOLEAN := false;
+      v_actual_rank INTEGER := v_current_rank;
+      v_prev_result JSONB;
+      v_prev_agg NUMERIC;
+      v_prev_avg NUMERIC;
+      v_prev_med NUMERIC;
+      v_prev_jc INTEGER;
+      v_curr_avg NUMERIC;
+      v_curr_med NUMERIC;
+      v_curr_jc INTEGER;
+    BEGIN
+      IF i > 1 THEN
+        v_prev_result := v_ranked[i - 1];
+        v_prev_agg := (v_prev_result ->> 'aggregated_z')::NUMERIC;
+        v_prev_avg := (v_prev_result ->> 'avg_raw_total')::NUMERIC;
+        v_prev_med := (v_prev_result ->> 'median_raw_total')::NUMERIC;
+        v_prev_jc := (v_prev_result ->> 'judge_count')::INTEGER;
+        v_curr_avg := (v_result ->> 'avg_raw_total')::NUMERIC;
+        v_curr_med := (v_result ->> 'median_raw_total')::NUMERIC;
+        v_curr_jc := (v_result ->> 'judge_count')::INTEGER;
+
+        IF ABS(v_aggregated_z - v_prev_agg) < 0.0001
+           AND ABS(v_curr_avg - v_prev_avg) < 0.0001
+           AND ABS(v_curr_med - v_prev_med) < 0.0001
+           AND v_curr_jc = v_prev_jc THEN
+          v_is_tied := true;
+          v_actual_rank := (v_prev_result ->> 'rank')::INTEGER;
+        END IF;
+      END IF;
+
+      v_result := v_result || jsonb_build_object(
+        'rank', v_actual_rank,
+        'is_tied', v_is_tied,
+        'percentile', CASE WHEN v_total_teams > 1
+          THEN ((v_total_teams - v_current_rank)::NUMERIC / (v_total_teams - 1)::NUMERIC) * 100
+          ELSE 100
+        END
+      );
+    END;
+
+    v_ranked[i] := v_result;
+    v_current_rank := v_current_rank + 1;
+  END LOOP;
+
+  RETURN to_jsonb(v_ranked);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =============================================
+-- SECTION 3: ROUND COMPUTATION
+-- =============================================
+
+CREATE OR REPLACE FUNCTION compute_round_scores(
+  p_round_id UUID
+) RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID;
+  v_can_compute BOOLEAN;
+  v_event_status event_status;
+  v_method TEXT;
+  v_aggregation_mode TEXT;
+  v_judge RECORD;
+  v_judge_weight NUMERIC;
+  v_judge_weights JSONB := '{}'::JSONB;
+  v_eval RECORD;
+  v_judge_stats JSONB;
+  v_normalized JSONB;
+  v_all_normalized JSONB[] := ARRAY[]::JSONB[];
+  v_team_results JSONB;
+  v_computation_version INTEGER;
+  v_start_time TIMESTAMPTZ;
+  v_criteria JSONB;
+BEGIN
+  v_user_id := auth.uid();
+  v_start_time := NOW();
+
+  IF v_user_id IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Authentication required');
+  END IF;
+
+  SELECT has_permission(v_user_id, 'results', 'compute') INTO v_can_compute;
+
+  IF NOT v_can_compute THEN
+    INSERT INTO scoring_audit_log (round_id, action, error_message, user_id)
+    VALUES (p_round_id, 'COMPUTE_DENIED', 'Permission denied', v_user_id);
+
+    RETURN jsonb_build_object('success', false, 'error', 'Permission denied');
+  END IF;
+
+  SELECT e.status, COALESCE(r.normalization_method, 'Z_SCORE'), COALESCE(r.aggregation_mode, 'SUM')
+  INTO v_event_status, v_method, v_aggregation_mode
+  FROM rounds r
+  JOIN events e ON r.event_id = e.id
+  WHERE r.id = p_round_id;
+
+  IF v_event_status IN ('locked', 'published') THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Cannot recompute scores for locked or published events');
+  END IF;
+
+  IF v_method NOT IN ('Z_SCORE', 'ROBUST_MAD') THEN
+    RETURN jsonb_build_object('success', false, 'error',
+      format('%s normalization is computed from the round results panel, not by this engine', v_method));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM raw_evaluations
+    WHERE round_id = p_round_id AND is_draft = false
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'error', 'No submitted evaluations found');
+  END IF;
+
+  SELECT jsonb_agg(jsonb_build_object('id', id, 'name', name, 'weight', weight, 'max_marks', max_marks))
+  INTO v_criteria
+  FROM round_criteria WHERE round_id = p_round_id;
+
+  FOR v_judge IN
+    SELECT DISTINCT judge_id FROM raw_evaluations
+    WHERE round_id = p_round_id AND is_draft = false
+  LOOP
+    v_judge_stats := compute_judge_statistics(p_round_id, v_judge.judge_id);
+
+    SELECT COALESCE(
+      (SELECT judge_weight FROM round_judge_assignments
+       WHERE round_id = p_round_id AND judge_id = v_judge.judge_id),
+      1.0
+    ) INTO v_judge_weight;
+
+    v_judge_weights := v_judge_weights || jsonb_build_object(v_judge.judge_id::TEXT, v_judge_weight);
+
+    FOR v_eval IN
+      SELECT id FROM raw_evaluations
+      WHERE round_id = p_round_id
+        AND judge_id = v_judge.judge_id
+        AND is_draft = false
+    LOOP
+      v_normalized := normalize_evaluation(v_eval.id, v_judge_stats);
+
+      IF v_normalized IS NOT NULL THEN
+        v_normalized := v_normalized || jsonb_build_object(
+          'judge_mean', (
+            SELECT AVG((v_judge_stats -> key ->> 'mean')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_std', (
+            SELECT AVG((v_judge_stats -> key ->> 'std_dev')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_median', (
+            SELECT AVG((v_judge_stats -> key ->> 'median')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_mad', (
+            SELECT AVG((v_judge_stats -> key ->> 'mad')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_weight', v_judge_weight,
+          'normalization_method', v_method
+        );
+        v_all_normalized := array_append(v_all_normalized, v_normalized);
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  v_team_results := aggregate_and_rank_teams(v_all_normalized, v_criteria, v_aggregation_mode);
+
+  SELECT COALESCE(MAX(computation_version), 0) + 1
+  INTO v_computation_version
+  FROM computed_results WHERE round_id = p_round_id;
+
+  PERFORM save_computed_results(p_round_id, v_team_results, v_user_id, v_computation_version);
+
+  INSERT INTO scoring_audit_log (round_id, action, details, user_id)
+  VALUES (p_round_id, 'SCORES_COMPUTED', jsonb_build_object(
+    'evaluation_count', array_length(v_all_normalized, 1),
+    'team_count', jsonb_array_length(v_team_results),
+    'computation_version', v_computation_version,
+    'normalization_method', v_method,
+    'aggregation_mode', v_aggregation_mode,
+    'duration_ms', EXTRACT(MILLISECONDS FROM (NOW() - v_start_time))
+  ), v_user_id);
+
+  INSERT INTO computation_logs (round_id, computation_type, input_data, output_data, formula_used, computed_by)
+  VALUES (
+    p_round_id,
+    CASE WHEN v_method = 'ROBUST_MAD' THEN 'ROBUST_MAD_NORMALIZATION' ELSE 'Z_SCORE_NORMALIZATION' END,
+    jsonb_build_object(
+      'evaluation_count', array_length(v_all_normalized, 1),
+      'criteria', v_criteria,
+      'normalization_method', v_method,
+      'aggregation_mode', v_aggregation_mode,
+      'judge_weights', v_judge_weights
+    ),
+    jsonb_build_object(
+      'team_count', jsonb_array_length(v_team_results),
+      'version', v_computation_version
+    ),
+    CASE WHEN v_method = 'ROBUST_MAD'
+      THEN 'Robust MAD: Z=(X-median)/(1.4826×MAD), Zw=w×Z'
+      ELSE 'USP Z-Score: Z=(X-μ)/σ, Zw=w×Z'
+    END || ', ' || CASE v_aggregation_mode
+      WHEN 'MEAN' THEN 'Final=Σ(w_j×ΣZw)/Σw_j'
+      WHEN 'CORRECTED_MEAN' THEN 'Final=Σ(w_j×ΣZw)/(Σw_j+1)'
+      ELSE 'Final=Σ(w_j×ΣZw)'
+    END,
+    v_user_id
+  );
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'team_count', jsonb_array_length(v_team_results),
+    'computation_version', v_computation_version,
+    'normalization_method', v_method,
+    'aggregation_mode', v_aggregation_mode,
+    'judge_weights', v_judge_weights,
+    'results', v_team_results
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
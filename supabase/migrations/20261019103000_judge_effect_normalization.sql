@@ -0,0 +1,34 @@
+/*
+  # Judge-Effect Normalization Method
+
+  ## Overview
+  Per-judge z-scoring assumes every judge saw a comparable pool of teams,
+  which breaks down when judges only see a slice of the round. The
+  JUDGE_EFFECT method fits Score = Team Effect + Judge Bias by least squares
+  over the whole round and ranks teams on the bias-corrected scores.
+
+  ## Changes
+  - rounds.normalization_method accepts 'JUDGE_EFFECT'
+  - round_normalization_results.judge_bias stores each judge's fitted bias
+    (in raw points, summed over criteria)
+  - The model is fitted by the client-side round computation (computeRound);
+    compute_round_scores already refuses methods it does not implement
+*/
+
+-- =============================================
+-- SECTION 1: ROUND SETTING
+-- =============================================
+
+ALTER TABLE rounds DROP CONSTRAINT IF EXISTS rounds_normalization_method_check;
+
+ALTER TABLE rounds
+  ADD CONSTRAINT rounds_normalization_method_check
+  CHECK (normalization_method IN ('Z_SCORE', 'ROBUST_MAD', 'JUDGE_EFFECT'));
+
+-- =============================================
+-- SECTION 2: RESULT COLUMNS
+-- =============================================
+
+ALTER TABLE round_normalization_results
+  ADD COLUMN IF NOT EXISTS judge_bias numeric;
+
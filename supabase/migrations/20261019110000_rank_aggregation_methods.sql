@@ -0,0 +1,26 @@
+/*
+  # Rank Aggregation Methods (Borda, Schulze)
+
+  ## Overview
+  Rounds can rank teams from each judge's ordering alone. Each judge's raw
+  totals become a partial ranking of the teams they scored, and the rankings
+  are combined with Borda points or the Schulze method. Both are computed by
+  the client-side round computation (computeRound) and write the usual
+  round_normalization_results rows.
+
+  ## Changes
+  - rounds.normalization_method accepts 'BORDA' and 'SCHULZE'
+  - compute_round_scores already refuses both, as it does every method it
+    does not implement
+*/
+
+-- =============================================
+-- SECTION 1: ROUND SETTING
+-- =============================================
+
+ALTER TABLE rounds DROP CONSTRAINT IF EXISTS rounds_normalization_method_check;
+
+ALTER TABLE rounds
+  ADD CONSTRAINT rounds_normalization_method_check
+  CHECK (normalization_method IN ('Z_SCORE', 'ROBUST_MAD', 'JUDGE_EFFECT', 'BORDA', 'SCHULZE'));
+
@@ -0,0 +1,67 @@
+/*
+  # Pairwise Comparison Rounds
+
+  ## Overview
+  A new round type where judges pick the better of two teams instead of
+  entering criterion scores. Pairs are chosen adaptively by the client and
+  final ranks come from a Bradley–Terry fit over all comparisons, written to
+  round_normalization_results like any other round.
+
+  ## Changes
+  - rounds.round_type: 'SCORED' (default) or 'PAIRWISE'
+  - rounds.comparisons_per_judge: how many comparisons each judge is asked for
+  - pairwise_comparisons: one row per judge decision (winner_team_id NULL = tie)
+*/
+
+-- =============================================
+-- SECTION 1: ROUND SETTINGS
+-- =============================================
+
+ALTER TABLE rounds
+  ADD COLUMN IF NOT EXISTS round_type text NOT NULL DEFAULT 'SCORED'
+  CHECK (round_type IN ('SCORED', 'PAIRWISE'));
+
+ALTER TABLE rounds
+  ADD COLUMN IF NOT EXISTS comparisons_per_judge integer DEFAULT 10
+  CHECK (comparisons_per_judge > 0);
+
+-- =============================================
+-- SECTION 2: COMPARISONS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS pairwise_comparisons (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  round_id uuid NOT NULL REFERENCES rounds(id) ON DELETE CASCADE,
+  judge_id uuid NOT NULL REFERENCES judges(id) ON DELETE CASCADE,
+  team_a_id uuid NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  team_b_id uuid NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  winner_team_id uuid REFERENCES teams(id) ON DELETE CASCADE,
+  created_at timestamptz DEFAULT now(),
+  CHECK (team_a_id <> team_b_id),
+  CHECK (winner_team_id IS NULL OR winner_team_id IN (team_a_id, team_b_id))
+);
+
+CREATE INDEX IF NOT EXISTS idx_pairwise_comparisons_round ON pairwise_comparisons(round_id);
+CREATE INDEX IF NOT EXISTS idx_pairwise_comparisons_judge ON pairwise_comparisons(round_id, judge_id);
+
+ALTER TABLE pairwise_comparisons ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Judges can view comparisons in their rounds"
+  ON pairwise_comparisons FOR SELECT
+  TO authenticated
+  USING (
+    round_id IN (SELECT round_id FROM round_judge_assignments)
+  );
+
+CREATE POLICY "Judges can record their own comparisons"
+  ON pairwise_comparisons FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    judge_id IN (SELECT id FROM judges)
+    AND EXISTS (
+      SELECT 1 FROM rounds
+      WHERE rounds.id = pairwise_comparisons.round_id
+      AND rounds.status = 'active'
+      AND rounds.round_type = 'PAIRWISE'
+    )
+  );
@@ -0,0 +1,17 @@
+/*
+  # Bootstrap Rank Intervals
+
+  ## Overview
+  On request, round computation resamples judges and evaluations to measure
+  how stable each team's rank is. Every round_normalization_results row of a
+  team carries the team's 95% rank interval, the matching interval of its
+  aggregated score, and the bootstrap rank distribution ({rank: count}),
+  from which the probability of finishing in the top K is derived for any K.
+*/
+
+ALTER TABLE round_normalization_results
+  ADD COLUMN IF NOT EXISTS rank_lower integer,
+  ADD COLUMN IF NOT EXISTS rank_upper integer,
+  ADD COLUMN IF NOT EXISTS score_lower numeric,
+  ADD COLUMN IF NOT EXISTS score_upper numeric,
+  ADD COLUMN IF NOT EXISTS rank_distribution jsonb;
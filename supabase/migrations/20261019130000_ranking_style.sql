@@ -0,0 +1,552 @@
+/*
+  # Ranking Style
+
+  ## Overview
+  Teams left level by the tie-break policy always took the rank of the team
+  above them (standard competition ranking, 1224). Prize rules differ
+  between events, so each round now chooses how level teams are numbered:
+  - STANDARD:   1 2 2 4
+  - DENSE:      1 2 2 3
+  - MODIFIED:   1 3 3 4
+  - FRACTIONAL: 1 2.5 2.5 4
+  Percentiles now follow the rank (best rank 100, worst rank 0), so level
+  teams also share a percentile.
+
+  ## Changes
+  - rounds.ranking_style
+  - rank columns become numeric to hold fractional ranks
+  - aggregate_and_rank_teams takes the style; compute_round_scores passes it
+*/
+
+-- =============================================
+-- SECTION 1: ROUND SETTING
+-- =============================================
+
+ALTER TABLE rounds
+  ADD COLUMN IF NOT EXISTS ranking_style text NOT NULL DEFAULT 'STANDARD'
+  CHECK (ranking_style IN ('STANDARD', 'DENSE', 'MODIFIED', 'FRACTIONAL'));
+
+ALTER TABLE round_normalization_results
+  ALTER COLUMN rank TYPE numeric,
+  ALTER COLUMN rank_lower TYPE numeric,
+  ALTER COLUMN rank_upper TYPE numeric;
+
+ALTER TABLE computed_results
+  ALTER COLUMN rank TYPE numeric;
+
+-- =============================================
+-- SECTION 2: AGGREGATION & RANKING
+-- =============================================
+
+DROP FUNCTION IF EXISTS aggregate_and_rank_teams(JSONB[], JSONB, TEXT, JSONB);
+
+CREATE OR REPLACE FUNCTION aggregate_and_rank_teams(
+  p_normalized_evals JSONB[],
+  p_criteria JSONB,
+  p_aggregation_mode TEXT DEFAULT 'SUM',
+  p_tie_break_policy JSONB DEFAULT default_tie_break_policy(),
+  p_ranking_style TEXT DEFAULT 'STANDARD'
+) RETURNS JSONB AS $$
+DECLARE
+  v_team_map JSONB := '{}'::JSONB;
+  v_eval JSONB;
+  v_team_id TEXT;
+  v_team_data JSONB;
+  v_results JSONB[] := ARRAY[]::JSONB[];
+  v_team RECORD;
+  v_aggregated_z NUMERIC;
+  v_avg_z_scores JSONB;
+  v_avg_raw_total NUMERIC;
+  v_median_raw_total NUMERIC;
+  v_judge_count INTEGER;
+  v_ranked JSONB[] := ARRAY[]::JSONB[];
+  v_group_start INTEGER;
+  v_group_end INTEGER;
+  v_dense_rank INTEGER := 0;
+  v_rank NUMERIC;
+  v_best_rank NUMERIC;
+  v_worst_rank NUMERIC;
+  v_result JSONB;
+  v_total_teams INTEGER;
+  v_criterion JSONB;
+  v_criterion_id TEXT;
+  v_raw_totals NUMERIC[];
+  v_mid_idx INTEGER;
+  v_weight_total NUMERIC;
+  v_divisor NUMERIC;
+  v_rule JSONB;
+  v_steps JSONB := '[]'::JSONB;
+  v_step JSONB;
+  v_step_count INTEGER;
+  v_submitted_at TIMESTAMPTZ;
+  v_tie_values NUMERIC[];
+BEGIN
+  -- Expand the policy into comparison steps; each step yields one value
+  -- per team, oriented so that higher wins
+  FOR v_rule IN SELECT value FROM jsonb_array_elements(p_tie_break_policy)
+  LOOP
+    CASE v_rule ->> 'rule'
+      WHEN 'CRITERIA_BY_WEIGHT' THEN
+        v_steps := v_steps || COALESCE((
+          SELECT jsonb_agg(
+            jsonb_build_object('rule', 'CRITERIA_BY_WEIGHT', 'criterion_id', c ->> 'id')
+            ORDER BY (c ->> 'weight')::NUMERIC DESC
+          )
+          FROM jsonb_array_elements(p_criteria) AS c
+        ), '[]'::JSONB);
+      WHEN 'CRITERION' THEN
+        v_steps := v_steps || jsonb_build_array(
+          jsonb_build_object('rule', 'CRITERION', 'criterion_id', v_rule ->> 'criterion_id')
+        );
+      WHEN 'MEAN_RAW_TOTAL', 'MEDIAN_RAW_TOTAL', 'JUDGE_COUNT', 'EARLIEST_SUBMISSION' THEN
+        v_steps := v_steps || jsonb_build_array(jsonb_build_object('rule', v_rule ->> 'rule'));
+      ELSE
+        RAISE EXCEPTION 'Unknown tie-break rule: %', v_rule ->> 'rule';
+    END CASE;
+  END LOOP;
+
+  v_step_count := jsonb_array_length(v_steps);
+
+  FOREACH v_eval IN ARRAY p_normalized_evals
+  LOOP
+    v_team_id := v_eval ->> 'team_id';
+
+    IF v_team_map ? v_team_id THEN
+      v_team_data := v_team_map -> v_team_id;
+      v_team_data := jsonb_set(
+        v_team_data,
+        '{evaluations}',
+        (v_team_data -> 'evaluations') || jsonb_build_array(v_eval)
+      );
+      v_team_map := jsonb_set(v_team_map, ARRAY[v_team_id], v_team_data);
+    ELSE
+      v_team_map := jsonb_set(
+        v_team_map,
+        ARRAY[v_team_id],
+        jsonb_build_object('team_id', v_team_id, 'evaluations', jsonb_build_array(v_eval))
+      );
+    END IF;
+  END LOOP;
+
+  FOR v_team IN SELECT key, value FROM jsonb_each(v_team_map)
+  LOOP
+    v_judge_count := jsonb_array_length(v_team.value -> 'evaluations');
+
+    SELECT SUM(COALESCE((e ->> 'judge_weight')::NUMERIC, 1.0)) INTO v_weight_total
+    FROM jsonb_array_elements(v_team.value -> 'evaluations') AS e;
+
+    -- SUM: Σ w×Z, MEAN: Σ w×Z / Σ w, CORRECTED_MEAN: Σ w×Z / (Σ w + 1)
+    v_divisor := CASE p_aggregation_mode
+      WHEN 'MEAN' THEN NULLIF(v_weight_total, 0)
+      WHEN 'CORRECTED_MEAN' THEN v_weight_total + 1.0
+      ELSE 1.0
+    END;
+
+    SELECT SUM((e ->> 'final_z')::NUMERIC * COALESCE((e ->> 'judge_weight')::NUMERIC, 1.0)) / v_divisor
+    INTO v_aggregated_z
+    FROM jsonb_array_elements(v_team.value -> 'evaluations') AS e;
+
+    SELECT AVG((e ->> 'raw_total')::NUMERIC) INTO v_avg_raw_total
+    FROM jsonb_array_elements(v_team.value -> 'evaluations') AS e;
+
+    SELECT array_agg((e ->> 'raw_total')::NUMERIC ORDER BY (e ->> 'raw_total')::NUMERIC)
+    INTO v_raw_totals
+    FROM jsonb_array_elements(v_team.value -> 'evaluations') AS e;
+
+    v_mid_idx := (array_length(v_raw_totals, 1) + 1) / 2;
+    IF array_length(v_raw_totals, 1) % 2 = 0 THEN
+      v_median_raw_total := (v_raw_totals[v_mid_idx] + v_raw_totals[v_mid_idx + 1]) / 2.0;
+    ELSE
+      v_median_raw_total := v_raw_totals[v_mid_idx];
+    END IF;
+
+    v_avg_z_scores := '{}'::JSONB;
+    FOR v_criterion IN SELECT * FROM jsonb_array_elements(p_criteria)
+    LOOP
+      v_criterion_id := v_criterion ->> 'id';
+      DECLARE
+        v_crit_avg NUMERIC;
+      BEGIN
+        SELECT SUM((e -> 'z_scores' ->> v_criterion_id)::NUMERIC * COALESCE((e ->> 'judge_weight')::NUMERIC, 1.0)) / v_divisor
+        INTO v_crit_avg
+        FROM jsonb_array_elements(v_team.value -> 'evaluations') AS e;
+        v_avg_z_scores := v_avg_z_scores || jsonb_build_object(v_criterion_id, v_crit_avg);
+      END;
+    END LOOP;
+
+    SELECT submitted_at INTO v_submitted_at FROM teams WHERE id = v_team.key::UUID;
+
+    -- Rounded to the same 0.0001 precision the tie check uses
+    v_tie_values := ARRAY[]::NUMERIC[];
+    FOR v_step IN SELECT value FROM jsonb_array_elements(v_steps)
+    LOOP
+      v_tie_values := array_append(v_tie_values, ROUND(CASE v_step ->> 'rule'
+        WHEN 'MEAN_RAW_TOTAL' THEN COALESCE(v_avg_raw_total, 0)
+        WHEN 'MEDIAN_RAW_TOTAL' THEN COALESCE(v_median_raw_total, 0)
+        WHEN 'JUDGE_COUNT' THEN v_judge_count
+        -- Teams without a submission time lose to every team with one
+        WHEN 'EARLIEST_SUBMISSION' THEN COALESCE(-EXTRACT(EPOCH FROM v_submitted_at), -1e15)
+        ELSE COALESCE((v_avg_z_scores ->> (v_step ->> 'criterion_id'))::NUMERIC, 0)
+      END, 4));
+    END LOOP;
+
+    v_results := array_append(v_results, jsonb_build_object(
+      'team_id', v_team.key,
+      'aggregated_z', v_aggregated_z,
+      'aggregation_mode', p_aggregation_mode,
+      'avg_z_scores', v_avg_z_scores,
+      'avg_raw_total', v_avg_raw_total,
+      'median_raw_total', v_median_raw_total,
+      'judge_count', v_judge_count,
+      'tie_break_values', to_jsonb(v_tie_values),
+      'evaluations', v_team.value -> 'evaluations'
+    ));
+  END LOOP;
+
+  WITH sorted_teams AS (
+    SELECT
+      elem,
+      ROW_NUMBER() OVER (
+        ORDER BY
+          ROUND((elem ->> 'aggregated_z')::NUMERIC, 4) DESC,
+          ARRAY(
+            SELECT v::NUMERIC
+            FROM jsonb_array_elements_text(elem -> 'tie_break_values') WITH ORDINALITY AS t(v, n)
+            ORDER BY n
+          ) DESC
+      ) AS sort_order
+    FROM unnest(v_results) AS elem
+  )
+  SELECT array_agg(elem ORDER BY sort_order)
+  INTO v_ranked
+  FROM sorted_teams;
+
+  v_total_teams := COALESCE(array_length(v_ranked, 1), 0);
+
+  IF v_total_teams = 0 THEN
+    RETURN '[]'::JSONB;
+  END IF;
+
+  -- Pass 1: which teams are level with the team above them
+  FOR i IN 1..v_total_teams
+  LOOP
+    v_result := v_ranked[i];
+    v_aggregated_z := (v_result ->> 'aggregated_z')::NUMERIC;
+
+    DECLARE
+      v_is_tied BOOLEAN := false;
+      v_prev_result JSONB;
+      v_tied_with TEXT;
+      v_broken_by JSONB;
+    BEGIN
+      IF i > 1 THEN
+        v_prev_result := v_ranked[i - 1];
+
+        IF ROUND(v_aggregated_z, 4) = ROUND((v_prev_result ->> 'aggregated_z')::NUMERIC, 4) THEN
+          v_tied_with := v_prev_result ->> 'team_id';
+          v_is_tied := true;
+
+          FOR k IN 0..v_step_count - 1
+          LOOP
+            IF (v_result -> 'tie_break_values' ->> k)::NUMERIC
+               <> (v_prev_result -> 'tie_break_values' ->> k)::NUMERIC THEN
+              v_is_tied := false;
+              v_broken_by := v_steps -> k;
+              EXIT;
+            END IF;
+          END LOOP;
+        END IF;
+      END IF;
+
+      v_ranked[i] := v_result || jsonb_build_object(
+        'is_tied', v_is_tied,
+        'tied_on_score_with', v_tied_with,
+        'broken_by', v_broken_by
+      );
+    END;
+  END LOOP;
+
+  -- Pass 2: number each group of level teams by the ranking style
+  -- (STANDARD 1224, DENSE 1223, MODIFIED 1334, FRACTIONAL 1 2.5 2.5 4)
+  v_group_start := 1;
+  WHILE v_group_start <= v_total_teams
+  LOOP
+    v_group_end := v_group_start;
+    WHILE v_group_end < v_total_teams AND (v_ranked[v_group_end + 1] ->> 'is_tied')::BOOLEAN
+    LOOP
+      v_group_end := v_group_end + 1;
+    END LOOP;
+
+    v_dense_rank := v_dense_rank + 1;
+    v_rank := CASE p_ranking_style
+      WHEN 'DENSE' THEN v_dense_rank
+      WHEN 'MODIFIED' THEN v_group_end
+      WHEN 'FRACTIONAL' THEN ROUND((v_group_start + v_group_end)::NUMERIC / 2, 1)
+      ELSE v_group_start
+    END;
+
+    FOR i IN v_group_start..v_group_end
+    LOOP
+      v_ranked[i] := v_ranked[i] || jsonb_build_object('rank', v_rank);
+    END LOOP;
+
+    v_group_start := v_group_end + 1;
+  END LOOP;
+
+  -- Percentile from rank: best rank 100, worst rank 0, level teams share one
+  v_best_rank := (v_ranked[1] ->> 'rank')::NUMERIC;
+  v_worst_rank := (v_ranked[v_total_teams] ->> 'rank')::NUMERIC;
+
+  FOR i IN 1..v_total_teams
+  LOOP
+    v_ranked[i] := v_ranked[i] || jsonb_build_object(
+      'percentile', CASE WHEN v_worst_rank > v_best_rank
+        THEN ((v_worst_rank - (v_ranked[i] ->> 'rank')::NUMERIC) / (v_worst_rank - v_best_rank)) * 100
+        ELSE 100
+      END
+    );
+  END LOOP;
+
+  RETURN to_jsonb(v_ranked);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =============================================
+-- SECTION 3: RESULT STORAGE
+-- =============================================
+
+CREATE OR REPLACE FUNCTION save_computed_results(
+  p_round_id UUID,
+  p_team_results JSONB,
+  p_computed_by UUID,
+  p_version INTEGER
+) RETURNS VOID AS $$
+DECLARE
+  v_team JSONB;
+  v_eval JSONB;
+BEGIN
+  FOR v_team IN SELECT * FROM jsonb_array_elements(p_team_results)
+  LOOP
+    FOR v_eval IN SELECT * FROM jsonb_array_elements(v_team -> 'evaluations')
+    LOOP
+      INSERT INTO computed_results (
+        round_id, team_id, judge_id,
+        raw_total, normalized_z, aggregated_z, weighted_z_scores,
+        rank, percentile, is_tied, tie_breaker_data,
+        judge_mean, judge_std, judge_median, judge_mad, judge_weight, normalization_method,
+        computed_by, computation_version
+      ) VALUES (
+        p_round_id,
+        (v_team ->> 'team_id')::UUID,
+        (v_eval ->> 'judge_id')::UUID,
+        (v_eval ->> 'raw_total')::NUMERIC,
+        (v_eval ->> 'final_z')::NUMERIC,
+        (v_team ->> 'aggregated_z')::NUMERIC,
+        v_eval -> 'weighted_z_scores',
+        (v_team ->> 'rank')::NUMERIC,
+        (v_team ->> 'percentile')::NUMERIC,
+        (v_team ->> 'is_tied')::BOOLEAN,
+        jsonb_build_object(
+          'avg_z_scores', v_team -> 'avg_z_scores',
+          'avg_raw_total', v_team ->> 'avg_raw_total',
+          'median_raw_total', v_team ->> 'median_raw_total',
+          'judge_count', v_team ->> 'judge_count',
+          'tied_on_score_with', v_team ->> 'tied_on_score_with',
+          'broken_by', v_team -> 'broken_by'
+        ),
+        (v_eval ->> 'judge_mean')::NUMERIC,
+        (v_eval ->> 'judge_std')::NUMERIC,
+        (v_eval ->> 'judge_median')::NUMERIC,
+        (v_eval ->> 'judge_mad')::NUMERIC,
+        COALESCE((v_eval ->> 'judge_weight')::NUMERIC, 1.0),
+        COALESCE(v_eval ->> 'normalization_method', 'Z_SCORE'),
+        p_computed_by,
+        p_version
+      );
+    END LOOP;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =============================================
+-- SECTION 4: ROUND COMPUTATION
+-- =============================================
+
+CREATE OR REPLACE FUNCTION compute_round_scores(
+  p_round_id UUID
+) RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID;
+  v_can_compute BOOLEAN;
+  v_event_status event_status;
+  v_method TEXT;
+  v_aggregation_mode TEXT;
+  v_tie_break_policy JSONB;
+  v_ranking_style TEXT;
+  v_judge RECORD;
+  v_judge_weight NUMERIC;
+  v_judge_weights JSONB := '{}'::JSONB;
+  v_eval RECORD;
+  v_judge_stats JSONB;
+  v_normalized JSONB;
+  v_all_normalized JSONB[] := ARRAY[]::JSONB[];
+  v_team_results JSONB;
+  v_computation_version INTEGER;
+  v_start_time TIMESTAMPTZ;
+  v_criteria JSONB;
+BEGIN
+  v_user_id := auth.uid();
+  v_start_time := NOW();
+
+  IF v_user_id IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Authentication required');
+  END IF;
+
+  SELECT has_permission(v_user_id, 'results', 'compute') INTO v_can_compute;
+
+  IF NOT v_can_compute THEN
+    INSERT INTO scoring_audit_log (round_id, action, error_message, user_id)
+    VALUES (p_round_id, 'COMPUTE_DENIED', 'Permission denied', v_user_id);
+
+    RETURN jsonb_build_object('success', false, 'error', 'Permission denied');
+  END IF;
+
+  SELECT e.status, COALESCE(r.normalization_method, 'Z_SCORE'), COALESCE(r.aggregation_mode, 'SUM'),
+    r.tie_break_policy, COALESCE(r.ranking_style, 'STANDARD')
+  INTO v_event_status, v_method, v_aggregation_mode, v_tie_break_policy, v_ranking_style
+  FROM rounds r
+  JOIN events e ON r.event_id = e.id
+  WHERE r.id = p_round_id;
+
+  IF v_event_status IN ('locked', 'published') THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Cannot recompute scores for locked or published events');
+  END IF;
+
+  IF v_method NOT IN ('Z_SCORE', 'ROBUST_MAD') THEN
+    RETURN jsonb_build_object('success', false, 'error',
+      format('%s normalization is computed from the round results panel, not by this engine', v_method));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM raw_evaluations
+    WHERE round_id = p_round_id AND is_draft = false
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'error', 'No submitted evaluations found');
+  END IF;
+
+  SELECT jsonb_agg(jsonb_build_object('id', id, 'name', name, 'weight', weight, 'max_marks', max_marks))
+  INTO v_criteria
+  FROM round_criteria WHERE round_id = p_round_id;
+
+  FOR v_judge IN
+    SELECT DISTINCT judge_id FROM raw_evaluations
+    WHERE round_id = p_round_id AND is_draft = false
+  LOOP
+    v_judge_stats := compute_judge_statistics(p_round_id, v_judge.judge_id);
+
+    SELECT COALESCE(
+      (SELECT judge_weight FROM round_judge_assignments
+       WHERE round_id = p_round_id AND judge_id = v_judge.judge_id),
+      1.0
+    ) INTO v_judge_weight;
+
+    v_judge_weights := v_judge_weights || jsonb_build_object(v_judge.judge_id::TEXT, v_judge_weight);
+
+    FOR v_eval IN
+      SELECT id FROM raw_evaluations
+      WHERE round_id = p_round_id
+        AND judge_id = v_judge.judge_id
+        AND is_draft = false
+    LOOP
+      v_normalized := normalize_evaluation(v_eval.id, v_judge_stats);
+
+      IF v_normalized IS NOT NULL THEN
+        v_normalized := v_normalized || jsonb_build_object(
+          'judge_mean', (
+            SELECT AVG((v_judge_stats -> key ->> 'mean')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_std', (
+            SELECT AVG((v_judge_stats -> key ->> 'std_dev')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_median', (
+            SELECT AVG((v_judge_stats -> key ->> 'median')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_mad', (
+            SELECT AVG((v_judge_stats -> key ->> 'mad')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_weight', v_judge_weight,
+          'normalization_method', v_method
+        );
+        v_all_normalized := array_append(v_all_normalized, v_normalized);
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  v_team_results := aggregate_and_rank_teams(
+    v_all_normalized, v_criteria, v_aggregation_mode,
+    COALESCE(v_tie_break_policy, default_tie_break_policy()),
+    v_ranking_style
+  );
+
+  SELECT COALESCE(MAX(computation_version), 0) + 1
+  INTO v_computation_version
+  FROM computed_results WHERE round_id = p_round_id;
+
+  PERFORM save_computed_results(p_round_id, v_team_results, v_user_id, v_computation_version);
+
+  INSERT INTO scoring_audit_log (round_id, action, details, user_id)
+  VALUES (p_round_id, 'SCORES_COMPUTED', jsonb_build_object(
+    'evaluation_count', array_length(v_all_normalized, 1),
+    'team_count', jsonb_array_length(v_team_results),
+    'computation_version', v_computation_version,
+    'normalization_method', v_method,
+    'aggregation_mode', v_aggregation_mode,
+    'tie_break_policy', v_tie_break_policy,
+    'ranking_style', v_ranking_style,
+    'duration_ms', EXTRACT(MILLISECONDS FROM (NOW() - v_start_time))
+  ), v_user_id);
+
+  INSERT INTO computation_logs (round_id, computation_type, input_data, output_data, formula_used, computed_by)
+  VALUES (
+    p_round_id,
+    CASE WHEN v_method = 'ROBUST_MAD' THEN 'ROBUST_MAD_NORMALIZATION' ELSE 'Z_SCORE_NORMALIZATION' END,
+    jsonb_build_object(
+      'evaluation_count', array_length(v_all_normalized, 1),
+      'criteria', v_criteria,
+      'normalization_method', v_method,
+      'aggregation_mode', v_aggregation_mode,
+      'judge_weights', v_judge_weights,
+      'tie_break_policy', v_tie_break_policy,
+      'ranking_style', v_ranking_style
+    ),
+    jsonb_build_object(
+      'team_count', jsonb_array_length(v_team_results),
+      'version', v_computation_version
+    ),
+    CASE WHEN v_method = 'ROBUST_MAD'
+      THEN 'Robust MAD: Z=(X-median)/(1.4826×MAD), Zw=w×Z'
+      ELSE 'USP Z-Score: Z=(X-μ)/σ, Zw=w×Z'
+    END || ', ' || CASE v_aggregation_mode
+      WHEN 'MEAN' THEN 'Final=Σ(w_j×ΣZw)/Σw_j'
+      WHEN 'CORRECTED_MEAN' THEN 'Final=Σ(w_j×ΣZw)/(Σw_j+1)'
+      ELSE 'Final=Σ(w_j×ΣZw)'
+    END,
+    v_user_id
+  );
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'team_count', jsonb_array_length(v_team_results),
+    'computation_version', v_computation_version,
+    'normalization_method', v_method,
+    'aggregation_mode', v_aggregation_mode,
+    'ranking_style', v_ranking_style,
+    'judge_weights', v_judge_weights,
+    'results', v_team_results
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,16 @@
+/*
+  # Round Carry-Over Weights
+
+  ## Overview
+  Each round was ranked on its own, and the last round simply replaced the
+  earlier ones. An event's overall standings now combine each team's round
+  percentiles with per-round weights (e.g. 30% round 1, 70% round 2).
+  Teams that reached a later round place above teams eliminated earlier.
+
+  ## Changes
+  - rounds.final_weight: the round's weight in the overall standings
+*/
+
+ALTER TABLE rounds
+  ADD COLUMN IF NOT EXISTS final_weight numeric NOT NULL DEFAULT 1
+  CHECK (final_weight >= 0);
@@ -0,0 +1,72 @@
+/*
+  # Rubric Levels
+
+  ## Overview
+  Criteria can define rubric levels, e.g. 1-5, each with a descriptor such
+  as "Prototype works end to end". Judges pick a level instead of typing a
+  number; the level's score is stored as the criterion score and a copy of
+  the level is stored with the evaluation, so exports show the descriptor
+  the judge actually saw even if the rubric is edited later.
+
+  ## Changes
+  - round_criteria.rubric_levels, criteria.rubric_levels:
+    [{score, label, descriptor}], empty = free numeric score
+  - round_evaluations.rubric_selections:
+    {criterion_id: {criterion_name, score, label, descriptor}}
+  - Submitted scores on rubric criteria must match one of the levels
+*/
+
+-- =============================================
+-- SECTION 1: COLUMNS
+-- =============================================
+
+ALTER TABLE round_criteria
+  ADD COLUMN IF NOT EXISTS rubric_levels jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE criteria
+  ADD COLUMN IF NOT EXISTS rubric_levels jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE round_evaluations
+  ADD COLUMN IF NOT EXISTS rubric_selections jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+-- =============================================
+-- SECTION 2: VALIDATION
+-- =============================================
+
+CREATE OR REPLACE FUNCTION check_rubric_scores()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_criterion RECORD;
+  v_score NUMERIC;
+BEGIN
+  IF NEW.is_draft THEN
+    RETURN NEW;
+  END IF;
+
+  FOR v_criterion IN
+    SELECT id, name, rubric_levels
+    FROM round_criteria
+    WHERE round_id = NEW.round_id
+      AND jsonb_array_length(rubric_levels) > 0
+  LOOP
+    IF NEW.scores ? v_criterion.id::TEXT THEN
+      v_score := (NEW.scores->>v_criterion.id::TEXT)::NUMERIC;
+
+      IF NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(v_criterion.rubric_levels) AS level
+        WHERE (level->>'score')::NUMERIC = v_score
+      ) THEN
+        RAISE EXCEPTION 'Score % for "%" is not one of its rubric levels', v_score, v_criterion.name;
+      END IF;
+    END IF;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enforce_rubric_scores ON round_evaluations;
+CREATE TRIGGER enforce_rubric_scores
+  BEFORE INSERT OR UPDATE ON round_evaluations
+  FOR EACH ROW
+  EXECUTE FUNCTION check_rubric_scores();
@@ -0,0 +1,519 @@
+/*
+  # Criterion Scale Types
+
+  ## Overview
+  Every criterion used to be a continuous 0..max_marks score. Criteria now
+  choose a scale:
+  - CONTINUOUS: any value from min_marks to max_marks
+  - LIKERT:     whole numbers from min_marks to max_marks (e.g. 1-5)
+  - DECIMAL:    min_marks to max_marks in steps of step_size (e.g. 0.5)
+  - PERCENTAGE: 0-100
+  - GATE:       pass (1) / fail (0) eligibility check
+  Gate criteria are not normalized and do not count towards any total. A
+  team fails a gate when more than half of the judges who scored it marked
+  it as failed; such teams are stored unranked with is_eligible = false.
+
+  ## Changes
+  - round_criteria.scale_type, step_size, min_marks
+  - round_normalization_results / computed_results: is_eligible, failed_gates
+  - validate_raw_scores enforces the scale of each criterion
+  - find_ineligible_teams applies the majority rule to gate scores
+  - compute_judge_statistics, normalize_evaluation skip gates and
+    ineligible teams; compute_round_scores stores ineligible teams unranked
+*/
+
+-- =============================================
+-- SECTION 1: COLUMNS
+-- =============================================
+
+ALTER TABLE round_criteria
+  ADD COLUMN IF NOT EXISTS scale_type text NOT NULL DEFAULT 'CONTINUOUS'
+  CHECK (scale_type IN ('CONTINUOUS', 'LIKERT', 'DECIMAL', 'PERCENTAGE', 'GATE'));
+
+ALTER TABLE round_criteria
+  ADD COLUMN IF NOT EXISTS step_size numeric CHECK (step_size IS NULL OR step_size > 0);
+
+ALTER TABLE round_criteria
+  ADD COLUMN IF NOT EXISTS min_marks numeric NOT NULL DEFAULT 0;
+
+ALTER TABLE round_normalization_results
+  ADD COLUMN IF NOT EXISTS is_eligible boolean NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS failed_gates jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE computed_results
+  ADD COLUMN IF NOT EXISTS is_eligible boolean NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS failed_gates jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+-- =============================================
+-- SECTION 2: VALIDATION
+-- =============================================
+
+CREATE OR REPLACE FUNCTION validate_raw_scores(
+  p_round_id UUID,
+  p_scores JSONB
+) RETURNS JSONB AS $$
+DECLARE
+  v_criteria RECORD;
+  v_score NUMERIC;
+  v_min NUMERIC;
+  v_max NUMERIC;
+  v_errors JSONB := '[]'::JSONB;
+  v_criterion_id TEXT;
+BEGIN
+  FOR v_criteria IN
+    SELECT id::TEXT, name, max_marks, min_marks, scale_type, step_size
+    FROM round_criteria
+    WHERE round_id = p_round_id
+  LOOP
+    v_criterion_id := v_criteria.id;
+
+    IF NOT (p_scores ? v_criterion_id) THEN
+      v_errors := v_errors || jsonb_build_object(
+        'criterion', v_criteria.name,
+        'error', 'Missing score'
+      );
+      CONTINUE;
+    END IF;
+
+    v_score := (p_scores ->> v_criterion_id)::NUMERIC;
+
+    IF v_score IS NULL THEN
+      v_errors := v_errors || jsonb_build_object(
+        'criterion', v_criteria.name,
+        'error', 'Invalid score format'
+      );
+      CONTINUE;
+    END IF;
+
+    IF v_criteria.scale_type = 'GATE' THEN
+      IF v_score NOT IN (0, 1) THEN
+        v_errors := v_errors || jsonb_build_object(
+          'criterion', v_criteria.name,
+          'error', 'Must be pass (1) or fail (0)'
+        );
+      END IF;
+      CONTINUE;
+    END IF;
+
+    v_min := CASE WHEN v_criteria.scale_type = 'PERCENTAGE' THEN 0 ELSE COALESCE(v_criteria.min_marks, 0) END;
+    v_max := CASE WHEN v_criteria.scale_type = 'PERCENTAGE' THEN 100 ELSE v_criteria.max_marks END;
+
+    IF v_score < v_min OR v_score > v_max THEN
+      v_errors := v_errors || jsonb_build_object(
+        'criterion', v_criteria.name,
+        'error', format('Score %s out of range (%s-%s)', v_score, v_min, v_max)
+      );
+    ELSIF v_criteria.scale_type = 'LIKERT' AND v_score <> TRUNC(v_score) THEN
+      v_errors := v_errors || jsonb_build_object(
+        'criterion', v_criteria.name,
+        'error', format('Score %s must be a whole number', v_score)
+      );
+    ELSIF v_criteria.scale_type = 'DECIMAL' AND v_criteria.step_size IS NOT NULL
+      AND MOD(v_score - v_min, v_criteria.step_size) <> 0 THEN
+      v_errors := v_errors || jsonb_build_object(
+        'criterion', v_criteria.name,
+        'error', format('Score %s must be in steps of %s', v_score, v_criteria.step_size)
+      );
+    END IF;
+  END LOOP;
+
+  RETURN v_errors;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =============================================
+-- SECTION 3: GATE ELIGIBILITY
+-- =============================================
+
+CREATE OR REPLACE FUNCTION find_ineligible_teams(
+  p_round_id UUID
+) RETURNS TABLE (team_id UUID, failed_gates JSONB) AS $$
+  SELECT gate_votes.team_id, jsonb_agg(gate_votes.criterion_id ORDER BY gate_votes.criterion_id)
+  FROM (
+    SELECT re.team_id, rc.id::TEXT AS criterion_id
+    FROM raw_evaluations re
+    JOIN round_criteria rc ON rc.round_id = re.round_id AND rc.scale_type = 'GATE'
+    WHERE re.round_id = p_round_id
+      AND re.is_draft = false
+      AND re.scores ? rc.id::TEXT
+    GROUP BY re.team_id, rc.id
+    HAVING COUNT(*) FILTER (WHERE (re.scores ->> rc.id::TEXT)::NUMERIC = 0) * 2 > COUNT(*)
+  ) AS gate_votes
+  GROUP BY gate_votes.team_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- =============================================
+-- SECTION 4: JUDGE STATISTICS
+-- =============================================
+
+CREATE OR REPLACE FUNCTION compute_judge_statistics(
+  p_round_id UUID,
+  p_judge_id UUID
+) RETURNS JSONB AS $$
+DECLARE
+  v_criteria RECORD;
+  v_stats JSONB := '{}'::JSONB;
+  v_scores NUMERIC[];
+  v_mean NUMERIC;
+  v_variance NUMERIC;
+  v_std_dev NUMERIC;
+  v_median NUMERIC;
+  v_mad NUMERIC;
+  v_mean_ad NUMERIC;
+  v_n INTEGER;
+  v_method TEXT;
+BEGIN
+  SELECT COALESCE(normalization_method, 'Z_SCORE') INTO v_method
+  FROM rounds WHERE id = p_round_id;
+
+  FOR v_criteria IN
+    SELECT id::TEXT as criterion_id, weight
+    FROM round_criteria
+    WHERE round_id = p_round_id
+      AND scale_type <> 'GATE'
+    ORDER BY display_order
+  LOOP
+    SELECT ARRAY_AGG((scores ->> v_criteria.criterion_id)::NUMERIC)
+    INTO v_scores
+    FROM raw_evaluations
+    WHERE round_id = p_round_id
+      AND judge_id = p_judge_id
+      AND is_draft = false
+      AND team_id NOT IN (SELECT team_id FROM find_ineligible_teams(p_round_id));
+
+    v_n := COALESCE(array_length(v_scores, 1), 0);
+
+    IF v_n > 0 THEN
+      SELECT AVG(s) INTO v_mean FROM unnest(v_scores) AS s;
+
+      SELECT SUM(POWER(s - v_mean, 2)) / v_n INTO v_variance
+      FROM unnest(v_scores) AS s;
+
+      v_std_dev := SQRT(v_variance);
+
+      SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY s) INTO v_median
+      FROM unnest(v_scores) AS s;
+
+      SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY ABS(s - v_median)) INTO v_mad
+      FROM unnest(v_scores) AS s;
+
+      SELECT AVG(ABS(s - v_median)) INTO v_mean_ad
+      FROM unnest(v_scores) AS s;
+
+      v_stats := v_stats || jsonb_build_object(
+        v_criteria.criterion_id, jsonb_build_object(
+          'mean', v_mean,
+          'std_dev', v_std_dev,
+          'median', v_median,
+          'mad', v_mad,
+          'center', CASE WHEN v_method = 'ROBUST_MAD' THEN v_median ELSE v_mean END,
+          'scale', CASE
+            WHEN v_method <> 'ROBUST_MAD' THEN v_std_dev
+            WHEN v_mad > 0 THEN 1.4826 * v_mad
+            WHEN v_mean_ad > 0 THEN 1.2533 * v_mean_ad
+            ELSE v_std_dev
+          END,
+          'n', v_n,
+          'weight', v_criteria.weight
+        )
+      );
+    END IF;
+  END LOOP;
+
+  RETURN v_stats;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =============================================
+-- SECTION 5: NORMALIZATION
+-- =============================================
+
+CREATE OR REPLACE FUNCTION normalize_evaluation(
+  p_evaluation_id UUID,
+  p_judge_stats JSONB
+) RETURNS JSONB AS $$
+DECLARE
+  v_eval RECORD;
+  v_criteria RECORD;
+  v_raw_score NUMERIC;
+  v_center NUMERIC;
+  v_scale NUMERIC;
+  v_z_score NUMERIC;
+  v_weight NUMERIC;
+  v_total_weight NUMERIC := 0;
+  v_weighted_z NUMERIC;
+  v_total_weighted_z NUMERIC := 0;
+  v_z_scores JSONB := '{}'::JSONB;
+  v_weighted_z_scores JSONB := '{}'::JSONB;
+  v_raw_total NUMERIC := 0;
+BEGIN
+  SELECT * INTO v_eval FROM raw_evaluations WHERE id = p_evaluation_id;
+
+  IF v_eval IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT SUM(weight) INTO v_total_weight
+  FROM round_criteria WHERE round_id = v_eval.round_id AND scale_type <> 'GATE';
+
+  FOR v_criteria IN
+    SELECT id::TEXT as criterion_id, weight, max_marks
+    FROM round_criteria
+    WHERE round_id = v_eval.round_id
+      AND scale_type <> 'GATE'
+    ORDER BY display_order
+  LOOP
+    v_raw_score := (v_eval.scores ->> v_criteria.criterion_id)::NUMERIC;
+
+    v_raw_total := v_raw_total + (v_raw_score / v_criteria.max_marks * 100) * (v_criteria.weight / v_total_weight);
+
+    v_center := (p_judge_stats -> v_criteria.criterion_id ->> 'center')::NUMERIC;
+    v_scale := (p_judge_stats -> v_criteria.criterion_id ->> 'scale')::NUMERIC;
+    v_weight := v_criteria.weight / v_total_weight;
+
+    IF v_scale IS NULL OR v_scale = 0 OR (p_judge_stats -> v_criteria.criterion_id ->> 'n')::INTEGER = 1 THEN
+      v_z_score := 0;
+    ELSE
+      v_z_score := (v_raw_score - v_center) / v_scale;
+    END IF;
+
+    v_weighted_z := v_weight * v_z_score;
+    v_total_weighted_z := v_total_weighted_z + v_weighted_z;
+
+    v_z_scores := v_z_scores || jsonb_build_object(v_criteria.criterion_id, v_z_score);
+    v_weighted_z_scores := v_weighted_z_scores || jsonb_build_object(v_criteria.criterion_id, v_weighted_z);
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'evaluation_id', p_evaluation_id,
+    'team_id', v_eval.team_id,
+    'judge_id', v_eval.judge_id,
+    'raw_total', v_raw_total,
+    'z_scores', v_z_scores,
+    'weighted_z_scores', v_weighted_z_scores,
+    'final_z', v_total_weighted_z
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =============================================
+-- SECTION 6: ROUND COMPUTATION
+-- =============================================
+
+CREATE OR REPLACE FUNCTION compute_round_scores(
+  p_round_id UUID
+) RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID;
+  v_can_compute BOOLEAN;
+  v_event_status event_status;
+  v_method TEXT;
+  v_aggregation_mode TEXT;
+  v_tie_break_policy JSONB;
+  v_ranking_style TEXT;
+  v_judge RECORD;
+  v_judge_weight NUMERIC;
+  v_judge_weights JSONB := '{}'::JSONB;
+  v_eval RECORD;
+  v_judge_stats JSONB;
+  v_normalized JSONB;
+  v_all_normalized JSONB[] := ARRAY[]::JSONB[];
+  v_team_results JSONB;
+  v_computation_version INTEGER;
+  v_start_time TIMESTAMPTZ;
+  v_criteria JSONB;
+  v_ineligible JSONB;
+  v_ineligible_evals JSONB[] := ARRAY[]::JSONB[];
+BEGIN
+  v_user_id := auth.uid();
+  v_start_time := NOW();
+
+  IF v_user_id IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Authentication required');
+  END IF;
+
+  SELECT has_permission(v_user_id, 'results', 'compute') INTO v_can_compute;
+
+  IF NOT v_can_compute THEN
+    INSERT INTO scoring_audit_log (round_id, action, error_message, user_id)
+    VALUES (p_round_id, 'COMPUTE_DENIED', 'Permission denied', v_user_id);
+
+    RETURN jsonb_build_object('success', false, 'error', 'Permission denied');
+  END IF;
+
+  SELECT e.status, COALESCE(r.normalization_method, 'Z_SCORE'), COALESCE(r.aggregation_mode, 'SUM'),
+    r.tie_break_policy, COALESCE(r.ranking_style, 'STANDARD')
+  INTO v_event_status, v_method, v_aggregation_mode, v_tie_break_policy, v_ranking_style
+  FROM rounds r
+  JOIN events e ON r.event_id = e.id
+  WHERE r.id = p_round_id;
+
+  IF v_event_status IN ('locked', 'published') THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Cannot recompute scores for locked or published events');
+  END IF;
+
+  IF v_method NOT IN ('Z_SCORE', 'ROBUST_MAD') THEN
+    RETURN jsonb_build_object('success', false, 'error',
+      format('%s normalization is computed from the round results panel, not by this engine', v_method));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM raw_evaluations
+    WHERE round_id = p_round_id AND is_draft = false
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'error', 'No submitted evaluations found');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM round_criteria
+    WHERE round_id = p_round_id AND scale_type <> 'GATE'
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Round has no scored criteria, only pass/fail gates');
+  END IF;
+
+  -- Gate criteria only decide eligibility, they are never normalized
+  SELECT jsonb_agg(jsonb_build_object('id', id, 'name', name, 'weight', weight, 'max_marks', max_marks))
+  INTO v_criteria
+  FROM round_criteria WHERE round_id = p_round_id AND scale_type <> 'GATE';
+
+  SELECT COALESCE(jsonb_object_agg(team_id::TEXT, failed_gates), '{}'::JSONB)
+  INTO v_ineligible
+  FROM find_ineligible_teams(p_round_id);
+
+  FOR v_judge IN
+    SELECT DISTINCT judge_id FROM raw_evaluations
+    WHERE round_id = p_round_id AND is_draft = false
+  LOOP
+    v_judge_stats := compute_judge_statistics(p_round_id, v_judge.judge_id);
+
+    SELECT COALESCE(
+      (SELECT judge_weight FROM round_judge_assignments
+       WHERE round_id = p_round_id AND judge_id = v_judge.judge_id),
+      1.0
+    ) INTO v_judge_weight;
+
+    v_judge_weights := v_judge_weights || jsonb_build_object(v_judge.judge_id::TEXT, v_judge_weight);
+
+    FOR v_eval IN
+      SELECT id, team_id FROM raw_evaluations
+      WHERE round_id = p_round_id
+        AND judge_id = v_judge.judge_id
+        AND is_draft = false
+    LOOP
+      v_normalized := normalize_evaluation(v_eval.id, v_judge_stats);
+
+      IF v_normalized IS NOT NULL AND v_ineligible ? v_eval.team_id::TEXT THEN
+        v_ineligible_evals := array_append(v_ineligible_evals, v_normalized || jsonb_build_object(
+          'judge_weight', v_judge_weight
+        ));
+      ELSIF v_normalized IS NOT NULL THEN
+        v_normalized := v_normalized || jsonb_build_object(
+          'judge_mean', (
+            SELECT AVG((v_judge_stats -> key ->> 'mean')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_std', (
+            SELECT AVG((v_judge_stats -> key ->> 'std_dev')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_median', (
+            SELECT AVG((v_judge_stats -> key ->> 'median')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_mad', (
+            SELECT AVG((v_judge_stats -> key ->> 'mad')::NUMERIC)
+            FROM jsonb_object_keys(v_judge_stats) AS key
+          ),
+          'judge_weight', v_judge_weight,
+          'normalization_method', v_method
+        );
+        v_all_normalized := array_append(v_all_normalized, v_normalized);
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  v_team_results := aggregate_and_rank_teams(
+    v_all_normalized, v_criteria, v_aggregation_mode,
+    COALESCE(v_tie_break_policy, default_tie_break_policy()),
+    v_ranking_style
+  );
+
+  SELECT COALESCE(MAX(computation_version), 0) + 1
+  INTO v_computation_version
+  FROM computed_results WHERE round_id = p_round_id;
+
+  PERFORM save_computed_results(p_round_id, v_team_results, v_user_id, v_computation_version);
+
+  -- Ineligible teams keep their raw totals for the record but are never ranked
+  INSERT INTO computed_results (
+    round_id, team_id, judge_id, raw_total, is_eligible, failed_gates,
+    judge_weight, normalization_method, computed_by, computation_version
+  )
+  SELECT
+    p_round_id,
+    (e ->> 'team_id')::UUID,
+    (e ->> 'judge_id')::UUID,
+    (e ->> 'raw_total')::NUMERIC,
+    false,
+    v_ineligible -> (e ->> 'team_id'),
+    (e ->> 'judge_weight')::NUMERIC,
+    v_method,
+    v_user_id,
+    v_computation_version
+  FROM unnest(v_ineligible_evals) AS e;
+
+  INSERT INTO scoring_audit_log (round_id, action, details, user_id)
+  VALUES (p_round_id, 'SCORES_COMPUTED', jsonb_build_object(
+    'evaluation_count', array_length(v_all_normalized, 1),
+    'team_count', jsonb_array_length(v_team_results),
+    'ineligible_teams', v_ineligible,
+    'computation_version', v_computation_version,
+    'normalization_method', v_method,
+    'aggregation_mode', v_aggregation_mode,
+    'tie_break_policy', v_tie_break_policy,
+    'ranking_style', v_ranking_style,
+    'duration_ms', EXTRACT(MILLISECONDS FROM (NOW() - v_start_time))
+  ), v_user_id);
+
+  INSERT INTO computation_logs (round_id, computation_type, input_data, output_data, formula_used, computed_by)
+  VALUES (
+    p_round_id,
+    CASE WHEN v_method = 'ROBUST_MAD' THEN 'ROBUST_MAD_NORMALIZATION' ELSE 'Z_SCORE_NORMALIZATION' END,
+    jsonb_build_object(
+      'evaluation_count', array_length(v_all_normalized, 1),
+      'criteria', v_criteria,
+      'normalization_method', v_method,
+      'aggregation_mode', v_aggregation_mode,
+      'judge_weights', v_judge_weights,
+      'tie_break_policy', v_tie_break_policy,
+      'ranking_style', v_ranking_style
+    ),
+    jsonb_build_object(
+      'team_count', jsonb_array_length(v_team_results),
+      'ineligible_teams', v_ineligible,
+      'version', v_computation_version
+    ),
+    CASE WHEN v_method = 'ROBUST_MAD'
+      THEN 'Robust MAD: Z=(X-median)/(1.4826×MAD), Zw=w×Z'
+      ELSE 'USP Z-Score: Z=(X-μ)/σ, Zw=w×Z'
+    END || ', ' || CASE v_aggregation_mode
+      WHEN 'MEAN' THEN 'Final=Σ(w_j×ΣZw)/Σw_j'
+      WHEN 'CORRECTED_MEAN' THEN 'Final=Σ(w_j×ΣZw)/(Σw_j+1)'
+      ELSE 'Final=Σ(w_j×ΣZw)'
+    END,
+    v_user_id
+  );
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'team_count', jsonb_array_length(v_team_results),
+    'ineligible_teams', v_ineligible,
+    'computation_version', v_computation_version,
+    'normalization_method', v_method,
+    'aggregation_mode', v_aggregation_mode,
+    'ranking_style', v_ranking_style,
+    'judge_weights', v_judge_weights,
+    'results', v_team_results
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,254 @@
+/*
+  # Criteria Library and Round Templates
+
+  ## Overview
+  Organizations keep a library of reusable criteria (e.g. Innovation,
+  Execution, Impact, Presentation) and saved round templates: a set of
+  criteria with weights and groups plus the round's selection mode and
+  normalization method. A template or a single library entry can be applied
+  to any draft round.
+
+  Round criteria created from the library remember their library entry.
+  When applied with "keep in sync", later edits to the library entry (name,
+  description, marks, scale, rubric) are copied to those criteria while their
+  round is still a draft. Weights and groups stay with the round.
+
+  ## Changes
+  - criteria_library: per-organization criterion definitions
+  - round_templates: per-organization round setups, criteria stored as
+    [{library_criterion_id, name, description, max_marks, weight, scale_type,
+      step_size, min_marks, rubric_levels, group_id}]
+  - round_criteria.library_criterion_id, round_criteria.sync_with_library
+  - apply_round_template replaces a draft round's criteria and settings; the
+    caller needs events/update permission and must belong to the
+    organization that owns both the template and the round's event
+  - Library edits propagate to synced criteria of draft rounds
+*/
+
+-- =============================================
+-- SECTION 1: TABLES
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS criteria_library (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  description text DEFAULT '',
+  max_marks numeric NOT NULL CHECK (max_marks > 0),
+  weight numeric NOT NULL DEFAULT 1.0 CHECK (weight > 0),
+  scale_type text NOT NULL DEFAULT 'CONTINUOUS'
+    CHECK (scale_type IN ('CONTINUOUS', 'LIKERT', 'DECIMAL', 'PERCENTAGE', 'GATE')),
+  step_size numeric CHECK (step_size IS NULL OR step_size > 0),
+  min_marks numeric NOT NULL DEFAULT 0,
+  rubric_levels jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_by uuid REFERENCES auth.users(id),
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS round_templates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  description text DEFAULT '',
+  criteria jsonb NOT NULL DEFAULT '[]'::jsonb,
+  criterion_groups jsonb NOT NULL DEFAULT '[]'::jsonb,
+  selection_mode text CHECK (selection_mode IN ('PER_JUDGE_TOP_N', 'GLOBAL_TOP_K')),
+  selection_params jsonb DEFAULT '{}'::jsonb,
+  normalization_method text DEFAULT 'Z_SCORE'
+    CHECK (normalization_method IN ('Z_SCORE', 'ROBUST_MAD', 'JUDGE_EFFECT', 'BORDA', 'SCHULZE')),
+  created_by uuid REFERENCES auth.users(id),
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE round_criteria
+  ADD COLUMN IF NOT EXISTS library_criterion_id uuid REFERENCES criteria_library(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS sync_with_library boolean NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_criteria_library_organization ON criteria_library(organization_id);
+CREATE INDEX IF NOT EXISTS idx_round_templates_organization ON round_templates(organization_id);
+CREATE INDEX IF NOT EXISTS idx_round_criteria_library ON round_criteria(library_criterion_id);
+
+-- =============================================
+-- SECTION 2: RLS
+-- =============================================
+
+ALTER TABLE criteria_library ENABLE ROW LEVEL SECURITY;
+ALTER TABLE round_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Organization members can manage the criteria library"
+ON criteria_library
+FOR ALL
+USING (
+  EXISTS (
+    SELECT 1 FROM user_profiles up
+    WHERE up.id = auth.uid()
+    AND up.organization_id = criteria_library.organization_id
+  )
+  OR
+  EXISTS (
+    SELECT 1 FROM user_roles ur
+    WHERE ur.user_id = auth.uid()
+    AND ur.role IN ('super_admin', 'co_admin')
+  )
+);
+
+CREATE POLICY "Organization members can manage round templates"
+ON round_templates
+FOR ALL
+USING (
+  EXISTS (
+    SELECT 1 FROM user_profiles up
+    WHERE up.id = auth.uid()
+    AND up.organization_id = round_templates.organization_id
+  )
+  OR
+  EXISTS (
+    SELECT 1 FROM user_roles ur
+    WHERE ur.user_id = auth.uid()
+    AND ur.role IN ('super_admin', 'co_admin')
+  )
+);
+
+-- =============================================
+-- SECTION 3: APPLY TEMPLATE
+-- =============================================
+
+CREATE OR REPLACE FUNCTION apply_round_template(
+  p_round_id UUID,
+  p_template_id UUID,
+  p_sync_with_library BOOLEAN DEFAULT false
+) RETURNS INTEGER AS $$
+DECLARE
+  v_user_id UUID;
+  v_round RECORD;
+  v_event_organization_id UUID;
+  v_template RECORD;
+  v_entry JSONB;
+  v_library RECORD;
+  v_order INTEGER := 0;
+BEGIN
+  v_user_id := auth.uid();
+
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Authentication required';
+  END IF;
+
+  IF NOT has_permission(v_user_id, 'events', 'update') THEN
+    RAISE EXCEPTION 'Permission denied';
+  END IF;
+
+  SELECT * INTO v_round FROM rounds WHERE id = p_round_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Round not found';
+  END IF;
+
+  IF v_round.status <> 'draft' THEN
+    RAISE EXCEPTION 'Templates can only be applied to draft rounds';
+  END IF;
+
+  SELECT * INTO v_template FROM round_templates WHERE id = p_template_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Round template not found';
+  END IF;
+
+  -- Same rule as the round_templates policy: the caller's organization, or
+  -- a platform admin
+  IF NOT EXISTS (
+    SELECT 1 FROM user_profiles up
+    WHERE up.id = v_user_id
+    AND up.organization_id = v_template.organization_id
+  ) AND NOT EXISTS (
+    SELECT 1 FROM user_roles ur
+    WHERE ur.user_id = v_user_id
+    AND ur.role IN ('super_admin', 'co_admin')
+  ) THEN
+    RAISE EXCEPTION 'Permission denied';
+  END IF;
+
+  SELECT organization_id INTO v_event_organization_id
+  FROM events WHERE id = v_round.event_id;
+
+  IF v_event_organization_id IS DISTINCT FROM v_template.organization_id THEN
+    RAISE EXCEPTION 'Round template belongs to another organization';
+  END IF;
+
+  DELETE FROM round_criteria WHERE round_id = p_round_id;
+
+  FOR v_entry IN SELECT * FROM jsonb_array_elements(v_template.criteria)
+  LOOP
+    -- Linked entries take the library's current definition
+    SELECT * INTO v_library
+    FROM criteria_library
+    WHERE id = NULLIF(v_entry->>'library_criterion_id', '')::UUID;
+
+    INSERT INTO round_criteria (
+      round_id, name, description, max_marks, weight, display_order,
+      scale_type, step_size, min_marks, rubric_levels, group_id,
+      library_criterion_id, sync_with_library
+    ) VALUES (
+      p_round_id,
+      COALESCE(v_library.name, v_entry->>'name'),
+      COALESCE(v_library.description, v_entry->>'description', ''),
+      COALESCE(v_library.max_marks, (v_entry->>'max_marks')::NUMERIC),
+      COALESCE((v_entry->>'weight')::NUMERIC, v_library.weight, 1.0),
+      v_order,
+      COALESCE(v_library.scale_type, v_entry->>'scale_type', 'CONTINUOUS'),
+      COALESCE(v_library.step_size, (v_entry->>'step_size')::NUMERIC),
+      COALESCE(v_library.min_marks, (v_entry->>'min_marks')::NUMERIC, 0),
+      COALESCE(v_library.rubric_levels, v_entry->'rubric_levels', '[]'::JSONB),
+      NULLIF(v_entry->>'group_id', ''),
+      v_library.id,
+      p_sync_with_library AND v_library.id IS NOT NULL
+    );
+
+    v_order := v_order + 1;
+  END LOOP;
+
+  UPDATE rounds
+  SET criterion_groups = v_template.criterion_groups,
+      selection_mode = COALESCE(v_template.selection_mode, selection_mode),
+      selection_params = COALESCE(v_template.selection_params, selection_params),
+      normalization_method = COALESCE(v_template.normalization_method, normalization_method)
+  WHERE id = p_round_id;
+
+  RETURN v_order;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION apply_round_template(uuid, uuid, boolean) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION apply_round_template(uuid, uuid, boolean) TO authenticated;
+
+-- =============================================
+-- SECTION 4: LIBRARY SYNC
+-- =============================================
+
+CREATE OR REPLACE FUNCTION sync_library_criterion()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at := now();
+
+  UPDATE round_criteria rc
+  SET name = NEW.name,
+      description = NEW.description,
+      max_marks = NEW.max_marks,
+      scale_type = NEW.scale_type,
+      step_size = NEW.step_size,
+      min_marks = NEW.min_marks,
+      rubric_levels = NEW.rubric_levels
+  FROM rounds r
+  WHERE rc.round_id = r.id
+    AND rc.library_criterion_id = NEW.id
+    AND rc.sync_with_library
+    AND r.status = 'draft';
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS sync_library_criterion_to_rounds ON criteria_library;
+CREATE TRIGGER sync_library_criterion_to_rounds
+  BEFORE UPDATE ON criteria_library
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_library_criterion();
@@ -0,0 +1,126 @@
+/*
+  # Event Tracks
+
+  ## Overview
+  Team categories were a fixed Software/Hardware pair (CHECK constraints on
+  teams.category_id and judges.category), so events with tracks such as
+  "FinTech" or "Health" got no auto-assignment. Tracks are now rows per
+  event with a color, an optional per-track criteria override and the judges
+  eligible to judge them.
+
+  A judge with no tracks may judge any track. Each track gets its own
+  leaderboard, computed on demand from the round's evaluations of the
+  track's teams.
+
+  ## Changes
+  - tracks: per-event tracks; criteria_weights maps round_criteria ids to the
+    weight used on the track's leaderboard ({criterionId: weight}, 0 leaves
+    the criterion out)
+  - teams.track_id, judges.track_ids
+  - Existing Software/Hardware values become tracks; the legacy columns are
+    kept but no longer constrained or read
+  - Deleting a track removes it from judges' track_ids
+*/
+
+-- =============================================
+-- SECTION 1: TABLES
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS tracks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id uuid NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  color text NOT NULL DEFAULT '#7c3aed',
+  description text DEFAULT '',
+  display_order integer NOT NULL DEFAULT 0,
+  criteria_weights jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tracks_event_name ON tracks(event_id, lower(name));
+
+ALTER TABLE teams
+  ADD COLUMN IF NOT EXISTS track_id uuid REFERENCES tracks(id) ON DELETE SET NULL;
+
+ALTER TABLE judges
+  ADD COLUMN IF NOT EXISTS track_ids uuid[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_teams_track ON teams(track_id);
+
+ALTER TABLE teams DROP CONSTRAINT IF EXISTS teams_category_id_check;
+ALTER TABLE judges DROP CONSTRAINT IF EXISTS judges_category_check;
+
+-- =============================================
+-- SECTION 2: RLS
+-- =============================================
+
+ALTER TABLE tracks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view tracks"
+  ON tracks
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Authenticated users can manage tracks"
+  ON tracks
+  FOR ALL
+  TO authenticated
+  USING (auth.role() = 'authenticated')
+  WITH CHECK (auth.role() = 'authenticated');
+
+-- =============================================
+-- SECTION 3: MIGRATE SOFTWARE/HARDWARE CATEGORIES
+-- =============================================
+
+INSERT INTO tracks (event_id, name, color, display_order)
+SELECT
+  c.event_id,
+  c.name,
+  CASE WHEN lower(c.name) = 'hardware' THEN '#f59e0b' ELSE '#3b82f6' END,
+  CASE WHEN lower(c.name) = 'hardware' THEN 1 ELSE 0 END
+FROM (
+  SELECT DISTINCT event_id, initcap(trim(category_id)) AS name
+  FROM teams
+  WHERE event_id IS NOT NULL AND COALESCE(trim(category_id), '') <> ''
+  UNION
+  SELECT DISTINCT event_id, initcap(trim(category)) AS name
+  FROM judges
+  WHERE event_id IS NOT NULL AND COALESCE(trim(category), '') <> ''
+) c
+ON CONFLICT DO NOTHING;
+
+UPDATE teams t
+SET track_id = tr.id
+FROM tracks tr
+WHERE tr.event_id = t.event_id
+  AND lower(tr.name) = lower(trim(t.category_id))
+  AND t.track_id IS NULL;
+
+UPDATE judges j
+SET track_ids = ARRAY[tr.id]
+FROM tracks tr
+WHERE tr.event_id = j.event_id
+  AND lower(tr.name) = lower(trim(j.category))
+  AND j.track_ids = '{}';
+
+-- =============================================
+-- SECTION 4: TRACK CLEANUP
+-- =============================================
+
+CREATE OR REPLACE FUNCTION remove_deleted_track_from_judges()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE judges
+  SET track_ids = array_remove(track_ids, OLD.id)
+  WHERE OLD.id = ANY(track_ids);
+
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS remove_deleted_track ON tracks;
+CREATE TRIGGER remove_deleted_track
+  AFTER DELETE ON tracks
+  FOR EACH ROW
+  EXECUTE FUNCTION remove_deleted_track_from_judges();
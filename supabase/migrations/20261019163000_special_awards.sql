@@ -0,0 +1,56 @@
+/*
+  # Special Awards
+
+  ## Overview
+  Sponsor prizes such as "Best Design" or "Most Innovative" on top of the
+  overall ranking. An award ranks teams on one criterion of a computed round
+  (the criterion's aggregated z-score stored in
+  round_normalization_results.tie_breaker_data.criteria_scores), optionally
+  among one track's teams only and leaving out the round's top N teams.
+
+  Winners are not stored; they are computed from the stored results, so
+  recomputing the round updates the awards.
+
+  ## Changes
+  - special_awards: per-event award definitions
+*/
+
+-- =============================================
+-- SECTION 1: TABLES
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS special_awards (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id uuid NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  round_id uuid NOT NULL REFERENCES rounds(id) ON DELETE CASCADE,
+  criterion_id uuid NOT NULL REFERENCES round_criteria(id) ON DELETE CASCADE,
+  track_id uuid REFERENCES tracks(id) ON DELETE SET NULL,
+  name text NOT NULL,
+  description text DEFAULT '',
+  sponsor text DEFAULT '',
+  exclude_top_n integer NOT NULL DEFAULT 0 CHECK (exclude_top_n >= 0),
+  winners_count integer NOT NULL DEFAULT 1 CHECK (winners_count > 0),
+  display_order integer NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_special_awards_event ON special_awards(event_id);
+
+-- =============================================
+-- SECTION 2: RLS
+-- =============================================
+
+ALTER TABLE special_awards ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view special awards"
+  ON special_awards
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Authenticated users can manage special awards"
+  ON special_awards
+  FOR ALL
+  TO authenticated
+  USING (auth.role() = 'authenticated')
+  WITH CHECK (auth.role() = 'authenticated');
@@ -0,0 +1,297 @@
+/*
+  # Audience Voting
+
+  ## Overview
+  A public people's-choice vote per event. Each voter gets one vote, checked
+  either by a random token stored on the device or by a one-time code sent
+  to their email address.
+
+  The vote is open only while the event is in live judging, within an
+  optional window (opens_at / closes_at), so it closes by itself when
+  judging is locked.
+
+  Votes are only written through cast_audience_vote. That function records
+  hashes of the voter's IP address, user agent and browser fingerprint for
+  the fraud heuristics (flagSuspiciousVotes). Flagged votes are held back
+  until an admin accepts or rejects them (review_status).
+
+  The tally can be used as a standalone special award
+  (special_awards.award_type = 'AUDIENCE'). It can also be weighted into the
+  overall standings next to the judged rounds (events.audience_vote_weight).
+
+  ## Changes
+  - events: audience voting settings
+  - audience_votes: one row per voter and event
+  - audience_vote_codes: hashed one-time email codes
+  - special_awards: award_type; round and criterion optional for audience awards
+  - get_audience_voting_state(): public ballot (event, window, teams)
+  - issue_audience_vote_code(): service role only, used by the audience-vote-code function
+  - cast_audience_vote(): records a vote after the window and voter checks
+*/
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- =============================================
+-- SECTION 1: EVENT SETTINGS
+-- =============================================
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS audience_voting_enabled boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS audience_vote_verification text NOT NULL DEFAULT 'DEVICE',
+  ADD COLUMN IF NOT EXISTS audience_vote_opens_at timestamptz,
+  ADD COLUMN IF NOT EXISTS audience_vote_closes_at timestamptz,
+  ADD COLUMN IF NOT EXISTS audience_vote_weight numeric NOT NULL DEFAULT 0;
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_audience_vote_verification_check;
+ALTER TABLE events ADD CONSTRAINT events_audience_vote_verification_check
+  CHECK (audience_vote_verification IN ('DEVICE', 'EMAIL'));
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_audience_vote_weight_check;
+ALTER TABLE events ADD CONSTRAINT events_audience_vote_weight_check
+  CHECK (audience_vote_weight >= 0);
+
+-- =============================================
+-- SECTION 2: TABLES
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS audience_votes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id uuid NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  team_id uuid NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  voter_key text NOT NULL,
+  device_hash text,
+  ip_hash text,
+  user_agent_hash text,
+  review_status text NOT NULL DEFAULT 'AUTO' CHECK (review_status IN ('AUTO', 'ACCEPTED', 'REJECTED')),
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (event_id, voter_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audience_votes_event ON audience_votes(event_id);
+
+CREATE TABLE IF NOT EXISTS audience_vote_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id uuid NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  email_hash text NOT NULL,
+  code_hash text NOT NULL,
+  attempts integer NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audience_vote_codes_lookup ON audience_vote_codes(event_id, email_hash);
+
+ALTER TABLE special_awards
+  ADD COLUMN IF NOT EXISTS award_type text NOT NULL DEFAULT 'CRITERION';
+
+ALTER TABLE special_awards ALTER COLUMN round_id DROP NOT NULL;
+ALTER TABLE special_awards ALTER COLUMN criterion_id DROP NOT NULL;
+
+ALTER TABLE special_awards DROP CONSTRAINT IF EXISTS special_awards_award_type_check;
+ALTER TABLE special_awards ADD CONSTRAINT special_awards_award_type_check
+  CHECK (
+    (award_type = 'CRITERION' AND round_id IS NOT NULL AND criterion_id IS NOT NULL)
+    OR award_type = 'AUDIENCE'
+  );
+
+-- =============================================
+-- SECTION 3: RLS
+-- =============================================
+
+-- Votes are written only by cast_audience_vote; admins read and review them
+ALTER TABLE audience_votes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view audience votes"
+  ON audience_votes
+  FOR SELECT
+  TO authenticated
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Authenticated users can review audience votes"
+  ON audience_votes
+  FOR UPDATE
+  TO authenticated
+  USING (auth.role() = 'authenticated')
+  WITH CHECK (auth.role() = 'authenticated');
+
+-- No policies: only the SECURITY DEFINER functions below touch codes
+ALTER TABLE audience_vote_codes ENABLE ROW LEVEL SECURITY;
+
+-- =============================================
+-- SECTION 4: FUNCTIONS
+-- =============================================
+
+CREATE OR REPLACE FUNCTION audience_voting_is_open(p_event events)
+RETURNS boolean AS $$
+BEGIN
+  RETURN p_event.audience_voting_enabled
+    AND p_event.status = 'live_judging'
+    AND (p_event.audience_vote_opens_at IS NULL OR now() >= p_event.audience_vote_opens_at)
+    AND (p_event.audience_vote_closes_at IS NULL OR now() < p_event.audience_vote_closes_at);
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
+
+CREATE OR REPLACE FUNCTION get_audience_voting_state(p_event_id uuid)
+RETURNS jsonb AS $$
+DECLARE
+  v_event events;
+BEGIN
+  SELECT * INTO v_event FROM events WHERE id = p_event_id;
+
+  IF v_event.id IS NULL OR NOT v_event.audience_voting_enabled THEN
+    RETURN jsonb_build_object('enabled', false);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'enabled', true,
+    'event_name', v_event.name,
+    'is_open', audience_voting_is_open(v_event),
+    'verification', v_event.audience_vote_verification,
+    'opens_at', v_event.audience_vote_opens_at,
+    'closes_at', v_event.audience_vote_closes_at,
+    'teams', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'id', t.id,
+        'name', t.name,
+        'project_title', t.project_title,
+        'track_name', tr.name,
+        'track_color', tr.color
+      ) ORDER BY t.name)
+      FROM teams t
+      LEFT JOIN tracks tr ON tr.id = t.track_id
+      WHERE t.event_id = p_event_id
+    ), '[]'::jsonb)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Returns the plain code for the edge function to email; only a hash is kept
+CREATE OR REPLACE FUNCTION issue_audience_vote_code(p_event_id uuid, p_email text)
+RETURNS text AS $$
+DECLARE
+  v_event events;
+  v_email_hash text;
+  v_random bigint;
+  v_code text;
+BEGIN
+  SELECT * INTO v_event FROM events WHERE id = p_event_id;
+
+  IF v_event.id IS NULL OR NOT audience_voting_is_open(v_event) THEN
+    RAISE EXCEPTION 'Audience voting is not open';
+  END IF;
+
+  IF v_event.audience_vote_verification <> 'EMAIL' THEN
+    RAISE EXCEPTION 'This vote does not use email codes';
+  END IF;
+
+  v_email_hash := encode(digest(lower(trim(p_email)), 'sha256'), 'hex');
+
+  IF (
+    SELECT COUNT(*) FROM audience_vote_codes
+    WHERE event_id = p_event_id
+      AND email_hash = v_email_hash
+      AND created_at > now() - interval '1 hour'
+  ) >= 3 THEN
+    RAISE EXCEPTION 'Too many codes requested, try again later';
+  END IF;
+
+  -- Unpredictable code from pgcrypto's CSPRNG (random() is not). Draws at or
+  -- above the largest multiple of 10^6 below 2^32 are retried so every code
+  -- is equally likely
+  LOOP
+    v_random := ('x' || encode(gen_random_bytes(4), 'hex'))::bit(32)::bigint;
+    EXIT WHEN v_random < 4294000000;
+  END LOOP;
+  v_code := lpad((v_random % 1000000)::text, 6, '0');
+
+  INSERT INTO audience_vote_codes (event_id, email_hash, code_hash, expires_at)
+  VALUES (p_event_id, v_email_hash, encode(digest(v_code, 'sha256'), 'hex'), now() + interval '15 minutes');
+
+  RETURN v_code;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+REVOKE EXECUTE ON FUNCTION issue_audience_vote_code(uuid, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION issue_audience_vote_code(uuid, text) TO service_role;
+
+CREATE OR REPLACE FUNCTION cast_audience_vote(
+  p_event_id uuid,
+  p_team_id uuid,
+  p_device_token text DEFAULT NULL,
+  p_email text DEFAULT NULL,
+  p_code text DEFAULT NULL,
+  p_device_hash text DEFAULT NULL
+)
+RETURNS jsonb AS $$
+DECLARE
+  v_event events;
+  v_headers jsonb;
+  v_ip text;
+  v_voter_key text;
+  v_email_hash text;
+  v_code_row audience_vote_codes;
+BEGIN
+  SELECT * INTO v_event FROM events WHERE id = p_event_id;
+
+  IF v_event.id IS NULL OR NOT audience_voting_is_open(v_event) THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Voting is closed');
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM teams WHERE id = p_team_id AND event_id = p_event_id) THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Team not found');
+  END IF;
+
+  IF v_event.audience_vote_verification = 'EMAIL' THEN
+    v_email_hash := encode(digest(lower(trim(COALESCE(p_email, ''))), 'sha256'), 'hex');
+
+    SELECT * INTO v_code_row FROM audience_vote_codes
+    WHERE event_id = p_event_id
+      AND email_hash = v_email_hash
+      AND used_at IS NULL
+      AND expires_at > now()
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    IF v_code_row.id IS NULL OR v_code_row.attempts >= 5 THEN
+      RETURN jsonb_build_object('success', false, 'error', 'Request a new code');
+    END IF;
+
+    IF v_code_row.code_hash <> encode(digest(COALESCE(p_code, ''), 'sha256'), 'hex') THEN
+      UPDATE audience_vote_codes SET attempts = attempts + 1 WHERE id = v_code_row.id;
+      RETURN jsonb_build_object('success', false, 'error', 'Incorrect code');
+    END IF;
+
+    UPDATE audience_vote_codes SET used_at = now() WHERE id = v_code_row.id;
+    v_voter_key := 'email:' || v_email_hash;
+  ELSE
+    IF p_device_token IS NULL OR length(p_device_token) < 32 THEN
+      RETURN jsonb_build_object('success', false, 'error', 'Missing device token');
+    END IF;
+    v_voter_key := 'device:' || encode(digest(p_device_token, 'sha256'), 'hex');
+  END IF;
+
+  v_headers := COALESCE(NULLIF(current_setting('request.headers', true), '')::jsonb, '{}'::jsonb);
+  v_ip := trim(split_part(COALESCE(v_headers->>'x-forwarded-for', v_headers->>'x-real-ip', ''), ',', 1));
+
+  INSERT INTO audience_votes (event_id, team_id, voter_key, device_hash, ip_hash, user_agent_hash)
+  VALUES (
+    p_event_id,
+    p_team_id,
+    v_voter_key,
+    NULLIF(p_device_hash, ''),
+    CASE WHEN v_ip = '' THEN NULL ELSE encode(digest(p_event_id::text || v_ip, 'sha256'), 'hex') END,
+    encode(digest(COALESCE(v_headers->>'user-agent', ''), 'sha256'), 'hex')
+  )
+  ON CONFLICT (event_id, voter_key) DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'error', 'You have already voted');
+  END IF;
+
+  RETURN jsonb_build_object('success', true);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+GRANT EXECUTE ON FUNCTION get_audience_voting_state(uuid) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION cast_audience_vote(uuid, uuid, text, text, text, text) TO anon, authenticated;
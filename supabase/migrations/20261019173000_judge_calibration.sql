@@ -0,0 +1,85 @@
+/*
+  # Judge Calibration
+
+  ## Overview
+  Before live judging every judge on a scored round scores the same 2–3
+  sample projects. Each judge is then shown how their scores compare with
+  the panel median, and the difference is kept as a per-criterion offset on
+  the judge's round assignment. Admins decide per round whether the offsets
+  are subtracted when the round is computed and whether the calibration
+  scores count as ordinary evaluations of the sample teams.
+
+  ## Changes
+  - rounds.calibration_team_ids: the sample teams (at most 3, empty = no calibration)
+  - rounds.calibration_apply_offsets: subtract the offsets before normalization
+  - rounds.calibration_exclude_evaluations: leave calibration scores out of the round
+  - round_judge_assignments.calibration_offsets / calibration_total_offset / calibrated_at
+  - calibration_evaluations: one final score sheet per judge and sample team
+*/
+
+-- =============================================
+-- SECTION 1: ROUND SETTINGS
+-- =============================================
+
+ALTER TABLE rounds
+  ADD COLUMN IF NOT EXISTS calibration_team_ids uuid[] NOT NULL DEFAULT '{}'
+  CHECK (cardinality(calibration_team_ids) <= 3);
+
+ALTER TABLE rounds
+  ADD COLUMN IF NOT EXISTS calibration_apply_offsets boolean NOT NULL DEFAULT false;
+
+ALTER TABLE rounds
+  ADD COLUMN IF NOT EXISTS calibration_exclude_evaluations boolean NOT NULL DEFAULT false;
+
+-- =============================================
+-- SECTION 2: STORED OFFSETS
+-- =============================================
+
+-- {criterion_id: offset}; positive = more lenient than the panel median
+ALTER TABLE round_judge_assignments
+  ADD COLUMN IF NOT EXISTS calibration_offsets jsonb,
+  ADD COLUMN IF NOT EXISTS calibration_total_offset numeric,
+  ADD COLUMN IF NOT EXISTS calibrated_at timestamptz;
+
+-- =============================================
+-- SECTION 3: CALIBRATION SCORES
+-- =============================================
+
+-- Kept apart from round_evaluations so a sample team the judge is also
+-- assigned in the live round can be scored twice
+CREATE TABLE IF NOT EXISTS calibration_evaluations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  round_id uuid NOT NULL REFERENCES rounds(id) ON DELETE CASCADE,
+  judge_id uuid NOT NULL REFERENCES judges(id) ON DELETE CASCADE,
+  team_id uuid NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  scores jsonb NOT NULL DEFAULT '{}'::jsonb,
+  raw_total numeric,
+  submitted_at timestamptz DEFAULT now(),
+  UNIQUE (round_id, judge_id, team_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_calibration_evaluations_round ON calibration_evaluations(round_id);
+
+ALTER TABLE calibration_evaluations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Judges can view calibration scores in their rounds"
+  ON calibration_evaluations FOR SELECT
+  TO authenticated
+  USING (
+    round_id IN (SELECT round_id FROM round_judge_assignments)
+  );
+
+-- Insert only: a judge sees the panel comparison after submitting, so the
+-- calibration sheet cannot be changed afterwards
+CREATE POLICY "Judges can submit their own calibration scores"
+  ON calibration_evaluations FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    judge_id IN (SELECT id FROM judges)
+    AND EXISTS (
+      SELECT 1 FROM rounds
+      WHERE rounds.id = calibration_evaluations.round_id
+      AND rounds.status IN ('draft', 'active')
+      AND calibration_evaluations.team_id = ANY(rounds.calibration_team_ids)
+    )
+  );
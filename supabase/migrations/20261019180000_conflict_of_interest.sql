@@ -0,0 +1,160 @@
+/*
+  # Conflict-of-Interest Declarations
+
+  ## Overview
+  Judges who mentor or work with a team could still be assigned to it.
+  Judges now declare conflicts from their dashboard and admins add them from
+  the Judges tab. A declared judge/team pair can no longer be assigned, in any
+  round, and any pending assignment of the pair is removed when it is
+  declared. Evaluations the judge already submitted are kept and flagged in
+  the round's results.
+
+  ## Changes
+  - conflict_declarations: one row per judge and team, with who declared it
+  - judge_team_assignments / judge_assignments reject declared pairs
+  - round_normalization_results.has_conflict flags evaluations of declared pairs
+  - Declarations and their removal are written to audit_logs
+*/
+
+-- =============================================
+-- SECTION 1: DECLARATIONS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS conflict_declarations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id uuid NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  judge_id uuid NOT NULL REFERENCES judges(id) ON DELETE CASCADE,
+  team_id uuid NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  reason text NOT NULL DEFAULT '',
+  -- JUDGE = self-declared from the judge dashboard, ADMIN = added by an organizer
+  source text NOT NULL DEFAULT 'JUDGE' CHECK (source IN ('JUDGE', 'ADMIN')),
+  declared_by uuid REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (judge_id, team_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conflict_declarations_event ON conflict_declarations(event_id);
+
+ALTER TABLE conflict_declarations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Judges can view conflict declarations"
+  ON conflict_declarations FOR SELECT
+  TO authenticated
+  USING (
+    judge_id IN (SELECT id FROM judges)
+  );
+
+CREATE POLICY "Judges and admins can declare conflicts"
+  ON conflict_declarations FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    judge_id IN (SELECT id FROM judges)
+  );
+
+-- Judges cannot withdraw a declaration; only the event's organizer can
+CREATE POLICY "Event admins can remove conflict declarations"
+  ON conflict_declarations FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM events e
+      WHERE e.id = conflict_declarations.event_id AND e.created_by = auth.uid()
+    )
+  );
+
+-- =============================================
+-- SECTION 2: BLOCK ASSIGNMENTS
+-- =============================================
+
+CREATE OR REPLACE FUNCTION reject_conflicted_assignment()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM conflict_declarations
+    WHERE judge_id = NEW.judge_id AND team_id = NEW.team_id
+  ) THEN
+    RAISE EXCEPTION 'Judge % has declared a conflict of interest with team %', NEW.judge_id, NEW.team_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS reject_conflicted_team_assignment ON judge_team_assignments;
+CREATE TRIGGER reject_conflicted_team_assignment
+  BEFORE INSERT OR UPDATE ON judge_team_assignments
+  FOR EACH ROW
+  EXECUTE FUNCTION reject_conflicted_assignment();
+
+DROP TRIGGER IF EXISTS reject_conflicted_round_assignment ON judge_assignments;
+CREATE TRIGGER reject_conflicted_round_assignment
+  BEFORE INSERT OR UPDATE ON judge_assignments
+  FOR EACH ROW
+  EXECUTE FUNCTION reject_conflicted_assignment();
+
+-- A new declaration drops the pair's pending assignments; submitted
+-- evaluations stay and are flagged when the round is computed
+CREATE OR REPLACE FUNCTION apply_conflict_declaration()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM judge_team_assignments
+  WHERE judge_id = NEW.judge_id AND team_id = NEW.team_id;
+
+  DELETE FROM judge_assignments
+  WHERE judge_id = NEW.judge_id AND team_id = NEW.team_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS apply_conflict_declaration_trigger ON conflict_declarations;
+CREATE TRIGGER apply_conflict_declaration_trigger
+  AFTER INSERT ON conflict_declarations
+  FOR EACH ROW
+  EXECUTE FUNCTION apply_conflict_declaration();
+
+-- =============================================
+-- SECTION 3: RESULTS FLAG
+-- =============================================
+
+ALTER TABLE round_normalization_results
+  ADD COLUMN IF NOT EXISTS has_conflict boolean NOT NULL DEFAULT false;
+
+-- =============================================
+-- SECTION 4: AUDIT TRAIL
+-- =============================================
+
+CREATE OR REPLACE FUNCTION audit_conflict_declaration()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_value, reason)
+    VALUES (
+      (SELECT id FROM user_profiles WHERE id = auth.uid()),
+      'coi_declare',
+      'conflict_declarations',
+      NEW.id,
+      jsonb_build_object('event_id', NEW.event_id, 'judge_id', NEW.judge_id, 'team_id', NEW.team_id, 'source', NEW.source),
+      NULLIF(NEW.reason, '')
+    );
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_value, reason)
+  VALUES (
+    (SELECT id FROM user_profiles WHERE id = auth.uid()),
+    'coi_remove',
+    'conflict_declarations',
+    OLD.id,
+    jsonb_build_object('event_id', OLD.event_id, 'judge_id', OLD.judge_id, 'team_id', OLD.team_id, 'source', OLD.source),
+    NULLIF(OLD.reason, '')
+  );
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS audit_conflict_declaration_trigger ON conflict_declarations;
+CREATE TRIGGER audit_conflict_declaration_trigger
+  AFTER INSERT OR DELETE ON conflict_declarations
+  FOR EACH ROW
+  EXECUTE FUNCTION audit_conflict_declaration();
@@ -0,0 +1,31 @@
+/*
+  # Balanced Judge Assignments
+
+  ## Overview
+  Round auto-assignment gave each team exactly one judge, so no two judges
+  ever scored the same team and judge biases could not be compared. The
+  Rounds tab now generates a plan where every team gets at least k judges,
+  judges' pools overlap enough to keep the judge–team overlap graph
+  connected and no judge exceeds a workload cap. The plan can be previewed
+  and adjusted before it replaces the round's judge_assignments.
+
+  Venues become an assignment constraint: a judge placed at a venue only
+  judges teams presenting there. Judges or teams without a venue are not
+  restricted.
+
+  ## Changes
+  - teams.venue_id, judges.venue_id
+*/
+
+-- =============================================
+-- SECTION 1: VENUE PLACEMENT
+-- =============================================
+
+ALTER TABLE teams
+  ADD COLUMN IF NOT EXISTS venue_id uuid REFERENCES venues(id) ON DELETE SET NULL;
+
+ALTER TABLE judges
+  ADD COLUMN IF NOT EXISTS venue_id uuid REFERENCES venues(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_teams_venue ON teams(venue_id);
+CREATE INDEX IF NOT EXISTS idx_judges_venue ON judges(venue_id);
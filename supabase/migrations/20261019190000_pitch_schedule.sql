@@ -0,0 +1,65 @@
+/*
+  # Pitch Schedule
+
+  ## Overview
+  Venues were only a list of rooms. For pitch-style rounds the Rounds tab now
+  generates an agenda: each team presents once, in a venue, in front of the
+  judges assigned to it, and no team, judge or venue is booked twice at the
+  same time. Slot length and breaks are set per round; the agenda can be
+  adjusted by hand before it is saved.
+
+  Judges see their own pitches on the Judge Dashboard, where teams are listed
+  in pitch order. Teams look up their slot on the public schedule page.
+
+  ## Changes
+  - rounds.schedule_settings: {start_at, slot_minutes, break_minutes, slots_between_breaks}
+  - pitch_slots: one slot per team and round, with venue and times
+*/
+
+-- =============================================
+-- SECTION 1: ROUND SETTINGS
+-- =============================================
+
+ALTER TABLE rounds
+  ADD COLUMN IF NOT EXISTS schedule_settings jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+-- =============================================
+-- SECTION 2: SLOTS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS pitch_slots (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id uuid NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  round_id uuid NOT NULL REFERENCES rounds(id) ON DELETE CASCADE,
+  team_id uuid NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  venue_id uuid REFERENCES venues(id) ON DELETE SET NULL,
+  -- position in the round's agenda; the times follow from schedule_settings
+  slot_index integer NOT NULL CHECK (slot_index >= 0),
+  starts_at timestamptz NOT NULL,
+  ends_at timestamptz NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (round_id, team_id),
+  CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pitch_slots_event ON pitch_slots(event_id);
+CREATE INDEX IF NOT EXISTS idx_pitch_slots_round ON pitch_slots(round_id, starts_at);
+
+-- =============================================
+-- SECTION 3: RLS
+-- =============================================
+
+ALTER TABLE pitch_slots ENABLE ROW LEVEL SECURITY;
+
+-- The agenda is public so teams can find their slot without signing in
+CREATE POLICY "Anyone can view pitch slots"
+  ON pitch_slots
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Authenticated users can manage pitch slots"
+  ON pitch_slots
+  FOR ALL
+  TO authenticated
+  USING (auth.role() = 'authenticated')
+  WITH CHECK (auth.role() = 'authenticated');
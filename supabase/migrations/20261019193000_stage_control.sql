@@ -0,0 +1,112 @@
+/*
+  # Live Stage Control
+
+  ## Overview
+  During pitches, room moderators kept time on their phones and judges lost
+  track of which team was on stage. Each venue now has a stage state: the
+  team presenting, its phase (pitch, then Q&A) and when the phase started.
+  A moderator drives it from the stage controller page; the venue display,
+  other moderators and the Judge Dashboard follow it over Supabase realtime.
+
+  Timers are not ticked in the database. Clients count down from
+  phase_started_at; pausing stores paused_at and resuming moves
+  phase_started_at forward by the pause. Those times are stamped by the
+  database clock, never the moderator's device, and every screen corrects
+  for its own clock's offset from the server, so all screens show the same
+  time.
+
+  ## Changes
+  - stage_states: one row per venue, published to supabase_realtime
+  - stamp_stage_times trigger: sets phase_started_at, paused_at and
+    updated_at from now() when a phase starts, pauses or resumes
+  - stage_server_time(): the database clock, for clients to measure their
+    offset from it
+*/
+
+-- =============================================
+-- SECTION 1: STAGE STATE
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS stage_states (
+  venue_id uuid PRIMARY KEY REFERENCES venues(id) ON DELETE CASCADE,
+  event_id uuid NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  round_id uuid REFERENCES rounds(id) ON DELETE SET NULL,
+  slot_id uuid REFERENCES pitch_slots(id) ON DELETE SET NULL,
+  team_id uuid REFERENCES teams(id) ON DELETE SET NULL,
+  phase text NOT NULL DEFAULT 'IDLE' CHECK (phase IN ('IDLE', 'PITCH', 'QA', 'DONE')),
+  phase_started_at timestamptz,
+  paused_at timestamptz,
+  pitch_seconds integer NOT NULL DEFAULT 300 CHECK (pitch_seconds > 0),
+  qa_seconds integer NOT NULL DEFAULT 120 CHECK (qa_seconds >= 0),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stage_states_event ON stage_states(event_id);
+
+-- =============================================
+-- SECTION 2: RLS
+-- =============================================
+
+ALTER TABLE stage_states ENABLE ROW LEVEL SECURITY;
+
+-- Venue displays and judges (token links) follow the stage without signing in
+CREATE POLICY "Anyone can view stage states"
+  ON stage_states
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Authenticated users can control stages"
+  ON stage_states
+  FOR ALL
+  TO authenticated
+  USING (auth.role() = 'authenticated')
+  WITH CHECK (auth.role() = 'authenticated');
+
+-- =============================================
+-- SECTION 3: SERVER TIME
+-- =============================================
+
+-- Clients send phase and pause changes; the times come from the database.
+-- A new team or phase restarts the clock, setting paused_at pauses it and
+-- clearing it resumes it, moving the start forward by the pause
+CREATE OR REPLACE FUNCTION stamp_stage_times()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT'
+    OR NEW.phase IS DISTINCT FROM OLD.phase
+    OR NEW.slot_id IS DISTINCT FROM OLD.slot_id THEN
+    NEW.phase_started_at := CASE WHEN NEW.phase IN ('PITCH', 'QA') THEN now() END;
+    NEW.paused_at := NULL;
+  ELSIF OLD.paused_at IS NULL AND NEW.paused_at IS NOT NULL THEN
+    NEW.phase_started_at := OLD.phase_started_at;
+    NEW.paused_at := now();
+  ELSIF OLD.paused_at IS NOT NULL AND NEW.paused_at IS NULL THEN
+    NEW.phase_started_at := OLD.phase_started_at + (now() - OLD.paused_at);
+  ELSE
+    NEW.phase_started_at := OLD.phase_started_at;
+    NEW.paused_at := OLD.paused_at;
+  END IF;
+
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS stamp_stage_times ON stage_states;
+CREATE TRIGGER stamp_stage_times
+  BEFORE INSERT OR UPDATE ON stage_states
+  FOR EACH ROW
+  EXECUTE FUNCTION stamp_stage_times();
+
+CREATE OR REPLACE FUNCTION stage_server_time()
+RETURNS timestamptz AS $$
+  SELECT now();
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION stage_server_time() TO anon, authenticated;
+
+-- =============================================
+-- SECTION 4: REALTIME
+-- =============================================
+
+ALTER PUBLICATION supabase_realtime ADD TABLE stage_states;
@@ -0,0 +1,19 @@
+/*
+  # Retire Judge Types
+
+  ## Overview
+  Round assignments still carried a fixed HARDWARE / SOFTWARE / BOTH judge
+  type, and per-judge top N selection filtered judges on it. Which teams a
+  judge may score now comes from event tracks (judges.track_ids,
+  teams.track_id), so the type no longer means anything.
+
+  ## Changes
+  - round_judge_assignments.judge_type: CHECK constraint dropped; the legacy
+    column is kept with its default but no longer written or read
+*/
+
+-- =============================================
+-- SECTION 1: CONSTRAINTS
+-- =============================================
+
+ALTER TABLE round_judge_assignments DROP CONSTRAINT IF EXISTS round_judge_assignments_judge_type_check;